@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Services\TaskService;
+use Illuminate\Console\Command;
+
+/**
+ * Backfill Recurring Tasks Command
+ *
+ * Generates recurring task instances that were missed, e.g. when a chore
+ * was not completed before its next due date came around.
+ * Scheduled daily in routes/console.php.
+ */
+class BackfillRecurringTasks extends Command
+{
+    /**
+     * The name and signature of the console command.
+     *
+     * @var string
+     */
+    protected $signature = 'tasks:backfill-recurring';
+
+    /**
+     * The console command description.
+     *
+     * @var string
+     */
+    protected $description = 'Create missed instances of recurring tasks';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(TaskService $taskService): int
+    {
+        $created = $taskService->backfillRecurringTasks();
+
+        $this->info("Created {$created} recurring task instance(s).");
+
+        return self::SUCCESS;
+    }
+}
@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Services\NotificationService;
+use Illuminate\Console\Command;
+
+/**
+ * Notify Overdue Tasks Command
+ *
+ * Tells assignees (or project creators, for unassigned tasks) about tasks
+ * whose due date has passed, once per due date.
+ * Scheduled daily in routes/console.php.
+ */
+class NotifyOverdueTasks extends Command
+{
+    /**
+     * The name and signature of the console command.
+     *
+     * @var string
+     */
+    protected $signature = 'tasks:notify-overdue';
+
+    /**
+     * The console command description.
+     *
+     * @var string
+     */
+    protected $description = 'Notify users about tasks that became overdue';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(NotificationService $notificationService): int
+    {
+        $sent = $notificationService->notifyOverdueTasks();
+
+        $this->info("Sent {$sent} overdue notification(s).");
+
+        return self::SUCCESS;
+    }
+}
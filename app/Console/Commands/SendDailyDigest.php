@@ -0,0 +1,41 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Services\ReminderService;
+use Illuminate\Console\Command;
+
+/**
+ * Send Daily Digest Command
+ *
+ * Emails users who opted in a summary of their overdue and due-soon tasks.
+ * Scheduled daily in routes/console.php.
+ */
+class SendDailyDigest extends Command
+{
+    /**
+     * The name and signature of the console command.
+     *
+     * @var string
+     */
+    protected $signature = 'tasks:send-digest';
+
+    /**
+     * The console command description.
+     *
+     * @var string
+     */
+    protected $description = 'Email the daily task digest';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(ReminderService $reminderService): int
+    {
+        $sent = $reminderService->sendDailyDigests();
+
+        $this->info("Sent {$sent} digest(s).");
+
+        return self::SUCCESS;
+    }
+}
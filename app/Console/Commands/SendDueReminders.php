@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Services\ReminderService;
+use Illuminate\Console\Command;
+
+/**
+ * Send Due Reminders Command
+ *
+ * Emails a reminder about tasks that come due within the hours each user
+ * chose on their profile page.
+ * Scheduled hourly in routes/console.php.
+ */
+class SendDueReminders extends Command
+{
+    /**
+     * The name and signature of the console command.
+     *
+     * @var string
+     */
+    protected $signature = 'tasks:send-reminders';
+
+    /**
+     * The console command description.
+     *
+     * @var string
+     */
+    protected $description = 'Email reminders about tasks coming due';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(ReminderService $reminderService): int
+    {
+        $sent = $reminderService->sendDueReminders();
+
+        $this->info("Sent {$sent} reminder(s).");
+
+        return self::SUCCESS;
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+namespace App\Enums;
+
+/**
+ * Project Role Enum
+ *
+ * Defines what a member can do within a project:
+ * - Owners manage the project, its members and its tasks
+ * - Editors work on the project and its tasks
+ * - Viewers can only look (and comment)
+ */
+enum ProjectRole: string
+{
+    case OWNER = 'owner';
+    case EDITOR = 'editor';
+    case VIEWER = 'viewer';
+
+    /**
+     * Get a human-readable label for the role
+     */
+    public function label(): string
+    {
+        return match ($this) {
+            self::OWNER => 'Owner',
+            self::EDITOR => 'Editor',
+            self::VIEWER => 'Viewer',
+        };
+    }
+
+    /**
+     * Get all role values as an array
+     */
+    public static function values(): array
+    {
+        return array_column(self::cases(), 'value');
+    }
+
+    /**
+     * Check if the role can change the project and its tasks
+     */
+    public function canEdit(): bool
+    {
+        return in_array($this, [self::OWNER, self::EDITOR]);
+    }
+
+    /**
+     * Check if the role can delete the project and manage its members
+     */
+    public function canManage(): bool
+    {
+        return $this === self::OWNER;
+    }
+
+    /**
+     * Get all roles as array with value and label
+     */
+    public static function toArray(): array
+    {
+        return array_map(
+            fn($case) => [
+                'value' => $case->value,
+                'label' => $case->label(),
+            ],
+            self::cases()
+        );
+    }
+}
@@ -0,0 +1,52 @@
+<?php
+
+namespace App\Enums;
+
+/**
+ * Recurrence Frequency Enum
+ *
+ * Defines how often a recurring task repeats.
+ * The rest of the rule (weekdays, day of month, interval) depends on it.
+ */
+enum RecurrenceFrequency: string
+{
+    case DAILY = 'daily';
+    case WEEKLY = 'weekly';
+    case MONTHLY = 'monthly';
+    case INTERVAL = 'interval';
+
+    /**
+     * Get a human-readable label for the frequency
+     */
+    public function label(): string
+    {
+        return match ($this) {
+            self::DAILY => 'Daily',
+            self::WEEKLY => 'Weekly',
+            self::MONTHLY => 'Monthly',
+            self::INTERVAL => 'Every N days',
+        };
+    }
+
+    /**
+     * Get all frequency values as an array
+     */
+    public static function values(): array
+    {
+        return array_column(self::cases(), 'value');
+    }
+
+    /**
+     * Get all frequencies as array with value and label
+     */
+    public static function toArray(): array
+    {
+        return array_map(
+            fn($case) => [
+                'value' => $case->value,
+                'label' => $case->label(),
+            ],
+            self::cases()
+        );
+    }
+}
@@ -57,6 +57,14 @@ public function isFinal(): bool
         return in_array($this, [self::COMPLETED, self::CANCELLED]);
     }
 
+    /**
+     * Check if moving a task to this status requires its blockers to be finished
+     */
+    public function requiresUnblocked(): bool
+    {
+        return in_array($this, [self::IN_PROGRESS, self::COMPLETED]);
+    }
+
     /**
      * Get all statuses as array with value and label
      */
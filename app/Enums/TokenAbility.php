@@ -0,0 +1,66 @@
+<?php
+
+namespace App\Enums;
+
+/**
+ * Token Ability Enum
+ *
+ * What a personal API token may do. The /api/v1 routes require the
+ * matching ability, so a token only reaches what it was created for.
+ */
+enum TokenAbility: string
+{
+    case TASKS_READ = 'tasks:read';
+    case TASKS_WRITE = 'tasks:write';
+    case PROJECTS_READ = 'projects:read';
+    case PROJECTS_WRITE = 'projects:write';
+
+    /**
+     * Get a human-readable label for the ability
+     */
+    public function label(): string
+    {
+        return match ($this) {
+            self::TASKS_READ => 'Read tasks',
+            self::TASKS_WRITE => 'Write tasks',
+            self::PROJECTS_READ => 'Read projects',
+            self::PROJECTS_WRITE => 'Write projects',
+        };
+    }
+
+    /**
+     * Get a short description of what the ability allows
+     */
+    public function description(): string
+    {
+        return match ($this) {
+            self::TASKS_READ => 'List and view tasks',
+            self::TASKS_WRITE => 'Create, update, assign, complete and delete tasks',
+            self::PROJECTS_READ => 'List and view projects',
+            self::PROJECTS_WRITE => 'Create, update and delete projects',
+        };
+    }
+
+    /**
+     * Get all ability values as an array
+     */
+    public static function values(): array
+    {
+        return array_column(self::cases(), 'value');
+    }
+
+    /**
+     * Get all abilities as array with value, label and description
+     */
+    public static function toArray(): array
+    {
+        return array_map(
+            fn($case) => [
+                'value' => $case->value,
+                'label' => $case->label(),
+                'description' => $case->description(),
+            ],
+            self::cases()
+        );
+    }
+}
@@ -0,0 +1,84 @@
+<?php
+
+namespace App\Events;
+
+use App\Models\User;
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Broadcasting\PrivateChannel;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcast;
+use Illuminate\Foundation\Events\Dispatchable;
+
+/**
+ * Model Changed Event
+ *
+ * Broadcast on the private channels of the projects a task or project
+ * belongs to, so open pages can patch their lists in place. Everything the
+ * listeners need is captured when the event is created, because it is
+ * sent from the queue, where the model may be gone and nobody is logged in.
+ */
+class ModelChanged implements ShouldBroadcast
+{
+    use Dispatchable, InteractsWithSockets;
+
+    /**
+     * The user who made the change, if any ({ id, name })
+     *
+     * @var array<string, mixed>|null
+     */
+    public ?array $actor;
+
+    /**
+     * Create a new event instance.
+     *
+     * @param string $type "task" or "project"
+     * @param string $action created, updated, deleted or restored
+     * @param int $id
+     * @param array<int> $projectIds
+     * @param array<string, mixed> $data The model's resource
+     * @param User|null $actor
+     */
+    public function __construct(
+        public string $type,
+        public string $action,
+        public int $id,
+        public array $projectIds,
+        public array $data,
+        ?User $actor = null
+    ) {
+        $this->actor = $actor?->only(['id', 'name']);
+    }
+
+    /**
+     * Get the channels the event should broadcast on.
+     *
+     * @return array<int, \Illuminate\Broadcasting\Channel>
+     */
+    public function broadcastOn(): array
+    {
+        return array_map(fn (int $projectId) => new PrivateChannel("projects.{$projectId}"), $this->projectIds);
+    }
+
+    /**
+     * The event's broadcast name.
+     */
+    public function broadcastAs(): string
+    {
+        return 'model.changed';
+    }
+
+    /**
+     * Get the data to broadcast.
+     *
+     * @return array<string, mixed>
+     */
+    public function broadcastWith(): array
+    {
+        return [
+            'type' => $this->type,
+            'action' => $this->action,
+            'id' => $this->id,
+            'data' => $this->data,
+            'actor' => $this->actor,
+        ];
+    }
+}
@@ -0,0 +1,76 @@
+<?php
+
+namespace App\Http\Controllers\Api\V1;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\FilterProjectsRequest;
+use App\Http\Requests\StoreProjectRequest;
+use App\Http\Requests\UpdateProjectRequest;
+use App\Http\Resources\ProjectResource;
+use App\Models\Project;
+use App\Services\ProjectService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Resources\Json\AnonymousResourceCollection;
+
+/**
+ * API Project Controller
+ *
+ * JSON endpoints for projects under /api/v1, sharing the services, form
+ * requests and policies of the web ProjectController.
+ *
+ * @method void authorizeResource(string $model, string $parameter = null, array $options = [], \Illuminate\Http\Request $request = null)
+ */
+class ProjectController extends Controller
+{
+    public function __construct(
+        private ProjectService $projectService
+    ) {
+        $this->authorizeResource(Project::class, 'project');
+    }
+
+    /**
+     * List the projects the user is a member of.
+     */
+    public function index(FilterProjectsRequest $request): AnonymousResourceCollection
+    {
+        $projects = $this->projectService->getUserProjects($request->user(), $request->perPage(), $request->filters());
+
+        return ProjectResource::collection($projects);
+    }
+
+    /**
+     * Create a project owned by the user.
+     */
+    public function store(StoreProjectRequest $request): JsonResponse
+    {
+        $project = $this->projectService->createProject($request->user(), $request->validated());
+
+        return (new ProjectResource($project))->response()->setStatusCode(201);
+    }
+
+    /**
+     * Show a project with its tasks.
+     */
+    public function show(Project $project): ProjectResource
+    {
+        return new ProjectResource($this->projectService->getProjectDetails($project));
+    }
+
+    /**
+     * Update a project.
+     */
+    public function update(UpdateProjectRequest $request, Project $project): ProjectResource
+    {
+        return new ProjectResource($this->projectService->updateProject($project, $request->validated()));
+    }
+
+    /**
+     * Move a project and its tasks to the trash.
+     */
+    public function destroy(Project $project): JsonResponse
+    {
+        $this->projectService->deleteProject($project);
+
+        return response()->json(['message' => 'Project moved to trash.']);
+    }
+}
@@ -0,0 +1,117 @@
+<?php
+
+namespace App\Http\Controllers\Api\V1;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\AssignTaskRequest;
+use App\Http\Requests\FilterTasksRequest;
+use App\Http\Requests\StoreTaskRequest;
+use App\Http\Requests\UpdateTaskRequest;
+use App\Http\Resources\TaskResource;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Services\TaskService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Resources\Json\AnonymousResourceCollection;
+
+/**
+ * API Task Controller
+ *
+ * JSON endpoints for tasks under /api/v1, sharing the services, form
+ * requests and policies of the web TaskController, including the
+ * per-field checks for assignees.
+ *
+ * @method void authorizeResource(string $model, string $parameter = null, array $options = [], \Illuminate\Http\Request $request = null)
+ */
+class TaskController extends Controller
+{
+    public function __construct(
+        private TaskService $taskService
+    ) {
+        $this->authorizeResource(Task::class, 'task');
+    }
+
+    /**
+     * List the tasks the user can see, with the task index filters.
+     */
+    public function index(FilterTasksRequest $request): AnonymousResourceCollection
+    {
+        $tasks = $this->taskService->getUserTasks($request->user(), $request->perPage(), $request->filters());
+
+        return TaskResource::collection($tasks);
+    }
+
+    /**
+     * Create a task in a project the user can edit.
+     */
+    public function store(StoreTaskRequest $request): JsonResponse
+    {
+        // TaskPolicy::create() cannot see the chosen project, so check it here
+        $this->authorize('manageTasks', Project::findOrFail($request->validated('project_id')));
+
+        $task = $this->taskService->createTask($request->validated());
+
+        return (new TaskResource($task))->response()->setStatusCode(201);
+    }
+
+    /**
+     * Show a task with its checklist and dependencies.
+     */
+    public function show(Task $task): TaskResource
+    {
+        return new TaskResource($task->load(['project', 'assignedUser', 'checklistItems.assignedUser', 'blockers', 'blocking']));
+    }
+
+    /**
+     * Update a task.
+     */
+    public function update(UpdateTaskRequest $request, Task $task): TaskResource
+    {
+        // Assignees may only change some fields, so every field sent is checked
+        foreach (array_keys($request->validated()) as $field) {
+            $this->authorize('updateField', [$task, $field]);
+        }
+
+        // Moving the task also needs edit rights on the destination project
+        if ($request->has('project_id') && (int) $request->validated('project_id') !== $task->project_id) {
+            $this->authorize('manageTasks', Project::findOrFail($request->validated('project_id')));
+        }
+
+        return new TaskResource($this->taskService->updateTask($task, $request->validated()));
+    }
+
+    /**
+     * Move a task to the trash.
+     */
+    public function destroy(Task $task): JsonResponse
+    {
+        $this->taskService->deleteTask($task);
+
+        return response()->json(['message' => 'Task moved to trash.']);
+    }
+
+    /**
+     * Assign a task to a project member, or unassign it with null.
+     */
+    public function assign(AssignTaskRequest $request, Task $task): TaskResource
+    {
+        // Not a resource method, so authorizeResource() does not cover it
+        $this->authorize('updateField', [$task, 'assigned_to']);
+
+        $assignee = $request->validated('assigned_to') ? User::find($request->validated('assigned_to')) : null;
+
+        return new TaskResource($this->taskService->assignTask($task, $assignee));
+    }
+
+    /**
+     * Mark a task as completed. Fails with a validation error while it is blocked.
+     */
+    public function complete(Task $task): TaskResource
+    {
+        // Not a resource method, so authorizeResource() does not cover it
+        $this->authorize('updateField', [$task, 'status']);
+
+        return new TaskResource($this->taskService->completeTask($task));
+    }
+}
@@ -0,0 +1,43 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\StoreApiTokenRequest;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+
+/**
+ * API Token Controller
+ *
+ * Creates and revokes the user's personal access tokens for the /api/v1
+ * endpoints, from the profile page.
+ */
+class ApiTokenController extends Controller
+{
+    /**
+     * Create a token. The plain text token is flashed to the profile page
+     * once; only its hash is stored.
+     */
+    public function store(StoreApiTokenRequest $request): RedirectResponse
+    {
+        $token = $request->user()->createToken(
+            $request->validated('name'),
+            $request->validated('abilities')
+        );
+
+        return back()
+            ->with('plain_text_token', $token->plainTextToken)
+            ->with('success', 'API token created.');
+    }
+
+    /**
+     * Revoke one of the user's tokens.
+     */
+    public function destroy(Request $request, int $token): RedirectResponse
+    {
+        // Scoped to the user, so other people's tokens are not found
+        $request->user()->tokens()->whereKey($token)->firstOrFail()->delete();
+
+        return back()->with('success', 'API token revoked.');
+    }
+}
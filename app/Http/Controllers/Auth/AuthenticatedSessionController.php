@@ -3,7 +3,10 @@
 namespace App\Http\Controllers\Auth;
 
 use App\Http\Controllers\Controller;
+use App\Http\Controllers\ProjectInvitationController;
 use App\Http\Requests\Auth\LoginRequest;
+use App\Services\ProjectInvitationService;
+use Illuminate\Auth\Access\AuthorizationException;
 use Illuminate\Http\RedirectResponse;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
@@ -16,23 +19,46 @@ class AuthenticatedSessionController extends Controller
     /**
      * Display the login view.
      */
-    public function create(): Response
+    public function create(Request $request, ProjectInvitationService $invitationService): Response
     {
+        $invitation = $invitationService->findAcceptable(
+            $request->session()->get(ProjectInvitationController::SESSION_KEY)
+        );
+
         return Inertia::render('Auth/Login', [
             'canResetPassword' => Route::has('password.request'),
             'status' => session('status'),
+            // Invitation opened before logging in, to prefill the email and explain why
+            'invitation' => $invitation ? [
+                'email' => $invitation->email,
+                'project' => $invitation->project->name,
+            ] : null,
         ]);
     }
 
     /**
      * Handle an incoming authentication request.
      */
-    public function store(LoginRequest $request): RedirectResponse
+    public function store(LoginRequest $request, ProjectInvitationService $invitationService): RedirectResponse
     {
         $request->authenticate();
 
         $request->session()->regenerate();
 
+        // Join the project the user was invited to, if any
+        try {
+            $project = $invitationService->acceptPending(
+                $request->session()->pull(ProjectInvitationController::SESSION_KEY),
+                $request->user()
+            );
+        } catch (AuthorizationException $e) {
+            return redirect(route('dashboard', absolute: false))->with('error', $e->getMessage());
+        }
+
+        if ($project) {
+            return redirect(route('projects.show', $project, absolute: false));
+        }
+
         return redirect()->intended(route('dashboard', absolute: false));
     }
 
@@ -3,7 +3,10 @@
 namespace App\Http\Controllers\Auth;
 
 use App\Http\Controllers\Controller;
+use App\Http\Controllers\ProjectInvitationController;
 use App\Models\User;
+use App\Services\ProjectInvitationService;
+use Illuminate\Auth\Access\AuthorizationException;
 use Illuminate\Auth\Events\Registered;
 use Illuminate\Http\RedirectResponse;
 use Illuminate\Http\Request;
@@ -18,9 +21,19 @@ class RegisteredUserController extends Controller
     /**
      * Display the registration view.
      */
-    public function create(): Response
+    public function create(Request $request, ProjectInvitationService $invitationService): Response
     {
-        return Inertia::render('Auth/Register');
+        $invitation = $invitationService->findAcceptable(
+            $request->session()->get(ProjectInvitationController::SESSION_KEY)
+        );
+
+        return Inertia::render('Auth/Register', [
+            // Invitation opened before signing up, to prefill the email and explain why
+            'invitation' => $invitation ? [
+                'email' => $invitation->email,
+                'project' => $invitation->project->name,
+            ] : null,
+        ]);
     }
 
     /**
@@ -28,7 +41,7 @@ public function create(): Response
      *
      * @throws \Illuminate\Validation\ValidationException
      */
-    public function store(Request $request): RedirectResponse
+    public function store(Request $request, ProjectInvitationService $invitationService): RedirectResponse
     {
         $request->validate([
             'name' => 'required|string|max:255',
@@ -46,6 +59,20 @@ public function store(Request $request): RedirectResponse
 
         Auth::login($user);
 
+        // Join the project the user was invited to, if any
+        try {
+            $project = $invitationService->acceptPending(
+                $request->session()->pull(ProjectInvitationController::SESSION_KEY),
+                $user
+            );
+        } catch (AuthorizationException $e) {
+            return redirect(route('dashboard', absolute: false))->with('error', $e->getMessage());
+        }
+
+        if ($project) {
+            return redirect(route('projects.show', $project, absolute: false));
+        }
+
         return redirect(route('dashboard', absolute: false));
     }
 }
@@ -0,0 +1,91 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Enums\TaskPriority;
+use App\Http\Requests\FilterCalendarRequest;
+use App\Http\Requests\StoreTaskRequest;
+use App\Http\Requests\UpdateTaskRequest;
+use App\Http\Resources\ProjectResource;
+use App\Http\Resources\TaskResource;
+use App\Models\Project;
+use App\Models\Task;
+use App\Services\TaskService;
+use Illuminate\Http\RedirectResponse;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * Calendar Controller
+ *
+ * Plots the tasks a user can see by due date in a month or week view.
+ * Tasks are rescheduled by dragging them to another day, and new ones
+ * can be created straight onto a day.
+ */
+class CalendarController extends Controller
+{
+    public function __construct(
+        private TaskService $taskService
+    ) {
+    }
+
+    /**
+     * Display the calendar.
+     */
+    public function index(FilterCalendarRequest $request): Response
+    {
+        $user = $request->user();
+        $period = $request->period();
+
+        $tasks = $this->taskService->getCalendarTasks($user, $period['from'], $period['to'])
+            ->map(fn (Task $task) => [
+                ...(new TaskResource($task))->resolve(),
+                'can' => [
+                    'update_due_date' => $user->can('updateField', [$task, 'due_date']),
+                ],
+            ]);
+
+        // Projects new tasks can be added to from the calendar
+        $projects = Project::editableBy($user)
+            ->select('id', 'name', 'status')
+            ->active()
+            ->orderBy('name')
+            ->get();
+
+        return Inertia::render('Calendar/Index', [
+            'tasks' => $tasks,
+            'projects' => ProjectResource::collection($projects)->resolve(),
+            'priorities' => TaskPriority::toArray(),
+            'filters' => [
+                'view' => $period['view'],
+                'date' => $period['date']->toDateString(),
+            ],
+        ]);
+    }
+
+    /**
+     * Create a task on the chosen day and stay on the calendar.
+     */
+    public function store(StoreTaskRequest $request): RedirectResponse
+    {
+        $this->authorize('manageTasks', Project::findOrFail($request->validated('project_id')));
+
+        $task = $this->taskService->createTask($request->validated());
+
+        return back()
+            ->with('success', 'Task created successfully.')
+            ->with('action', ['label' => 'View task', 'url' => route('tasks.show', $task)]);
+    }
+
+    /**
+     * Move a task to another day.
+     */
+    public function update(UpdateTaskRequest $request, Task $task): RedirectResponse
+    {
+        $this->authorize('updateField', [$task, 'due_date']);
+
+        $this->taskService->updateTask($task, $request->safe()->only('due_date'));
+
+        return back()->with('success', 'Task rescheduled.');
+    }
+}
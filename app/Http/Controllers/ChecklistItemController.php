@@ -0,0 +1,75 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\ReorderChecklistRequest;
+use App\Http\Requests\StoreChecklistItemRequest;
+use App\Http\Requests\UpdateChecklistItemRequest;
+use App\Models\ChecklistItem;
+use App\Models\Task;
+use App\Services\ChecklistService;
+use Illuminate\Http\RedirectResponse;
+
+/**
+ * Checklist Item Controller
+ *
+ * Handles the checklist inside a task. The checklist is edited inline on the
+ * task page, so every action redirects back. Changing a checklist counts as
+ * updating its task, so TaskPolicy::update() authorizes every action.
+ */
+class ChecklistItemController extends Controller
+{
+    public function __construct(
+        private ChecklistService $checklistService
+    ) {
+    }
+
+    /**
+     * Add an item to the task's checklist.
+     */
+    public function store(StoreChecklistItemRequest $request, Task $task): RedirectResponse
+    {
+        $this->authorize('update', $task);
+
+        $this->checklistService->createItem($task, $request->validated());
+
+        return back()->with('success', 'Checklist item added.');
+    }
+
+    /**
+     * Update the specified item (including checking it off).
+     */
+    public function update(UpdateChecklistItemRequest $request, ChecklistItem $checklistItem): RedirectResponse
+    {
+        $this->authorize('update', $checklistItem->task);
+
+        $this->checklistService->updateItem($checklistItem, $request->validated());
+
+        // Inline edits and toggles are reflected immediately, no message needed
+        return back();
+    }
+
+    /**
+     * Remove the specified item.
+     */
+    public function destroy(ChecklistItem $checklistItem): RedirectResponse
+    {
+        $this->authorize('update', $checklistItem->task);
+
+        $this->checklistService->deleteItem($checklistItem);
+
+        return back()->with('success', 'Checklist item deleted.');
+    }
+
+    /**
+     * Save a new order for the task's checklist.
+     */
+    public function reorder(ReorderChecklistRequest $request, Task $task): RedirectResponse
+    {
+        $this->authorize('update', $task);
+
+        $this->checklistService->reorderItems($task, $request->validated('items'));
+
+        return back();
+    }
+}
@@ -0,0 +1,70 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\StoreCommentRequest;
+use App\Http\Requests\UpdateCommentRequest;
+use App\Models\Comment;
+use App\Models\Task;
+use App\Services\CommentService;
+use Illuminate\Http\RedirectResponse;
+
+/**
+ * Comment Controller
+ *
+ * Handles comments on tasks. Comments are shown on the task page,
+ * so every action redirects back there.
+ *
+ * Authorization goes through TaskPolicy, since access to a comment
+ * follows access to its task.
+ */
+class CommentController extends Controller
+{
+    public function __construct(
+        private CommentService $commentService
+    ) {
+    }
+
+    /**
+     * Store a newly created comment or reply.
+     */
+    public function store(StoreCommentRequest $request, Task $task): RedirectResponse
+    {
+        $this->authorize('comment', $task);
+
+        $comment = $this->commentService->createComment($task, $request->user(), $request->validated());
+
+        return redirect()
+            ->to(route('tasks.show', $task).'#comment-'.$comment->id)
+            ->with('success', $comment->isReply() ? 'Reply posted.' : 'Comment posted.');
+    }
+
+    /**
+     * Update the specified comment.
+     */
+    public function update(UpdateCommentRequest $request, Comment $comment): RedirectResponse
+    {
+        $this->authorize('updateComment', [$comment->task, $comment]);
+
+        $this->commentService->updateComment($comment, $request->validated());
+
+        return redirect()
+            ->to(route('tasks.show', $comment->task_id).'#comment-'.$comment->id)
+            ->with('success', 'Comment updated.');
+    }
+
+    /**
+     * Remove the specified comment (and its replies).
+     */
+    public function destroy(Comment $comment): RedirectResponse
+    {
+        $this->authorize('deleteComment', [$comment->task, $comment]);
+
+        $taskId = $comment->task_id;
+        $this->commentService->deleteComment($comment);
+
+        return redirect()
+            ->route('tasks.show', $taskId)
+            ->with('success', 'Comment deleted.');
+    }
+}
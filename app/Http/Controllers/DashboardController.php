@@ -2,8 +2,10 @@
 
 namespace App\Http\Controllers;
 
+use App\Http\Requests\FilterDashboardRequest;
 use App\Http\Resources\ProjectResource;
 use App\Http\Resources\TaskResource;
+use App\Models\Project;
 use App\Services\ProjectService;
 use App\Services\TaskService;
 use Inertia\Inertia;
@@ -24,27 +26,36 @@ public function __construct(
 
     /**
      * Display the dashboard
+     *
+     * Everything is scoped to the period and projects picked in the query string.
      */
-    public function index(\Illuminate\Http\Request $request): Response
+    public function index(FilterDashboardRequest $request): Response
     {
         $user = $request->user();
+        $filters = $request->filters();
 
-        // Get statistics
-        $projectStats = [
-            'total' => $user->projects()->count(),
-            'active' => $user->projects()->active()->count(),
-            'completed' => $user->projects()->completed()->count(),
-        ];
-
-        $taskStats = $this->taskService->getUserTaskStats($user);
-        $assignedTaskStats = $this->taskService->getAssignedTaskStats($user);
+        // Get statistics for the selected projects the user is a member of
+        $projectStats = $this->projectService->getUserProjectStats($user, $filters['project_ids']);
+        $taskStats = $this->taskService->getUserTaskStats($user, $filters);
+        $assignedTaskStats = $this->taskService->getAssignedTaskStats($user, $filters);
 
         // Get recent data
-        // Note: paginate() returns a LengthAwarePaginator, so we need to get items
-        $recentProjects = $this->projectService->getUserProjects($user, 5)->items();
-        $recentTasks = $this->taskService->getUserTasks($user, 10)->items();
-        $overdueTasks = $this->taskService->getOverdueTasks($user);
-        $tasksDueSoon = $this->taskService->getTasksDueSoon($user);
+        $recentProjects = $this->projectService->getRecentProjects($user, $filters['project_ids']);
+        $recentTasks = $this->taskService->getRecentTasks($user, $filters);
+        $overdueTasks = $this->taskService->getOverdueTasks($user, $filters);
+        $tasksDueSoon = $this->taskService->getTasksDueSoon($user, 7, $filters);
+
+        // Chart data: daily activity over the period and completion per project
+        $charts = [
+            'activity' => $this->taskService->getTaskTrends($user, $filters),
+            'projects' => $this->projectService->getProjectCompletion($user, $filters),
+        ];
+
+        // Every project the user is a member of, for the project picker
+        $projectOptions = Project::accessibleBy($user)
+            ->select('id', 'name', 'status')
+            ->orderBy('name')
+            ->get();
 
         return Inertia::render('Dashboard', [
             'stats' => [
@@ -56,6 +67,14 @@ public function index(\Illuminate\Http\Request $request): Response
             'recent_tasks' => TaskResource::collection($recentTasks)->resolve(),
             'overdue_tasks' => TaskResource::collection($overdueTasks)->resolve(),
             'tasks_due_soon' => TaskResource::collection($tasksDueSoon)->resolve(),
+            'charts' => $charts,
+            'projects' => ProjectResource::collection($projectOptions)->resolve(),
+            'filters' => [
+                'range' => $filters['range'],
+                'from' => $filters['from']->toDateString(),
+                'to' => $filters['to']->toDateString(),
+                'projects' => $filters['project_ids'],
+            ],
         ]);
     }
 }
@@ -0,0 +1,73 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\UpdateTaskRequest;
+use App\Http\Resources\TaskResource;
+use App\Models\Task;
+use App\Services\TaskService;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * My Work Controller
+ *
+ * Lists the unfinished tasks assigned to the current user, grouped by when
+ * they are due. Status and due dates can be changed in place; like on the
+ * edit form, every field is authorized separately.
+ */
+class MyWorkController extends Controller
+{
+    /**
+     * Fields that can be changed from the My Work page
+     */
+    private const EDITABLE_FIELDS = ['status', 'due_date'];
+
+    public function __construct(
+        private TaskService $taskService
+    ) {
+    }
+
+    /**
+     * Display the tasks assigned to the user.
+     */
+    public function index(Request $request): Response
+    {
+        $user = $request->user();
+
+        $groups = collect($this->taskService->getAssignedTasksByDueDate($user))
+            ->map(fn ($tasks) => $tasks->map(fn (Task $task) => [
+                ...(new TaskResource($task))->resolve(),
+                'can' => [
+                    'update_status' => $user->can('updateField', [$task, 'status']),
+                    'update_due_date' => $user->can('updateField', [$task, 'due_date']),
+                ],
+            ]));
+
+        return Inertia::render('MyWork/Index', [
+            'groups' => $groups,
+            'stats' => $this->taskService->getAssignedTaskStats($user),
+        ]);
+    }
+
+    /**
+     * Change the status or due date of a task and stay on the page.
+     */
+    public function update(UpdateTaskRequest $request, Task $task): RedirectResponse
+    {
+        // Not covered by authorizeResource(); also checked when no field is sent
+        $this->authorize('update', $task);
+
+        $data = $request->safe()->only(self::EDITABLE_FIELDS);
+
+        foreach (array_keys($data) as $field) {
+            $this->authorize('updateField', [$task, $field]);
+        }
+
+        $this->taskService->updateTask($task, $data);
+
+        return back()->with('success', 'Task updated successfully.');
+    }
+}
@@ -0,0 +1,75 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\FilterNotificationsRequest;
+use App\Http\Resources\NotificationResource;
+use App\Services\NotificationService;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * Notification Controller
+ *
+ * The notification center. Notifications are looked up through the current
+ * user, so nobody can open or mark someone else's.
+ */
+class NotificationController extends Controller
+{
+    public function __construct(
+        private NotificationService $notificationService
+    ) {
+    }
+
+    /**
+     * Display the user's notifications.
+     */
+    public function index(FilterNotificationsRequest $request): Response
+    {
+        $notifications = $this->notificationService->getNotifications(
+            $request->user(),
+            $request->perPage(),
+            $request->unreadOnly()
+        );
+
+        return Inertia::render('Notifications/Index', [
+            // Keep the { data, links, meta } envelope for the pager
+            'notifications' => NotificationResource::collection($notifications)->response()->getData(true),
+            'filters' => ['unread' => $request->unreadOnly()],
+        ]);
+    }
+
+    /**
+     * Mark a notification as read and open the task or project it is about.
+     */
+    public function show(Request $request, string $notification): RedirectResponse
+    {
+        $notification = $request->user()->notifications()->findOrFail($notification);
+
+        $notification->markAsRead();
+
+        return redirect()->to($this->notificationService->getLink($notification));
+    }
+
+    /**
+     * Mark a notification as read and stay on the page.
+     */
+    public function markAsRead(Request $request, string $notification): RedirectResponse
+    {
+        $request->user()->notifications()->findOrFail($notification)->markAsRead();
+
+        return back();
+    }
+
+    /**
+     * Mark all of the user's notifications as read.
+     */
+    public function markAllAsRead(Request $request): RedirectResponse
+    {
+        $this->notificationService->markAllAsRead($request->user());
+
+        return back()->with('success', 'All notifications marked as read.');
+    }
+}
@@ -2,7 +2,11 @@
 
 namespace App\Http\Controllers;
 
+use App\Enums\TokenAbility;
 use App\Http\Requests\ProfileUpdateRequest;
+use App\Http\Requests\UpdateNotificationSettingsRequest;
+use App\Http\Resources\ApiTokenResource;
+use App\Models\User;
 use Illuminate\Contracts\Auth\MustVerifyEmail;
 use Illuminate\Http\RedirectResponse;
 use Illuminate\Http\Request;
@@ -21,6 +25,12 @@ public function edit(Request $request): Response
         return Inertia::render('Profile/Edit', [
             'mustVerifyEmail' => $request->user() instanceof MustVerifyEmail,
             'status' => session('status'),
+            'notificationSettings' => $request->user()->only(['daily_digest', 'due_reminder_hours']),
+            'reminderOptions' => User::REMINDER_HOURS,
+            'tokens' => ApiTokenResource::collection($request->user()->tokens()->latest()->get())->resolve(),
+            'tokenAbilities' => TokenAbility::toArray(),
+            // Only present right after a token was created
+            'plainTextToken' => session('plain_text_token'),
         ]);
     }
 
@@ -40,6 +50,16 @@ public function update(ProfileUpdateRequest $request): RedirectResponse
         return Redirect::route('profile.edit');
     }
 
+    /**
+     * Update the user's email notification settings.
+     */
+    public function updateNotifications(UpdateNotificationSettingsRequest $request): RedirectResponse
+    {
+        $request->user()->update($request->validated());
+
+        return Redirect::route('profile.edit');
+    }
+
     /**
      * Delete the user's account.
      */
@@ -2,10 +2,17 @@
 
 namespace App\Http\Controllers;
 
+use App\Http\Requests\PaginateRequest;
 use App\Http\Requests\StoreProjectRequest;
 use App\Http\Requests\UpdateProjectRequest;
+use App\Http\Resources\ActivityResource;
+use App\Http\Resources\ProjectInvitationResource;
+use App\Http\Resources\ProjectMemberResource;
 use App\Http\Resources\ProjectResource;
 use App\Models\Project;
+use App\Services\ActivityService;
+use App\Services\ProjectInvitationService;
+use App\Services\ProjectMemberService;
 use App\Services\ProjectService;
 use Illuminate\Http\RedirectResponse;
 use Inertia\Inertia;
@@ -23,7 +30,10 @@
 class ProjectController extends Controller
 {
     public function __construct(
-        private ProjectService $projectService
+        private ProjectService $projectService,
+        private ActivityService $activityService,
+        private ProjectMemberService $memberService,
+        private ProjectInvitationService $invitationService
     ) {
         // Apply authorization middleware via Laravel's AuthorizesRequests trait
         $this->authorizeResource(Project::class, 'project');
@@ -32,13 +42,14 @@ public function __construct(
     /**
      * Display a listing of the resource.
      */
-    public function index(Request $request): Response
+    public function index(PaginateRequest $request): Response
     {
         $user = $request->user();
-        $projects = $this->projectService->getUserProjects($user);
+        $projects = $this->projectService->getUserProjects($user, $request->perPage());
 
         return Inertia::render('Projects/Index', [
-            'projects' => ProjectResource::collection($projects)->resolve(),
+            // Keep the { data, links, meta } envelope for the pager
+            'projects' => ProjectResource::collection($projects)->response()->getData(true),
         ]);
     }
 
@@ -69,14 +80,30 @@ public function store(Request $request, StoreProjectRequest $storeProjectRequest
     /**
      * Display the specified resource.
      */
-    public function show(Project $project): Response
+    public function show(Project $project, Request $request): Response
     {
+        $user = $request->user();
+        $canManageMembers = $user->can('manageMembers', $project);
         $projectDetails = $this->projectService->getProjectDetails($project);
         $projectStats = $this->projectService->getProjectStats($project);
 
         return Inertia::render('Projects/Show', [
             'project' => (new ProjectResource($projectDetails))->resolve(),
             'stats' => $projectStats,
+            'statuses' => \App\Enums\TaskStatus::toArray(),
+            'activities' => ActivityResource::collection($this->activityService->getProjectActivity($project))->resolve(),
+            'members' => ProjectMemberResource::collection($this->memberService->getMembers($project))->resolve(),
+            // Pending invitations are only shown to those who can manage them
+            'invitations' => $canManageMembers
+                ? ProjectInvitationResource::collection($this->invitationService->getPendingInvitations($project))->resolve()
+                : [],
+            'roles' => \App\Enums\ProjectRole::toArray(),
+            'can' => [
+                'update' => $user->can('update', $project),
+                'delete' => $user->can('delete', $project),
+                'manage_tasks' => $user->can('manageTasks', $project),
+                'manage_members' => $canManageMembers,
+            ],
         ]);
     }
 
@@ -112,6 +139,31 @@ public function destroy(Project $project): RedirectResponse
 
         return redirect()
             ->route('projects.index')
-            ->with('success', 'Project deleted successfully.');
+            ->with('success', 'Project moved to trash.');
+    }
+
+    /**
+     * Restore the specified resource and its tasks from the trash.
+     */
+    public function restore(Project $project): RedirectResponse
+    {
+        // Not a resource method, so authorizeResource() does not cover it
+        $this->authorize('restore', $project);
+
+        $this->projectService->restoreProject($project);
+
+        return back()->with('success', 'Project restored.');
+    }
+
+    /**
+     * Permanently remove the specified resource and its tasks from storage.
+     */
+    public function forceDelete(Project $project): RedirectResponse
+    {
+        $this->authorize('forceDelete', $project);
+
+        $this->projectService->forceDeleteProject($project);
+
+        return back()->with('success', 'Project permanently deleted.');
     }
 }
@@ -0,0 +1,115 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Enums\ProjectRole;
+use App\Http\Requests\StoreProjectInvitationRequest;
+use App\Models\Project;
+use App\Models\ProjectInvitation;
+use App\Models\User;
+use App\Services\ProjectInvitationService;
+use Illuminate\Auth\Access\AuthorizationException;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+
+/**
+ * Project Invitation Controller
+ *
+ * Handles inviting people to a project by email. Owners send, resend and
+ * revoke invitations from the project page (ProjectPolicy::manageMembers()).
+ * The emailed link is signed and opens accept(), which guests reach
+ * before they have an account.
+ */
+class ProjectInvitationController extends Controller
+{
+    /**
+     * Session key remembering the invitation a guest opened
+     */
+    public const SESSION_KEY = 'invitation';
+
+    public function __construct(
+        private ProjectInvitationService $invitationService
+    ) {
+    }
+
+    /**
+     * Invite an email address to the project.
+     */
+    public function store(StoreProjectInvitationRequest $request, Project $project): RedirectResponse
+    {
+        $this->authorize('manageMembers', $project);
+
+        $invitation = $this->invitationService->invite(
+            $project,
+            $request->user(),
+            $request->validated('email'),
+            ProjectRole::from($request->validated('role'))
+        );
+
+        return back()->with('success', "Invitation sent to {$invitation->email}.");
+    }
+
+    /**
+     * Send the invitation again with a fresh link.
+     */
+    public function resend(ProjectInvitation $invitation): RedirectResponse
+    {
+        $this->authorize('manageMembers', $invitation->project);
+
+        $this->invitationService->resend($invitation);
+
+        return back()->with('success', "Invitation resent to {$invitation->email}.");
+    }
+
+    /**
+     * Revoke the invitation.
+     */
+    public function destroy(ProjectInvitation $invitation): RedirectResponse
+    {
+        $this->authorize('manageMembers', $invitation->project);
+
+        $this->invitationService->revoke($invitation);
+
+        return back()->with('success', 'Invitation revoked.');
+    }
+
+    /**
+     * Open an emailed invitation link.
+     *
+     * Signed-in users join right away, if the invitation was sent to their
+     * email address. Guests are sent to register (or to
+     * log in, if the invited address already has an account) and join
+     * once they are signed in.
+     */
+    public function accept(Request $request, string $token): RedirectResponse
+    {
+        $invitation = $this->invitationService->findAcceptable($token);
+
+        if (!$invitation) {
+            $message = 'This invitation is no longer valid. Ask the project owner to send a new one.';
+
+            return Auth::check()
+                ? redirect()->route('dashboard')->with('error', $message)
+                : redirect()->route('login')->with('status', $message);
+        }
+
+        if ($user = $request->user()) {
+            try {
+                $project = $this->invitationService->accept($invitation, $user);
+            } catch (AuthorizationException $e) {
+                return redirect()->route('dashboard')->with('error', $e->getMessage());
+            }
+
+            return redirect()
+                ->route('projects.show', $project)
+                ->with('success', "You joined \"{$project->name}\".");
+        }
+
+        $request->session()->put(self::SESSION_KEY, $token);
+
+        $hasAccount = User::where('email', $invitation->email)->exists();
+
+        return redirect()->route($hasAccount ? 'login' : 'register');
+    }
+}
@@ -0,0 +1,65 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Enums\ProjectRole;
+use App\Http\Requests\StoreProjectMemberRequest;
+use App\Http\Requests\UpdateProjectMemberRequest;
+use App\Models\Project;
+use App\Models\User;
+use App\Services\ProjectMemberService;
+use Illuminate\Http\RedirectResponse;
+
+/**
+ * Project Member Controller
+ *
+ * Handles the members of a project. Members are managed from the
+ * project page, so every action redirects back. Only owners can
+ * manage members, checked by ProjectPolicy::manageMembers().
+ * People without an account are invited instead (see ProjectInvitationController).
+ */
+class ProjectMemberController extends Controller
+{
+    public function __construct(
+        private ProjectMemberService $memberService
+    ) {
+    }
+
+    /**
+     * Add an existing user to the project.
+     */
+    public function store(StoreProjectMemberRequest $request, Project $project): RedirectResponse
+    {
+        $this->authorize('manageMembers', $project);
+
+        $user = User::where('email', $request->validated('email'))->firstOrFail();
+
+        $this->memberService->addMember($project, $user, ProjectRole::from($request->validated('role')));
+
+        return back()->with('success', "{$user->name} was added to the project.");
+    }
+
+    /**
+     * Change a member's role.
+     */
+    public function update(UpdateProjectMemberRequest $request, Project $project, User $user): RedirectResponse
+    {
+        $this->authorize('manageMembers', $project);
+
+        $this->memberService->updateRole($project, $user, ProjectRole::from($request->validated('role')));
+
+        return back()->with('success', 'Member role updated.');
+    }
+
+    /**
+     * Remove a member from the project.
+     */
+    public function destroy(Project $project, User $user): RedirectResponse
+    {
+        $this->authorize('manageMembers', $project);
+
+        $this->memberService->removeMember($project, $user);
+
+        return back()->with('success', "{$user->name} was removed from the project.");
+    }
+}
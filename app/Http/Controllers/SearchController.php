@@ -0,0 +1,43 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\SearchRequest;
+use App\Http\Resources\ProjectResource;
+use App\Http\Resources\TaskResource;
+use App\Services\ProjectService;
+use App\Services\TaskService;
+use Illuminate\Http\JsonResponse;
+
+/**
+ * Search Controller
+ *
+ * Global search across the user's projects and tasks.
+ * Returns JSON for the command palette instead of an Inertia page.
+ */
+class SearchController extends Controller
+{
+    public function __construct(
+        private ProjectService $projectService,
+        private TaskService $taskService
+    ) {}
+
+    /**
+     * Search projects and tasks
+     */
+    public function index(SearchRequest $request): JsonResponse
+    {
+        $user = $request->user();
+        $query = trim($request->validated('q'));
+        $limit = (int) ($request->validated('limit') ?? 5);
+
+        $projects = $this->projectService->searchProjects($user, $query, $limit);
+        $tasks = $this->taskService->searchTasks($user, $query, $limit);
+
+        return response()->json([
+            'query' => $query,
+            'projects' => ProjectResource::collection($projects)->resolve(),
+            'tasks' => TaskResource::collection($tasks)->resolve(),
+        ]);
+    }
+}
@@ -2,16 +2,26 @@
 
 namespace App\Http\Controllers;
 
+use App\Enums\TaskStatus;
+use App\Http\Requests\FilterTasksRequest;
+use App\Http\Requests\MoveTaskRequest;
 use App\Http\Requests\StoreTaskRequest;
 use App\Http\Requests\UpdateTaskRequest;
+use App\Http\Resources\ActivityResource;
+use App\Http\Resources\CommentResource;
 use App\Http\Resources\ProjectResource;
 use App\Http\Resources\TaskResource;
 use App\Http\Resources\UserResource;
 use App\Models\Project;
 use App\Models\Task;
 use App\Models\User;
+use App\Policies\TaskPolicy;
+use App\Services\ActivityService;
+use App\Services\CommentService;
 use App\Services\TaskService;
+use Illuminate\Database\Eloquent\Collection;
 use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Resources\Json\AnonymousResourceCollection;
 use Inertia\Inertia;
 use Inertia\Response;
 
@@ -25,7 +35,9 @@
 class TaskController extends Controller
 {
     public function __construct(
-        private TaskService $taskService
+        private TaskService $taskService,
+        private CommentService $commentService,
+        private ActivityService $activityService
     ) {
         // Apply authorization middleware via Laravel's AuthorizesRequests trait
         $this->authorizeResource(Task::class, 'task');
@@ -34,20 +46,35 @@ public function __construct(
     /**
      * Display a listing of the resource.
      */
-    public function index(\Illuminate\Http\Request $request): Response
+    public function index(FilterTasksRequest $request): Response|AnonymousResourceCollection
     {
         $user = $request->user();
-        $tasks = $this->taskService->getUserTasks($user);
+        $filters = $request->filters();
+        $tasks = $this->taskService->getUserTasks($user, $request->perPage(), $filters);
 
-        // Get user's projects for filtering
+        // API clients asking for JSON get the same envelope as /api/v1/tasks
+        if ($request->wantsJson()) {
+            return TaskResource::collection($tasks);
+        }
+
+        // Get the projects the user is a member of, for filtering
         // Note: Include 'status' to prevent null errors in ProjectResource
-        $projects = Project::where('user_id', $user->id)
+        $projects = Project::accessibleBy($user)
             ->select('id', 'name', 'status')
+            ->with('members:users.id')
             ->get();
 
+        // Members of those projects, for the assignee filter
+        $users = $this->assignableUsers($projects);
+
         return Inertia::render('Tasks/Index', [
-            'tasks' => TaskResource::collection($tasks)->resolve(),
+            // Keep the { data, links, meta } envelope for the pager
+            'tasks' => TaskResource::collection($tasks)->response()->getData(true),
             'projects' => ProjectResource::collection($projects)->resolve(),
+            'users' => UserResource::collection($users)->resolve(),
+            'priorities' => \App\Enums\TaskPriority::toArray(),
+            'statuses' => \App\Enums\TaskStatus::toArray(),
+            'filters' => (object) $filters,
         ]);
     }
 
@@ -58,20 +85,24 @@ public function create(\Illuminate\Http\Request $request): Response
     {
         $user = $request->user();
 
-        // Get user's projects
-        $projects = Project::where('user_id', $user->id)
+        // Get the projects the user can add tasks to
+        $projects = Project::editableBy($user)
             ->select('id', 'name', 'status')
+            ->with('members:users.id')
             ->active()
             ->get();
 
-        // Get all users for task assignment
-        $users = User::select('id', 'name', 'email')->get();
+        $users = $this->assignableUsers($projects);
 
         return Inertia::render('Tasks/Create', [
+            // Preselected project when coming from a project page or the command palette
+            'project_id' => $request->integer('project_id') ?: null,
             'projects' => ProjectResource::collection($projects)->resolve(),
             'users' => UserResource::collection($users)->resolve(),
+            'tasks' => $this->blockerOptions($this->taskService->getBlockerCandidates($user)),
             'priorities' => \App\Enums\TaskPriority::toArray(),
             'statuses' => \App\Enums\TaskStatus::toArray(),
+            'frequencies' => \App\Enums\RecurrenceFrequency::toArray(),
         ]);
     }
 
@@ -80,22 +111,38 @@ public function create(\Illuminate\Http\Request $request): Response
      */
     public function store(StoreTaskRequest $request): RedirectResponse
     {
+        // TaskPolicy::create() cannot see the chosen project, so check it here
+        $this->authorize('manageTasks', Project::findOrFail($request->validated('project_id')));
+
         $task = $this->taskService->createTask($request->validated());
 
         return redirect()
             ->route('projects.show', $task->project_id)
-            ->with('success', 'Task created successfully.');
+            ->with('success', 'Task created successfully.')
+            ->with('action', ['label' => 'View task', 'url' => route('tasks.show', $task)]);
     }
 
     /**
      * Display the specified resource.
      */
-    public function show(Task $task): Response
+    public function show(Task $task, \Illuminate\Http\Request $request): Response
     {
-        $task->load(['project', 'assignedUser']);
+        $task->load(['project', 'assignedUser', 'checklistItems.assignedUser', 'blockers', 'blocking']);
+
+        // Everyone who can see the task can be @mentioned, the same list CommentService resolves mentions against
+        $users = $this->commentService->getMentionableUsers($task);
+
+        // Only project members can be assigned a checklist item
+        $members = $task->project->members()->select('users.id', 'users.name')->orderBy('users.name')->get();
 
         return Inertia::render('Tasks/Show', [
             'task' => (new TaskResource($task))->resolve(),
+            'comments' => CommentResource::collection($this->commentService->getTaskComments($task))->resolve(),
+            'users' => $users->map->only(['id', 'name'])->values(),
+            'members' => $members->map->only(['id', 'name'])->values(),
+            'canComment' => $request->user()->can('comment', $task),
+            'canUpdate' => $request->user()->can('update', $task),
+            'activities' => ActivityResource::collection($this->activityService->getTaskActivity($task))->resolve(),
         ]);
     }
 
@@ -106,22 +153,26 @@ public function edit(Task $task, \Illuminate\Http\Request $request): Response
     {
         $user = $request->user();
 
-        // Get user's projects
-        $projects = Project::where('user_id', $user->id)
+        // Get the projects the task can be moved to, always including its own
+        $projects = Project::editableBy($user)
+            ->orWhere('projects.id', $task->project_id)
             ->select('id', 'name', 'status')
+            ->with('members:users.id')
             ->get();
 
-        // Get all users for task assignment
-        $users = User::select('id', 'name', 'email')->get();
+        $users = $this->assignableUsers($projects);
 
-        $task->load(['project', 'assignedUser']);
+        $task->load(['project', 'assignedUser', 'blockers']);
 
         return Inertia::render('Tasks/Edit', [
             'task' => (new TaskResource($task))->resolve(),
+            'permissions' => $this->fieldPermissions($user, $task),
             'projects' => ProjectResource::collection($projects)->resolve(),
             'users' => UserResource::collection($users)->resolve(),
+            'tasks' => $this->blockerOptions($this->taskService->getBlockerCandidates($user, $task)),
             'priorities' => \App\Enums\TaskPriority::toArray(),
             'statuses' => \App\Enums\TaskStatus::toArray(),
+            'frequencies' => \App\Enums\RecurrenceFrequency::toArray(),
         ]);
     }
 
@@ -130,15 +181,43 @@ public function edit(Task $task, \Illuminate\Http\Request $request): Response
      */
     public function update(UpdateTaskRequest $request, Task $task): RedirectResponse
     {
+        // Assignees may only change some fields, so every field sent is checked
+        foreach (array_keys($request->validated()) as $field) {
+            $this->authorize('updateField', [$task, $field]);
+        }
+
+        // Moving the task also needs edit rights on the destination project
+        if ($request->has('project_id') && (int) $request->validated('project_id') !== $task->project_id) {
+            $this->authorize('manageTasks', Project::findOrFail($request->validated('project_id')));
+        }
+
         $this->taskService->updateTask($task, $request->validated());
 
         return redirect()
             ->route('projects.show', $task->project_id)
-            ->with('success', 'Task updated successfully.');
+            ->with('success', 'Task updated successfully.')
+            ->with('action', ['label' => 'View task', 'url' => route('tasks.show', $task)]);
+    }
+
+    /**
+     * Move a task to another board column or position.
+     */
+    public function move(MoveTaskRequest $request, Task $task): RedirectResponse
+    {
+        // Not a resource method, so authorizeResource() does not cover it
+        $this->authorize('update', $task);
+
+        $this->taskService->updateTaskStatus(
+            $task,
+            TaskStatus::from($request->validated('status')),
+            (int) $request->validated('position')
+        );
+
+        return back()->with('success', 'Task moved successfully.');
     }
 
     /**
-     * Remove the specified resource from storage.
+     * Move the specified resource to the trash.
      */
     public function destroy(Task $task): RedirectResponse
     {
@@ -147,6 +226,65 @@ public function destroy(Task $task): RedirectResponse
 
         return redirect()
             ->route('projects.show', $projectId)
-            ->with('success', 'Task deleted successfully.');
+            ->with('success', 'Task moved to trash.');
+    }
+
+    /**
+     * Restore the specified resource from the trash.
+     */
+    public function restore(Task $task): RedirectResponse
+    {
+        // Not a resource method, so authorizeResource() does not cover it
+        $this->authorize('restore', $task);
+
+        $this->taskService->restoreTask($task);
+
+        return back()->with('success', 'Task restored.');
+    }
+
+    /**
+     * Permanently remove the specified resource from storage.
+     */
+    public function forceDelete(Task $task): RedirectResponse
+    {
+        $this->authorize('forceDelete', $task);
+
+        $this->taskService->forceDeleteTask($task);
+
+        return back()->with('success', 'Task permanently deleted.');
+    }
+
+    /**
+     * Which task form fields the user can change, keyed by field name.
+     */
+    private function fieldPermissions(User $user, Task $task): array
+    {
+        return collect(TaskPolicy::FIELDS)
+            ->mapWithKeys(fn (string $field) => [$field => $user->can('updateField', [$task, $field])])
+            ->all();
+    }
+
+    /**
+     * Members of the given projects, who are the possible task assignees.
+     */
+    private function assignableUsers(Collection $projects): Collection
+    {
+        return User::select('id', 'name', 'email')
+            ->whereIn('id', $projects->flatMap->members->pluck('id')->unique())
+            ->orderBy('name')
+            ->get();
+    }
+
+    /**
+     * Shape blocker candidates for the "Blocked by" picker in the task form.
+     */
+    private function blockerOptions(Collection $tasks): array
+    {
+        return $tasks->map(fn (Task $task) => [
+            'id' => $task->id,
+            'project_id' => $task->project_id,
+            'title' => $task->title,
+            'is_finished' => $task->status->isFinal(),
+        ])->all();
     }
 }
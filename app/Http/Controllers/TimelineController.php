@@ -0,0 +1,59 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\UpdateProjectRequest;
+use App\Http\Resources\ProjectResource;
+use App\Models\Project;
+use App\Services\ProjectService;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * Timeline Controller
+ *
+ * Shows projects as bars across their start and end dates, with their
+ * tasks as milestones on their due dates. Owners and editors can drag
+ * the ends of a bar to change the project's dates.
+ */
+class TimelineController extends Controller
+{
+    public function __construct(
+        private ProjectService $projectService
+    ) {
+    }
+
+    /**
+     * Display the timeline.
+     */
+    public function index(Request $request): Response
+    {
+        $user = $request->user();
+
+        $projects = $this->projectService->getTimelineProjects($user)
+            ->map(fn (Project $project) => [
+                ...(new ProjectResource($project))->resolve(),
+                'can' => [
+                    'update' => $user->can('update', $project),
+                ],
+            ]);
+
+        return Inertia::render('Timeline/Index', [
+            'projects' => $projects,
+        ]);
+    }
+
+    /**
+     * Change the dates of a project and stay on the timeline.
+     */
+    public function update(UpdateProjectRequest $request, Project $project): RedirectResponse
+    {
+        $this->authorize('update', $project);
+
+        $this->projectService->updateProject($project, $request->safe()->only(['start_date', 'end_date']));
+
+        return back()->with('success', 'Project dates updated.');
+    }
+}
@@ -0,0 +1,60 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Resources\ProjectResource;
+use App\Http\Resources\TaskResource;
+use App\Models\Project;
+use App\Models\Task;
+use App\Services\ProjectService;
+use App\Services\TaskService;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * Trash Controller
+ *
+ * Lists the user's deleted projects and tasks. Restoring and permanently
+ * deleting are handled by ProjectController and TaskController, authorized
+ * by the restore / forceDelete policy methods.
+ */
+class TrashController extends Controller
+{
+    public function __construct(
+        private ProjectService $projectService,
+        private TaskService $taskService
+    ) {
+    }
+
+    /**
+     * Display the trash.
+     */
+    public function index(Request $request): Response
+    {
+        $user = $request->user();
+
+        $projects = $this->projectService->getTrashedProjects($user)
+            ->map(fn (Project $project) => [
+                ...(new ProjectResource($project))->resolve(),
+                'can' => [
+                    'restore' => $user->can('restore', $project),
+                    'force_delete' => $user->can('forceDelete', $project),
+                ],
+            ]);
+
+        $tasks = $this->taskService->getTrashedTasks($user)
+            ->map(fn (Task $task) => [
+                ...(new TaskResource($task))->resolve(),
+                'can' => [
+                    'restore' => $user->can('restore', $task),
+                    'force_delete' => $user->can('forceDelete', $task),
+                ],
+            ]);
+
+        return Inertia::render('Trash/Index', [
+            'projects' => $projects->values(),
+            'tasks' => $tasks->values(),
+        ]);
+    }
+}
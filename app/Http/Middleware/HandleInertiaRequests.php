@@ -2,6 +2,8 @@
 
 namespace App\Http\Middleware;
 
+use App\Http\Resources\NotificationResource;
+use App\Services\NotificationService;
 use Illuminate\Http\Request;
 use Inertia\Middleware;
 
@@ -34,6 +36,22 @@ public function share(Request $request): array
             'auth' => [
                 'user' => $request->user(),
             ],
+            // Unread count and latest notifications for the bell in the layout
+            'notification_center' => fn () => $request->user() ? [
+                'unread_count' => $request->user()->unreadNotifications()->count(),
+                'recent' => NotificationResource::collection(
+                    app(NotificationService::class)->getRecentNotifications($request->user())
+                )->resolve(),
+            ] : null,
+            // Shown as toasts by the FlashMessages component. `action` is an
+            // optional button ({ label, url }) for the toast.
+            'flash' => fn () => [
+                'success' => $request->session()->get('success'),
+                'error' => $request->session()->get('error'),
+                'warning' => $request->session()->get('warning'),
+                'info' => $request->session()->get('info'),
+                'action' => $request->session()->get('action'),
+            ],
         ];
     }
 }
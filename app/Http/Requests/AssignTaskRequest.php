@@ -0,0 +1,60 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Assign Task Request
+ *
+ * Validates a new assignee for a task. Null unassigns the task.
+ */
+class AssignTaskRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'assigned_to' => [
+                'present',
+                'nullable',
+                'integer',
+                // Only members of the project can be assigned
+                Rule::exists('project_members', 'user_id')->where('project_id', $this->route('task')->project_id),
+            ],
+        ];
+    }
+
+    /**
+     * Get custom attributes for validator errors.
+     */
+    public function attributes(): array
+    {
+        return [
+            'assigned_to' => 'assignee',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'assigned_to.exists' => 'The selected user is not a member of this project.',
+        ];
+    }
+}
@@ -0,0 +1,76 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Support\Carbon;
+use Illuminate\Validation\Rule;
+
+/**
+ * Filter Calendar Request
+ *
+ * Validates which calendar view is shown and the day it is centred on.
+ */
+class FilterCalendarRequest extends FormRequest
+{
+    /**
+     * Views accepted in the `view` parameter.
+     */
+    public const VIEWS = ['month', 'week'];
+
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'view' => ['nullable', 'string', Rule::in(self::VIEWS)],
+            'date' => ['nullable', 'date_format:Y-m-d'],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'view.in' => 'The selected calendar view is invalid.',
+        ];
+    }
+
+    /**
+     * Get the view and the days it shows.
+     *
+     * The month view covers whole weeks, so it starts and ends with days
+     * of the neighbouring months like the calendar grid does.
+     *
+     * @return array{view: string, date: Carbon, from: Carbon, to: Carbon}
+     */
+    public function period(): array
+    {
+        $view = $this->validated('view') ?? 'month';
+        $date = $this->validated('date') ? Carbon::parse($this->validated('date')) : today();
+
+        [$from, $to] = $view === 'week'
+            ? [$date->copy()->startOfWeek(), $date->copy()->endOfWeek()]
+            : [$date->copy()->startOfMonth()->startOfWeek(), $date->copy()->endOfMonth()->endOfWeek()];
+
+        return [
+            'view' => $view,
+            'date' => $date->startOfDay(),
+            'from' => $from->startOfDay(),
+            'to' => $to->startOfDay(),
+        ];
+    }
+}
@@ -0,0 +1,125 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Support\Carbon;
+use Illuminate\Validation\Rule;
+use Illuminate\Validation\Validator;
+
+/**
+ * Filter Dashboard Request
+ *
+ * Validates the period and projects the dashboard is scoped to.
+ * The period is a preset number of days or a custom from/to range.
+ */
+class FilterDashboardRequest extends FormRequest
+{
+    /**
+     * Preset periods, in days, accepted in the `range` parameter.
+     */
+    public const RANGES = ['7', '30', '90'];
+
+    /**
+     * Period used when none is requested.
+     */
+    public const DEFAULT_RANGE = '30';
+
+    /**
+     * Longest custom period, in days, so the charts stay readable.
+     */
+    public const MAX_DAYS = 366;
+
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'range' => ['nullable', 'string', Rule::in([...self::RANGES, 'custom'])],
+            'from' => ['nullable', 'required_if:range,custom', 'date', 'before_or_equal:today'],
+            'to' => ['nullable', 'required_if:range,custom', 'date', 'after_or_equal:from', 'before_or_equal:today'],
+            'projects' => ['nullable', 'array'],
+            'projects.*' => ['integer'],
+        ];
+    }
+
+    /**
+     * Get the "after" validation callables for the request.
+     */
+    public function after(): array
+    {
+        return [
+            function (Validator $validator) {
+                if ($validator->errors()->isNotEmpty() || $this->input('range') !== 'custom') {
+                    return;
+                }
+
+                if (Carbon::parse($this->input('from'))->diffInDays(Carbon::parse($this->input('to'))) >= self::MAX_DAYS) {
+                    $validator->errors()->add('to', 'The period cannot be longer than '.self::MAX_DAYS.' days.');
+                }
+            },
+        ];
+    }
+
+    /**
+     * Get custom attributes for validator errors.
+     */
+    public function attributes(): array
+    {
+        return [
+            'from' => 'start date',
+            'to' => 'end date',
+            'projects.*' => 'project',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'range.in' => 'The selected period is invalid.',
+            'to.after_or_equal' => 'The end of the period must be after its start.',
+        ];
+    }
+
+    /**
+     * Get the period and projects to scope the dashboard to.
+     *
+     * Preset periods end today. Dates come back as the start of the first
+     * day and the end of the last day of the period.
+     *
+     * @return array{range: string, from: Carbon, to: Carbon, project_ids: array<int>}
+     */
+    public function filters(): array
+    {
+        $range = $this->validated('range') ?? self::DEFAULT_RANGE;
+
+        if ($range === 'custom') {
+            $from = Carbon::parse($this->validated('from'));
+            $to = Carbon::parse($this->validated('to'));
+        } else {
+            $from = today()->subDays((int) $range - 1);
+            $to = today();
+        }
+
+        return [
+            'range' => $range,
+            'from' => $from->startOfDay(),
+            'to' => $to->endOfDay(),
+            'project_ids' => array_map('intval', $this->validated('projects') ?? []),
+        ];
+    }
+}
@@ -0,0 +1,32 @@
+<?php
+
+namespace App\Http\Requests;
+
+/**
+ * Filter Notifications Request
+ *
+ * Validates the notification center's page, page size and unread filter.
+ */
+class FilterNotificationsRequest extends PaginateRequest
+{
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            ...parent::rules(),
+            'unread' => ['nullable', 'boolean'],
+        ];
+    }
+
+    /**
+     * Whether only unread notifications are requested.
+     */
+    public function unreadOnly(): bool
+    {
+        return $this->boolean('unread');
+    }
+}
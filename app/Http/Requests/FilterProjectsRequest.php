@@ -0,0 +1,52 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Enums\ProjectStatus;
+use Illuminate\Validation\Rule;
+
+/**
+ * Filter Projects Request
+ *
+ * Validates the filters and pagination of the API's project list.
+ */
+class FilterProjectsRequest extends PaginateRequest
+{
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            ...parent::rules(),
+            'status' => ['nullable', 'string', Rule::in(ProjectStatus::values())],
+            'search' => ['nullable', 'string', 'max:255'],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            ...parent::messages(),
+            'status.in' => 'The selected status is invalid.',
+        ];
+    }
+
+    /**
+     * Get the validated filters with empty values removed.
+     *
+     * @return array<string, mixed>
+     */
+    public function filters(): array
+    {
+        return array_filter(
+            $this->safe()->only(['status', 'search']),
+            fn ($value) => $value !== null && $value !== ''
+        );
+    }
+}
@@ -0,0 +1,103 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Enums\TaskPriority;
+use App\Enums\TaskStatus;
+use Illuminate\Validation\Rule;
+
+/**
+ * Filter Tasks Request
+ *
+ * Validates the query string filters, sorting and pagination of the tasks index.
+ */
+class FilterTasksRequest extends PaginateRequest
+{
+    /**
+     * Sortable columns accepted in the `sort` parameter.
+     */
+    public const SORTS = ['created_at', 'due_date', 'priority'];
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            ...parent::rules(),
+            'project_id' => ['nullable', 'integer'],
+            'status' => ['nullable', 'string', Rule::in(TaskStatus::values())],
+            'priority' => ['nullable', 'string', Rule::in(TaskPriority::values())],
+            // A user id, or "unassigned" for tasks without an assignee
+            'assigned_to' => ['nullable', 'regex:/^(\d+|unassigned)$/'],
+            'due_from' => ['nullable', 'date'],
+            'due_to' => ['nullable', 'date', 'after_or_equal:due_from'],
+            'overdue' => ['nullable', 'boolean'],
+            // Day ranges the dashboard charts link to
+            'created_from' => ['nullable', 'date'],
+            'created_to' => ['nullable', 'date', 'after_or_equal:created_from'],
+            'completed_from' => ['nullable', 'date'],
+            'completed_to' => ['nullable', 'date', 'after_or_equal:completed_from'],
+            'sort' => ['nullable', 'string', Rule::in(self::SORTS)],
+            'direction' => ['nullable', 'string', Rule::in(['asc', 'desc'])],
+        ];
+    }
+
+    /**
+     * Get custom attributes for validator errors.
+     */
+    public function attributes(): array
+    {
+        return [
+            'project_id' => 'project',
+            'assigned_to' => 'assignee',
+            'due_from' => 'due date from',
+            'due_to' => 'due date to',
+            'created_from' => 'created from',
+            'created_to' => 'created to',
+            'completed_from' => 'completed from',
+            'completed_to' => 'completed to',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            ...parent::messages(),
+            'status.in' => 'The selected status is invalid.',
+            'priority.in' => 'The selected priority is invalid.',
+            'assigned_to.regex' => 'The selected assignee is invalid.',
+            'due_to.after_or_equal' => 'The end of the due date range must be after its start.',
+            'created_to.after_or_equal' => 'The end of the created date range must be after its start.',
+            'completed_to.after_or_equal' => 'The end of the completed date range must be after its start.',
+            'sort.in' => 'The selected sort option is invalid.',
+        ];
+    }
+
+    /**
+     * Get the validated filters with empty values removed.
+     *
+     * The page size is kept so it survives filter changes; the page number
+     * is dropped because new filters always start from the first page.
+     *
+     * @return array<string, mixed>
+     */
+    public function filters(): array
+    {
+        $filters = array_filter(
+            $this->safe()->except('page'),
+            fn ($value) => $value !== null && $value !== ''
+        );
+
+        if (isset($filters['overdue'])) {
+            $filters['overdue'] = $this->boolean('overdue');
+        }
+
+        return $filters;
+    }
+}
@@ -0,0 +1,57 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Enums\TaskStatus;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Move Task Request
+ *
+ * Validates a drag-and-drop move on the project board.
+ */
+class MoveTaskRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'status' => ['required', 'string', Rule::in(TaskStatus::values())],
+            'position' => ['required', 'integer', 'min:0'],
+        ];
+    }
+
+    /**
+     * Get custom attributes for validator errors.
+     */
+    public function attributes(): array
+    {
+        return [
+            'status' => 'task status',
+            'position' => 'position',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'status.in' => 'The selected status is invalid.',
+        ];
+    }
+}
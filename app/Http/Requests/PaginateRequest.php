@@ -0,0 +1,64 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Paginate Request
+ *
+ * Validates the page and page size of paginated index pages.
+ * Index requests with extra filters extend this class.
+ */
+class PaginateRequest extends FormRequest
+{
+    /**
+     * Page sizes the user can choose from.
+     */
+    public const PER_PAGE_OPTIONS = [10, 15, 25, 50];
+
+    /**
+     * Page size used when none is requested.
+     */
+    public const DEFAULT_PER_PAGE = 15;
+
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'page' => ['nullable', 'integer', 'min:1'],
+            'per_page' => ['nullable', 'integer', Rule::in(self::PER_PAGE_OPTIONS)],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'per_page.in' => 'The selected page size is invalid.',
+        ];
+    }
+
+    /**
+     * Get the requested page size.
+     */
+    public function perPage(): int
+    {
+        return (int) ($this->validated('per_page') ?? self::DEFAULT_PER_PAGE);
+    }
+}
@@ -0,0 +1,51 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Reorder Checklist Request
+ *
+ * Validates the new order of a task's checklist: a list of item ids,
+ * all belonging to the task.
+ */
+class ReorderChecklistRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'items' => ['required', 'array'],
+            'items.*' => [
+                'integer',
+                'distinct',
+                Rule::exists('checklist_items', 'id')->where('task_id', $this->route('task')->id),
+            ],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'items.required' => 'The new checklist order is required.',
+            'items.*.exists' => 'Checklist items can only be reordered within their own task.',
+        ];
+    }
+}
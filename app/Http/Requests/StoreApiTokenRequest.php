@@ -0,0 +1,60 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Enums\TokenAbility;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Store API Token Request
+ *
+ * Validates a new personal access token: a name to recognise it by and
+ * at least one ability.
+ */
+class StoreApiTokenRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'name' => ['required', 'string', 'max:255'],
+            'abilities' => ['required', 'array', 'min:1'],
+            'abilities.*' => ['string', 'distinct', Rule::in(TokenAbility::values())],
+        ];
+    }
+
+    /**
+     * Get custom attributes for validator errors.
+     */
+    public function attributes(): array
+    {
+        return [
+            'name' => 'token name',
+            'abilities.*' => 'ability',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'abilities.required' => 'Choose at least one thing the token may do.',
+            'abilities.*.in' => 'The selected ability is invalid.',
+        ];
+    }
+}
@@ -0,0 +1,65 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Store Checklist Item Request
+ *
+ * Validates data for adding an item to a task's checklist.
+ */
+class StoreChecklistItemRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'title' => ['required', 'string', 'max:255'],
+            'assigned_to' => [
+                'nullable',
+                'integer',
+                // Only members of the task's project can be assigned
+                Rule::exists('project_members', 'user_id')->where('project_id', $this->route('task')->project_id),
+            ],
+            'due_date' => ['nullable', 'date'],
+        ];
+    }
+
+    /**
+     * Get custom attributes for validator errors.
+     */
+    public function attributes(): array
+    {
+        return [
+            'title' => 'item',
+            'assigned_to' => 'assignee',
+            'due_date' => 'due date',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'title.required' => 'The checklist item cannot be empty.',
+            'title.max' => 'The checklist item cannot exceed 255 characters.',
+            'assigned_to.exists' => 'The selected user is not a member of this project.',
+        ];
+    }
+}
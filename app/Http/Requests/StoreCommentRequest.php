@@ -0,0 +1,65 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Store Comment Request
+ *
+ * Validates data for commenting on a task or replying to a comment.
+ * Replies must belong to the same task and can only answer top-level comments.
+ */
+class StoreCommentRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'body' => ['required', 'string', 'max:5000'],
+            'parent_id' => [
+                'nullable',
+                'integer',
+                Rule::exists('comments', 'id')
+                    ->where('task_id', $this->route('task')->id)
+                    ->whereNull('parent_id'),
+            ],
+        ];
+    }
+
+    /**
+     * Get custom attributes for validator errors.
+     */
+    public function attributes(): array
+    {
+        return [
+            'body' => 'comment',
+            'parent_id' => 'parent comment',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'body.required' => 'The comment cannot be empty.',
+            'body.max' => 'The comment cannot exceed 5000 characters.',
+            'parent_id.exists' => 'You can only reply to a top-level comment on this task.',
+        ];
+    }
+}
@@ -0,0 +1,47 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Enums\ProjectRole;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Store Project Member Request
+ *
+ * Validates adding an existing user to a project by email.
+ */
+class StoreProjectMemberRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'email' => ['required', 'string', 'email', 'exists:users,email'],
+            'role' => ['required', 'string', Rule::in(ProjectRole::values())],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'email.exists' => 'No user with this email address was found.',
+            'role.in' => 'The selected role is invalid.',
+        ];
+    }
+}
@@ -2,6 +2,7 @@
 
 namespace App\Http\Requests;
 
+use App\Enums\RecurrenceFrequency;
 use App\Enums\TaskPriority;
 use App\Enums\TaskStatus;
 use Illuminate\Foundation\Http\FormRequest;
@@ -31,12 +32,34 @@ public function rules(): array
     {
         return [
             'project_id' => ['required', 'integer', 'exists:projects,id'],
-            'assigned_to' => ['nullable', 'integer', 'exists:users,id'],
+            'assigned_to' => [
+                'nullable',
+                'integer',
+                // Only members of the project can be assigned
+                Rule::exists('project_members', 'user_id')->where('project_id', $this->input('project_id')),
+            ],
             'title' => ['required', 'string', 'max:255'],
             'description' => ['nullable', 'string', 'max:1000'],
             'priority' => ['required', 'string', Rule::in(TaskPriority::values())],
             'status' => ['required', 'string', Rule::in(TaskStatus::values())],
             'due_date' => ['nullable', 'date', 'after_or_equal:today'],
+            'recurrence' => ['nullable', 'array'],
+            'recurrence.frequency' => ['required_with:recurrence', 'string', Rule::in(RecurrenceFrequency::values())],
+            'recurrence.weekdays' => ['required_if:recurrence.frequency,weekly', 'array'],
+            'recurrence.weekdays.*' => ['integer', 'between:1,7', 'distinct'],
+            'recurrence.month_day' => ['required_if:recurrence.frequency,monthly', 'nullable', 'integer', 'between:1,31'],
+            'recurrence.interval' => ['required_if:recurrence.frequency,interval', 'nullable', 'integer', 'between:1,365'],
+            'recurrence.ends_on' => ['nullable', 'date'],
+            'recurrence.count' => ['nullable', 'integer', 'between:1,1000'],
+            'blocked_by' => ['nullable', 'array'],
+            'blocked_by.*' => [
+                'integer',
+                'distinct',
+                // Blockers must be live tasks in the same project
+                Rule::exists('tasks', 'id')
+                    ->where('project_id', $this->input('project_id'))
+                    ->whereNull('deleted_at'),
+            ],
         ];
     }
 
@@ -53,6 +76,14 @@ public function attributes(): array
             'priority' => 'priority level',
             'status' => 'task status',
             'due_date' => 'due date',
+            'recurrence.frequency' => 'repeat frequency',
+            'recurrence.weekdays' => 'weekdays',
+            'recurrence.month_day' => 'day of the month',
+            'recurrence.interval' => 'number of days',
+            'recurrence.ends_on' => 'end date',
+            'recurrence.count' => 'number of times',
+            'blocked_by' => 'blocking tasks',
+            'blocked_by.*' => 'blocking task',
         ];
     }
 
@@ -64,12 +95,14 @@ public function messages(): array
         return [
             'project_id.required' => 'Please select a project for this task.',
             'project_id.exists' => 'The selected project does not exist.',
-            'assigned_to.exists' => 'The selected user does not exist.',
+            'assigned_to.exists' => 'The selected user is not a member of this project.',
             'title.required' => 'The task title is required.',
             'title.max' => 'The task title cannot exceed 255 characters.',
             'priority.in' => 'The selected priority is invalid.',
             'status.in' => 'The selected status is invalid.',
             'due_date.after_or_equal' => 'The due date must be today or later.',
+            'recurrence.weekdays.required_if' => 'Pick at least one weekday to repeat on.',
+            'blocked_by.*.exists' => 'Blocking tasks must belong to the same project.',
         ];
     }
 }
@@ -0,0 +1,69 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Update Checklist Item Request
+ *
+ * Validates changes to a checklist item. Every field is optional,
+ * so toggling an item only needs to send `is_completed`.
+ */
+class UpdateChecklistItemRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'title' => ['sometimes', 'required', 'string', 'max:255'],
+            'assigned_to' => [
+                'sometimes',
+                'nullable',
+                'integer',
+                // Only members of the task's project can be assigned
+                Rule::exists('project_members', 'user_id')
+                    ->where('project_id', $this->route('checklistItem')->task->project_id),
+            ],
+            'due_date' => ['sometimes', 'nullable', 'date'],
+            'is_completed' => ['sometimes', 'boolean'],
+        ];
+    }
+
+    /**
+     * Get custom attributes for validator errors.
+     */
+    public function attributes(): array
+    {
+        return [
+            'title' => 'item',
+            'assigned_to' => 'assignee',
+            'due_date' => 'due date',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'title.required' => 'The checklist item cannot be empty.',
+            'title.max' => 'The checklist item cannot exceed 255 characters.',
+            'assigned_to.exists' => 'The selected user is not a member of this project.',
+        ];
+    }
+}
@@ -0,0 +1,47 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\User;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Update Notification Settings Request
+ *
+ * Validates the email settings on the profile page. An empty reminder
+ * window turns due date reminders off.
+ */
+class UpdateNotificationSettingsRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'daily_digest' => ['required', 'boolean'],
+            'due_reminder_hours' => ['nullable', 'integer', Rule::in(User::REMINDER_HOURS)],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'due_reminder_hours.in' => 'The selected reminder time is invalid.',
+        ];
+    }
+}
@@ -0,0 +1,45 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Enums\ProjectRole;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+/**
+ * Update Project Member Request
+ *
+ * Validates a change to a member's role.
+ */
+class UpdateProjectMemberRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'role' => ['required', 'string', Rule::in(ProjectRole::values())],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'role.in' => 'The selected role is invalid.',
+        ];
+    }
+}
@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Http\Resources;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+/**
+ * Activity Resource
+ *
+ * Transforms an audit trail entry into JSON for Inertia props.
+ * The *_label values are set by ActivityService.
+ */
+class ActivityResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(Request $request): array
+    {
+        return [
+            'id' => $this->id,
+            'event' => $this->event,
+            'field' => $this->field,
+            'old_value' => $this->old_value,
+            'new_value' => $this->new_value,
+            'old_label' => $this->old_label,
+            'new_label' => $this->new_label,
+            'subject' => [
+                'type' => $this->subject_kind,
+                'id' => $this->subject_id,
+                'name' => $this->subject_name,
+            ],
+            'created_at' => $this->created_at?->toISOString(),
+
+            // Conditional relationships
+            'user' => new UserResource($this->whenLoaded('user')),
+        ];
+    }
+}
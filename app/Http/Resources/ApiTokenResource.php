@@ -0,0 +1,32 @@
+<?php
+
+namespace App\Http\Resources;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+/**
+ * API Token Resource
+ *
+ * Transforms a Sanctum personal access token for the profile page.
+ * Only the token's details are exposed, never its hash.
+ */
+class ApiTokenResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(Request $request): array
+    {
+        return [
+            'id' => $this->id,
+            'name' => $this->name,
+            'abilities' => $this->abilities,
+            'last_used_at' => $this->last_used_at?->toISOString(),
+            'expires_at' => $this->expires_at?->toISOString(),
+            'created_at' => $this->created_at?->toISOString(),
+        ];
+    }
+}
@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Http\Resources;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+/**
+ * Checklist Item Resource
+ *
+ * Transforms ChecklistItem model into JSON for Inertia props.
+ */
+class ChecklistItemResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(Request $request): array
+    {
+        return [
+            'id' => $this->id,
+            'task_id' => $this->task_id,
+            'assigned_to' => $this->assigned_to,
+            'title' => $this->title,
+            'position' => $this->position,
+            'due_date' => $this->due_date?->toDateString(),
+            'is_completed' => $this->is_completed,
+            'completed_at' => $this->completed_at?->toISOString(),
+
+            // Conditional relationships
+            'assigned_user' => new UserResource($this->whenLoaded('assignedUser')),
+        ];
+    }
+}
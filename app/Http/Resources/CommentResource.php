@@ -0,0 +1,47 @@
+<?php
+
+namespace App\Http\Resources;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+/**
+ * Comment Resource
+ *
+ * Transforms Comment model into JSON for Inertia props.
+ * The markdown body is sent both raw (for editing) and rendered.
+ */
+class CommentResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(Request $request): array
+    {
+        return [
+            'id' => $this->id,
+            'task_id' => $this->task_id,
+            'parent_id' => $this->parent_id,
+            'body' => $this->body,
+            'body_html' => $this->body_html,
+            'is_edited' => $this->updated_at?->gt($this->created_at) ?? false,
+            'created_at' => $this->created_at?->toISOString(),
+            'updated_at' => $this->updated_at?->toISOString(),
+
+            // What the current user may do with this comment
+            'can' => $this->when(
+                $this->relationLoaded('task'),
+                fn () => [
+                    'update' => $request->user()?->can('updateComment', [$this->task, $this->resource]) ?? false,
+                    'delete' => $request->user()?->can('deleteComment', [$this->task, $this->resource]) ?? false,
+                ]
+            ),
+
+            // Conditional relationships
+            'user' => new UserResource($this->whenLoaded('user')),
+            'replies' => CommentResource::collection($this->whenLoaded('replies')),
+        ];
+    }
+}
@@ -0,0 +1,32 @@
+<?php
+
+namespace App\Http\Resources;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+/**
+ * Notification Resource
+ *
+ * Transforms a database notification into JSON for the notification center.
+ * `url` marks the notification as read and then opens the task or project.
+ */
+class NotificationResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(Request $request): array
+    {
+        return [
+            'id' => $this->id,
+            'kind' => $this->data['kind'] ?? null,
+            'message' => $this->data['message'] ?? '',
+            'url' => route('notifications.show', $this->id),
+            'read_at' => $this->read_at?->toISOString(),
+            'created_at' => $this->created_at?->toISOString(),
+        ];
+    }
+}
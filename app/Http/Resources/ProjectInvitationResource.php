@@ -0,0 +1,39 @@
+<?php
+
+namespace App\Http\Resources;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+/**
+ * Project Invitation Resource
+ *
+ * Transforms ProjectInvitation model into JSON for Inertia props.
+ * The token is never included; only the emailed link carries it.
+ */
+class ProjectInvitationResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(Request $request): array
+    {
+        return [
+            'id' => $this->id,
+            'project_id' => $this->project_id,
+            'email' => $this->email,
+            'role' => [
+                'value' => $this->role->value,
+                'label' => $this->role->label(),
+            ],
+            'is_expired' => $this->is_expired,
+            'expires_at' => $this->expires_at?->toISOString(),
+            'created_at' => $this->created_at?->toISOString(),
+
+            // Conditional relationships
+            'inviter' => $this->whenLoaded('inviter', fn () => $this->inviter?->only(['id', 'name'])),
+        ];
+    }
+}
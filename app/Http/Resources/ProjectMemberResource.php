@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Http\Resources;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+/**
+ * Project Member Resource
+ *
+ * Transforms a User loaded through Project::members() into JSON,
+ * including their role from the membership pivot.
+ */
+class ProjectMemberResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(Request $request): array
+    {
+        return [
+            'id' => $this->id,
+            'name' => $this->name,
+            'email' => $this->email,
+            'role' => [
+                'value' => $this->pivot->role->value,
+                'label' => $this->pivot->role->label(),
+            ],
+            // The creator is always an owner and cannot be removed
+            'is_creator' => $this->id === $this->pivot->pivotParent?->user_id,
+            'joined_at' => $this->pivot->created_at?->toISOString(),
+        ];
+    }
+}
@@ -36,6 +36,7 @@ public function toArray(Request $request): array
             'end_date' => $this->end_date?->toDateString(),
             'created_at' => $this->created_at?->toISOString(),
             'updated_at' => $this->updated_at?->toISOString(),
+            'deleted_at' => $this->deleted_at?->toISOString(),
 
             // Computed properties
             'progress' => $this->when(
@@ -46,6 +47,7 @@ public function toArray(Request $request): array
             // Conditional relationships
             'user' => new UserResource($this->whenLoaded('user')),
             'tasks' => TaskResource::collection($this->whenLoaded('tasks')),
+            'member_ids' => $this->whenLoaded('members', fn () => $this->members->pluck('id')->all()),
 
             // Counts (only if loaded via withCount)
             'tasks_count' => $this->when(
@@ -64,6 +66,10 @@ public function toArray(Request $request): array
                 isset($this->in_progress_tasks_count),
                 $this->in_progress_tasks_count
             ),
+            'members_count' => $this->when(
+                isset($this->members_count),
+                $this->members_count
+            ),
         ];
     }
 }
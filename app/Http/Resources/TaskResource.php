@@ -43,18 +43,43 @@ public function toArray(Request $request): array
                     'is_final' => $this->status->isFinal(),
                 ]
             ),
+            'position' => $this->position,
             'due_date' => $this->due_date?->toDateString(),
+            'recurrence' => $this->recurrence,
+            'recurrence_label' => $this->recurrence_label,
+            'occurrence' => $this->occurrence,
             'completed_at' => $this->completed_at?->toISOString(),
             'created_at' => $this->created_at?->toISOString(),
             'updated_at' => $this->updated_at?->toISOString(),
+            'deleted_at' => $this->deleted_at?->toISOString(),
 
             // Computed properties
             'is_overdue' => $this->is_overdue,
             'days_until_due' => $this->days_until_due,
 
+            // Checklist progress (only if loaded via withChecklistCounts)
+            'checklist_items_count' => $this->when(
+                isset($this->checklist_items_count),
+                $this->checklist_items_count
+            ),
+            'completed_checklist_items_count' => $this->when(
+                isset($this->completed_checklist_items_count),
+                $this->completed_checklist_items_count
+            ),
+
+            // Dependencies (only if loaded via withBlockedState or with('blockers'))
+            'is_blocked' => $this->when(
+                isset($this->open_blockers_count) || $this->relationLoaded('blockers'),
+                fn () => $this->is_blocked
+            ),
+            'blocked_by' => $this->whenLoaded('blockers', fn () => $this->blockers->pluck('id')),
+
             // Conditional relationships
             'project' => new ProjectResource($this->whenLoaded('project')),
             'assigned_user' => new UserResource($this->whenLoaded('assignedUser')),
+            'checklist' => ChecklistItemResource::collection($this->whenLoaded('checklistItems')),
+            'blockers' => TaskResource::collection($this->whenLoaded('blockers')),
+            'blocking' => TaskResource::collection($this->whenLoaded('blocking')),
         ];
     }
 }
@@ -0,0 +1,71 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\MorphTo;
+
+/**
+ * Activity Model
+ *
+ * One entry in the audit trail of a task or project: who did what, and
+ * for updates which field changed from which value to which.
+ * Entries are written by the RecordsActivity trait and never updated.
+ */
+class Activity extends Model
+{
+    /**
+     * Activities are immutable, so there is no updated_at column.
+     */
+    const UPDATED_AT = null;
+
+    /**
+     * The attributes that are mass assignable.
+     */
+    protected $fillable = [
+        'user_id',
+        'subject_type',
+        'subject_id',
+        'subject_name',
+        'project_id',
+        'event',
+        'field',
+        'old_value',
+        'new_value',
+    ];
+
+    /**
+     * Relationship: Activity belongs to a User (the actor)
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Relationship: Activity belongs to the changed model (Task or Project)
+     *
+     * Similar to Prisma's polymorphic pattern with a type + id column pair.
+     */
+    public function subject(): MorphTo
+    {
+        return $this->morphTo();
+    }
+
+    /**
+     * Query Scope: Get activities for a project and its tasks
+     */
+    public function scopeForProject($query, Project $project)
+    {
+        return $query->where('project_id', $project->id);
+    }
+
+    /**
+     * Accessor: Short subject type for the frontend ("task" or "project")
+     */
+    public function getSubjectKindAttribute(): string
+    {
+        return strtolower(class_basename($this->subject_type));
+    }
+}
@@ -0,0 +1,81 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * Checklist Item Model
+ *
+ * A step within a task. Items are ordered by position, can be checked off,
+ * and can optionally be assigned to a user and given a due date.
+ */
+class ChecklistItem extends Model
+{
+    use HasFactory;
+
+    /**
+     * The attributes that are mass assignable.
+     */
+    protected $fillable = [
+        'task_id',
+        'assigned_to',
+        'title',
+        'position',
+        'due_date',
+        'completed_at',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     */
+    protected $casts = [
+        'position' => 'integer',
+        'due_date' => 'date',
+        'completed_at' => 'datetime',
+    ];
+
+    /**
+     * Relationship: Checklist item belongs to a Task
+     */
+    public function task(): BelongsTo
+    {
+        return $this->belongsTo(Task::class);
+    }
+
+    /**
+     * Relationship: Checklist item belongs to a User (assigned to)
+     *
+     * This is nullable - an item can be unassigned
+     */
+    public function assignedUser(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'assigned_to');
+    }
+
+    /**
+     * Query Scope: Get only checked items
+     */
+    public function scopeCompleted($query)
+    {
+        return $query->whereNotNull('completed_at');
+    }
+
+    /**
+     * Query Scope: Order items as they appear in the checklist
+     */
+    public function scopeOrdered($query)
+    {
+        return $query->orderBy('position')->orderBy('id');
+    }
+
+    /**
+     * Accessor: Check if the item is checked off
+     */
+    public function getIsCompletedAttribute(): bool
+    {
+        return $this->completed_at !== null;
+    }
+}
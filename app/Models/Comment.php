@@ -0,0 +1,116 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Support\Str;
+
+/**
+ * Comment Model
+ *
+ * A markdown comment on a task. Top-level comments can have replies,
+ * but replies cannot be replied to (one level of threading).
+ */
+class Comment extends Model
+{
+    use HasFactory;
+
+    /**
+     * The attributes that are mass assignable.
+     */
+    protected $fillable = [
+        'task_id',
+        'user_id',
+        'parent_id',
+        'body',
+    ];
+
+    /**
+     * Relationship: Comment belongs to a Task
+     */
+    public function task(): BelongsTo
+    {
+        return $this->belongsTo(Task::class);
+    }
+
+    /**
+     * Relationship: Comment belongs to a User (author)
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Relationship: Reply belongs to a parent Comment
+     */
+    public function parent(): BelongsTo
+    {
+        return $this->belongsTo(Comment::class, 'parent_id');
+    }
+
+    /**
+     * Relationship: Comment has many replies
+     */
+    public function replies(): HasMany
+    {
+        return $this->hasMany(Comment::class, 'parent_id')->oldest('id');
+    }
+
+    /**
+     * Relationship: Users mentioned in the comment
+     *
+     * Similar to Prisma's implicit many-to-many:
+     * mentions User[]
+     */
+    public function mentions(): BelongsToMany
+    {
+        return $this->belongsToMany(User::class, 'comment_mentions');
+    }
+
+    /**
+     * Query Scope: Get only top-level comments (not replies)
+     */
+    public function scopeTopLevel($query)
+    {
+        return $query->whereNull('parent_id');
+    }
+
+    /**
+     * Helper method: Check if the comment is a reply
+     */
+    public function isReply(): bool
+    {
+        return $this->parent_id !== null;
+    }
+
+    /**
+     * Accessor: Render the markdown body as HTML
+     *
+     * Raw HTML in the body is escaped and unsafe links are dropped,
+     * so the result is safe to insert into the page.
+     * Mentions of users in the `mentions` relation are highlighted.
+     */
+    public function getBodyHtmlAttribute(): string
+    {
+        $html = Str::markdown($this->body, [
+            'html_input' => 'escape',
+            'allow_unsafe_links' => false,
+        ]);
+
+        if (!$this->relationLoaded('mentions')) {
+            return $html;
+        }
+
+        foreach ($this->mentions as $user) {
+            $mention = e('@'.$user->name);
+            $html = str_replace($mention, '<span class="mention">'.$mention.'</span>', $html);
+        }
+
+        return $html;
+    }
+}
@@ -0,0 +1,87 @@
+<?php
+
+namespace App\Models\Concerns;
+
+use App\Events\ModelChanged;
+use Illuminate\Support\Facades\Auth;
+
+/**
+ * Broadcasts Changes Trait
+ *
+ * Broadcasts a ModelChanged event whenever the model is created, updated,
+ * deleted or restored, so other people looking at the same project see
+ * the change without reloading. The browser that made the change is left
+ * out; its own request already brings it up to date.
+ *
+ * Models using the trait also use SoftDeletes, and define:
+ * - broadcastType(): the name listeners know the model by, e.g. "task"
+ * - broadcastProjectIds(): the projects whose channels get the change
+ * - broadcastData(): the model as the pages show it
+ */
+trait BroadcastsChanges
+{
+    /**
+     * Register the model event listeners.
+     */
+    public static function bootBroadcastsChanges(): void
+    {
+        static::created(function ($model) {
+            $model->broadcastChange('created');
+        });
+
+        static::updated(function ($model) {
+            $model->broadcastChange('updated');
+        });
+
+        // Permanently deleted models already left the lists when trashed
+        static::deleted(function ($model) {
+            if (!$model->isForceDeleting()) {
+                $model->broadcastChange('deleted');
+            }
+        });
+
+        static::restored(function ($model) {
+            $model->broadcastChange('restored');
+        });
+    }
+
+    /**
+     * Broadcast a change to everyone else watching the model's projects.
+     */
+    protected function broadcastChange(string $action): void
+    {
+        $projectIds = array_values(array_unique(array_filter($this->broadcastProjectIds())));
+
+        if (empty($projectIds)) {
+            return;
+        }
+
+        broadcast(new ModelChanged(
+            $this->broadcastType(),
+            $action,
+            $this->getKey(),
+            $projectIds,
+            $this->broadcastData(),
+            Auth::user()
+        ))->toOthers();
+    }
+
+    /**
+     * The name listeners know the model by.
+     */
+    abstract public function broadcastType(): string;
+
+    /**
+     * The projects whose channels get the model's changes.
+     *
+     * @return array<int, int|null>
+     */
+    abstract public function broadcastProjectIds(): array;
+
+    /**
+     * The model as the pages show it.
+     *
+     * @return array<string, mixed>
+     */
+    abstract public function broadcastData(): array;
+}
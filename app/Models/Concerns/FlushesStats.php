@@ -0,0 +1,49 @@
+<?php
+
+namespace App\Models\Concerns;
+
+use App\Services\StatsCache;
+
+/**
+ * Flushes Stats Trait
+ *
+ * Drops the cached dashboard statistics of everyone who can see the model
+ * when it is created, deleted, restored, or one of its counted fields changes.
+ *
+ * Models using the trait define:
+ * - statsAttributes(): the fields the statistics depend on
+ * - statsProjectIds(): the projects whose members see the change
+ * - statsUserIds(): other users whose statistics change, e.g. assignees
+ */
+trait FlushesStats
+{
+    /**
+     * Register the model event listeners.
+     */
+    public static function bootFlushesStats(): void
+    {
+        static::saved(function ($model) {
+            // Original values are not synced until after the "saved" event
+            if ($model->wasRecentlyCreated || $model->wasChanged($model->statsAttributes())) {
+                $model->flushStats();
+            }
+        });
+
+        // Also fired for permanent deletes
+        static::deleted(function ($model) {
+            $model->flushStats();
+        });
+
+        static::restored(function ($model) {
+            $model->flushStats();
+        });
+    }
+
+    /**
+     * Drop the cached statistics of everyone affected by the model
+     */
+    public function flushStats(): void
+    {
+        app(StatsCache::class)->flushProjects($this->statsProjectIds(), $this->statsUserIds());
+    }
+}
@@ -0,0 +1,98 @@
+<?php
+
+namespace App\Models\Concerns;
+
+use App\Models\Activity;
+use Illuminate\Database\Eloquent\Relations\MorphMany;
+use Illuminate\Support\Facades\Auth;
+
+/**
+ * Records Activity Trait
+ *
+ * Writes an Activity entry whenever the model is created, updated, deleted,
+ * restored from the trash or permanently deleted.
+ * Hooking into model events means every code path is covered - controllers,
+ * TaskService::assignTask(), completeTask(), the board and console commands.
+ *
+ * Models using the trait also use SoftDeletes, and define:
+ * - recordedAttributes(): the fields whose changes are recorded
+ * - activityProjectId(): the project the entry belongs to
+ * - activitySubjectName(): a label kept in case the model is deleted
+ */
+trait RecordsActivity
+{
+    /**
+     * Register the model event listeners.
+     */
+    public static function bootRecordsActivity(): void
+    {
+        static::created(function ($model) {
+            $model->recordActivity('created');
+        });
+
+        static::updated(function ($model) {
+            // Original values are not synced until after the "updated" event
+            $fields = array_intersect(array_keys($model->getChanges()), $model->recordedAttributes());
+
+            foreach ($fields as $field) {
+                $model->recordActivity('updated', $field, $model->getRawOriginal($field), $model->getAttributes()[$field]);
+            }
+        });
+
+        static::deleted(function ($model) {
+            // Permanent deletes are recorded by the forceDeleted listener
+            if (!$model->isForceDeleting()) {
+                $model->recordActivity('deleted');
+            }
+        });
+
+        static::restored(function ($model) {
+            $model->recordActivity('restored');
+        });
+
+        static::forceDeleted(function ($model) {
+            $model->recordActivity('force_deleted');
+        });
+    }
+
+    /**
+     * Relationship: Model has many Activity entries
+     */
+    public function activities(): MorphMany
+    {
+        return $this->morphMany(Activity::class, 'subject');
+    }
+
+    /**
+     * Store a single activity entry for this model.
+     */
+    protected function recordActivity(string $event, ?string $field = null, mixed $old = null, mixed $new = null): void
+    {
+        $this->activities()->create([
+            'user_id' => Auth::id(),
+            'subject_name' => $this->activitySubjectName(),
+            'project_id' => $this->activityProjectId(),
+            'event' => $event,
+            'field' => $field,
+            'old_value' => $old === null ? null : (string) $old,
+            'new_value' => $new === null ? null : (string) $new,
+        ]);
+    }
+
+    /**
+     * The attributes whose changes are recorded.
+     *
+     * @return array<int, string>
+     */
+    abstract public function recordedAttributes(): array;
+
+    /**
+     * The project an activity entry for this model belongs to.
+     */
+    abstract public function activityProjectId(): ?int;
+
+    /**
+     * A human readable label for the model.
+     */
+    abstract public function activitySubjectName(): string;
+}
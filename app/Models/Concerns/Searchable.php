@@ -0,0 +1,35 @@
+<?php
+
+namespace App\Models\Concerns;
+
+/**
+ * Searchable Trait
+ *
+ * Adds a search() query scope that finds the user's text anywhere in the
+ * model's searchable columns. The % and _ wildcards in the text are
+ * matched literally.
+ *
+ * Models using the trait define:
+ * - searchableColumns(): the columns to look in
+ */
+trait Searchable
+{
+    /**
+     * Query Scope: Get models with the text in one of their searchable columns
+     *
+     * Usage: Project::search('launch')->get()
+     */
+    public function scopeSearch($query, string $text)
+    {
+        // "!" rather than a backslash, which MySQL treats as an escape in string literals
+        $pattern = '%'.str_replace(['!', '%', '_'], ['!!', '!%', '!_'], $text).'%';
+
+        $grammar = $query->getQuery()->getGrammar();
+
+        return $query->where(function ($q) use ($grammar, $pattern) {
+            foreach ($this->searchableColumns() as $column) {
+                $q->orWhereRaw($grammar->wrap($this->qualifyColumn($column))." like ? escape '!'", [$pattern]);
+            }
+        });
+    }
+}
@@ -2,26 +2,39 @@
 
 namespace App\Models;
 
+use App\Enums\ProjectRole;
 use App\Enums\ProjectStatus;
+use App\Http\Resources\ProjectResource;
+use App\Models\Concerns\BroadcastsChanges;
+use App\Models\Concerns\FlushesStats;
+use App\Models\Concerns\RecordsActivity;
+use App\Models\Concerns\Searchable;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
 use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Database\Eloquent\SoftDeletes;
 
 /**
  * Project Model
  *
  * Represents a project in the task management system.
  * Each project belongs to a user (owner) and can have multiple tasks.
+ * Other users get access as members with a role (owner, editor or viewer);
+ * the creator is always an owner member.
  *
  * Similar to Prisma models, Eloquent models define:
  * - Table structure (via fillable/casts)
  * - Relationships (via methods)
  * - Business logic (via methods and scopes)
+ *
+ * Deleted projects stay in the trash (soft deletes) together with
+ * their tasks until they are restored or permanently deleted.
  */
 class Project extends Model
 {
-    use HasFactory;
+    use BroadcastsChanges, FlushesStats, HasFactory, RecordsActivity, Searchable, SoftDeletes;
 
     /**
      * The attributes that are mass assignable.
@@ -50,6 +63,26 @@ class Project extends Model
         'end_date' => 'date',
     ];
 
+    /**
+     * Member roles looked up so far, keyed by user id
+     *
+     * Policies ask for the same role many times per request.
+     */
+    protected array $memberRoles = [];
+
+    /**
+     * Bootstrap the model and its traits.
+     */
+    protected static function booted(): void
+    {
+        // The creator is always an owner member
+        static::created(function (Project $project) {
+            $project->members()->syncWithoutDetaching([
+                $project->user_id => ['role' => ProjectRole::OWNER],
+            ]);
+        });
+    }
+
     /**
      * Relationship: Project belongs to a User (owner)
      *
@@ -72,6 +105,125 @@ public function tasks(): HasMany
         return $this->hasMany(Task::class);
     }
 
+    /**
+     * Relationship: Project has many Members (users with a role)
+     */
+    public function members(): BelongsToMany
+    {
+        return $this->belongsToMany(User::class, 'project_members')
+            ->using(ProjectMember::class)
+            ->withPivot('role')
+            ->withTimestamps();
+    }
+
+    /**
+     * Get a user's role in the project, or null if they are not a member
+     */
+    public function roleOf(User $user): ?ProjectRole
+    {
+        if ($user->id === $this->user_id) {
+            return ProjectRole::OWNER;
+        }
+
+        if (!array_key_exists($user->id, $this->memberRoles)) {
+            $member = $this->relationLoaded('members')
+                ? $this->members->firstWhere('id', $user->id)
+                : $this->members()->whereKey($user->id)->first();
+
+            $this->memberRoles[$user->id] = $member?->pivot->role;
+        }
+
+        return $this->memberRoles[$user->id];
+    }
+
+    /**
+     * Forget looked up roles after membership changes
+     */
+    public function forgetMemberRoles(): void
+    {
+        $this->memberRoles = [];
+    }
+
+    /**
+     * Search: Columns the search() scope looks in
+     */
+    public function searchableColumns(): array
+    {
+        return ['name', 'description'];
+    }
+
+    /**
+     * Activity: Fields whose changes are kept in the project history
+     */
+    public function recordedAttributes(): array
+    {
+        return ['name', 'description', 'status', 'start_date', 'end_date'];
+    }
+
+    /**
+     * Activity: A project's own entries belong to its timeline
+     */
+    public function activityProjectId(): ?int
+    {
+        return $this->id;
+    }
+
+    /**
+     * Activity: Label kept with each entry
+     */
+    public function activitySubjectName(): string
+    {
+        return $this->name;
+    }
+
+    /**
+     * Stats: Fields the dashboard statistics count by
+     */
+    public function statsAttributes(): array
+    {
+        return ['status', 'user_id'];
+    }
+
+    /**
+     * Stats: The project's own members
+     */
+    public function statsProjectIds(): array
+    {
+        return [$this->id];
+    }
+
+    /**
+     * Stats: The creator, and the previous one if it changed
+     */
+    public function statsUserIds(): array
+    {
+        return [$this->user_id, $this->getOriginal('user_id')];
+    }
+
+    /**
+     * Broadcast: Listeners know projects as "project"
+     */
+    public function broadcastType(): string
+    {
+        return 'project';
+    }
+
+    /**
+     * Broadcast: The project's own channel
+     */
+    public function broadcastProjectIds(): array
+    {
+        return [$this->id];
+    }
+
+    /**
+     * Broadcast: The project's own fields, without its tasks
+     */
+    public function broadcastData(): array
+    {
+        return (new ProjectResource($this->withoutRelations()))->response()->getData(true)['data'];
+    }
+
     /**
      * Query Scope: Get only active projects
      *
@@ -92,6 +244,32 @@ public function scopeCompleted($query)
         return $query->where('status', ProjectStatus::COMPLETED);
     }
 
+    /**
+     * Query Scope: Get projects a user is a member of, in any role
+     *
+     * Usage: Project::accessibleBy($user)->get()
+     */
+    public function scopeAccessibleBy($query, User $user)
+    {
+        return $this->whereMemberRole($query, $user, ProjectRole::cases());
+    }
+
+    /**
+     * Query Scope: Get projects where a user can work on tasks (owners and editors)
+     */
+    public function scopeEditableBy($query, User $user)
+    {
+        return $this->whereMemberRole($query, $user, [ProjectRole::OWNER, ProjectRole::EDITOR]);
+    }
+
+    /**
+     * Query Scope: Get projects a user owns
+     */
+    public function scopeManagedBy($query, User $user)
+    {
+        return $this->whereMemberRole($query, $user, [ProjectRole::OWNER]);
+    }
+
     /**
      * Accessor: Get the progress percentage of the project
      *
@@ -112,4 +290,20 @@ public function getProgressAttribute(): int
 
         return (int) round(($completedTasks / $totalTasks) * 100);
     }
+
+    /**
+     * Limit a query to projects where the user has one of the roles
+     *
+     * The creator always counts as an owner, even without a member row.
+     */
+    protected function whereMemberRole($query, User $user, array $roles)
+    {
+        return $query->where(function ($q) use ($user, $roles) {
+            $q->where('projects.user_id', $user->id)
+                ->orWhereHas('members', function ($members) use ($user, $roles) {
+                    $members->whereKey($user->id)
+                        ->whereIn('project_members.role', array_map(fn (ProjectRole $role) => $role->value, $roles));
+                });
+        });
+    }
 }
@@ -0,0 +1,102 @@
+<?php
+
+namespace App\Models;
+
+use App\Enums\ProjectRole;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\URL;
+
+/**
+ * Project Invitation Model
+ *
+ * An emailed invitation to join a project in a given role. The link in
+ * the email is signed and expires; accepting it adds the user as a member.
+ */
+class ProjectInvitation extends Model
+{
+    /**
+     * The attributes that are mass assignable.
+     */
+    protected $fillable = [
+        'project_id',
+        'invited_by',
+        'email',
+        'role',
+        'token',
+        'expires_at',
+        'accepted_at',
+    ];
+
+    /**
+     * The attributes that should be hidden for serialization.
+     */
+    protected $hidden = [
+        'token',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     */
+    protected $casts = [
+        'role' => ProjectRole::class,
+        'expires_at' => 'datetime',
+        'accepted_at' => 'datetime',
+    ];
+
+    /**
+     * Relationship: Invitation belongs to a Project
+     */
+    public function project(): BelongsTo
+    {
+        return $this->belongsTo(Project::class);
+    }
+
+    /**
+     * Relationship: Invitation belongs to the User who sent it
+     */
+    public function inviter(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'invited_by');
+    }
+
+    /**
+     * Query Scope: Get invitations that have not been accepted yet (expired ones included)
+     */
+    public function scopePending($query)
+    {
+        return $query->whereNull('accepted_at');
+    }
+
+    /**
+     * Accessor: Check if the invitation can no longer be accepted
+     */
+    public function getIsExpiredAttribute(): bool
+    {
+        return $this->expires_at->isPast();
+    }
+
+    /**
+     * Check if the invitation can still be accepted
+     */
+    public function isAcceptable(): bool
+    {
+        return $this->accepted_at === null && !$this->is_expired;
+    }
+
+    /**
+     * Check if the invitation was sent to the user's email address
+     */
+    public function isFor(User $user): bool
+    {
+        return strtolower($user->email) === $this->email;
+    }
+
+    /**
+     * Get the signed link that accepts the invitation
+     */
+    public function acceptUrl(): string
+    {
+        return URL::temporarySignedRoute('invitations.accept', $this->expires_at, ['token' => $this->token]);
+    }
+}
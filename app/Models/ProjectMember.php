@@ -0,0 +1,32 @@
+<?php
+
+namespace App\Models;
+
+use App\Enums\ProjectRole;
+use Illuminate\Database\Eloquent\Relations\Pivot;
+
+/**
+ * Project Member Model
+ *
+ * Pivot between projects and users, holding the member's role.
+ * The project creator (projects.user_id) is always an owner member.
+ */
+class ProjectMember extends Pivot
+{
+    /**
+     * The table associated with the model.
+     */
+    protected $table = 'project_members';
+
+    /**
+     * Indicates if the IDs are auto-incrementing.
+     */
+    public $incrementing = true;
+
+    /**
+     * The attributes that should be cast.
+     */
+    protected $casts = [
+        'role' => ProjectRole::class,
+    ];
+}
@@ -4,19 +4,32 @@
 
 use App\Enums\TaskPriority;
 use App\Enums\TaskStatus;
+use App\Http\Resources\TaskResource;
+use App\Models\Concerns\BroadcastsChanges;
+use App\Models\Concerns\FlushesStats;
+use App\Models\Concerns\RecordsActivity;
+use App\Models\Concerns\Searchable;
+use App\Services\RecurrenceService;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Database\Eloquent\Relations\HasOne;
+use Illuminate\Database\Eloquent\SoftDeletes;
 
 /**
  * Task Model
  *
  * Represents a task within a project.
  * Each task belongs to a project and can be assigned to a user.
+ * Tasks can be blocked by other tasks in the same project, and can repeat:
+ * completing an instance of a recurring task generates the next one.
+ * Deleted tasks stay in the trash (soft deletes) until permanently deleted.
  */
 class Task extends Model
 {
-    use HasFactory;
+    use BroadcastsChanges, FlushesStats, HasFactory, RecordsActivity, Searchable, SoftDeletes;
 
     /**
      * The attributes that are mass assignable.
@@ -28,7 +41,11 @@ class Task extends Model
         'description',
         'priority',
         'status',
+        'position',
         'due_date',
+        'recurrence',
+        'recurrence_source_id',
+        'occurrence',
         'completed_at',
     ];
 
@@ -38,7 +55,11 @@ class Task extends Model
     protected $casts = [
         'priority' => TaskPriority::class,
         'status' => TaskStatus::class,
+        'position' => 'integer',
         'due_date' => 'date',
+        'reminder_sent_for' => 'date',
+        'recurrence' => 'array',
+        'occurrence' => 'integer',
         'completed_at' => 'datetime',
     ];
 
@@ -63,6 +84,146 @@ public function assignedUser(): BelongsTo
         return $this->belongsTo(User::class, 'assigned_to');
     }
 
+    /**
+     * Relationship: Tasks that must be finished before this one can start
+     */
+    public function blockers(): BelongsToMany
+    {
+        return $this->belongsToMany(Task::class, 'task_dependencies', 'task_id', 'blocked_by_id');
+    }
+
+    /**
+     * Relationship: Blockers that are not finished yet
+     */
+    public function openBlockers(): BelongsToMany
+    {
+        return $this->blockers()->unfinished();
+    }
+
+    /**
+     * Relationship: Tasks waiting on this one
+     */
+    public function blocking(): BelongsToMany
+    {
+        return $this->belongsToMany(Task::class, 'task_dependencies', 'blocked_by_id', 'task_id');
+    }
+
+    /**
+     * Relationship: The recurring instance this task was generated from
+     */
+    public function recurrenceSource(): BelongsTo
+    {
+        return $this->belongsTo(Task::class, 'recurrence_source_id');
+    }
+
+    /**
+     * Relationship: The instance generated from this one
+     */
+    public function nextOccurrence(): HasOne
+    {
+        return $this->hasOne(Task::class, 'recurrence_source_id');
+    }
+
+    /**
+     * Relationship: Task has many Checklist Items, in checklist order
+     */
+    public function checklistItems(): HasMany
+    {
+        return $this->hasMany(ChecklistItem::class)->ordered();
+    }
+
+    /**
+     * Relationship: Task has many Comments (including replies)
+     */
+    public function comments(): HasMany
+    {
+        return $this->hasMany(Comment::class);
+    }
+
+    /**
+     * Search: Columns the search() scope looks in
+     */
+    public function searchableColumns(): array
+    {
+        return ['title', 'description'];
+    }
+
+    /**
+     * Activity: Fields whose changes are kept in the task history
+     *
+     * Board positions are left out; they change on every drag.
+     */
+    public function recordedAttributes(): array
+    {
+        return ['title', 'description', 'status', 'priority', 'assigned_to', 'due_date', 'project_id'];
+    }
+
+    /**
+     * Activity: Task history also shows on its project's timeline
+     */
+    public function activityProjectId(): ?int
+    {
+        return $this->project_id;
+    }
+
+    /**
+     * Activity: Label kept with each entry
+     */
+    public function activitySubjectName(): string
+    {
+        return $this->title;
+    }
+
+    /**
+     * Stats: Fields the dashboard statistics count by
+     */
+    public function statsAttributes(): array
+    {
+        return ['project_id', 'assigned_to', 'status', 'priority', 'due_date', 'completed_at'];
+    }
+
+    /**
+     * Stats: Members of the task's project, and of the one it moved from
+     */
+    public function statsProjectIds(): array
+    {
+        return [$this->project_id, $this->getOriginal('project_id')];
+    }
+
+    /**
+     * Stats: The assignee, and the previous one, see the task in their own stats
+     */
+    public function statsUserIds(): array
+    {
+        return [$this->assigned_to, $this->getOriginal('assigned_to')];
+    }
+
+    /**
+     * Broadcast: Listeners know tasks as "task"
+     */
+    public function broadcastType(): string
+    {
+        return 'task';
+    }
+
+    /**
+     * Broadcast: The task's project, and the one it moved from
+     */
+    public function broadcastProjectIds(): array
+    {
+        return [$this->project_id, $this->getRawOriginal('project_id')];
+    }
+
+    /**
+     * Broadcast: The task as the lists show it, with its project and assignee
+     */
+    public function broadcastData(): array
+    {
+        $task = $this->withoutRelations()->load(['project', 'assignedUser']);
+
+        return (new TaskResource($task))->response()->getData(true)['data'];
+    }
+
     /**
      * Query Scope: Get only pending tasks
      */
@@ -87,6 +248,71 @@ public function scopeCompleted($query)
         return $query->where('status', TaskStatus::COMPLETED);
     }
 
+    /**
+     * Query Scope: Get tasks that are neither completed nor cancelled
+     */
+    public function scopeUnfinished($query)
+    {
+        return $query->whereNotIn('status', [TaskStatus::COMPLETED, TaskStatus::CANCELLED]);
+    }
+
+    /**
+     * Query Scope: Add open_blockers_count, used for the "Blocked" badge
+     */
+    public function scopeWithBlockedState($query)
+    {
+        return $query->withCount('openBlockers');
+    }
+
+    /**
+     * Query Scope: Get tasks in projects the user is a member of
+     */
+    public function scopeVisibleTo($query, User $user)
+    {
+        return $query->whereHas('project', fn ($q) => $q->accessibleBy($user));
+    }
+
+    /**
+     * Query Scope: Get tasks that were open at some point in a period
+     *
+     * Usage: Task::openDuring(now()->subWeek(), now())->get()
+     * The task was created before the period ended and not completed before it began.
+     */
+    public function scopeOpenDuring($query, $from, $to)
+    {
+        return $query->where('created_at', '<=', $to)
+            ->where(fn ($q) => $q->whereNull('completed_at')->orWhere('completed_at', '>=', $from));
+    }
+
+    /**
+     * Query Scope: Get tasks with a recurrence rule
+     */
+    public function scopeRecurring($query)
+    {
+        return $query->whereNotNull('recurrence');
+    }
+
+    /**
+     * Query Scope: Order tasks as they appear in their board column
+     */
+    public function scopeOrdered($query)
+    {
+        return $query->orderBy('position')->orderBy('id');
+    }
+
+    /**
+     * Query Scope: Add checklist_items_count and completed_checklist_items_count
+     *
+     * Used for the "3/5" checklist progress on task cards.
+     */
+    public function scopeWithChecklistCounts($query)
+    {
+        return $query->withCount([
+            'checklistItems',
+            'checklistItems as completed_checklist_items_count' => fn ($q) => $q->completed(),
+        ]);
+    }
+
     /**
      * Query Scope: Get high priority tasks
      */
@@ -113,6 +339,55 @@ public function scopeDueSoon($query, int $days = 7)
             ->whereNotIn('status', [TaskStatus::COMPLETED, TaskStatus::CANCELLED]);
     }
 
+    /**
+     * Query Scope: Apply task index filters
+     *
+     * Usage: Task::filter(['status' => 'pending', 'overdue' => true])->get()
+     * Accepts the keys validated by FilterTasksRequest.
+     */
+    public function scopeFilter($query, array $filters)
+    {
+        return $query
+            ->when($filters['project_id'] ?? null, fn ($q, $projectId) => $q->where('project_id', $projectId))
+            ->when($filters['status'] ?? null, fn ($q, $status) => $q->where('status', $status))
+            ->when($filters['priority'] ?? null, fn ($q, $priority) => $q->where('priority', $priority))
+            ->when($filters['assigned_to'] ?? null, function ($q, $assignee) {
+                return $assignee === 'unassigned'
+                    ? $q->whereNull('assigned_to')
+                    : $q->where('assigned_to', $assignee);
+            })
+            ->when($filters['due_from'] ?? null, fn ($q, $date) => $q->whereDate('due_date', '>=', $date))
+            ->when($filters['due_to'] ?? null, fn ($q, $date) => $q->whereDate('due_date', '<=', $date))
+            ->when($filters['created_from'] ?? null, fn ($q, $date) => $q->whereDate('created_at', '>=', $date))
+            ->when($filters['created_to'] ?? null, fn ($q, $date) => $q->whereDate('created_at', '<=', $date))
+            ->when($filters['completed_from'] ?? null, fn ($q, $date) => $q->whereDate('completed_at', '>=', $date))
+            ->when($filters['completed_to'] ?? null, fn ($q, $date) => $q->whereDate('completed_at', '<=', $date))
+            ->when($filters['overdue'] ?? false, fn ($q) => $q->overdue());
+    }
+
+    /**
+     * Query Scope: Sort tasks by created date, due date or priority weight
+     *
+     * Tasks without a due date are always listed last when sorting by due date.
+     * Priority is sorted by TaskPriority::weight() rather than alphabetically.
+     */
+    public function scopeSort($query, ?string $column = null, ?string $direction = null)
+    {
+        match ($column) {
+            'due_date' => $query->orderByRaw('due_date IS NULL')
+                ->orderBy('due_date', $direction ?? 'asc'),
+            'priority' => $query->orderByRaw(
+                'CASE priority '.collect(TaskPriority::cases())
+                    ->map(fn (TaskPriority $priority) => "WHEN '{$priority->value}' THEN {$priority->weight()}")
+                    ->implode(' ').' END '.($direction === 'asc' ? 'asc' : 'desc')
+            ),
+            default => $query->orderBy('created_at', $direction ?? 'desc'),
+        };
+
+        // Stable order for rows that tie on the sort column
+        return $query->orderBy('id', 'desc');
+    }
+
     /**
      * Accessor: Check if task is overdue
      */
@@ -126,6 +401,32 @@ public function getIsOverdueAttribute(): bool
             !in_array($this->status, [TaskStatus::COMPLETED, TaskStatus::CANCELLED]);
     }
 
+    /**
+     * Accessor: Check if task is waiting on an unfinished blocker
+     *
+     * Uses open_blockers_count (withBlockedState) or the loaded blockers when available.
+     */
+    public function getIsBlockedAttribute(): bool
+    {
+        if (isset($this->open_blockers_count)) {
+            return $this->open_blockers_count > 0;
+        }
+
+        if ($this->relationLoaded('blockers')) {
+            return $this->blockers->contains(fn (Task $blocker) => !$blocker->status->isFinal());
+        }
+
+        return $this->openBlockers()->exists();
+    }
+
+    /**
+     * Accessor: Describe the recurrence rule, e.g. "Every week on Mon, Thu"
+     */
+    public function getRecurrenceLabelAttribute(): ?string
+    {
+        return $this->recurrence ? app(RecurrenceService::class)->describe($this->recurrence) : null;
+    }
+
     /**
      * Accessor: Get days until due date
      */
@@ -143,6 +444,11 @@ public function getDaysUntilDueAttribute(): ?int
      */
     public function setStatusAttribute($value): void
     {
+        // Services pass the enum, form requests pass the raw string
+        if ($value instanceof TaskStatus) {
+            $value = $value->value;
+        }
+
         $this->attributes['status'] = $value;
 
         // If status is being set to completed and completed_at is not set
@@ -8,11 +8,17 @@
 use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Foundation\Auth\User as Authenticatable;
 use Illuminate\Notifications\Notifiable;
+use Laravel\Sanctum\HasApiTokens;
 
 class User extends Authenticatable
 {
     /** @use HasFactory<\Database\Factories\UserFactory> */
-    use HasFactory, Notifiable;
+    use HasApiTokens, HasFactory, Notifiable;
+
+    /**
+     * Hours before a due date a reminder email can be sent
+     */
+    public const REMINDER_HOURS = [1, 3, 6, 12, 24, 48];
 
     /**
      * The attributes that are mass assignable.
@@ -24,6 +30,18 @@ class User extends Authenticatable
         'email',
         'password',
         'role',
+        'daily_digest',
+        'due_reminder_hours',
+    ];
+
+    /**
+     * Defaults matching the columns, so new instances have them before a refresh
+     *
+     * @var array<string, mixed>
+     */
+    protected $attributes = [
+        'daily_digest' => true,
+        'due_reminder_hours' => 24,
     ];
 
     /**
@@ -47,6 +65,8 @@ protected function casts(): array
             'email_verified_at' => 'datetime',
             'password' => 'hashed',
             'role' => UserRole::class,
+            'daily_digest' => 'boolean',
+            'due_reminder_hours' => 'integer',
         ];
     }
 
@@ -0,0 +1,71 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\Task;
+use Illuminate\Bus\Queueable;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Notifications\Notification;
+
+/**
+ * Daily Digest Notification
+ *
+ * Morning email listing a user's overdue and due-soon tasks, both the ones
+ * assigned to them and the ones in projects they own.
+ */
+class DailyDigest extends Notification
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public Collection $overdue,
+        public Collection $dueSoon
+    ) {
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['mail'];
+    }
+
+    /**
+     * Get the mail representation of the notification.
+     */
+    public function toMail(object $notifiable): MailMessage
+    {
+        $message = (new MailMessage)
+            ->subject("Your tasks today: {$this->overdue->count()} overdue, {$this->dueSoon->count()} due soon")
+            ->greeting("Good morning, {$notifiable->name}!");
+
+        if ($this->overdue->isNotEmpty()) {
+            $message->line('**Overdue**');
+            $this->overdue->each(fn (Task $task) => $message->line($this->describe($task)));
+        }
+
+        if ($this->dueSoon->isNotEmpty()) {
+            $message->line('**Due soon**');
+            $this->dueSoon->each(fn (Task $task) => $message->line($this->describe($task)));
+        }
+
+        return $message
+            ->action('Open My Work', route('my-work'))
+            ->line('You can turn this email off on your profile page.');
+    }
+
+    /**
+     * One line per task, e.g. "Write report (Website) · due Nov 20, 2025"
+     */
+    private function describe(Task $task): string
+    {
+        return "- [{$task->title}](".route('tasks.show', $task).") ({$task->project->name}) · due {$task->due_date->toFormattedDateString()}";
+    }
+}
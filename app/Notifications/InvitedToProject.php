@@ -0,0 +1,53 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\ProjectInvitation;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Notifications\Notification;
+
+/**
+ * Invited To Project Notification
+ *
+ * Sent to an email address (with or without an account) that was invited to join a project.
+ */
+class InvitedToProject extends Notification
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public ProjectInvitation $invitation
+    ) {
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['mail'];
+    }
+
+    /**
+     * Get the mail representation of the notification.
+     */
+    public function toMail(object $notifiable): MailMessage
+    {
+        $project = $this->invitation->project;
+        $inviter = $this->invitation->inviter?->name ?? 'Someone';
+        $role = strtolower($this->invitation->role->label());
+
+        return (new MailMessage)
+            ->subject("You're invited to join \"{$project->name}\"")
+            ->line("{$inviter} invited you to join the project \"{$project->name}\" as {$role}.")
+            ->action('Accept Invitation', $this->invitation->acceptUrl())
+            ->line("This link expires {$this->invitation->expires_at->diffForHumans()}.")
+            ->line("If you don't have an account yet, you can create one after opening the link.");
+    }
+}
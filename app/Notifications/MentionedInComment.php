@@ -0,0 +1,72 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\Comment;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Notifications\Notification;
+use Illuminate\Support\Str;
+
+/**
+ * Mentioned In Comment Notification
+ *
+ * Sent to a user when someone mentions them with @name in a task comment,
+ * by email and in the app.
+ */
+class MentionedInComment extends Notification
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public Comment $comment
+    ) {
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['mail', 'database'];
+    }
+
+    /**
+     * Get the mail representation of the notification.
+     */
+    public function toMail(object $notifiable): MailMessage
+    {
+        $author = $this->comment->user;
+        $task = $this->comment->task;
+
+        return (new MailMessage)
+            ->subject("{$author->name} mentioned you on \"{$task->title}\"")
+            ->line("{$author->name} mentioned you in a comment:")
+            ->line(Str::limit($this->comment->body, 200))
+            ->action('View Task', route('tasks.show', $task).'#comment-'.$this->comment->id);
+    }
+
+    /**
+     * Get the array representation of the notification.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(object $notifiable): array
+    {
+        $task = $this->comment->task;
+
+        return [
+            'kind' => 'mentioned',
+            'message' => "{$this->comment->user->name} mentioned you on \"{$task->title}\": ".Str::limit($this->comment->body, 80),
+            'task_id' => $task->id,
+            'project_id' => $task->project_id,
+            'comment_id' => $this->comment->id,
+            'actor_id' => $this->comment->user_id,
+        ];
+    }
+}
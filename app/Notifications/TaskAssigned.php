@@ -0,0 +1,55 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\Task;
+use App\Models\User;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Notification;
+
+/**
+ * Task Assigned Notification
+ *
+ * Sent to a user when a task is assigned to them.
+ */
+class TaskAssigned extends Notification
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public Task $task,
+        public ?User $assigner = null
+    ) {
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['database'];
+    }
+
+    /**
+     * Get the array representation of the notification.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(object $notifiable): array
+    {
+        $who = $this->assigner?->name ?? 'Someone';
+
+        return [
+            'kind' => 'task_assigned',
+            'message' => "{$who} assigned you to \"{$this->task->title}\"",
+            'task_id' => $this->task->id,
+            'project_id' => $this->task->project_id,
+            'actor_id' => $this->assigner?->id,
+        ];
+    }
+}
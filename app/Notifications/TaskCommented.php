@@ -0,0 +1,56 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\Comment;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Notification;
+use Illuminate\Support\Str;
+
+/**
+ * Task Commented Notification
+ *
+ * Sent to the assignee of a task and the people in its discussion when
+ * someone else comments on it.
+ */
+class TaskCommented extends Notification
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public Comment $comment
+    ) {
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['database'];
+    }
+
+    /**
+     * Get the array representation of the notification.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(object $notifiable): array
+    {
+        $task = $this->comment->task;
+
+        return [
+            'kind' => 'task_commented',
+            'message' => "{$this->comment->user->name} commented on \"{$task->title}\": ".Str::limit($this->comment->body, 80),
+            'task_id' => $task->id,
+            'project_id' => $task->project_id,
+            'comment_id' => $this->comment->id,
+            'actor_id' => $this->comment->user_id,
+        ];
+    }
+}
@@ -0,0 +1,51 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\Task;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Notifications\Notification;
+
+/**
+ * Task Due Reminder Notification
+ *
+ * Emailed a set number of hours (chosen on the profile page) before an
+ * unfinished task is due.
+ */
+class TaskDueReminder extends Notification
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public Task $task
+    ) {
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['mail'];
+    }
+
+    /**
+     * Get the mail representation of the notification.
+     */
+    public function toMail(object $notifiable): MailMessage
+    {
+        $dueDate = $this->task->due_date->toFormattedDateString();
+
+        return (new MailMessage)
+            ->subject("Reminder: \"{$this->task->title}\" is due {$dueDate}")
+            ->line("\"{$this->task->title}\" in {$this->task->project->name} is due {$dueDate}.")
+            ->action('View Task', route('tasks.show', $this->task))
+            ->line('You can change when reminders are sent on your profile page.');
+    }
+}
@@ -0,0 +1,52 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\Task;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Notification;
+
+/**
+ * Task Overdue Notification
+ *
+ * Sent once when the due date of an unfinished task has passed, to its
+ * assignee or, for unassigned tasks, to the project's creator.
+ */
+class TaskOverdue extends Notification
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public Task $task
+    ) {
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['database'];
+    }
+
+    /**
+     * Get the array representation of the notification.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(object $notifiable): array
+    {
+        return [
+            'kind' => 'task_overdue',
+            'message' => "\"{$this->task->title}\" was due {$this->task->due_date->toFormattedDateString()} and is now overdue",
+            'task_id' => $this->task->id,
+            'project_id' => $this->task->project_id,
+            'due_date' => $this->task->due_date->toDateString(),
+        ];
+    }
+}
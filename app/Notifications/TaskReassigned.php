@@ -0,0 +1,59 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\Task;
+use App\Models\User;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Notification;
+
+/**
+ * Task Reassigned Notification
+ *
+ * Sent to the previous assignee when a task is given to someone else
+ * or unassigned.
+ */
+class TaskReassigned extends Notification
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public Task $task,
+        public ?User $reassigner = null
+    ) {
+    }
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['database'];
+    }
+
+    /**
+     * Get the array representation of the notification.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(object $notifiable): array
+    {
+        $who = $this->reassigner?->name ?? 'Someone';
+        $assignee = $this->task->assignedUser;
+
+        return [
+            'kind' => 'task_reassigned',
+            'message' => $assignee
+                ? "{$who} reassigned \"{$this->task->title}\" to {$assignee->name}"
+                : "{$who} unassigned you from \"{$this->task->title}\"",
+            'task_id' => $this->task->id,
+            'project_id' => $this->task->project_id,
+            'actor_id' => $this->reassigner?->id,
+        ];
+    }
+}
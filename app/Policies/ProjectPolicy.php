@@ -11,6 +11,10 @@
  * Handles authorization for project-related actions.
  * Similar to middleware or authorization checks in Next.js API routes.
  *
+ * Access comes from project membership (see App\Enums\ProjectRole):
+ * viewers can look, editors can also change the project and its tasks,
+ * owners can also delete it and manage its members.
+ *
  * Policies automatically map to controller methods:
  * - viewAny -> index
  * - view -> show
@@ -23,7 +27,7 @@ class ProjectPolicy
     /**
      * Determine whether the user can view any models.
      *
-     * All authenticated users can view their own projects.
+     * All authenticated users can view the projects they are a member of.
      */
     public function viewAny(User $user): bool
     {
@@ -33,12 +37,12 @@ public function viewAny(User $user): bool
     /**
      * Determine whether the user can view the model.
      *
-     * Users can only view their own projects.
+     * Members in any role can view the project.
      * Admins can view all projects.
      */
     public function view(User $user, Project $project): bool
     {
-        return $user->id === $project->user_id || $user->isAdmin();
+        return $project->roleOf($user) !== null || $user->isAdmin();
     }
 
     /**
@@ -54,33 +58,33 @@ public function create(User $user): bool
     /**
      * Determine whether the user can update the model.
      *
-     * Users can only update their own projects.
+     * Owners and editors can update the project.
      * Admins can update any project.
      */
     public function update(User $user, Project $project): bool
     {
-        return $user->id === $project->user_id || $user->isAdmin();
+        return $project->roleOf($user)?->canEdit() || $user->isAdmin();
     }
 
     /**
      * Determine whether the user can delete the model.
      *
-     * Users can only delete their own projects.
+     * Only owners can delete the project.
      * Admins can delete any project.
      */
     public function delete(User $user, Project $project): bool
     {
-        return $user->id === $project->user_id || $user->isAdmin();
+        return $project->roleOf($user)?->canManage() || $user->isAdmin();
     }
 
     /**
      * Determine whether the user can restore the model.
      *
-     * Only the project owner or admin can restore.
+     * Only owners or admins can restore.
      */
     public function restore(User $user, Project $project): bool
     {
-        return $user->id === $project->user_id || $user->isAdmin();
+        return $project->roleOf($user)?->canManage() || $user->isAdmin();
     }
 
     /**
@@ -92,4 +96,24 @@ public function forceDelete(User $user, Project $project): bool
     {
         return $user->isAdmin();
     }
+
+    /**
+     * Determine whether the user can add tasks to the project or move tasks into it.
+     *
+     * Owners and editors can work on tasks.
+     */
+    public function manageTasks(User $user, Project $project): bool
+    {
+        return $project->roleOf($user)?->canEdit() || $user->isAdmin();
+    }
+
+    /**
+     * Determine whether the user can add, remove and change the roles of members.
+     *
+     * Only owners and admins can manage members.
+     */
+    public function manageMembers(User $user, Project $project): bool
+    {
+        return $project->roleOf($user)?->canManage() || $user->isAdmin();
+    }
 }
@@ -2,6 +2,8 @@
 
 namespace App\Policies;
 
+use App\Enums\ProjectRole;
+use App\Models\Comment;
 use App\Models\Task;
 use App\Models\User;
 
@@ -9,10 +11,34 @@
  * Task Policy
  *
  * Handles authorization for task-related actions.
- * Tasks belong to projects, so authorization checks the project ownership.
+ * Tasks belong to projects, so authorization checks the user's role in the project.
  */
 class TaskPolicy
 {
+    /**
+     * Task fields that can be changed through the task form
+     */
+    public const FIELDS = [
+        'project_id',
+        'assigned_to',
+        'title',
+        'description',
+        'priority',
+        'status',
+        'due_date',
+        'recurrence',
+        'blocked_by',
+    ];
+
+    /**
+     * Fields an assignee without an editing role can change
+     *
+     * The checklist and comments have their own checks (update and comment).
+     */
+    public const ASSIGNEE_FIELDS = [
+        'status',
+    ];
+
     /**
      * Determine whether the user can view any models.
      *
@@ -26,18 +52,21 @@ public function viewAny(User $user): bool
     /**
      * Determine whether the user can view the model.
      *
-     * Users can view tasks from their own projects.
+     * Project members in any role and the assignee can view the task.
      * Admins can view all tasks.
      */
     public function view(User $user, Task $task): bool
     {
-        return $user->id === $task->project->user_id || $user->isAdmin();
+        return $this->role($user, $task) !== null
+            || $user->id === $task->assigned_to
+            || $user->isAdmin();
     }
 
     /**
      * Determine whether the user can create models.
      *
-     * All authenticated users can create tasks (in their own projects).
+     * All authenticated users can create tasks (in projects they can edit,
+     * checked against the chosen project in the controller).
      */
     public function create(User $user): bool
     {
@@ -47,18 +76,18 @@ public function create(User $user): bool
     /**
      * Determine whether the user can update the model.
      *
-     * Users can update tasks in their own projects.
-     * Assigned users can update task status.
+     * Project owners and editors can update tasks.
+     * Assigned users can update task status and checklist.
      * Admins can update any task.
      */
     public function update(User $user, Task $task): bool
     {
-        // Project owner can update
-        if ($user->id === $task->project->user_id) {
+        // Project owners and editors can update
+        if ($this->role($user, $task)?->canEdit()) {
             return true;
         }
 
-        // Assigned user can update (limited fields, handled in controller)
+        // Assigned user can update, limited to some fields (see updateField())
         if ($user->id === $task->assigned_to) {
             return true;
         }
@@ -67,24 +96,44 @@ public function update(User $user, Task $task): bool
         return $user->isAdmin();
     }
 
+    /**
+     * Determine whether the user can change a single field of the task.
+     *
+     * Project owners, editors and admins can change every field.
+     * Assigned users can only change the ASSIGNEE_FIELDS.
+     */
+    public function updateField(User $user, Task $task, string $field): bool
+    {
+        if ($this->role($user, $task)?->canEdit() || $user->isAdmin()) {
+            return true;
+        }
+
+        return $user->id === $task->assigned_to && in_array($field, self::ASSIGNEE_FIELDS, true);
+    }
+
     /**
      * Determine whether the user can delete the model.
      *
-     * Only project owners and admins can delete tasks.
+     * Only project owners, editors and admins can delete tasks.
      */
     public function delete(User $user, Task $task): bool
     {
-        return $user->id === $task->project->user_id || $user->isAdmin();
+        return $this->role($user, $task)?->canEdit() || $user->isAdmin();
     }
 
     /**
      * Determine whether the user can restore the model.
      *
-     * Only project owners and admins can restore tasks.
+     * Only project owners, editors and admins can restore tasks.
+     * Tasks trashed with their project come back with the project instead.
      */
     public function restore(User $user, Task $task): bool
     {
-        return $user->id === $task->project->user_id || $user->isAdmin();
+        if (!$task->project) {
+            return false;
+        }
+
+        return $this->role($user, $task)?->canEdit() || $user->isAdmin();
     }
 
     /**
@@ -96,4 +145,43 @@ public function forceDelete(User $user, Task $task): bool
     {
         return $user->isAdmin();
     }
+
+    /**
+     * Determine whether the user can comment on the task.
+     *
+     * Anyone who can view the task can join the discussion.
+     */
+    public function comment(User $user, Task $task): bool
+    {
+        return $this->view($user, $task);
+    }
+
+    /**
+     * Determine whether the user can edit a comment on the task.
+     *
+     * Only the author can edit their comment, as long as they can still comment.
+     */
+    public function updateComment(User $user, Task $task, Comment $comment): bool
+    {
+        return $user->id === $comment->user_id && $this->comment($user, $task);
+    }
+
+    /**
+     * Determine whether the user can delete a comment on the task.
+     *
+     * Authors can delete their own comments.
+     * Project owners, editors and admins can delete any comment on the task.
+     */
+    public function deleteComment(User $user, Task $task, Comment $comment): bool
+    {
+        return $user->id === $comment->user_id || $this->delete($user, $task);
+    }
+
+    /**
+     * Get the user's role in the task's project
+     */
+    private function role(User $user, Task $task): ?ProjectRole
+    {
+        return $task->project?->roleOf($user);
+    }
 }
@@ -0,0 +1,115 @@
+<?php
+
+namespace App\Services;
+
+use App\Enums\ProjectStatus;
+use App\Enums\TaskPriority;
+use App\Enums\TaskStatus;
+use App\Models\Activity;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Support\Carbon;
+
+/**
+ * Activity Service
+ *
+ * Reads the audit trail written by the RecordsActivity trait and turns the
+ * stored raw values (enum values, user ids, dates) into readable labels.
+ */
+class ActivityService
+{
+    /**
+     * Get the history of a task, newest first
+     *
+     * @param Task $task
+     * @param int $limit
+     * @return Collection
+     */
+    public function getTaskActivity(Task $task, int $limit = 50): Collection
+    {
+        $activities = $task->activities()
+            ->with('user')
+            ->latest('id')
+            ->limit($limit)
+            ->get();
+
+        return $this->withLabels($activities);
+    }
+
+    /**
+     * Get the history of a project and its tasks, newest first
+     *
+     * @param Project $project
+     * @param int $limit
+     * @return Collection
+     */
+    public function getProjectActivity(Project $project, int $limit = 50): Collection
+    {
+        $activities = Activity::forProject($project)
+            ->with('user')
+            ->latest('id')
+            ->limit($limit)
+            ->get();
+
+        return $this->withLabels($activities);
+    }
+
+    /**
+     * Add readable old_label / new_label attributes to each entry
+     *
+     * Users and projects referenced by the entries are loaded in one query
+     * each. The labels are for display only and are never saved.
+     *
+     * @param Collection $activities
+     * @return Collection
+     */
+    private function withLabels(Collection $activities): Collection
+    {
+        $referenced = fn (string $field) => $activities
+            ->where('field', $field)
+            ->flatMap(fn (Activity $activity) => [$activity->old_value, $activity->new_value])
+            ->filter()
+            ->unique()
+            ->values();
+
+        $users = User::whereIn('id', $referenced('assigned_to'))->pluck('name', 'id');
+        $projects = Project::whereIn('id', $referenced('project_id'))->pluck('name', 'id');
+
+        return $activities->each(function (Activity $activity) use ($users, $projects) {
+            foreach (['old', 'new'] as $side) {
+                $value = $activity->{"{$side}_value"};
+
+                $activity->setAttribute("{$side}_label", $this->label($activity, $value, $users, $projects));
+            }
+        });
+    }
+
+    /**
+     * Get a readable label for a stored value
+     *
+     * @param Activity $activity
+     * @param string|null $value
+     * @param \Illuminate\Support\Collection $users
+     * @param \Illuminate\Support\Collection $projects
+     * @return string|null
+     */
+    private function label(Activity $activity, ?string $value, $users, $projects): ?string
+    {
+        if ($value === null || $value === '') {
+            return null;
+        }
+
+        return match ($activity->field) {
+            'status' => $activity->subject_type === Project::class
+                ? ProjectStatus::tryFrom($value)?->label() ?? $value
+                : TaskStatus::tryFrom($value)?->label() ?? $value,
+            'priority' => TaskPriority::tryFrom($value)?->label() ?? $value,
+            'assigned_to' => $users[$value] ?? 'a deleted user',
+            'project_id' => $projects[$value] ?? 'a deleted project',
+            'due_date', 'start_date', 'end_date' => Carbon::parse($value)->toDateString(),
+            default => $value,
+        };
+    }
+}
@@ -0,0 +1,83 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\ChecklistItem;
+use App\Models\Task;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Checklist Service
+ *
+ * Handles business logic for the checklist items inside a task.
+ */
+class ChecklistService
+{
+    /**
+     * Add an item to the bottom of a task's checklist
+     *
+     * @param Task $task
+     * @param array $data
+     * @return ChecklistItem
+     */
+    public function createItem(Task $task, array $data): ChecklistItem
+    {
+        $max = $task->checklistItems()->max('position');
+
+        return $task->checklistItems()->create([
+            ...$data,
+            'position' => $max === null ? 0 : (int) $max + 1,
+        ]);
+    }
+
+    /**
+     * Update a checklist item
+     *
+     * `is_completed` checks or unchecks the item.
+     *
+     * @param ChecklistItem $item
+     * @param array $data
+     * @return ChecklistItem
+     */
+    public function updateItem(ChecklistItem $item, array $data): ChecklistItem
+    {
+        if (array_key_exists('is_completed', $data)) {
+            $data['completed_at'] = $data['is_completed']
+                ? ($item->completed_at ?? now())
+                : null;
+
+            unset($data['is_completed']);
+        }
+
+        $item->update($data);
+
+        return $item->fresh('assignedUser');
+    }
+
+    /**
+     * Delete a checklist item
+     *
+     * @param ChecklistItem $item
+     * @return bool
+     */
+    public function deleteItem(ChecklistItem $item): bool
+    {
+        return $item->delete();
+    }
+
+    /**
+     * Reorder a task's checklist
+     *
+     * @param Task $task
+     * @param array<int, int> $ids Item ids in their new order
+     * @return void
+     */
+    public function reorderItems(Task $task, array $ids): void
+    {
+        DB::transaction(function () use ($task, $ids) {
+            foreach (array_values($ids) as $position => $id) {
+                $task->checklistItems()->whereKey($id)->update(['position' => $position]);
+            }
+        });
+    }
+}
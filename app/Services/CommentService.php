@@ -0,0 +1,174 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Comment;
+use App\Models\Task;
+use App\Models\User;
+use App\Notifications\MentionedInComment;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Support\Facades\Notification;
+
+/**
+ * Comment Service
+ *
+ * Handles business logic for task comments and @mentions.
+ */
+class CommentService
+{
+    public function __construct(
+        private NotificationService $notificationService
+    ) {
+    }
+
+    /**
+     * Get the comment threads of a task
+     *
+     * Returns top-level comments, oldest first, with their replies.
+     * The task is set on every comment so policy checks need no extra queries.
+     *
+     * @param Task $task
+     * @return Collection
+     */
+    public function getTaskComments(Task $task): Collection
+    {
+        $comments = $task->comments()
+            ->topLevel()
+            ->with(['user', 'mentions', 'replies.user', 'replies.mentions'])
+            ->oldest('id')
+            ->get();
+
+        $comments->each(function (Comment $comment) use ($task) {
+            $comment->setRelation('task', $task);
+            $comment->replies->each->setRelation('task', $task);
+        });
+
+        return $comments;
+    }
+
+    /**
+     * Create a comment (or reply) on a task
+     *
+     * The assignee and earlier commenters are notified, see NotificationService::notifyComment().
+     *
+     * @param Task $task
+     * @param User $author
+     * @param array $data
+     * @return Comment
+     */
+    public function createComment(Task $task, User $author, array $data): Comment
+    {
+        $comment = $task->comments()->create([
+            'user_id' => $author->id,
+            'parent_id' => $data['parent_id'] ?? null,
+            'body' => $data['body'],
+        ]);
+
+        $mentioned = $this->syncMentions($comment);
+        $this->notificationService->notifyComment($comment, $mentioned->modelKeys());
+
+        return $comment;
+    }
+
+    /**
+     * Update a comment
+     *
+     * Only users newly mentioned by the edit are notified.
+     *
+     * @param Comment $comment
+     * @param array $data
+     * @return Comment
+     */
+    public function updateComment(Comment $comment, array $data): Comment
+    {
+        $comment->update(['body' => $data['body']]);
+
+        $this->syncMentions($comment);
+
+        return $comment;
+    }
+
+    /**
+     * Delete a comment (replies are deleted with it)
+     *
+     * @param Comment $comment
+     * @return bool
+     */
+    public function deleteComment(Comment $comment): bool
+    {
+        return $comment->delete();
+    }
+
+    /**
+     * Get the users who can be mentioned on a task
+     *
+     * Only people who can see the task: the project members and the assignee.
+     * Mentioning anyone else would send them the comment and the task title.
+     *
+     * @param Task $task
+     * @return Collection
+     */
+    public function getMentionableUsers(Task $task): Collection
+    {
+        $project = $task->project;
+
+        $userIds = $project->members()
+            ->pluck('users.id')
+            ->push($project->user_id, $task->assigned_to)
+            ->filter()
+            ->unique();
+
+        return User::whereKey($userIds->all())->orderBy('name')->get();
+    }
+
+    /**
+     * Find the users mentioned in a comment body
+     *
+     * A mention is "@" followed by a user's full name, as inserted by the
+     * mention autocomplete. Only users who can be mentioned on the task are
+     * considered, and the whole name has to match.
+     *
+     * @param Task $task
+     * @param string $body
+     * @return Collection
+     */
+    public function findMentionedUsers(Task $task, string $body): Collection
+    {
+        if (!str_contains($body, '@')) {
+            return new Collection();
+        }
+
+        return $this->getMentionableUsers($task)
+            ->filter(function (User $user) use ($body) {
+                $pattern = '/(?<![\w@])@'.preg_quote($user->name, '/').'(?![\p{L}\p{N}_])/u';
+
+                return preg_match($pattern, $body) === 1;
+            })
+            ->values();
+    }
+
+    /**
+     * Store the mentions of a comment and notify newly mentioned users
+     *
+     * The author is never notified about mentioning themselves.
+     *
+     * @param Comment $comment
+     * @return Collection The mentioned users
+     */
+    private function syncMentions(Comment $comment): Collection
+    {
+        $mentioned = $this->findMentionedUsers($comment->task, $comment->body);
+
+        $attached = $comment->mentions()->sync($mentioned->modelKeys())['attached'];
+
+        $recipients = $mentioned
+            ->whereIn('id', $attached)
+            ->reject(fn (User $user) => $user->id === $comment->user_id);
+
+        if ($recipients->isNotEmpty()) {
+            Notification::send($recipients, new MentionedInComment($comment));
+        }
+
+        return $mentioned;
+    }
+}
@@ -0,0 +1,192 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Comment;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Notifications\TaskAssigned;
+use App\Notifications\TaskCommented;
+use App\Notifications\TaskOverdue;
+use App\Notifications\TaskReassigned;
+use Illuminate\Contracts\Pagination\LengthAwarePaginator;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Notifications\DatabaseNotification;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Notification;
+
+/**
+ * Notification Service
+ *
+ * Sends the in-app notifications about tasks and reads them back for the
+ * notification center. Nobody is notified about their own actions.
+ */
+class NotificationService
+{
+    /**
+     * Get a page of a user's notifications, newest first
+     *
+     * @param User $user
+     * @param int $perPage
+     * @param bool $unreadOnly
+     * @return LengthAwarePaginator
+     */
+    public function getNotifications(User $user, int $perPage = 15, bool $unreadOnly = false): LengthAwarePaginator
+    {
+        return $user->notifications()
+            ->when($unreadOnly, fn ($query) => $query->whereNull('read_at'))
+            ->paginate($perPage)
+            ->withQueryString();
+    }
+
+    /**
+     * Get a user's latest notifications, for the bell dropdown
+     *
+     * @param User $user
+     * @param int $limit
+     * @return Collection
+     */
+    public function getRecentNotifications(User $user, int $limit = 5): Collection
+    {
+        return $user->notifications()->limit($limit)->get();
+    }
+
+    /**
+     * Mark all of a user's notifications as read
+     *
+     * @param User $user
+     * @return int How many were unread
+     */
+    public function markAllAsRead(User $user): int
+    {
+        return $user->unreadNotifications()->update(['read_at' => now()]);
+    }
+
+    /**
+     * Get the page a notification links to
+     *
+     * Falls back to the project when the task is gone, and to the
+     * notification center when the project is gone too.
+     *
+     * @param DatabaseNotification $notification
+     * @return string
+     */
+    public function getLink(DatabaseNotification $notification): string
+    {
+        $data = $notification->data;
+
+        if (isset($data['task_id']) && Task::whereKey($data['task_id'])->exists()) {
+            $anchor = isset($data['comment_id']) ? '#comment-'.$data['comment_id'] : '';
+
+            return route('tasks.show', $data['task_id']).$anchor;
+        }
+
+        if (isset($data['project_id']) && Project::whereKey($data['project_id'])->exists()) {
+            return route('projects.show', $data['project_id']);
+        }
+
+        return route('notifications.index');
+    }
+
+    /**
+     * Tell the new and previous assignee of a task that it changed hands
+     *
+     * @param Task $task
+     * @param int|null $previousAssigneeId
+     * @return void
+     */
+    public function notifyAssignment(Task $task, ?int $previousAssigneeId): void
+    {
+        // Form input can hold ids as strings
+        if ($task->assigned_to == $previousAssigneeId) {
+            return;
+        }
+
+        $actor = Auth::user();
+        $task->loadMissing('assignedUser');
+
+        if ($task->assignedUser && $task->assigned_to != $actor?->id) {
+            $task->assignedUser->notify(new TaskAssigned($task, $actor));
+        }
+
+        if ($previousAssigneeId && $previousAssigneeId != $actor?->id) {
+            User::find($previousAssigneeId)?->notify(new TaskReassigned($task, $actor));
+        }
+    }
+
+    /**
+     * Tell the people following a task about a new comment
+     *
+     * That is the assignee and everyone who commented before, as long as they
+     * can still see the task. Mentioned users are left out; they already get
+     * a mention notification for the same comment.
+     *
+     * @param Comment $comment
+     * @param array<int> $mentionedIds
+     * @return void
+     */
+    public function notifyComment(Comment $comment, array $mentionedIds = []): void
+    {
+        $task = $comment->task;
+
+        $userIds = $task->comments()
+            ->whereKeyNot($comment->id)
+            ->pluck('user_id')
+            ->push($task->assigned_to)
+            ->filter()
+            ->unique()
+            ->reject(fn (int $id) => $id === $comment->user_id || in_array($id, $mentionedIds, true));
+
+        $recipients = User::whereKey($userIds->all())
+            ->get()
+            ->filter(fn (User $user) => $user->can('view', $task));
+
+        if ($recipients->isNotEmpty()) {
+            Notification::send($recipients, new TaskCommented($comment));
+        }
+    }
+
+    /**
+     * Notify about unfinished tasks whose due date has passed
+     *
+     * Meant to run once a day, shortly after midnight. Tasks that were
+     * already reported for the same due date are skipped, so running it
+     * again does no harm, and tasks missed by a failed run are picked up
+     * by the next one.
+     *
+     * @return int Number of notifications sent
+     */
+    public function notifyOverdueTasks(): int
+    {
+        // Tasks due today are not late until the day is over
+        $tasks = Task::overdue()
+            ->whereDate('due_date', '<', today())
+            ->whereHas('project')
+            ->with(['assignedUser', 'project.user'])
+            ->get();
+
+        $sent = 0;
+
+        foreach ($tasks as $task) {
+            $recipient = $task->assignedUser ?? $task->project->user;
+
+            if (!$recipient) {
+                continue;
+            }
+
+            $alreadySent = $recipient->notifications()
+                ->where('type', TaskOverdue::class)
+                ->where('data->task_id', $task->id)
+                ->where('data->due_date', $task->due_date->toDateString())
+                ->exists();
+
+            if (!$alreadySent) {
+                $recipient->notify(new TaskOverdue($task));
+                $sent++;
+            }
+        }
+
+        return $sent;
+    }
+}
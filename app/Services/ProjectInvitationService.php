@@ -0,0 +1,194 @@
+<?php
+
+namespace App\Services;
+
+use App\Enums\ProjectRole;
+use App\Models\Project;
+use App\Models\ProjectInvitation;
+use App\Models\User;
+use App\Notifications\InvitedToProject;
+use Illuminate\Auth\Access\AuthorizationException;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Notification;
+use Illuminate\Support\Str;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Project Invitation Service
+ *
+ * Handles inviting people to a project by email. Invitees may not have
+ * an account yet; they accept through a signed link, signing up or
+ * logging in first if needed.
+ */
+class ProjectInvitationService
+{
+    /**
+     * Number of days an invitation link stays valid
+     */
+    public const EXPIRES_IN_DAYS = 7;
+
+    public function __construct(
+        private ProjectMemberService $memberService
+    ) {
+    }
+
+    /**
+     * Get a project's invitations that have not been accepted, newest first
+     *
+     * @param Project $project
+     * @return Collection
+     */
+    public function getPendingInvitations(Project $project): Collection
+    {
+        return ProjectInvitation::where('project_id', $project->id)
+            ->pending()
+            ->with('inviter:id,name')
+            ->latest()
+            ->get();
+    }
+
+    /**
+     * Invite an email address to a project and send the invitation
+     *
+     * @param Project $project
+     * @param User $inviter
+     * @param string $email
+     * @param ProjectRole $role
+     * @return ProjectInvitation
+     * @throws ValidationException
+     */
+    public function invite(Project $project, User $inviter, string $email, ProjectRole $role): ProjectInvitation
+    {
+        $email = Str::lower($email);
+
+        if ($project->members()->where('users.email', $email)->exists()) {
+            throw ValidationException::withMessages([
+                'email' => 'This person is already a member of this project.',
+            ]);
+        }
+
+        if (ProjectInvitation::where('project_id', $project->id)->pending()->where('email', $email)->exists()) {
+            throw ValidationException::withMessages([
+                'email' => 'This address has already been invited. You can resend the invitation instead.',
+            ]);
+        }
+
+        $invitation = ProjectInvitation::create([
+            'project_id' => $project->id,
+            'invited_by' => $inviter->id,
+            'email' => $email,
+            'role' => $role,
+            'token' => Str::random(64),
+            'expires_at' => now()->addDays(self::EXPIRES_IN_DAYS),
+        ]);
+
+        $this->send($invitation);
+
+        return $invitation;
+    }
+
+    /**
+     * Send an invitation again with a fresh link and expiry
+     *
+     * Links from earlier emails stop working.
+     *
+     * @param ProjectInvitation $invitation
+     * @return ProjectInvitation
+     */
+    public function resend(ProjectInvitation $invitation): ProjectInvitation
+    {
+        $invitation->update([
+            'token' => Str::random(64),
+            'expires_at' => now()->addDays(self::EXPIRES_IN_DAYS),
+        ]);
+
+        $this->send($invitation);
+
+        return $invitation;
+    }
+
+    /**
+     * Revoke an invitation, so its link stops working
+     *
+     * @param ProjectInvitation $invitation
+     * @return bool
+     */
+    public function revoke(ProjectInvitation $invitation): bool
+    {
+        return $invitation->delete();
+    }
+
+    /**
+     * Find an invitation by its token, if it can still be accepted
+     *
+     * @param string|null $token
+     * @return ProjectInvitation|null
+     */
+    public function findAcceptable(?string $token): ?ProjectInvitation
+    {
+        if (!$token) {
+            return null;
+        }
+
+        $invitation = ProjectInvitation::with('project')->where('token', $token)->first();
+
+        return $invitation?->isAcceptable() && $invitation->project ? $invitation : null;
+    }
+
+    /**
+     * Accept an invitation on behalf of a user
+     *
+     * Users who are already members keep their current role. Only the
+     * account with the invited email address can accept, so a forwarded
+     * link does not let someone else join.
+     *
+     * @param ProjectInvitation $invitation
+     * @param User $user
+     * @return Project
+     * @throws AuthorizationException When the user is not the one invited
+     */
+    public function accept(ProjectInvitation $invitation, User $user): Project
+    {
+        if (!$invitation->isFor($user)) {
+            throw new AuthorizationException(
+                "This invitation was sent to {$invitation->email}. Sign in with that address to accept it."
+            );
+        }
+
+        $project = $invitation->project;
+
+        DB::transaction(function () use ($invitation, $project, $user) {
+            if ($project->roleOf($user) === null) {
+                $this->memberService->addMember($project, $user, $invitation->role);
+            }
+
+            $invitation->update(['accepted_at' => now()]);
+        });
+
+        return $project;
+    }
+
+    /**
+     * Accept the invitation a guest opened before signing up or logging in
+     *
+     * @param string|null $token
+     * @param User $user
+     * @return Project|null
+     * @throws AuthorizationException When the user is not the one invited
+     */
+    public function acceptPending(?string $token, User $user): ?Project
+    {
+        $invitation = $this->findAcceptable($token);
+
+        return $invitation ? $this->accept($invitation, $user) : null;
+    }
+
+    /**
+     * Email the invitation link
+     */
+    private function send(ProjectInvitation $invitation): void
+    {
+        Notification::route('mail', $invitation->email)->notify(new InvitedToProject($invitation));
+    }
+}
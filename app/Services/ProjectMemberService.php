@@ -0,0 +1,119 @@
+<?php
+
+namespace App\Services;
+
+use App\Enums\ProjectRole;
+use App\Models\ChecklistItem;
+use App\Models\Project;
+use App\Models\User;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Project Member Service
+ *
+ * Handles business logic for project membership and roles.
+ * The user who created a project is always one of its owners.
+ */
+class ProjectMemberService
+{
+    public function __construct(
+        private StatsCache $statsCache
+    ) {}
+
+    /**
+     * Get a project's members, owners first
+     *
+     * @param Project $project
+     * @return Collection
+     */
+    public function getMembers(Project $project): Collection
+    {
+        $order = array_flip(ProjectRole::values());
+
+        return $project->members()
+            ->orderBy('users.name')
+            ->get()
+            ->sortBy(fn (User $member) => $order[$member->pivot->role->value])
+            ->values();
+    }
+
+    /**
+     * Add a user to a project
+     *
+     * @param Project $project
+     * @param User $user
+     * @param ProjectRole $role
+     * @return void
+     * @throws ValidationException
+     */
+    public function addMember(Project $project, User $user, ProjectRole $role): void
+    {
+        if ($project->members()->whereKey($user->id)->exists()) {
+            throw ValidationException::withMessages([
+                'email' => "{$user->name} is already a member of this project.",
+            ]);
+        }
+
+        $project->members()->attach($user->id, ['role' => $role]);
+        $project->forgetMemberRoles();
+
+        // The project's tasks now count in the new member's dashboard
+        $this->statsCache->flush([$user->id]);
+    }
+
+    /**
+     * Change a member's role
+     *
+     * @param Project $project
+     * @param User $user
+     * @param ProjectRole $role
+     * @return void
+     * @throws ValidationException
+     */
+    public function updateRole(Project $project, User $user, ProjectRole $role): void
+    {
+        if ($user->id === $project->user_id && $role !== ProjectRole::OWNER) {
+            throw ValidationException::withMessages([
+                'role' => 'The project creator is always an owner.',
+            ]);
+        }
+
+        $project->members()->updateExistingPivot($user->id, ['role' => $role]);
+        $project->forgetMemberRoles();
+    }
+
+    /**
+     * Remove a member from a project
+     *
+     * Their tasks and checklist items in the project become unassigned.
+     *
+     * @param Project $project
+     * @param User $user
+     * @return void
+     * @throws ValidationException
+     */
+    public function removeMember(Project $project, User $user): void
+    {
+        if ($user->id === $project->user_id) {
+            throw ValidationException::withMessages([
+                'member' => 'The project creator cannot be removed.',
+            ]);
+        }
+
+        DB::transaction(function () use ($project, $user) {
+            // Update models one by one so the reassignment shows in the activity history
+            $project->tasks()->where('assigned_to', $user->id)->get()->each->update(['assigned_to' => null]);
+
+            ChecklistItem::where('assigned_to', $user->id)
+                ->whereHas('task', fn ($query) => $query->where('project_id', $project->id))
+                ->update(['assigned_to' => null]);
+
+            $project->members()->detach($user->id);
+        });
+
+        $project->forgetMemberRoles();
+        $this->statsCache->flush([$user->id]);
+    }
+}
@@ -2,10 +2,15 @@
 
 namespace App\Services;
 
+use App\Enums\ProjectStatus;
+use App\Enums\TaskStatus;
+use App\Models\ChecklistItem;
 use App\Models\Project;
+use App\Models\Task;
 use App\Models\User;
 use Illuminate\Contracts\Pagination\LengthAwarePaginator;
 use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Support\Facades\DB;
 
 /**
  * Project Service
@@ -22,33 +27,65 @@
  */
 class ProjectService
 {
+    public function __construct(
+        private StatsCache $statsCache
+    ) {}
+
     /**
-     * Get paginated projects for a user
+     * Get paginated projects a user is a member of
+     *
+     * Filters follow FilterProjectsRequest: a status, and a search term
+     * matched against the name and description like searchProjects().
      *
      * @param User $user
      * @param int $perPage
+     * @param array $filters
      * @return LengthAwarePaginator
      */
-    public function getUserProjects(User $user, int $perPage = 15): LengthAwarePaginator
+    public function getUserProjects(User $user, int $perPage = 15, array $filters = []): LengthAwarePaginator
+    {
+        return Project::accessibleBy($user)
+            ->when($filters['status'] ?? null, fn ($query, $status) => $query->where('status', $status))
+            ->when($filters['search'] ?? null, fn ($query, $search) => $query->search($search))
+            ->with(['tasks' => function ($query) {
+                $query->latest()->limit(5);
+            }])
+            ->withCount('tasks')
+            ->latest()
+            ->paginate($perPage)
+            ->withQueryString();
+    }
+
+    /**
+     * Get the latest projects for the dashboard
+     *
+     * @param User $user
+     * @param array $projectIds Only these projects, when given
+     * @param int $limit
+     * @return Collection
+     */
+    public function getRecentProjects(User $user, array $projectIds = [], int $limit = 5): Collection
     {
-        return Project::where('user_id', $user->id)
+        return Project::accessibleBy($user)
+            ->when($projectIds, fn ($query) => $query->whereKey($projectIds))
             ->with(['tasks' => function ($query) {
                 $query->latest()->limit(5);
             }])
             ->withCount('tasks')
             ->latest()
-            ->paginate($perPage);
+            ->limit($limit)
+            ->get();
     }
 
     /**
-     * Get all active projects for a user
+     * Get all active projects a user is a member of
      *
      * @param User $user
      * @return Collection
      */
     public function getActiveProjects(User $user): Collection
     {
-        return Project::where('user_id', $user->id)
+        return Project::accessibleBy($user)
             ->active()
             ->with('tasks')
             ->withCount('tasks')
@@ -56,6 +93,39 @@ public function getActiveProjects(User $user): Collection
             ->get();
     }
 
+    /**
+     * Get the projects a user can see for the timeline, with their dated tasks
+     *
+     * Archived projects are left out. Tasks without a due date cannot be
+     * placed on the timeline, so only tasks with one are loaded, together
+     * with the ids of their blockers for the dependency arrows.
+     *
+     * @param User $user
+     * @return Collection
+     */
+    public function getTimelineProjects(User $user): Collection
+    {
+        return Project::accessibleBy($user)
+            ->where('status', '!=', ProjectStatus::ARCHIVED)
+            ->with(['tasks' => function ($query) {
+                $query->whereNotNull('due_date')
+                    ->with('blockers:tasks.id')
+                    ->orderBy('due_date')
+                    ->orderBy('id');
+            }])
+            ->withCount([
+                'tasks',
+                'tasks as completed_tasks_count' => function ($query) {
+                    $query->where('status', TaskStatus::COMPLETED);
+                },
+            ])
+            // Projects without dates go last
+            ->orderByRaw('COALESCE(start_date, end_date) IS NULL')
+            ->orderByRaw('COALESCE(start_date, end_date)')
+            ->orderBy('name')
+            ->get();
+    }
+
     /**
      * Create a new project
      *
@@ -87,15 +157,72 @@ public function updateProject(Project $project, array $data): Project
     }
 
     /**
-     * Delete a project and all its tasks
+     * Move a project and all its tasks to the trash
+     *
+     * The tasks share the project's deleted_at timestamp, so restoring the
+     * project brings back exactly the tasks that were trashed with it.
      *
      * @param Project $project
      * @return bool
      */
     public function deleteProject(Project $project): bool
     {
-        // Tasks will be automatically deleted due to cascade on delete
-        return $project->delete();
+        return DB::transaction(function () use ($project) {
+            $project->delete();
+
+            Task::where('project_id', $project->id)
+                ->update(['deleted_at' => $project->deleted_at]);
+
+            return true;
+        });
+    }
+
+    /**
+     * Restore a project from the trash, with the tasks trashed along with it
+     *
+     * @param Project $project
+     * @return Project
+     */
+    public function restoreProject(Project $project): Project
+    {
+        DB::transaction(function () use ($project) {
+            Task::onlyTrashed()
+                ->where('project_id', $project->id)
+                ->where('deleted_at', $project->deleted_at)
+                ->restore();
+
+            $project->restore();
+        });
+
+        return $project->fresh();
+    }
+
+    /**
+     * Permanently delete a project
+     *
+     * Its tasks are permanently deleted by the database cascade.
+     *
+     * @param Project $project
+     * @return bool
+     */
+    public function forceDeleteProject(Project $project): bool
+    {
+        return $project->forceDelete();
+    }
+
+    /**
+     * Get trashed projects the user owns, most recently deleted first
+     *
+     * @param User $user
+     * @return Collection
+     */
+    public function getTrashedProjects(User $user): Collection
+    {
+        return Project::onlyTrashed()
+            ->managedBy($user)
+            ->withCount(['tasks' => fn ($query) => $query->withTrashed()])
+            ->latest('deleted_at')
+            ->get();
     }
 
     /**
@@ -109,7 +236,7 @@ public function getProjectDetails(Project $project): Project
         return $project->load([
             'user',
             'tasks' => function ($query) {
-                $query->with('assignedUser')->latest();
+                $query->with('assignedUser')->withChecklistCounts()->withBlockedState()->latest();
             }
         ])->loadCount([
             'tasks',
@@ -128,10 +255,15 @@ public function getProjectDetails(Project $project): Project
     /**
      * Get project statistics
      *
+     * By default completion_rate is the share of completed tasks. With
+     * $countChecklists, unfinished tasks that have a checklist count
+     * partially, e.g. a task with 3 of 4 items checked counts as 0.75.
+     *
      * @param Project $project
+     * @param bool $countChecklists
      * @return array
      */
-    public function getProjectStats(Project $project): array
+    public function getProjectStats(Project $project, bool $countChecklists = false): array
     {
         $totalTasks = $project->tasks()->count();
         $completedTasks = $project->tasks()->completed()->count();
@@ -139,33 +271,116 @@ public function getProjectStats(Project $project): array
         $inProgressTasks = $project->tasks()->inProgress()->count();
         $overdueTasks = $project->tasks()->overdue()->count();
 
+        $checklistItems = ChecklistItem::whereHas('task', fn ($query) => $query->where('project_id', $project->id));
+        $totalItems = (clone $checklistItems)->count();
+        $completedItems = (clone $checklistItems)->completed()->count();
+
+        $done = $completedTasks;
+
+        if ($countChecklists) {
+            $done += $project->tasks()
+                ->where('status', '!=', TaskStatus::COMPLETED)
+                ->whereHas('checklistItems')
+                ->withChecklistCounts()
+                ->get()
+                ->sum(fn ($task) => $task->completed_checklist_items_count / $task->checklist_items_count);
+        }
+
         return [
             'total_tasks' => $totalTasks,
             'completed_tasks' => $completedTasks,
             'pending_tasks' => $pendingTasks,
             'in_progress_tasks' => $inProgressTasks,
             'overdue_tasks' => $overdueTasks,
-            'completion_rate' => $totalTasks > 0 ? round(($completedTasks / $totalTasks) * 100, 2) : 0,
+            'checklist_items' => $totalItems,
+            'completed_checklist_items' => $completedItems,
+            'completion_rate' => $totalTasks > 0 ? round(($done / $totalTasks) * 100, 2) : 0,
         ];
     }
 
+    /**
+     * Get project counts by status for a user
+     *
+     * Computed in a single query and cached until one of the user's projects changes.
+     *
+     * @param User $user
+     * @param array $projectIds Only these projects, when given
+     * @return array
+     */
+    public function getUserProjectStats(User $user, array $projectIds = []): array
+    {
+        return $this->statsCache->remember($user, 'projects', $projectIds, function () use ($user, $projectIds) {
+            $countWhere = fn (string $condition) => "COALESCE(SUM(CASE WHEN {$condition} THEN 1 ELSE 0 END), 0)";
+
+            $row = Project::accessibleBy($user)
+                ->when($projectIds, fn ($query) => $query->whereKey($projectIds))
+                ->toBase()
+                ->selectRaw('COUNT(*) as total')
+                ->selectRaw($countWhere('projects.status = ?').' as active', [ProjectStatus::ACTIVE->value])
+                ->selectRaw($countWhere('projects.status = ?').' as completed', [ProjectStatus::COMPLETED->value])
+                ->first();
+
+            return array_map('intval', (array) $row);
+        });
+    }
+
+    /**
+     * Get task completion of the user's busiest projects
+     *
+     * Projects without tasks are left out, the rest are ordered by task count.
+     * With a period only tasks that were open during it are counted.
+     *
+     * @param User $user
+     * @param array $filters Dashboard filters, see FilterDashboardRequest::filters()
+     * @param int $limit
+     * @return array
+     */
+    public function getProjectCompletion(User $user, array $filters = [], int $limit = 8): array
+    {
+        $inPeriod = fn ($query) => $query->when(
+            isset($filters['from'], $filters['to']),
+            fn ($q) => $q->openDuring($filters['from'], $filters['to'])
+        );
+
+        return Project::accessibleBy($user)
+            ->when($filters['project_ids'] ?? [], fn ($query, $ids) => $query->whereKey($ids))
+            ->whereHas('tasks', $inPeriod)
+            ->withCount([
+                'tasks' => $inPeriod,
+                'tasks as completed_tasks_count' => function ($query) use ($inPeriod) {
+                    $inPeriod($query->completed());
+                },
+            ])
+            ->orderByDesc('tasks_count')
+            ->orderBy('name')
+            ->limit($limit)
+            ->get()
+            ->map(fn (Project $project) => [
+                'id' => $project->id,
+                'name' => $project->name,
+                'total' => $project->tasks_count,
+                'completed' => $project->completed_tasks_count,
+                'open' => $project->tasks_count - $project->completed_tasks_count,
+                'completion_rate' => (int) round(($project->completed_tasks_count / $project->tasks_count) * 100),
+            ])
+            ->all();
+    }
+
     /**
      * Search projects by name or description
      *
      * @param User $user
      * @param string $query
+     * @param int|null $limit
      * @return Collection
      */
-    public function searchProjects(User $user, string $query): Collection
+    public function searchProjects(User $user, string $query, ?int $limit = null): Collection
     {
-        return Project::where('user_id', $user->id)
-            ->where(function ($q) use ($query) {
-                $q->where('name', 'like', "%{$query}%")
-                    ->orWhere('description', 'like', "%{$query}%");
-            })
-            ->with('tasks')
+        return Project::accessibleBy($user)
+            ->search($query)
             ->withCount('tasks')
             ->latest()
+            ->when($limit, fn ($q) => $q->limit($limit))
             ->get();
     }
 
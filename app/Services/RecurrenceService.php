@@ -0,0 +1,157 @@
+<?php
+
+namespace App\Services;
+
+use App\Enums\RecurrenceFrequency;
+use Carbon\CarbonInterface;
+use Illuminate\Support\Carbon;
+
+/**
+ * Recurrence Service
+ *
+ * Works out recurrence rules for repeating tasks: when the next instance
+ * is due, whether the series has ended, and how to describe a rule.
+ *
+ * A rule is a plain array stored on the task:
+ * - frequency: daily, weekly, monthly or interval
+ * - weekdays: ISO weekdays (1 = Monday ... 7 = Sunday), for weekly
+ * - month_day: day of the month (1-31), for monthly
+ * - interval: number of days, for interval
+ * - ends_on: optional last possible due date
+ * - count: optional total number of instances
+ */
+class RecurrenceService
+{
+    /**
+     * Short weekday names by ISO number
+     */
+    private const WEEKDAYS = [1 => 'Mon', 2 => 'Tue', 3 => 'Wed', 4 => 'Thu', 5 => 'Fri', 6 => 'Sat', 7 => 'Sun'];
+
+    /**
+     * Keep only the keys that matter for the rule's frequency
+     *
+     * @param array|null $rule
+     * @return array|null
+     */
+    public function normalize(?array $rule): ?array
+    {
+        if (empty($rule['frequency'])) {
+            return null;
+        }
+
+        $frequency = RecurrenceFrequency::from($rule['frequency']);
+        $weekdays = array_map('intval', $rule['weekdays'] ?? []);
+        sort($weekdays);
+
+        return array_filter([
+            'frequency' => $frequency->value,
+            'weekdays' => $frequency === RecurrenceFrequency::WEEKLY ? array_values(array_unique($weekdays)) : null,
+            'month_day' => $frequency === RecurrenceFrequency::MONTHLY ? (int) $rule['month_day'] : null,
+            'interval' => $frequency === RecurrenceFrequency::INTERVAL ? (int) $rule['interval'] : null,
+            'ends_on' => !empty($rule['ends_on']) ? Carbon::parse($rule['ends_on'])->toDateString() : null,
+            'count' => !empty($rule['count']) ? (int) $rule['count'] : null,
+        ], fn ($value) => $value !== null);
+    }
+
+    /**
+     * Get the first due date after the given date
+     *
+     * @param array $rule
+     * @param CarbonInterface $after
+     * @return Carbon
+     */
+    public function nextDueDate(array $rule, CarbonInterface $after): Carbon
+    {
+        $after = Carbon::instance($after)->startOfDay();
+
+        return match (RecurrenceFrequency::from($rule['frequency'])) {
+            RecurrenceFrequency::DAILY => $after->addDay(),
+            RecurrenceFrequency::INTERVAL => $after->addDays(max(1, (int) $rule['interval'])),
+            RecurrenceFrequency::WEEKLY => $this->nextWeekday($after, $rule['weekdays'] ?? []),
+            RecurrenceFrequency::MONTHLY => $this->nextMonthDay($after, (int) $rule['month_day']),
+        };
+    }
+
+    /**
+     * Check whether an instance with this due date and number falls outside the series
+     *
+     * @param array $rule
+     * @param CarbonInterface $dueDate
+     * @param int $occurrence
+     * @return bool
+     */
+    public function hasEnded(array $rule, CarbonInterface $dueDate, int $occurrence): bool
+    {
+        if (!empty($rule['count']) && $occurrence > $rule['count']) {
+            return true;
+        }
+
+        return !empty($rule['ends_on']) && $dueDate->gt(Carbon::parse($rule['ends_on'])->endOfDay());
+    }
+
+    /**
+     * Describe a rule for display, e.g. "Every week on Mon, Thu, 10 times"
+     *
+     * @param array $rule
+     * @return string
+     */
+    public function describe(array $rule): string
+    {
+        $text = match (RecurrenceFrequency::from($rule['frequency'])) {
+            RecurrenceFrequency::DAILY => 'Every day',
+            RecurrenceFrequency::WEEKLY => 'Every week on '.implode(', ', array_map(
+                fn ($day) => self::WEEKDAYS[$day] ?? $day,
+                $rule['weekdays'] ?? []
+            )),
+            RecurrenceFrequency::MONTHLY => "Every month on day {$rule['month_day']}",
+            RecurrenceFrequency::INTERVAL => "Every {$rule['interval']} days",
+        };
+
+        if (!empty($rule['ends_on'])) {
+            $text .= ', until '.Carbon::parse($rule['ends_on'])->format('M j, Y');
+        } elseif (!empty($rule['count'])) {
+            $text .= ", {$rule['count']} times";
+        }
+
+        return $text;
+    }
+
+    /**
+     * First date after $after that falls on one of the weekdays
+     */
+    private function nextWeekday(Carbon $after, array $weekdays): Carbon
+    {
+        // Without weekdays, repeat on the same weekday
+        $weekdays = $weekdays ?: [$after->dayOfWeekIso];
+
+        for ($days = 1; $days <= 7; $days++) {
+            $date = $after->copy()->addDays($days);
+
+            if (in_array($date->dayOfWeekIso, $weekdays)) {
+                return $date;
+            }
+        }
+
+        return $after->addWeek();
+    }
+
+    /**
+     * First date after $after on the given day of the month
+     *
+     * Months that are too short use their last day, so day 31 works all year.
+     */
+    private function nextMonthDay(Carbon $after, int $day): Carbon
+    {
+        $month = $after->copy()->startOfMonth();
+
+        while (true) {
+            $date = $month->copy()->day(min($day, $month->daysInMonth));
+
+            if ($date->gt($after)) {
+                return $date;
+            }
+
+            $month->addMonthNoOverflow();
+        }
+    }
+}
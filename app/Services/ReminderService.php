@@ -0,0 +1,121 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Notifications\DailyDigest;
+use App\Notifications\TaskDueReminder;
+use Illuminate\Database\Eloquent\Collection;
+
+/**
+ * Reminder Service
+ *
+ * Sends the reminder emails users opt into on their profile page: the
+ * morning digest and the "due in N hours" reminder. A task is due at the
+ * start of its due date, the same moment it starts counting as overdue.
+ */
+class ReminderService
+{
+    /**
+     * Get the tasks that belong in a user's digest
+     *
+     * Unfinished tasks assigned to the user or in projects they own, split
+     * into overdue and due within the next week.
+     *
+     * @param User $user
+     * @return array{overdue: Collection, due_soon: Collection}
+     */
+    public function getDigestTasks(User $user): array
+    {
+        $query = fn () => Task::query()
+            ->where(fn ($q) => $q->where('assigned_to', $user->id)
+                ->orWhereIn('project_id', Project::managedBy($user)->select('id')))
+            ->whereHas('project')
+            ->with('project')
+            ->orderBy('due_date')
+            ->orderBy('id');
+
+        return [
+            'overdue' => $query()->overdue()->get(),
+            'due_soon' => $query()->dueSoon()->get(),
+        ];
+    }
+
+    /**
+     * Email the digest to every user who wants it
+     *
+     * Users with nothing overdue or due soon get no email.
+     *
+     * @return int Number of digests sent
+     */
+    public function sendDailyDigests(): int
+    {
+        $sent = 0;
+
+        User::where('daily_digest', true)->each(function (User $user) use (&$sent) {
+            ['overdue' => $overdue, 'due_soon' => $dueSoon] = $this->getDigestTasks($user);
+
+            if ($overdue->isEmpty() && $dueSoon->isEmpty()) {
+                return;
+            }
+
+            $user->notify(new DailyDigest($overdue, $dueSoon));
+            $sent++;
+        });
+
+        return $sent;
+    }
+
+    /**
+     * Email reminders for tasks coming due
+     *
+     * Goes to the assignee, or the project creator for unassigned tasks,
+     * once they are within the recipient's reminder window. Each task is
+     * reminded about once per due date, so the command can run hourly and
+     * a rescheduled task is reminded about again.
+     *
+     * @return int Number of reminders sent
+     */
+    public function sendDueReminders(): int
+    {
+        $longestWindow = max(User::REMINDER_HOURS);
+
+        $tasks = Task::where('due_date', '>', now())
+            ->where('due_date', '<=', now()->addHours($longestWindow))
+            ->where(fn ($q) => $q->whereNull('reminder_sent_for')
+                ->orWhereColumn('reminder_sent_for', '!=', 'due_date'))
+            ->unfinished()
+            ->whereHas('project')
+            ->with(['assignedUser', 'project.user'])
+            ->get();
+
+        return $tasks
+            ->filter(fn (Task $task) => $this->sendDueReminder($task))
+            ->count();
+    }
+
+    /**
+     * Remind the task's recipient if its due date is inside their window
+     *
+     * @param Task $task
+     * @return bool Whether a reminder was sent
+     */
+    private function sendDueReminder(Task $task): bool
+    {
+        $recipient = $task->assignedUser ?? $task->project->user;
+        $hours = $recipient?->due_reminder_hours;
+
+        if (!$hours || $task->due_date->copy()->subHours($hours)->isFuture()) {
+            return false;
+        }
+
+        $recipient->notify(new TaskDueReminder($task));
+
+        // A plain query, so neither the activity log nor updated_at see it
+        Task::whereKey($task->id)->toBase()->update(['reminder_sent_for' => $task->due_date]);
+
+        return true;
+    }
+}
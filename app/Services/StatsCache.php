@@ -0,0 +1,111 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Project;
+use App\Models\ProjectMember;
+use App\Models\User;
+use Closure;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Str;
+
+/**
+ * Stats Cache
+ *
+ * Caches dashboard statistics per user. Every user has a cache version that
+ * is replaced whenever a task or project they can see changes, so stale
+ * entries are never read again and simply expire.
+ */
+class StatsCache
+{
+    /**
+     * How long, in seconds, statistics are kept
+     */
+    public const TTL = 600;
+
+    /**
+     * Get statistics from the cache, or compute and store them
+     *
+     * @param User $user
+     * @param string $name Which statistics, e.g. "tasks"
+     * @param array $filters Dashboard filters the statistics depend on
+     * @param Closure $callback Computes the statistics
+     * @return array
+     */
+    public function remember(User $user, string $name, array $filters, Closure $callback): array
+    {
+        $key = implode(':', ['stats', $user->id, $this->version($user->id), $name, $this->hashFilters($filters)]);
+
+        return Cache::remember($key, self::TTL, $callback);
+    }
+
+    /**
+     * Drop the cached statistics of some users
+     *
+     * @param iterable<int|null> $userIds
+     * @return void
+     */
+    public function flush(iterable $userIds): void
+    {
+        foreach (collect($userIds)->filter()->unique() as $userId) {
+            Cache::forever($this->versionKey($userId), Str::random(16));
+        }
+    }
+
+    /**
+     * Drop the cached statistics of everyone in some projects
+     *
+     * @param array<int|null> $projectIds
+     * @param array<int|null> $userIds Other users to flush, e.g. assignees
+     * @return void
+     */
+    public function flushProjects(array $projectIds, array $userIds = []): void
+    {
+        $projectIds = array_values(array_unique(array_filter($projectIds)));
+
+        $this->flush(
+            ProjectMember::whereIn('project_id', $projectIds)->pluck('user_id')
+                // Creators count as owners even without a member row
+                ->merge(Project::withTrashed()->whereKey($projectIds)->pluck('user_id'))
+                ->merge($userIds)
+        );
+    }
+
+    /**
+     * Get the current cache version of a user
+     *
+     * @param int $userId
+     * @return string
+     */
+    private function version(int $userId): string
+    {
+        return Cache::rememberForever($this->versionKey($userId), fn () => Str::random(16));
+    }
+
+    /**
+     * @param int $userId
+     * @return string
+     */
+    private function versionKey(int $userId): string
+    {
+        return "stats:{$userId}:version";
+    }
+
+    /**
+     * Turn the filters into a short, stable part of the cache key
+     *
+     * @param array $filters
+     * @return string
+     */
+    private function hashFilters(array $filters): string
+    {
+        ksort($filters);
+
+        $filters = array_map(
+            fn ($value) => $value instanceof \DateTimeInterface ? $value->format('Y-m-d H:i:s') : $value,
+            $filters
+        );
+
+        return md5(json_encode($filters));
+    }
+}
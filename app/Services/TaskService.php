@@ -2,12 +2,18 @@
 
 namespace App\Services;
 
+use App\Enums\TaskPriority;
 use App\Enums\TaskStatus;
 use App\Models\Project;
 use App\Models\Task;
 use App\Models\User;
 use Illuminate\Contracts\Pagination\LengthAwarePaginator;
+use Illuminate\Database\Eloquent\Builder;
 use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Validation\ValidationException;
 
 /**
  * Task Service
@@ -17,21 +23,38 @@
  */
 class TaskService
 {
+    /**
+     * Most instances one backfill run creates for a single series
+     */
+    private const MAX_BACKFILL_PER_SERIES = 366;
+
+    public function __construct(
+        private RecurrenceService $recurrenceService,
+        private StatsCache $statsCache,
+        private NotificationService $notificationService
+    ) {}
+
     /**
      * Get paginated tasks for a user
      *
+     * Filters and sorting follow FilterTasksRequest; with no filters the
+     * latest tasks come first.
+     *
      * @param User $user
      * @param int $perPage
+     * @param array $filters
      * @return LengthAwarePaginator
      */
-    public function getUserTasks(User $user, int $perPage = 15): LengthAwarePaginator
+    public function getUserTasks(User $user, int $perPage = 15, array $filters = []): LengthAwarePaginator
     {
-        return Task::whereHas('project', function ($query) use ($user) {
-            $query->where('user_id', $user->id);
-        })
+        return Task::visibleTo($user)
             ->with(['project', 'assignedUser'])
-            ->latest()
-            ->paginate($perPage);
+            ->withChecklistCounts()
+            ->withBlockedState()
+            ->filter($filters)
+            ->sort($filters['sort'] ?? null, $filters['direction'] ?? null)
+            ->paginate($perPage)
+            ->withQueryString();
     }
 
     /**
@@ -48,6 +71,65 @@ public function getAssignedTasks(User $user): Collection
             ->get();
     }
 
+    /**
+     * Get the unfinished tasks assigned to a user, grouped by when they are due
+     *
+     * Groups are always present and in this order: overdue, today, this_week
+     * (the rest of the week), later and no_date. Each is sorted by due date.
+     *
+     * @param User $user
+     * @return array<string, Collection>
+     */
+    public function getAssignedTasksByDueDate(User $user): array
+    {
+        $today = today();
+        $endOfWeek = today()->endOfWeek();
+
+        $tasks = Task::where('assigned_to', $user->id)
+            // Leave out tasks of trashed projects
+            ->whereHas('project')
+            ->unfinished()
+            ->with(['project', 'assignedUser'])
+            ->withChecklistCounts()
+            ->withBlockedState()
+            ->sort('due_date', 'asc')
+            ->get()
+            ->groupBy(fn (Task $task) => match (true) {
+                $task->due_date === null => 'no_date',
+                $task->due_date->lt($today) => 'overdue',
+                $task->due_date->isSameDay($today) => 'today',
+                $task->due_date->lte($endOfWeek) => 'this_week',
+                default => 'later',
+            });
+
+        return collect(['overdue', 'today', 'this_week', 'later', 'no_date'])
+            ->mapWithKeys(fn (string $group) => [$group => $tasks->get($group, new Collection())->values()])
+            ->all();
+    }
+
+    /**
+     * Get the tasks a user can see that are due within a period, for the calendar
+     *
+     * Finished tasks are included so past days still show what was due.
+     * Tasks on the same day are sorted by priority, highest first.
+     *
+     * @param User $user
+     * @param Carbon $from First day of the period
+     * @param Carbon $to Last day of the period
+     * @return Collection
+     */
+    public function getCalendarTasks(User $user, Carbon $from, Carbon $to): Collection
+    {
+        return Task::visibleTo($user)
+            ->whereDate('due_date', '>=', $from)
+            ->whereDate('due_date', '<=', $to)
+            ->with(['project', 'assignedUser'])
+            ->withBlockedState()
+            ->orderBy('due_date')
+            ->sort('priority', 'desc')
+            ->get();
+    }
+
     /**
      * Get tasks for a specific project
      *
@@ -62,17 +144,58 @@ public function getProjectTasks(Project $project): Collection
             ->get();
     }
 
+    /**
+     * Get tasks that can be picked as blockers, from projects the user can edit
+     *
+     * The task form narrows them down to the selected project.
+     *
+     * @param User $user
+     * @param Task|null $except The task being edited
+     * @return Collection
+     */
+    public function getBlockerCandidates(User $user, ?Task $except = null): Collection
+    {
+        return Task::whereHas('project', fn ($query) => $query->editableBy($user))
+            ->when($except, fn ($query) => $query->whereKeyNot($except->id))
+            ->select('id', 'project_id', 'title', 'status')
+            ->orderBy('title')
+            ->get();
+    }
+
     /**
      * Create a new task
      *
-     * @param array $data
+     * @param array $data Task attributes, plus optional blocked_by task ids
      * @return Task
+     * @throws ValidationException When the task would start while blocked
      */
     public function createTask(array $data): Task
     {
-        $task = Task::create($data);
+        $blockerIds = Arr::pull($data, 'blocked_by');
+        $status = TaskStatus::from($data['status'] ?? TaskStatus::PENDING->value);
+
+        if (isset($data['recurrence'])) {
+            $data['recurrence'] = $this->recurrenceService->normalize($data['recurrence']);
+        }
+
+        // New tasks go to the bottom of their board column
+        $data['position'] = $this->nextPosition($data['project_id'], $status);
+
+        $task = DB::transaction(function () use ($data, $blockerIds, $status) {
+            $task = Task::create($data);
+
+            if ($blockerIds) {
+                $this->syncBlockers($task, $blockerIds);
+                $this->ensureNotBlocked($task, $status);
+            }
+
+            return $task;
+        });
+
+        $task->load(['project', 'assignedUser']);
+        $this->notificationService->notifyAssignment($task, null);
 
-        return $task->load(['project', 'assignedUser']);
+        return $task;
     }
 
     /**
@@ -84,13 +207,84 @@ public function createTask(array $data): Task
      */
     public function updateTask(Task $task, array $data): Task
     {
-        $task->update($data);
+        $syncBlockers = array_key_exists('blocked_by', $data);
+        $blockerIds = Arr::pull($data, 'blocked_by') ?? [];
+        $previousStatus = $task->status;
+        $previousAssigneeId = $task->assigned_to;
 
-        return $task->fresh(['project', 'assignedUser']);
+        if (array_key_exists('recurrence', $data)) {
+            $data['recurrence'] = $this->recurrenceService->normalize($data['recurrence']);
+        }
+
+        // Moving a task to another column or project places it at the bottom
+        $status = isset($data['status']) ? TaskStatus::from($data['status']) : $task->status;
+        $projectId = $data['project_id'] ?? $task->project_id;
+        $movesProject = $projectId != $task->project_id;
+
+        if ($status !== $task->status || $movesProject) {
+            $data['position'] = $this->nextPosition($projectId, $status);
+        }
+
+        DB::transaction(function () use ($task, $data, $status, $movesProject, $syncBlockers, $blockerIds) {
+            // Dependencies never cross projects
+            if ($movesProject) {
+                $task->blocking()->detach();
+
+                if (!$syncBlockers) {
+                    $task->blockers()->detach();
+                }
+            }
+
+            if ($syncBlockers) {
+                $this->syncBlockers($task, $blockerIds);
+            }
+
+            if ($status !== $task->status) {
+                $this->ensureNotBlocked($task, $status);
+            }
+
+            $task->update($data);
+        });
+
+        if ($status === TaskStatus::COMPLETED && $previousStatus !== TaskStatus::COMPLETED) {
+            $this->createNextOccurrence($task);
+        }
+
+        $task = $task->fresh(['project', 'assignedUser']);
+        $this->notificationService->notifyAssignment($task, $previousAssigneeId);
+
+        return $task;
     }
 
     /**
-     * Delete a task
+     * Replace the tasks a task is blocked by
+     *
+     * @param Task $task
+     * @param array $blockerIds
+     * @return void
+     * @throws ValidationException When a dependency would create a cycle
+     */
+    public function syncBlockers(Task $task, array $blockerIds): void
+    {
+        $blockerIds = array_values(array_unique(array_map('intval', $blockerIds)));
+
+        foreach ($blockerIds as $blockerId) {
+            if ($this->dependsOn($blockerId, $task->id)) {
+                $title = Task::whereKey($blockerId)->value('title');
+
+                throw ValidationException::withMessages([
+                    'blocked_by' => $blockerId === $task->id
+                        ? 'A task cannot be blocked by itself.'
+                        : "\"{$title}\" is already waiting on this task, so it cannot block it.",
+                ]);
+            }
+        }
+
+        $task->blockers()->sync($blockerIds);
+    }
+
+    /**
+     * Move a task to the trash
      *
      * @param Task $task
      * @return bool
@@ -100,34 +294,129 @@ public function deleteTask(Task $task): bool
         return $task->delete();
     }
 
+    /**
+     * Restore a task from the trash
+     *
+     * The task goes back to the bottom of its board column, since its old
+     * place may have been taken in the meantime.
+     *
+     * @param Task $task
+     * @return Task
+     */
+    public function restoreTask(Task $task): Task
+    {
+        if (!$task->trashed()) {
+            return $task->fresh(['project', 'assignedUser']);
+        }
+
+        $task->position = $this->nextPosition($task->project_id, $task->status);
+        $task->restore();
+
+        return $task->fresh(['project', 'assignedUser']);
+    }
+
+    /**
+     * Permanently delete a task
+     *
+     * @param Task $task
+     * @return bool
+     */
+    public function forceDeleteTask(Task $task): bool
+    {
+        return $task->forceDelete();
+    }
+
+    /**
+     * Get trashed tasks the user can restore, most recently deleted first
+     *
+     * Tasks trashed together with their project are left out;
+     * they come back when the project is restored.
+     *
+     * @param User $user
+     * @return Collection
+     */
+    public function getTrashedTasks(User $user): Collection
+    {
+        return Task::onlyTrashed()
+            ->whereHas('project', fn ($query) => $query->editableBy($user))
+            ->with(['project', 'assignedUser'])
+            ->latest('deleted_at')
+            ->get();
+    }
+
     /**
      * Assign a task to a user
      *
+     * The new and the previous assignee are notified.
+     *
      * @param Task $task
      * @param User|null $user
      * @return Task
      */
     public function assignTask(Task $task, ?User $user): Task
     {
+        $previousAssigneeId = $task->assigned_to;
+
         $task->update([
             'assigned_to' => $user?->id,
         ]);
 
-        return $task->fresh(['project', 'assignedUser']);
+        $task = $task->fresh(['project', 'assignedUser']);
+        $this->notificationService->notifyAssignment($task, $previousAssigneeId);
+
+        return $task;
     }
 
     /**
      * Update task status
      *
+     * Also used by the board to move a task between columns or reorder it
+     * within one. When no position is given the task goes to the bottom
+     * of the target column.
+     *
      * @param Task $task
      * @param TaskStatus $status
+     * @param int|null $position Zero-based index within the target column
      * @return Task
      */
-    public function updateTaskStatus(Task $task, TaskStatus $status): Task
+    public function updateTaskStatus(Task $task, TaskStatus $status, ?int $position = null): Task
     {
-        $task->update([
-            'status' => $status,
-        ]);
+        $previousStatus = $task->status;
+
+        if ($status !== $previousStatus) {
+            $this->ensureNotBlocked($task, $status);
+        }
+
+        DB::transaction(function () use ($task, $status, $position) {
+            $siblings = Task::where('project_id', $task->project_id)
+                ->where('status', $status)
+                ->whereKeyNot($task->id)
+                ->ordered()
+                ->pluck('id')
+                ->all();
+
+            $position = $position === null
+                ? count($siblings)
+                : min(max($position, 0), count($siblings));
+
+            array_splice($siblings, $position, 0, [$task->id]);
+
+            // Renumber the column so positions stay contiguous
+            foreach ($siblings as $index => $id) {
+                if ($id != $task->id) {
+                    Task::whereKey($id)->update(['position' => $index]);
+                }
+            }
+
+            $task->update([
+                'status' => $status,
+                'position' => $position,
+            ]);
+        });
+
+        if ($status === TaskStatus::COMPLETED && $previousStatus !== TaskStatus::COMPLETED) {
+            $this->createNextOccurrence($task);
+        }
 
         return $task->fresh(['project', 'assignedUser']);
     }
@@ -137,28 +426,141 @@ public function updateTaskStatus(Task $task, TaskStatus $status): Task
      *
      * @param Task $task
      * @return Task
+     * @throws ValidationException When a blocker is still open
      */
     public function completeTask(Task $task): Task
     {
+        if ($task->status !== TaskStatus::COMPLETED) {
+            $this->ensureNotBlocked($task, TaskStatus::COMPLETED);
+        }
+
         $task->update([
             'status' => TaskStatus::COMPLETED,
             'completed_at' => now(),
         ]);
 
+        $this->createNextOccurrence($task);
+
         return $task->fresh(['project', 'assignedUser']);
     }
 
+    /**
+     * Generate the next instance of a recurring task
+     *
+     * The new instance copies the task's details and checklist (unchecked),
+     * with the due date moved to the next date in the rule. Calling this
+     * again returns the instance that was already generated.
+     *
+     * @param Task $task
+     * @return Task|null Null when the task does not repeat or its series has ended
+     */
+    public function createNextOccurrence(Task $task): ?Task
+    {
+        if (!$task->recurrence) {
+            return null;
+        }
+
+        $existing = $task->nextOccurrence()->withTrashed()->first();
+
+        if ($existing) {
+            return $existing;
+        }
+
+        // Tasks without a due date repeat from the day they were completed
+        $from = $task->due_date ?? $task->completed_at ?? now();
+        $dueDate = $this->recurrenceService->nextDueDate($task->recurrence, $from);
+        $occurrence = $task->occurrence + 1;
+
+        if ($this->recurrenceService->hasEnded($task->recurrence, $dueDate, $occurrence)) {
+            return null;
+        }
+
+        return DB::transaction(function () use ($task, $dueDate, $occurrence) {
+            $next = Task::create([
+                'project_id' => $task->project_id,
+                'assigned_to' => $task->assigned_to,
+                'title' => $task->title,
+                'description' => $task->description,
+                'priority' => $task->priority,
+                'status' => TaskStatus::PENDING,
+                'position' => $this->nextPosition($task->project_id, TaskStatus::PENDING),
+                'due_date' => $dueDate,
+                'recurrence' => $task->recurrence,
+                'recurrence_source_id' => $task->id,
+                'occurrence' => $occurrence,
+            ]);
+
+            $next->checklistItems()->createMany(
+                $task->checklistItems->map->only(['title', 'assigned_to', 'position'])->all()
+            );
+
+            return $next;
+        });
+    }
+
+    /**
+     * Create recurring task instances that were missed
+     *
+     * A series is behind when its latest instance is completed, or when
+     * the next due date in its rule has already arrived. Instances are
+     * generated until every series is caught up.
+     *
+     * @return int Number of instances created
+     */
+    public function backfillRecurringTasks(): int
+    {
+        $created = 0;
+
+        $latest = Task::recurring()
+            ->whereDoesntHave('nextOccurrence', fn ($query) => $query->withTrashed())
+            ->whereHas('project')
+            ->get();
+
+        foreach ($latest as $task) {
+            for ($i = 0; $i < self::MAX_BACKFILL_PER_SERIES && $this->isRecurrenceBehind($task); $i++) {
+                $task = $this->createNextOccurrence($task);
+
+                if (!$task) {
+                    break;
+                }
+
+                $created++;
+            }
+        }
+
+        return $created;
+    }
+
+    /**
+     * Get the latest tasks for the dashboard
+     *
+     * @param User $user
+     * @param array $filters Dashboard filters, see FilterDashboardRequest::filters()
+     * @param int $limit
+     * @return Collection
+     */
+    public function getRecentTasks(User $user, array $filters = [], int $limit = 10): Collection
+    {
+        return $this->dashboardTasks($user, $filters)
+            ->with(['project', 'assignedUser'])
+            ->withChecklistCounts()
+            ->withBlockedState()
+            ->latest()
+            ->orderBy('id', 'desc')
+            ->limit($limit)
+            ->get();
+    }
+
     /**
      * Get overdue tasks for a user's projects
      *
      * @param User $user
+     * @param array $filters Dashboard filters, see FilterDashboardRequest::filters()
      * @return Collection
      */
-    public function getOverdueTasks(User $user): Collection
+    public function getOverdueTasks(User $user, array $filters = []): Collection
     {
-        return Task::whereHas('project', function ($query) use ($user) {
-            $query->where('user_id', $user->id);
-        })
+        return $this->dashboardTasks($user, $filters)
             ->overdue()
             ->with(['project', 'assignedUser'])
             ->orderBy('due_date')
@@ -170,13 +572,12 @@ public function getOverdueTasks(User $user): Collection
      *
      * @param User $user
      * @param int $days
+     * @param array $filters Dashboard filters, see FilterDashboardRequest::filters()
      * @return Collection
      */
-    public function getTasksDueSoon(User $user, int $days = 7): Collection
+    public function getTasksDueSoon(User $user, int $days = 7, array $filters = []): Collection
     {
-        return Task::whereHas('project', function ($query) use ($user) {
-            $query->where('user_id', $user->id);
-        })
+        return $this->dashboardTasks($user, $filters)
             ->dueSoon($days)
             ->with(['project', 'assignedUser'])
             ->orderBy('due_date')
@@ -191,9 +592,7 @@ public function getTasksDueSoon(User $user, int $days = 7): Collection
      */
     public function getHighPriorityTasks(User $user): Collection
     {
-        return Task::whereHas('project', function ($query) use ($user) {
-            $query->where('user_id', $user->id);
-        })
+        return Task::visibleTo($user)
             ->highPriority()
             ->whereNotIn('status', [TaskStatus::COMPLETED, TaskStatus::CANCELLED])
             ->with(['project', 'assignedUser'])
@@ -204,44 +603,90 @@ public function getHighPriorityTasks(User $user): Collection
     /**
      * Get task statistics for a user
      *
+     * With a period only tasks that were open during it are counted.
+     * Computed in a single query and cached until one of the user's tasks changes.
+     *
      * @param User $user
+     * @param array $filters Dashboard filters, see FilterDashboardRequest::filters()
      * @return array
      */
-    public function getUserTaskStats(User $user): array
+    public function getUserTaskStats(User $user, array $filters = []): array
     {
-        $baseQuery = Task::whereHas('project', function ($query) use ($user) {
-            $query->where('user_id', $user->id);
+        return $this->statsCache->remember($user, 'tasks', $filters, function () use ($user, $filters) {
+            return $this->countTasks($this->dashboardTasks($user, $filters));
         });
-
-        return [
-            'total' => (clone $baseQuery)->count(),
-            'pending' => (clone $baseQuery)->pending()->count(),
-            'in_progress' => (clone $baseQuery)->inProgress()->count(),
-            'completed' => (clone $baseQuery)->completed()->count(),
-            'cancelled' => (clone $baseQuery)->where('status', TaskStatus::CANCELLED)->count(),
-            'overdue' => (clone $baseQuery)->overdue()->count(),
-            'due_soon' => (clone $baseQuery)->dueSoon()->count(),
-            'high_priority' => (clone $baseQuery)->highPriority()->count(),
-        ];
     }
 
     /**
      * Get tasks assigned to user with statistics
      *
      * @param User $user
+     * @param array $filters Dashboard filters, see FilterDashboardRequest::filters()
+     * @return array
+     */
+    public function getAssignedTaskStats(User $user, array $filters = []): array
+    {
+        return $this->statsCache->remember($user, 'assigned_tasks', $filters, function () use ($user, $filters) {
+            $stats = $this->countTasks($this->applyDashboardFilters(Task::where('assigned_to', $user->id), $filters));
+
+            return Arr::only($stats, ['total', 'pending', 'in_progress', 'completed', 'overdue']);
+        });
+    }
+
+    /**
+     * Get daily task activity for the dashboard charts
+     *
+     * One row per day of the period (the last 30 days by default) with the
+     * number of tasks created, completed, and overdue at the end of that day.
+     * Today's overdue count is taken "now", so it matches the overdue stat.
+     *
+     * @param User $user
+     * @param array $filters Dashboard filters, see FilterDashboardRequest::filters()
      * @return array
      */
-    public function getAssignedTaskStats(User $user): array
+    public function getTaskTrends(User $user, array $filters = []): array
     {
-        $baseQuery = Task::where('assigned_to', $user->id);
+        $start = Carbon::parse($filters['from'] ?? now()->subDays(29))->startOfDay();
+        $end = Carbon::parse($filters['to'] ?? now())->endOfDay();
+        $days = (int) $start->diffInDays($end) + 1;
+        $baseQuery = Task::visibleTo($user)
+            ->when($filters['project_ids'] ?? [], fn ($query, $ids) => $query->whereIn('project_id', $ids));
+
+        $created = (clone $baseQuery)
+            ->whereBetween('created_at', [$start, $end])
+            ->selectRaw('DATE(created_at) as day, COUNT(*) as aggregate')
+            ->groupBy('day')
+            ->pluck('aggregate', 'day');
+
+        $completed = (clone $baseQuery)
+            ->whereBetween('completed_at', [$start, $end])
+            ->selectRaw('DATE(completed_at) as day, COUNT(*) as aggregate')
+            ->groupBy('day')
+            ->pluck('aggregate', 'day');
 
-        return [
-            'total' => (clone $baseQuery)->count(),
-            'pending' => (clone $baseQuery)->pending()->count(),
-            'in_progress' => (clone $baseQuery)->inProgress()->count(),
-            'completed' => (clone $baseQuery)->completed()->count(),
-            'overdue' => (clone $baseQuery)->overdue()->count(),
-        ];
+        // Every task that was overdue at some point in the period
+        $dueTasks = (clone $baseQuery)
+            ->where('due_date', '<', $end->isFuture() ? now() : $end)
+            ->where('status', '!=', TaskStatus::CANCELLED)
+            ->openDuring($start, $end)
+            ->get(['created_at', 'due_date', 'completed_at']);
+
+        return collect(range(0, $days - 1))
+            ->map(function (int $offset) use ($start, $created, $completed, $dueTasks) {
+                $day = $start->copy()->addDays($offset);
+                $at = $day->isToday() ? now() : $day->copy()->endOfDay();
+
+                return [
+                    'date' => $day->toDateString(),
+                    'created' => (int) ($created[$day->toDateString()] ?? 0),
+                    'completed' => (int) ($completed[$day->toDateString()] ?? 0),
+                    'overdue' => $dueTasks->filter(fn (Task $task) => $task->created_at <= $at
+                        && $task->due_date < $at
+                        && (!$task->completed_at || $task->completed_at > $at)
+                    )->count(),
+                ];
+            })
+            ->all();
     }
 
     /**
@@ -249,19 +694,171 @@ public function getAssignedTaskStats(User $user): array
      *
      * @param User $user
      * @param string $query
+     * @param int|null $limit
      * @return Collection
      */
-    public function searchTasks(User $user, string $query): Collection
+    public function searchTasks(User $user, string $query, ?int $limit = null): Collection
     {
-        return Task::whereHas('project', function ($q) use ($user) {
-            $q->where('user_id', $user->id);
-        })
-            ->where(function ($q) use ($query) {
-                $q->where('title', 'like', "%{$query}%")
-                    ->orWhere('description', 'like', "%{$query}%");
-            })
+        return Task::visibleTo($user)
+            ->search($query)
             ->with(['project', 'assignedUser'])
             ->latest()
+            ->when($limit, fn ($q) => $q->limit($limit))
             ->get();
     }
+
+    /**
+     * Count tasks by status, overdue, due soon and high priority in one query
+     *
+     * The conditions mirror the pending(), overdue(), dueSoon() etc. scopes.
+     *
+     * @param Builder $query
+     * @return array<string, int>
+     */
+    private function countTasks(Builder $query): array
+    {
+        $finished = [TaskStatus::COMPLETED->value, TaskStatus::CANCELLED->value];
+        $countWhere = fn (string $condition) => "COALESCE(SUM(CASE WHEN {$condition} THEN 1 ELSE 0 END), 0)";
+
+        $row = $query->toBase()
+            ->selectRaw('COUNT(*) as total')
+            ->selectRaw($countWhere('tasks.status = ?').' as pending', [TaskStatus::PENDING->value])
+            ->selectRaw($countWhere('tasks.status = ?').' as in_progress', [TaskStatus::IN_PROGRESS->value])
+            ->selectRaw($countWhere('tasks.status = ?').' as completed', [TaskStatus::COMPLETED->value])
+            ->selectRaw($countWhere('tasks.status = ?').' as cancelled', [TaskStatus::CANCELLED->value])
+            ->selectRaw(
+                $countWhere('tasks.due_date < ? AND tasks.status NOT IN (?, ?)').' as overdue',
+                [now(), ...$finished]
+            )
+            ->selectRaw(
+                $countWhere('tasks.due_date BETWEEN ? AND ? AND tasks.status NOT IN (?, ?)').' as due_soon',
+                [now(), now()->addDays(7), ...$finished]
+            )
+            ->selectRaw($countWhere('tasks.priority = ?').' as high_priority', [TaskPriority::HIGH->value])
+            ->first();
+
+        return array_map('intval', (array) $row);
+    }
+
+    /**
+     * Start a dashboard query: tasks the user can see, narrowed by the dashboard filters
+     *
+     * @param User $user
+     * @param array $filters
+     * @return Builder
+     */
+    private function dashboardTasks(User $user, array $filters): Builder
+    {
+        return $this->applyDashboardFilters(Task::visibleTo($user), $filters);
+    }
+
+    /**
+     * Limit a task query to the selected projects and to tasks open during the period
+     *
+     * @param Builder $query
+     * @param array $filters
+     * @return Builder
+     */
+    private function applyDashboardFilters(Builder $query, array $filters): Builder
+    {
+        return $query
+            ->when($filters['project_ids'] ?? [], fn ($q, $ids) => $q->whereIn('project_id', $ids))
+            ->when(
+                isset($filters['from'], $filters['to']),
+                fn ($q) => $q->openDuring($filters['from'], $filters['to'])
+            );
+    }
+
+    /**
+     * Refuse to start or complete a task while one of its blockers is open
+     *
+     * The error is keyed on "status" so forms and the board can show it.
+     *
+     * @param Task $task
+     * @param TaskStatus $status
+     * @return void
+     * @throws ValidationException
+     */
+    private function ensureNotBlocked(Task $task, TaskStatus $status): void
+    {
+        if (!$status->requiresUnblocked()) {
+            return;
+        }
+
+        $blocker = $task->openBlockers()->orderBy('title')->first();
+
+        if ($blocker) {
+            throw ValidationException::withMessages([
+                'status' => "This task is blocked by \"{$blocker->title}\". Finish it before moving this task to {$status->label()}.",
+            ]);
+        }
+    }
+
+    /**
+     * Check whether a task waits on another, directly or through a chain of blockers
+     *
+     * Walks the dependency graph one level per query.
+     *
+     * @param int $taskId
+     * @param int $otherId
+     * @return bool
+     */
+    private function dependsOn(int $taskId, int $otherId): bool
+    {
+        $seen = [];
+        $frontier = [$taskId];
+
+        while ($frontier) {
+            if (in_array($otherId, $frontier, true)) {
+                return true;
+            }
+
+            $seen = array_merge($seen, $frontier);
+
+            $frontier = DB::table('task_dependencies')
+                ->whereIn('task_id', $frontier)
+                ->whereNotIn('blocked_by_id', $seen)
+                ->distinct()
+                ->pluck('blocked_by_id')
+                ->map(fn ($id) => (int) $id)
+                ->all();
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether a recurring series needs its next instance
+     *
+     * @param Task $task The latest instance in the series
+     * @return bool
+     */
+    private function isRecurrenceBehind(Task $task): bool
+    {
+        if ($task->status === TaskStatus::COMPLETED) {
+            return true;
+        }
+
+        if (!$task->due_date) {
+            return false;
+        }
+
+        return $this->recurrenceService->nextDueDate($task->recurrence, $task->due_date)->lte(today());
+    }
+
+    /**
+     * Get the next free position at the bottom of a board column
+     *
+     * @param int $projectId
+     * @param TaskStatus $status
+     * @return int
+     */
+    private function nextPosition(int $projectId, TaskStatus $status): int
+    {
+        $max = Task::where('project_id', $projectId)
+            ->where('status', $status)
+            ->max('position');
+
+        return $max === null ? 0 : (int) $max + 1;
+    }
 }
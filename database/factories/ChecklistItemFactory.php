@@ -0,0 +1,49 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\Task;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\ChecklistItem>
+ */
+class ChecklistItemFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'task_id' => Task::factory(),
+            'assigned_to' => null,
+            'title' => fake()->sentence(3),
+            'position' => 0,
+            'due_date' => null,
+            'completed_at' => null,
+        ];
+    }
+
+    /**
+     * State: Create a checked item
+     */
+    public function completed(): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'completed_at' => now(),
+        ]);
+    }
+
+    /**
+     * State: Create an item for a specific task
+     */
+    public function forTask(Task $task): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'task_id' => $task->id,
+        ]);
+    }
+}
@@ -0,0 +1,60 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\Comment;
+use App\Models\Task;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\Comment>
+ */
+class CommentFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'task_id' => Task::factory(),
+            'user_id' => User::factory(),
+            'parent_id' => null,
+            'body' => fake()->paragraph(),
+        ];
+    }
+
+    /**
+     * State: Create a comment on a specific task
+     */
+    public function forTask(Task $task): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'task_id' => $task->id,
+        ]);
+    }
+
+    /**
+     * State: Create a comment written by a specific user
+     */
+    public function by(User $user): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'user_id' => $user->id,
+        ]);
+    }
+
+    /**
+     * State: Create a reply to a comment
+     */
+    public function replyTo(Comment $comment): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'task_id' => $comment->task_id,
+            'parent_id' => $comment->id,
+        ]);
+    }
+}
@@ -0,0 +1,35 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('tasks', function (Blueprint $table) {
+            // Ordering of the task inside its status column on the board
+            $table->unsignedInteger('position')
+                ->default(0)
+                ->after('status');
+
+            // Board columns are always read as project + status, ordered by position
+            $table->index(['project_id', 'status', 'position']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('tasks', function (Blueprint $table) {
+            $table->dropIndex(['project_id', 'status', 'position']);
+            $table->dropColumn('position');
+        });
+    }
+};
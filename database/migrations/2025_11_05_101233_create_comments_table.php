@@ -0,0 +1,63 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('comments', function (Blueprint $table) {
+            $table->id();
+
+            // Foreign key to tasks table (comment belongs to task)
+            $table->foreignId('task_id')
+                ->constrained()
+                ->onDelete('cascade');
+
+            // Foreign key to users table (comment author)
+            $table->foreignId('user_id')
+                ->constrained()
+                ->onDelete('cascade');
+
+            // Parent comment for replies (only one level deep)
+            $table->foreignId('parent_id')
+                ->nullable()
+                ->constrained('comments')
+                ->onDelete('cascade');
+
+            // Markdown source, rendered when displayed
+            $table->text('body');
+
+            $table->timestamps();
+
+            $table->index(['task_id', 'parent_id']);
+        });
+
+        // Users mentioned in a comment (pivot table)
+        Schema::create('comment_mentions', function (Blueprint $table) {
+            $table->foreignId('comment_id')
+                ->constrained()
+                ->onDelete('cascade');
+
+            $table->foreignId('user_id')
+                ->constrained()
+                ->onDelete('cascade');
+
+            $table->primary(['comment_id', 'user_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('comment_mentions');
+        Schema::dropIfExists('comments');
+    }
+};
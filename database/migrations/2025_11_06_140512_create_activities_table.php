@@ -0,0 +1,50 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('activities', function (Blueprint $table) {
+            $table->id();
+
+            // Who made the change (null for console commands and jobs)
+            $table->foreignId('user_id')
+                ->nullable()
+                ->constrained()
+                ->onDelete('set null');
+
+            // The changed model (Task or Project)
+            // No foreign keys, so the history outlives deleted records
+            $table->morphs('subject');
+            $table->string('subject_name');
+
+            // Project the change belongs to, for the project timeline
+            $table->unsignedBigInteger('project_id')->nullable();
+
+            // created, updated or deleted; updates get one row per field
+            $table->string('event');
+            $table->string('field')->nullable();
+            $table->text('old_value')->nullable();
+            $table->text('new_value')->nullable();
+
+            $table->timestamp('created_at')->nullable();
+
+            $table->index(['project_id', 'created_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('activities');
+    }
+};
@@ -0,0 +1,37 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // deleted_at marks a record as in the trash
+        Schema::table('projects', function (Blueprint $table) {
+            $table->softDeletes();
+        });
+
+        Schema::table('tasks', function (Blueprint $table) {
+            $table->softDeletes();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('tasks', function (Blueprint $table) {
+            $table->dropSoftDeletes();
+        });
+
+        Schema::table('projects', function (Blueprint $table) {
+            $table->dropSoftDeletes();
+        });
+    }
+};
@@ -0,0 +1,49 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('checklist_items', function (Blueprint $table) {
+            $table->id();
+
+            // Foreign key to tasks table (item belongs to task)
+            $table->foreignId('task_id')
+                ->constrained()
+                ->onDelete('cascade');
+
+            // Foreign key to users table (item assigned to user, nullable)
+            $table->foreignId('assigned_to')
+                ->nullable()
+                ->constrained('users')
+                ->onDelete('set null');
+
+            $table->string('title');
+
+            // Order within the task's checklist
+            $table->unsignedInteger('position')->default(0);
+
+            $table->date('due_date')->nullable();
+            $table->timestamp('completed_at')->nullable();
+
+            $table->timestamps();
+
+            $table->index(['task_id', 'position']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('checklist_items');
+    }
+};
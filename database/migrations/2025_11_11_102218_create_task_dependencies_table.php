@@ -0,0 +1,40 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // "task_id is blocked by blocked_by_id" (pivot table)
+        Schema::create('task_dependencies', function (Blueprint $table) {
+            // The task that has to wait
+            $table->foreignId('task_id')
+                ->constrained()
+                ->onDelete('cascade');
+
+            // The task that has to be finished first
+            $table->foreignId('blocked_by_id')
+                ->constrained('tasks')
+                ->onDelete('cascade');
+
+            $table->primary(['task_id', 'blocked_by_id']);
+
+            // Reverse lookups ("what does this task block?")
+            $table->index('blocked_by_id');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('task_dependencies');
+    }
+};
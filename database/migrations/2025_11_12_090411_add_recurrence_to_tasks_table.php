@@ -0,0 +1,41 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('tasks', function (Blueprint $table) {
+            // Recurrence rule (frequency, weekdays, month_day, interval, ends_on, count),
+            // copied to every instance so the latest one drives the series
+            $table->json('recurrence')->nullable()->after('due_date');
+
+            // The instance this one was generated from
+            $table->foreignId('recurrence_source_id')
+                ->nullable()
+                ->after('recurrence')
+                ->constrained('tasks')
+                ->nullOnDelete();
+
+            // Position in the series, starting at 1 (used for "ends after N times")
+            $table->unsignedInteger('occurrence')->default(1)->after('recurrence_source_id');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('tasks', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('recurrence_source_id');
+            $table->dropColumn(['recurrence', 'occurrence']);
+        });
+    }
+};
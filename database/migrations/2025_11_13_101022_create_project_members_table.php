@@ -0,0 +1,50 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Users who have access to a project, and in which role (pivot table)
+        Schema::create('project_members', function (Blueprint $table) {
+            $table->id();
+
+            $table->foreignId('project_id')
+                ->constrained()
+                ->onDelete('cascade');
+
+            $table->foreignId('user_id')
+                ->constrained()
+                ->onDelete('cascade');
+
+            // owner, editor or viewer (see App\Enums\ProjectRole)
+            $table->string('role')->default('viewer');
+
+            $table->timestamps();
+
+            $table->unique(['project_id', 'user_id']);
+            $table->index('user_id');
+        });
+
+        // Existing project owners become owner members
+        DB::table('project_members')->insertUsing(
+            ['project_id', 'user_id', 'role', 'created_at', 'updated_at'],
+            DB::table('projects')->select('id', 'user_id', DB::raw("'owner'"), 'created_at', 'updated_at')
+        );
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('project_members');
+    }
+};
@@ -0,0 +1,51 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Emailed invitations to join a project, accepted through a signed link
+        Schema::create('project_invitations', function (Blueprint $table) {
+            $table->id();
+
+            $table->foreignId('project_id')
+                ->constrained()
+                ->onDelete('cascade');
+
+            // Who sent the invitation
+            $table->foreignId('invited_by')
+                ->nullable()
+                ->constrained('users')
+                ->nullOnDelete();
+
+            $table->string('email');
+
+            // Role the invitee gets on accepting (see App\Enums\ProjectRole)
+            $table->string('role')->default('viewer');
+
+            // Part of the link; replaced on resend so older links stop working
+            $table->string('token', 64)->unique();
+
+            $table->timestamp('expires_at');
+            $table->timestamp('accepted_at')->nullable();
+            $table->timestamps();
+
+            $table->index(['project_id', 'email']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('project_invitations');
+    }
+};
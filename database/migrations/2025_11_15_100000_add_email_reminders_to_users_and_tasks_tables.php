@@ -0,0 +1,49 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            // Daily email of overdue and due-soon tasks
+            $table->boolean('daily_digest')
+                ->default(true)
+                ->after('role');
+
+            // Hours before a due date to send a reminder email, null for none
+            $table->unsignedSmallInteger('due_reminder_hours')
+                ->nullable()
+                ->default(24)
+                ->after('daily_digest');
+        });
+
+        Schema::table('tasks', function (Blueprint $table) {
+            // Due date the last reminder was sent for; moving the due date
+            // makes the task due for a new reminder
+            $table->date('reminder_sent_for')
+                ->nullable()
+                ->after('due_date');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropColumn(['daily_digest', 'due_reminder_hours']);
+        });
+
+        Schema::table('tasks', function (Blueprint $table) {
+            $table->dropColumn('reminder_sent_for');
+        });
+    }
+};
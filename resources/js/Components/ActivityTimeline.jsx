@@ -0,0 +1,155 @@
+import { Link } from '@inertiajs/react';
+import { format, formatDistanceToNow } from 'date-fns';
+import {
+  ArrowRightLeft,
+  Calendar,
+  Flag,
+  FolderKanban,
+  Pencil,
+  PlusCircle,
+  RotateCcw,
+  Trash2,
+  UserPlus,
+} from 'lucide-react';
+
+const fieldNames = {
+  title: 'title',
+  name: 'name',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  assigned_to: 'assignee',
+  due_date: 'due date',
+  start_date: 'start date',
+  end_date: 'end date',
+  project_id: 'project',
+};
+
+const fieldIcons = {
+  status: ArrowRightLeft,
+  priority: Flag,
+  assigned_to: UserPlus,
+  due_date: Calendar,
+  start_date: Calendar,
+  end_date: Calendar,
+  project_id: FolderKanban,
+};
+
+const iconFor = (activity) => {
+  if (activity.event === 'created') return PlusCircle;
+  if (activity.event === 'deleted' || activity.event === 'force_deleted') return Trash2;
+  if (activity.event === 'restored') return RotateCcw;
+  return fieldIcons[activity.field] || Pencil;
+};
+
+const Value = ({ children }) => <span className="font-medium text-foreground">{children}</span>;
+
+/**
+ * Describe what an entry changed, e.g. "changed status from Pending to Completed".
+ */
+const describe = (activity) => {
+  const { event, field, old_label: from, new_label: to, subject } = activity;
+
+  if (event === 'created') return `created the ${subject.type}`;
+  if (event === 'deleted') return `moved the ${subject.type} to the trash`;
+  if (event === 'restored') return `restored the ${subject.type} from the trash`;
+  if (event === 'force_deleted') return `permanently deleted the ${subject.type}`;
+  if (field === 'description') return 'updated the description';
+
+  if (field === 'assigned_to') {
+    if (!to) return 'unassigned the task';
+    if (!from) {
+      return (
+        <>
+          assigned the task to <Value>{to}</Value>
+        </>
+      );
+    }
+    return (
+      <>
+        reassigned the task from <Value>{from}</Value> to <Value>{to}</Value>
+      </>
+    );
+  }
+
+  const name = fieldNames[field] || field;
+
+  if (!to) {
+    return (
+      <>
+        cleared the {name} (was <Value>{from}</Value>)
+      </>
+    );
+  }
+
+  if (!from) {
+    return (
+      <>
+        set the {name} to <Value>{to}</Value>
+      </>
+    );
+  }
+
+  return (
+    <>
+      changed the {name} from <Value>{from}</Value> to <Value>{to}</Value>
+    </>
+  );
+};
+
+/**
+ * ActivityTimeline Component
+ *
+ * Audit trail of a task or project, newest first.
+ *
+ * @param {Array} activities - Activity entries from ActivityResource
+ * @param {boolean} showSubject - Name the task each entry is about (for the project timeline)
+ */
+export default function ActivityTimeline({ activities = [], showSubject = false }) {
+  if (activities.length === 0) {
+    return <p className="py-4 text-center text-sm text-muted-foreground">No activity yet.</p>;
+  }
+
+  return (
+    <ol className="relative space-y-6 border-l pl-6">
+      {activities.map((activity) => {
+        const Icon = iconFor(activity);
+        const user = activity.user?.data || activity.user;
+        const { subject } = activity;
+        const linkable = subject.type === 'task' && !['deleted', 'force_deleted'].includes(activity.event);
+
+        return (
+          <li key={activity.id} className="relative">
+            <span className="absolute -left-[2.05rem] flex h-6 w-6 items-center justify-center rounded-full border bg-background">
+              <Icon className="h-3 w-3 text-muted-foreground" />
+            </span>
+
+            <p className="text-sm text-muted-foreground">
+              <span className="font-medium text-foreground">{user?.name || 'System'}</span> {describe(activity)}
+              {showSubject && subject.type === 'task' && (
+                <>
+                  {' '}
+                  on{' '}
+                  {linkable ? (
+                    <Link href={route('tasks.show', subject.id)} className="font-medium text-primary hover:underline">
+                      {subject.name}
+                    </Link>
+                  ) : (
+                    <Value>{subject.name}</Value>
+                  )}
+                </>
+              )}
+            </p>
+            <time
+              dateTime={activity.created_at}
+              title={format(new Date(activity.created_at), 'PPpp')}
+              className="text-xs text-muted-foreground"
+            >
+              {formatDistanceToNow(new Date(activity.created_at), { addSuffix: true })}
+            </time>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
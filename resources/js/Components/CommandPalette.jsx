@@ -0,0 +1,307 @@
+import { Dialog, DialogContent, DialogDescription, DialogTitle } from '@/components/ui/dialog';
+import { Spinner } from '@/components/ui/spinner';
+import { cn } from '@/lib/utils';
+import { router } from '@inertiajs/react';
+import axios from 'axios';
+import { CheckSquare, Clock, FolderKanban, LayoutDashboard, ListTodo, PlusCircle, Search } from 'lucide-react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+
+const RECENT_KEY = 'command-palette:recent';
+const MAX_RECENT = 5;
+
+const icons = {
+  project: FolderKanban,
+  task: CheckSquare,
+  dashboard: LayoutDashboard,
+  list: ListTodo,
+  create: PlusCircle,
+};
+
+const readRecent = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(RECENT_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const saveRecent = (item) => {
+  const recent = readRecent().filter((entry) => entry.key !== item.key);
+  const { key, label, description, href, icon } = item;
+
+  window.localStorage.setItem(
+    RECENT_KEY,
+    JSON.stringify([{ key, label, description, href, icon }, ...recent].slice(0, MAX_RECENT)),
+  );
+};
+
+const staticActions = () => [
+  { key: 'action-dashboard', label: 'Go to dashboard', href: route('dashboard'), icon: 'dashboard' },
+  { key: 'action-projects', label: 'Go to projects', href: route('projects.index'), icon: 'project' },
+  { key: 'action-tasks', label: 'Go to tasks', href: route('tasks.index'), icon: 'list' },
+  { key: 'action-create-project', label: 'Create project', href: route('projects.create'), icon: 'create' },
+  { key: 'action-create-task', label: 'Create task', href: route('tasks.create'), icon: 'create' },
+];
+
+/**
+ * Wrap the parts of `text` that match `query` in <mark>.
+ */
+function Highlight({ text, query }) {
+  if (!text || !query) {
+    return text;
+  }
+
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const parts = text.split(new RegExp(`(${escaped})`, 'gi'));
+
+  return parts.map((part, index) =>
+    part.toLowerCase() === query.toLowerCase() ? (
+      <mark key={index} className="rounded-sm bg-yellow-200 text-inherit dark:bg-yellow-800">
+        {part}
+      </mark>
+    ) : (
+      part
+    ),
+  );
+}
+
+/**
+ * CommandPalette Component
+ *
+ * Global search and quick actions, opened with Ctrl/Cmd+K.
+ * Searches projects and tasks through the `search` JSON endpoint and
+ * remembers recently opened items in localStorage.
+ *
+ * @param {boolean} open - Whether the palette is open
+ * @param {Function} onOpenChange - Called with the next open state
+ */
+export default function CommandPalette({ open, onOpenChange }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recent, setRecent] = useState([]);
+  const itemRefs = useRef([]);
+
+  // Toggle with Ctrl+K / Cmd+K from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        onOpenChange(!open);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [open, onOpenChange]);
+
+  useEffect(() => {
+    if (open) {
+      setRecent(readRecent());
+    } else {
+      setQuery('');
+      setResults(null);
+    }
+  }, [open]);
+
+  // Debounced search; stale requests are aborted
+  useEffect(() => {
+    const term = query.trim();
+
+    if (!open || !term) {
+      setResults(null);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => {
+      setLoading(true);
+      axios
+        .get(route('search'), { params: { q: term }, signal: controller.signal })
+        .then((response) => setResults(response.data))
+        .catch((error) => {
+          if (!axios.isCancel(error)) {
+            setResults({ projects: [], tasks: [] });
+          }
+        })
+        .finally(() => setLoading(false));
+    }, 200);
+
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [query, open]);
+
+  const term = query.trim();
+
+  const groups = useMemo(() => {
+    if (!term) {
+      return [
+        { heading: 'Recent', items: recent.map((item) => ({ ...item, recentable: true })) },
+        { heading: 'Actions', items: staticActions() },
+      ].filter((group) => group.items.length > 0);
+    }
+
+    const projects = results?.projects || [];
+    const tasks = results?.tasks || [];
+    const actions = [
+      ...staticActions().filter((action) => action.label.toLowerCase().includes(term.toLowerCase())),
+      ...projects.map((project) => ({
+        key: `action-create-task-${project.id}`,
+        label: `Create task in ${project.name}`,
+        href: route('tasks.create', { project_id: project.id }),
+        icon: 'create',
+      })),
+    ];
+
+    return [
+      { heading: 'Actions', items: actions },
+      {
+        heading: 'Projects',
+        items: projects.map((project) => ({
+          key: `project-${project.id}`,
+          label: project.name,
+          description: project.description,
+          href: route('projects.show', project.id),
+          icon: 'project',
+          recentable: true,
+        })),
+      },
+      {
+        heading: 'Tasks',
+        items: tasks.map((task) => ({
+          key: `task-${task.id}`,
+          label: task.title,
+          description: task.project?.name,
+          href: route('tasks.show', task.id),
+          icon: 'task',
+          recentable: true,
+        })),
+      },
+    ].filter((group) => group.items.length > 0);
+  }, [term, results, recent]);
+
+  const items = groups.flatMap((group) => group.items);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [groups]);
+
+  useEffect(() => {
+    itemRefs.current[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const select = (item) => {
+    if (!item) {
+      return;
+    }
+
+    if (item.recentable) {
+      saveRecent(item);
+    }
+
+    onOpenChange(false);
+    router.visit(item.href);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => (items.length ? (index + 1) % items.length : 0));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => (items.length ? (index - 1 + items.length) % items.length : 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      select(items[activeIndex]);
+    }
+  };
+
+  let flatIndex = -1;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl gap-0 overflow-hidden p-0">
+        <DialogTitle className="sr-only">Search</DialogTitle>
+        <DialogDescription className="sr-only">
+          Search projects and tasks, or run a quick action. Use the arrow keys to move and Enter to open.
+        </DialogDescription>
+
+        <div className="flex items-center gap-2 border-b px-4">
+          <Search className="h-4 w-4 shrink-0 text-muted-foreground" />
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search projects and tasks..."
+            role="combobox"
+            aria-expanded={items.length > 0}
+            aria-controls="command-palette-list"
+            aria-activedescendant={items[activeIndex] ? `command-palette-${items[activeIndex].key}` : undefined}
+            className="h-12 w-full border-0 bg-transparent px-0 text-sm outline-none focus:ring-0"
+          />
+          {loading && <Spinner className="text-muted-foreground" />}
+        </div>
+
+        <ul id="command-palette-list" role="listbox" className="max-h-80 overflow-y-auto p-2">
+          {groups.map((group) => (
+            <li key={group.heading} role="presentation">
+              <div className="px-2 py-1.5 text-xs font-medium text-muted-foreground">{group.heading}</div>
+              <ul role="group" aria-label={group.heading}>
+                {group.items.map((item) => {
+                  flatIndex += 1;
+                  const index = flatIndex;
+                  const Icon = group.heading === 'Recent' ? Clock : icons[item.icon] || Search;
+
+                  return (
+                    <li
+                      key={item.key}
+                      id={`command-palette-${item.key}`}
+                      ref={(el) => (itemRefs.current[index] = el)}
+                      role="option"
+                      aria-selected={index === activeIndex}
+                      onMouseEnter={() => setActiveIndex(index)}
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => select(item)}
+                      className={cn(
+                        'flex cursor-pointer items-center gap-3 rounded-md px-2 py-2 text-sm',
+                        index === activeIndex && 'bg-accent text-accent-foreground',
+                      )}
+                    >
+                      <Icon className="h-4 w-4 shrink-0 text-muted-foreground" />
+                      <div className="min-w-0 flex-1">
+                        <div className="truncate">
+                          <Highlight text={item.label} query={term} />
+                        </div>
+                        {item.description && (
+                          <div className="truncate text-xs text-muted-foreground">
+                            <Highlight text={item.description} query={term} />
+                          </div>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </li>
+          ))}
+
+          {term && !loading && results && items.length === 0 && (
+            <li className="py-6 text-center text-sm text-muted-foreground">No results for "{term}".</li>
+          )}
+        </ul>
+
+        <div className="flex items-center gap-4 border-t px-4 py-2 text-xs text-muted-foreground">
+          <span>↑↓ to navigate</span>
+          <span>↵ to open</span>
+          <span>Esc to close</span>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
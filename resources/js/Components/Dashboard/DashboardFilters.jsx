@@ -0,0 +1,155 @@
+import InputError from '@/Components/InputError';
+import { Button } from '@/components/ui/button';
+import { DatePicker } from '@/components/ui/date-picker';
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { router, usePage } from '@inertiajs/react';
+import { format, parse } from 'date-fns';
+import { ChevronDown, FolderKanban } from 'lucide-react';
+
+const DEFAULT_RANGE = '30';
+
+const rangeOptions = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: 'custom', label: 'Custom range' },
+];
+
+const parseDate = (date) => parse(date, 'yyyy-MM-dd', new Date());
+
+/**
+ * Build the query string for a selection. Custom dates are only sent with
+ * the custom range, and the default range is left out to keep the URL short.
+ */
+const toQuery = ({ range, from, to, projects }) => ({
+  ...(range !== DEFAULT_RANGE && { range }),
+  ...(range === 'custom' && { from, to }),
+  ...(projects.length > 0 && { projects }),
+});
+
+/**
+ * DashboardFilters Component
+ *
+ * Period and project pickers for the dashboard. The selection lives in the
+ * query string, so the server echoes it back and a reload keeps it.
+ *
+ * @param {Object} filters - Active selection ({ range, from, to, projects })
+ * @param {Array} projects - Projects the user can pick from
+ */
+export default function DashboardFilters({ filters, projects = [] }) {
+  const { errors } = usePage().props;
+
+  const apply = (changes) => {
+    router.get(route('dashboard'), toQuery({ ...filters, ...changes }), {
+      preserveState: true,
+      preserveScroll: true,
+      replace: true,
+    });
+  };
+
+  const selectDate = (key, date) => {
+    if (!date) return;
+
+    const value = format(date, 'yyyy-MM-dd');
+
+    // Keep the range the right way round
+    if (key === 'from' && value > filters.to) {
+      apply({ from: value, to: value });
+    } else if (key === 'to' && value < filters.from) {
+      apply({ from: value, to: value });
+    } else {
+      apply({ [key]: value });
+    }
+  };
+
+  const toggleProject = (id) => {
+    apply({
+      projects: filters.projects.includes(id)
+        ? filters.projects.filter((projectId) => projectId !== id)
+        : [...filters.projects, id],
+    });
+  };
+
+  const selectedNames = projects.filter((project) => filters.projects.includes(project.id)).map((p) => p.name);
+
+  const projectLabel =
+    selectedNames.length === 0
+      ? 'All projects'
+      : selectedNames.length === 1
+        ? selectedNames[0]
+        : `${selectedNames.length} projects`;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {/* Period */}
+        <Select value={filters.range} onValueChange={(range) => apply({ range })}>
+          <SelectTrigger className="w-40" aria-label="Period">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {rangeOptions.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {filters.range === 'custom' && (
+          <>
+            <DatePicker date={parseDate(filters.from)} onSelect={(date) => selectDate('from', date)} className="w-44" />
+            <span className="text-sm text-muted-foreground">to</span>
+            <DatePicker date={parseDate(filters.to)} onSelect={(date) => selectDate('to', date)} className="w-44" />
+          </>
+        )}
+
+        {/* Projects */}
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="outline" className="max-w-64">
+              <FolderKanban className="mr-2 h-4 w-4" />
+              <span className="truncate">{projectLabel}</span>
+              <ChevronDown className="ml-2 h-4 w-4 opacity-50" />
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="start" className="max-h-80 w-64 overflow-y-auto">
+            <DropdownMenuLabel>Projects</DropdownMenuLabel>
+            <DropdownMenuSeparator />
+            {projects.length === 0 && (
+              <p className="px-2 py-1.5 text-sm text-muted-foreground">You are not in any projects yet.</p>
+            )}
+            {projects.map((project) => (
+              <DropdownMenuCheckboxItem
+                key={project.id}
+                checked={filters.projects.includes(project.id)}
+                // Keep the menu open so several projects can be picked
+                onSelect={(e) => e.preventDefault()}
+                onCheckedChange={() => toggleProject(project.id)}
+              >
+                <span className="truncate">{project.name}</span>
+              </DropdownMenuCheckboxItem>
+            ))}
+            {filters.projects.length > 0 && (
+              <>
+                <DropdownMenuSeparator />
+                <DropdownMenuItem onSelect={() => apply({ projects: [] })}>Show all projects</DropdownMenuItem>
+              </>
+            )}
+          </DropdownMenuContent>
+        </DropdownMenu>
+      </div>
+
+      <InputError message={errors.range || errors.from || errors.to || errors.projects} />
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart';
+import { router } from '@inertiajs/react';
+import { Area, AreaChart, CartesianGrid, XAxis, YAxis } from 'recharts';
+
+const chartConfig = {
+  overdue: { label: 'Overdue', color: '#ef4444' },
+};
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+  });
+
+/**
+ * OverdueTrendChart Component
+ *
+ * Area chart of how many tasks were overdue at the end of each day.
+ * Clicking the chart opens the list of tasks that are overdue now.
+ *
+ * @param {Array} activity - Daily rows ({ date, overdue })
+ */
+export default function OverdueTrendChart({ activity = [] }) {
+  const current = activity.length > 0 ? activity[activity.length - 1].overdue : 0;
+  const previous = activity.length > 0 ? activity[0].overdue : 0;
+  const change = current - previous;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Overdue Trend</CardTitle>
+        <CardDescription>
+          {current} overdue at the end of the period
+          {change !== 0 && ` (${change > 0 ? 'up' : 'down'} ${Math.abs(change)} from its start)`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ChartContainer config={chartConfig} className="aspect-auto h-[220px] w-full">
+          <AreaChart
+            data={activity}
+            margin={{ left: -20 }}
+            className="cursor-pointer"
+            onClick={() => router.visit(route('tasks.index', { overdue: 1 }))}
+          >
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="date" tickLine={false} axisLine={false} minTickGap={24} tickFormatter={formatDay} />
+            <YAxis allowDecimals={false} tickLine={false} axisLine={false} />
+            <ChartTooltip content={<ChartTooltipContent labelFormatter={formatDay} indicator="line" />} />
+            <Area
+              dataKey="overdue"
+              type="monotone"
+              fill="var(--color-overdue)"
+              fillOpacity={0.2}
+              stroke="var(--color-overdue)"
+            />
+          </AreaChart>
+        </ChartContainer>
+      </CardContent>
+    </Card>
+  );
+}
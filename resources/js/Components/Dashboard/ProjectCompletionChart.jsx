@@ -0,0 +1,85 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+} from '@/components/ui/chart';
+import { router } from '@inertiajs/react';
+import { Bar, BarChart, XAxis, YAxis } from 'recharts';
+
+const chartConfig = {
+  completed: { label: 'Completed', color: '#22c55e' },
+  open: { label: 'Open', color: 'hsl(var(--muted-foreground) / 0.3)' },
+};
+
+/**
+ * ProjectCompletionChart Component
+ *
+ * Stacked bars of completed and open tasks per project. Clicking a bar
+ * opens the task list filtered to that project (and to completed tasks
+ * when the completed part is clicked).
+ *
+ * @param {Array} projects - Projects ({ id, name, total, completed, open, completion_rate })
+ */
+export default function ProjectCompletionChart({ projects = [] }) {
+  const showProject = (project, filters = {}) => {
+    router.visit(route('tasks.index', { project_id: project.id, ...filters }));
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Completion by Project</CardTitle>
+        <CardDescription>Completed and open tasks in your busiest projects</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {projects.length === 0 ? (
+          <p className="py-4 text-center text-sm text-muted-foreground">No projects with tasks yet.</p>
+        ) : (
+          <ChartContainer
+            config={chartConfig}
+            className="aspect-auto w-full"
+            style={{ height: projects.length * 36 + 60 }}
+          >
+            <BarChart data={projects} layout="vertical" margin={{ left: 0, right: 16 }}>
+              <XAxis type="number" hide allowDecimals={false} />
+              <YAxis
+                type="category"
+                dataKey="name"
+                width={110}
+                tickLine={false}
+                axisLine={false}
+                tickFormatter={(name) => (name.length > 16 ? `${name.slice(0, 15)}…` : name)}
+              />
+              <ChartTooltip
+                content={
+                  <ChartTooltipContent
+                    labelFormatter={(name, payload) => `${name} · ${payload[0]?.payload.completion_rate ?? 0}% done`}
+                  />
+                }
+              />
+              <ChartLegend content={<ChartLegendContent />} />
+              <Bar
+                dataKey="completed"
+                stackId="tasks"
+                fill="var(--color-completed)"
+                className="cursor-pointer"
+                onClick={(bar) => showProject(bar.payload, { status: 'completed' })}
+              />
+              <Bar
+                dataKey="open"
+                stackId="tasks"
+                fill="var(--color-open)"
+                radius={[0, 4, 4, 0]}
+                className="cursor-pointer"
+                onClick={(bar) => showProject(bar.payload)}
+              />
+            </BarChart>
+          </ChartContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
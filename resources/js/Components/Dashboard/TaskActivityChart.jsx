@@ -0,0 +1,74 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+} from '@/components/ui/chart';
+import { router } from '@inertiajs/react';
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts';
+
+const chartConfig = {
+  created: { label: 'Created', color: 'hsl(var(--chart-1))' },
+  completed: { label: 'Completed', color: 'hsl(var(--chart-2))' },
+};
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+  });
+
+/**
+ * TaskActivityChart Component
+ *
+ * Bar chart of tasks created vs. completed per day. Clicking a bar opens the
+ * task list filtered to the tasks created or completed on that day.
+ *
+ * @param {Array} activity - Daily rows ({ date, created, completed })
+ */
+export default function TaskActivityChart({ activity = [] }) {
+  const created = activity.reduce((sum, day) => sum + day.created, 0);
+  const completed = activity.reduce((sum, day) => sum + day.completed, 0);
+
+  const showDay = (field, date) => {
+    router.visit(route('tasks.index', { [`${field}_from`]: date, [`${field}_to`]: date }));
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Created vs. Completed</CardTitle>
+        <CardDescription>
+          {created} created and {completed} completed over {activity.length} days
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ChartContainer config={chartConfig} className="aspect-auto h-[260px] w-full">
+          <BarChart data={activity} margin={{ left: -20 }}>
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="date" tickLine={false} axisLine={false} minTickGap={24} tickFormatter={formatDay} />
+            <YAxis allowDecimals={false} tickLine={false} axisLine={false} />
+            <ChartTooltip content={<ChartTooltipContent labelFormatter={formatDay} />} />
+            <ChartLegend content={<ChartLegendContent />} />
+            <Bar
+              dataKey="created"
+              fill="var(--color-created)"
+              radius={2}
+              className="cursor-pointer"
+              onClick={(bar) => showDay('created', bar.payload.date)}
+            />
+            <Bar
+              dataKey="completed"
+              fill="var(--color-completed)"
+              radius={2}
+              className="cursor-pointer"
+              onClick={(bar) => showDay('completed', bar.payload.date)}
+            />
+          </BarChart>
+        </ChartContainer>
+      </CardContent>
+    </Card>
+  );
+}
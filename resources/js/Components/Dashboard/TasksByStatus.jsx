@@ -1,12 +1,26 @@
-import { Badge } from '@/components/ui/badge';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { Progress } from '@/components/ui/progress';
+import {
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+} from '@/components/ui/chart';
+import { router } from '@inertiajs/react';
+import { Label, Pie, PieChart } from 'recharts';
+
+const chartConfig = {
+  pending: { label: 'Pending', color: '#eab308' },
+  in_progress: { label: 'In Progress', color: '#3b82f6' },
+  completed: { label: 'Completed', color: '#22c55e' },
+  cancelled: { label: 'Cancelled', color: '#ef4444' },
+};
 
 /**
  * TasksByStatus Component
  *
- * Displays a breakdown of tasks by status with progress bars.
- * Shows the count and percentage for each task status.
+ * Donut chart of tasks by status. Hovering a slice shows its count and
+ * clicking it opens the task list filtered to that status.
  *
  * @param {Object} stats - Task statistics object
  * @param {number} stats.total - Total number of tasks
@@ -18,37 +32,11 @@ import { Progress } from '@/components/ui/progress';
 export default function TasksByStatus({ stats }) {
   const total = stats?.total || 0;
 
-  const statusData = [
-    {
-      label: 'Pending',
-      count: stats?.pending || 0,
-      color: 'bg-yellow-500',
-      badgeVariant: 'secondary',
-    },
-    {
-      label: 'In Progress',
-      count: stats?.in_progress || 0,
-      color: 'bg-blue-500',
-      badgeVariant: 'default',
-    },
-    {
-      label: 'Completed',
-      count: stats?.completed || 0,
-      color: 'bg-green-500',
-      badgeVariant: 'default',
-    },
-    {
-      label: 'Cancelled',
-      count: stats?.cancelled || 0,
-      color: 'bg-red-500',
-      badgeVariant: 'destructive',
-    },
-  ];
-
-  const calculatePercentage = (count) => {
-    if (total === 0) return 0;
-    return Math.round((count / total) * 100);
-  };
+  const statusData = Object.keys(chartConfig).map((status) => ({
+    status,
+    count: stats?.[status] || 0,
+    fill: `var(--color-${status})`,
+  }));
 
   return (
     <Card>
@@ -58,32 +46,42 @@ export default function TasksByStatus({ stats }) {
           Breakdown of {total} total task{total !== 1 ? 's' : ''}
         </CardDescription>
       </CardHeader>
-      <CardContent className="space-y-4">
+      <CardContent>
         {total === 0 ? (
           <p className="py-4 text-center text-sm text-muted-foreground">
             No tasks yet. Create your first task to get started!
           </p>
         ) : (
-          statusData.map((status) => {
-            const percentage = calculatePercentage(status.count);
-            return (
-              <div key={status.label} className="space-y-2">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center gap-2">
-                    <div className={`h-3 w-3 rounded-full ${status.color}`} />
-                    <span className="text-sm font-medium">{status.label}</span>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <span className="text-sm text-muted-foreground">{status.count}</span>
-                    <Badge variant={status.badgeVariant} className="text-xs">
-                      {percentage}%
-                    </Badge>
-                  </div>
-                </div>
-                <Progress value={percentage} className="h-2" />
-              </div>
-            );
-          })
+          <ChartContainer config={chartConfig} className="mx-auto aspect-square max-h-[280px]">
+            <PieChart>
+              <ChartTooltip cursor={false} content={<ChartTooltipContent nameKey="status" hideLabel />} />
+              <Pie
+                data={statusData}
+                dataKey="count"
+                nameKey="status"
+                innerRadius={60}
+                strokeWidth={4}
+                className="cursor-pointer"
+                onClick={(slice) => router.visit(route('tasks.index', { status: slice.payload.status }))}
+              >
+                <Label
+                  content={({ viewBox }) =>
+                    viewBox && 'cx' in viewBox ? (
+                      <text x={viewBox.cx} y={viewBox.cy} textAnchor="middle" dominantBaseline="middle">
+                        <tspan x={viewBox.cx} y={viewBox.cy} className="fill-foreground text-3xl font-bold">
+                          {total}
+                        </tspan>
+                        <tspan x={viewBox.cx} y={viewBox.cy + 24} className="fill-muted-foreground">
+                          Tasks
+                        </tspan>
+                      </text>
+                    ) : null
+                  }
+                />
+              </Pie>
+              <ChartLegend content={<ChartLegendContent nameKey="status" />} className="flex-wrap gap-2" />
+            </PieChart>
+          </ChartContainer>
         )}
       </CardContent>
     </Card>
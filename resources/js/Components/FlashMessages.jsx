@@ -0,0 +1,72 @@
+import { manualToastCount, showToast } from '@/hooks/use-toast';
+import { router } from '@inertiajs/react';
+import { useEffect } from 'react';
+
+const types = [
+  { key: 'success', title: 'Success', variant: 'default' },
+  { key: 'error', title: 'Error', variant: 'destructive' },
+  { key: 'warning', title: 'Warning', variant: 'warning' },
+  { key: 'info', title: 'Info', variant: 'info' },
+];
+
+/**
+ * Show a toast for each flash message. The optional action button
+ * ({ label, url }) goes with the first message.
+ */
+const showFlash = (flash) => {
+  if (!flash) {
+    return;
+  }
+
+  let action = flash.action ? { label: flash.action.label, onClick: () => router.visit(flash.action.url) } : undefined;
+
+  types.forEach(({ key, title, variant }) => {
+    if (!flash[key]) {
+      return;
+    }
+
+    // The same message never stacks, e.g. after a quick double submit
+    showToast({ id: `flash-${key}-${flash[key]}`, title, description: flash[key], variant, action });
+    action = undefined;
+  });
+};
+
+/**
+ * FlashMessages Component
+ *
+ * Global listener, mounted next to <Toaster />, that turns the session
+ * flash messages shared by HandleInertiaRequests into toasts. When the page
+ * shows its own toast for the same visit (e.g. an "Undo" toast after a
+ * delete), the flash message is skipped so the user sees one toast.
+ *
+ * @param {Object} initialFlash - Flash messages of the first page load
+ */
+export default function FlashMessages({ initialFlash }) {
+  useEffect(() => {
+    showFlash(initialFlash);
+
+    let shown = initialFlash;
+
+    return router.on('success', (event) => {
+      const flash = event.detail.page.props.flash;
+
+      // Partial reloads (e.g. "Load more" or live updates) carry over the
+      // previous page's flash object unless they asked for it; it was shown already
+      if (flash === shown) {
+        return;
+      }
+
+      shown = flash;
+      const before = manualToastCount();
+
+      // Visit callbacks (onSuccess) run right after this event; wait for them
+      setTimeout(() => {
+        if (manualToastCount() === before) {
+          showFlash(flash);
+        }
+      });
+    });
+  }, []);
+
+  return null;
+}
@@ -0,0 +1,64 @@
+import { cn } from '@/lib/utils';
+import { format } from 'date-fns';
+import { useEffect, useState } from 'react';
+
+const verbs = {
+  created: 'added',
+  updated: 'updated',
+  deleted: 'deleted',
+  restored: 'restored',
+};
+
+// How long the notice stays before fading out
+const VISIBLE_MS = 8000;
+
+/**
+ * LiveUpdateIndicator Component
+ *
+ * A small pulsing notice, e.g. "Jane updated “Write report”", shown for a
+ * few seconds when another user changes something on the page.
+ *
+ * @param {Object|null} change - Latest change from useLiveTasks
+ * @param {string} className - Additional CSS classes
+ */
+export default function LiveUpdateIndicator({ change, className }) {
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    if (!change) {
+      return;
+    }
+
+    setVisible(true);
+    const timer = setTimeout(() => setVisible(false), VISIBLE_MS);
+
+    return () => clearTimeout(timer);
+  }, [change]);
+
+  if (!change) {
+    return null;
+  }
+
+  const subject = change.data?.title ?? change.data?.name;
+
+  return (
+    <span
+      role="status"
+      title={format(change.receivedAt, 'PPpp')}
+      className={cn(
+        'inline-flex max-w-xs items-center gap-1.5 rounded-full border bg-background px-2.5 py-0.5 text-xs text-muted-foreground transition-opacity duration-700',
+        visible ? 'opacity-100' : 'pointer-events-none opacity-0',
+        className,
+      )}
+    >
+      <span className="relative flex h-2 w-2 shrink-0">
+        <span className="absolute inline-flex h-full w-full animate-ping rounded-full bg-sky-400 opacity-75" />
+        <span className="relative inline-flex h-2 w-2 rounded-full bg-sky-500" />
+      </span>
+      <span className="truncate">
+        {change.actor?.name ?? 'Someone'} {verbs[change.action] ?? change.action}
+        {subject && ` “${subject}”`}
+      </span>
+    </span>
+  );
+}
@@ -0,0 +1,97 @@
+import NotificationIcon from '@/Components/Notifications/NotificationIcon';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { cn } from '@/lib/utils';
+import { Link, router, usePage } from '@inertiajs/react';
+import { formatDistanceToNow } from 'date-fns';
+import { Bell } from 'lucide-react';
+
+/**
+ * NotificationBell Component
+ *
+ * Bell in the navigation bar with the number of unread notifications.
+ * Opens a dropdown with the latest ones; clicking one marks it as read and
+ * opens the task or project it is about.
+ */
+export default function NotificationBell() {
+  const center = usePage().props.notification_center;
+
+  if (!center) {
+    return null;
+  }
+
+  const { unread_count: unreadCount, recent } = center;
+
+  const markAllAsRead = () => {
+    router.post(route('notifications.read-all'), {}, { preserveScroll: true, preserveState: true });
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button
+          type="button"
+          className="relative inline-flex items-center rounded-md p-2 text-gray-500 transition duration-150 ease-in-out hover:text-gray-700 focus:outline-none"
+          aria-label={unreadCount ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+        >
+          <Bell className="h-5 w-5" />
+          {unreadCount > 0 && (
+            <span className="absolute right-0.5 top-0.5 flex h-4 min-w-4 items-center justify-center rounded-full bg-red-500 px-1 text-[10px] font-semibold text-white">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </span>
+          )}
+        </button>
+      </DropdownMenuTrigger>
+
+      <DropdownMenuContent align="end" className="w-80">
+        <DropdownMenuLabel className="flex items-center justify-between">
+          Notifications
+          {unreadCount > 0 && (
+            <button
+              type="button"
+              onClick={markAllAsRead}
+              className="text-xs font-normal text-muted-foreground hover:text-foreground"
+            >
+              Mark all as read
+            </button>
+          )}
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+
+        {recent.length === 0 ? (
+          <p className="px-2 py-6 text-center text-sm text-muted-foreground">You're all caught up.</p>
+        ) : (
+          recent.map((notification) => (
+            <DropdownMenuItem key={notification.id} asChild>
+              <Link href={notification.url} className="flex cursor-pointer items-start gap-2">
+                <NotificationIcon kind={notification.kind} className="mt-0.5" />
+                <div className="min-w-0 flex-1">
+                  <p className={cn('line-clamp-2 text-sm', !notification.read_at && 'font-medium')}>
+                    {notification.message}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true })}
+                  </p>
+                </div>
+                {!notification.read_at && <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-blue-500" />}
+              </Link>
+            </DropdownMenuItem>
+          ))
+        )}
+
+        <DropdownMenuSeparator />
+        <DropdownMenuItem asChild>
+          <Link href={route('notifications.index')} className="cursor-pointer justify-center text-sm">
+            View all notifications
+          </Link>
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
@@ -0,0 +1,25 @@
+import { cn } from '@/lib/utils';
+import { AlarmClock, AtSign, Bell, MessageSquare, UserMinus, UserPlus } from 'lucide-react';
+
+// Keyed by the `kind` each notification class stores
+const icons = {
+  task_assigned: { icon: UserPlus, className: 'text-blue-500' },
+  task_reassigned: { icon: UserMinus, className: 'text-gray-500' },
+  task_commented: { icon: MessageSquare, className: 'text-green-500' },
+  mentioned: { icon: AtSign, className: 'text-purple-500' },
+  task_overdue: { icon: AlarmClock, className: 'text-red-500' },
+};
+
+/**
+ * NotificationIcon Component
+ *
+ * Icon for a kind of notification, e.g. a clock for overdue tasks.
+ *
+ * @param {string} kind - Notification kind (task_assigned, task_commented, ...)
+ * @param {string} className - Extra classes
+ */
+export default function NotificationIcon({ kind, className }) {
+  const { icon: Icon, className: color } = icons[kind] || { icon: Bell, className: 'text-muted-foreground' };
+
+  return <Icon className={cn('h-4 w-4 shrink-0', color, className)} />;
+}
@@ -0,0 +1,187 @@
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '@/components/ui/pagination';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Spinner } from '@/components/ui/spinner';
+import { Switch } from '@/components/ui/switch';
+import { cn } from '@/lib/utils';
+import { router } from '@inertiajs/react';
+import { useEffect, useRef } from 'react';
+
+/**
+ * Pager Component
+ *
+ * Pagination controls for a Laravel paginated resource, with a page size
+ * selector and an optional "load more" mode that also loads the next page
+ * automatically when the end of the list scrolls into view.
+ *
+ * @param {Object} meta - Paginator meta ({ current_page, last_page, from, to, total, per_page, links })
+ * @param {Array} only - Props to request on partial reloads
+ * @param {Array} perPageOptions - Selectable page sizes (must match PaginateRequest::PER_PAGE_OPTIONS)
+ * @param {boolean} infinite - Whether "load more" mode is active
+ * @param {Function} onInfiniteChange - Optional; shows the mode toggle when given
+ * @param {Function} onLoadMore - Loads the next page in "load more" mode
+ * @param {boolean} hasMore - Whether there is a next page to load
+ * @param {boolean} loading - Whether the next page is being loaded
+ * @param {number} loaded - Number of items shown in "load more" mode
+ */
+export default function Pager({
+  meta,
+  only = [],
+  perPageOptions = [10, 15, 25, 50],
+  infinite = false,
+  onInfiniteChange,
+  onLoadMore,
+  hasMore = false,
+  loading = false,
+  loaded = 0,
+}) {
+  const sentinel = useRef(null);
+
+  useEffect(() => {
+    if (!infinite || !hasMore || loading || !sentinel.current) {
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        onLoadMore?.();
+      }
+    });
+
+    observer.observe(sentinel.current);
+
+    return () => observer.disconnect();
+  }, [infinite, hasMore, loading, onLoadMore]);
+
+  if (!meta || meta.total === 0) {
+    return null;
+  }
+
+  const visit = (url, options = {}) => {
+    if (!url) {
+      return;
+    }
+
+    router.get(url, {}, { only, preserveState: true, ...options });
+  };
+
+  const changePerPage = (value) => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('per_page', value);
+    url.searchParams.delete('page');
+
+    visit(url.toString(), { preserveScroll: true, replace: true });
+  };
+
+  const links = meta.links || [];
+  const previous = links[0];
+  const next = links[links.length - 1];
+  const pages = links.slice(1, -1);
+
+  return (
+    <div className="space-y-4">
+      {infinite ? (
+        <div className="flex flex-col items-center gap-2">
+          <div ref={sentinel} />
+          {hasMore ? (
+            <Button variant="outline" onClick={() => onLoadMore?.()} disabled={loading}>
+              {loading && <Spinner className="mr-2" />}
+              {loading ? 'Loading...' : 'Load more'}
+            </Button>
+          ) : (
+            <p className="text-sm text-muted-foreground">You've reached the end.</p>
+          )}
+        </div>
+      ) : (
+        meta.last_page > 1 && (
+          <Pagination>
+            <PaginationContent>
+              <PaginationItem>
+                <PaginationPrevious
+                  href={previous?.url || undefined}
+                  aria-disabled={!previous?.url}
+                  className={cn(!previous?.url && 'pointer-events-none opacity-50')}
+                  onClick={(e) => {
+                    e.preventDefault();
+                    visit(previous?.url);
+                  }}
+                />
+              </PaginationItem>
+              {pages.map((link, index) =>
+                link.url === null ? (
+                  <PaginationItem key={`ellipsis-${index}`}>
+                    <PaginationEllipsis />
+                  </PaginationItem>
+                ) : (
+                  <PaginationItem key={link.label}>
+                    <PaginationLink
+                      href={link.url}
+                      isActive={link.active}
+                      onClick={(e) => {
+                        e.preventDefault();
+                        visit(link.url);
+                      }}
+                    >
+                      {link.label}
+                    </PaginationLink>
+                  </PaginationItem>
+                ),
+              )}
+              <PaginationItem>
+                <PaginationNext
+                  href={next?.url || undefined}
+                  aria-disabled={!next?.url}
+                  className={cn(!next?.url && 'pointer-events-none opacity-50')}
+                  onClick={(e) => {
+                    e.preventDefault();
+                    visit(next?.url);
+                  }}
+                />
+              </PaginationItem>
+            </PaginationContent>
+          </Pagination>
+        )
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-4 text-sm text-muted-foreground">
+        <span>
+          {infinite ? `Showing ${loaded} of ${meta.total}` : `Showing ${meta.from}–${meta.to} of ${meta.total}`}
+        </span>
+
+        <div className="flex items-center gap-6">
+          {onInfiniteChange && (
+            <div className="flex items-center gap-2">
+              <Switch id="pager-infinite" checked={infinite} onCheckedChange={onInfiniteChange} />
+              <Label htmlFor="pager-infinite">Load more</Label>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2">
+            <Label>Per page</Label>
+            <Select value={String(meta.per_page)} onValueChange={changePerPage}>
+              <SelectTrigger className="w-20">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {perPageOptions.map((option) => (
+                  <SelectItem key={option} value={String(option)}>
+                    {option}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
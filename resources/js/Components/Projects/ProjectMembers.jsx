@@ -0,0 +1,280 @@
+import InputError from '@/Components/InputError';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { Avatar, AvatarFallback } from '@/components/ui/avatar';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { router, useForm } from '@inertiajs/react';
+import { Mail, RotateCw, Trash2, UserPlus, Users, X } from 'lucide-react';
+import { useState } from 'react';
+
+const initials = (name) =>
+  name
+    .split(' ')
+    .map((part) => part[0])
+    .join('')
+    .slice(0, 2)
+    .toUpperCase();
+
+/**
+ * ProjectMembers Component
+ *
+ * Lists the members of a project with their roles. Owners can add people who
+ * already have an account, invite anyone by email, resend or revoke pending
+ * invitations, change roles and remove members; everyone else sees a
+ * read-only list.
+ *
+ * @param {number} projectId - Project the members belong to
+ * @param {Array} members - Members ({ id, name, email, role, is_creator })
+ * @param {Array} invitations - Pending invitations ({ id, email, role, is_expired, expires_at })
+ * @param {Array} roles - Available roles ({ value, label })
+ * @param {boolean} canManage - Whether the current user may manage members
+ */
+export default function ProjectMembers({ projectId, members = [], invitations = [], roles = [], canManage = false }) {
+  const { toast } = useToast();
+  const [memberToRemove, setMemberToRemove] = useState(null);
+
+  const { data, setData, post, processing, errors, reset } = useForm({
+    email: '',
+    role: 'editor',
+  });
+
+  const failed = (errors, fallback) => {
+    toast({
+      title: 'Error',
+      description: Object.values(errors)[0] || fallback,
+      variant: 'destructive',
+    });
+  };
+
+  const changeRole = (member, role) => {
+    router.patch(
+      route('projects.members.update', [projectId, member.id]),
+      { role },
+      {
+        preserveScroll: true,
+        onError: (errors) => failed(errors, 'Failed to change role.'),
+      },
+    );
+  };
+
+  const confirmRemove = () => {
+    const member = memberToRemove;
+
+    router.delete(route('projects.members.destroy', [projectId, member.id]), {
+      preserveScroll: true,
+      onSuccess: () => setMemberToRemove(null),
+      onError: (errors) => failed(errors, 'Failed to remove member.'),
+    });
+  };
+
+  // The same email and role either add an existing user or send an invitation
+  const submitTo = (routeName) => {
+    post(route(routeName, projectId), {
+      preserveScroll: true,
+      onSuccess: () => reset('email'),
+    });
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    submitTo('projects.members.store');
+  };
+
+  const resend = (invitation) => {
+    router.post(
+      route('invitations.resend', invitation.id),
+      {},
+      {
+        preserveScroll: true,
+        onError: (errors) => failed(errors, 'Failed to resend invitation.'),
+      },
+    );
+  };
+
+  const revoke = (invitation) => {
+    router.delete(route('invitations.destroy', invitation.id), {
+      preserveScroll: true,
+      onError: (errors) => failed(errors, 'Failed to revoke invitation.'),
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Users className="h-5 w-5" />
+          Members
+          <span className="text-sm font-normal text-muted-foreground">{members.length}</span>
+        </CardTitle>
+        <CardDescription>
+          Owners manage the project and its members, editors work on tasks and viewers can look and comment.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <ul className="divide-y">
+          {members.map((member) => (
+            <li key={member.id} className="flex items-center gap-3 py-3">
+              <Avatar className="h-8 w-8">
+                <AvatarFallback className="text-xs">{initials(member.name)}</AvatarFallback>
+              </Avatar>
+              <div className="min-w-0 flex-1">
+                <p className="truncate text-sm font-medium">
+                  {member.name}
+                  {member.is_creator && (
+                    <Badge variant="secondary" className="ml-2">
+                      Creator
+                    </Badge>
+                  )}
+                </p>
+                <p className="truncate text-xs text-muted-foreground">{member.email}</p>
+              </div>
+
+              {canManage && !member.is_creator ? (
+                <>
+                  <Select value={member.role.value} onValueChange={(value) => changeRole(member, value)}>
+                    <SelectTrigger className="w-32" aria-label={`Role of ${member.name}`}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {roles.map((role) => (
+                        <SelectItem key={role.value} value={role.value}>
+                          {role.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    aria-label={`Remove ${member.name}`}
+                    onClick={() => setMemberToRemove(member)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </>
+              ) : (
+                <Badge variant="outline">{member.role.label}</Badge>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {canManage && invitations.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Pending invitations</h4>
+            <ul className="divide-y rounded-md border">
+              {invitations.map((invitation) => (
+                <li key={invitation.id} className="flex items-center gap-3 px-3 py-2">
+                  <Mail className="h-4 w-4 shrink-0 text-muted-foreground" />
+                  <div className="min-w-0 flex-1">
+                    <p className="truncate text-sm">{invitation.email}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {invitation.role.label}
+                      {invitation.inviter && ` · invited by ${invitation.inviter.name}`}
+                      {' · '}
+                      {invitation.is_expired
+                        ? 'expired'
+                        : `expires ${new Date(invitation.expires_at).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  {invitation.is_expired && <Badge variant="destructive">Expired</Badge>}
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    aria-label={`Resend invitation to ${invitation.email}`}
+                    onClick={() => resend(invitation)}
+                  >
+                    <RotateCw className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    aria-label={`Revoke invitation to ${invitation.email}`}
+                    onClick={() => revoke(invitation)}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {canManage && (
+          <form onSubmit={handleAdd} className="space-y-2">
+            <div className="flex flex-wrap gap-2">
+              <Input
+                type="email"
+                value={data.email}
+                onChange={(e) => setData('email', e.target.value)}
+                placeholder="Email address"
+                className="min-w-[12rem] flex-1"
+                aria-label="Email address"
+              />
+              <Select value={data.role} onValueChange={(value) => setData('role', value)}>
+                <SelectTrigger className="w-32" aria-label="Role">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {roles.map((role) => (
+                    <SelectItem key={role.value} value={role.value}>
+                      {role.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button type="submit" disabled={processing || !data.email.trim()}>
+                <UserPlus className="mr-2 h-4 w-4" />
+                Add member
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                disabled={processing || !data.email.trim()}
+                onClick={() => submitTo('projects.invitations.store')}
+              >
+                <Mail className="mr-2 h-4 w-4" />
+                Invite by email
+              </Button>
+            </div>
+            <InputError message={errors.email || errors.role} />
+            <p className="text-xs text-muted-foreground">
+              Add people who already have an account, or invite anyone by email to sign up and join.
+            </p>
+          </form>
+        )}
+      </CardContent>
+
+      {/* Remove Member Confirmation Dialog */}
+      <AlertDialog open={!!memberToRemove} onOpenChange={(open) => !open && setMemberToRemove(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Remove Member?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {memberToRemove?.name} will lose access to this project. Their tasks in it will become unassigned.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={confirmRemove} className="bg-destructive hover:bg-destructive/90">
+              Remove Member
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+}
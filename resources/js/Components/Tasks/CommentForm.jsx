@@ -0,0 +1,81 @@
+import { Button } from '@/components/ui/button';
+import InputError from '@/Components/InputError';
+import { useForm } from '@inertiajs/react';
+import MentionTextarea from './MentionTextarea';
+
+/**
+ * CommentForm Component
+ *
+ * Form for posting a comment, replying to one, or editing an existing one.
+ * Bodies are markdown; "@" suggests users to mention.
+ *
+ * @param {number} taskId - Task being commented on
+ * @param {Object} comment - Existing comment when editing (optional)
+ * @param {number} parentId - Comment being replied to (optional)
+ * @param {Array} users - Users that can be mentioned
+ * @param {Function} onDone - Called after a successful submit or on cancel (optional)
+ */
+export default function CommentForm({ taskId, comment = null, parentId = null, users = [], onDone }) {
+  const isEditing = !!comment;
+
+  const { data, setData, post, patch, processing, errors, reset } = useForm({
+    body: comment?.body || '',
+    parent_id: parentId,
+  });
+
+  const submit = () => {
+    if (processing || !data.body.trim()) {
+      return;
+    }
+
+    const options = {
+      preserveScroll: true,
+      onSuccess: () => {
+        reset();
+        onDone?.();
+      },
+    };
+
+    if (isEditing) {
+      patch(route('comments.update', comment.id), options);
+    } else {
+      post(route('tasks.comments.store', taskId), options);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submit();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <MentionTextarea
+        value={data.body}
+        onChange={(value) => setData('body', value)}
+        onSubmit={submit}
+        users={users}
+        rows={parentId || isEditing ? 3 : 4}
+        maxLength={5000}
+        autoFocus={!!parentId || isEditing}
+        placeholder={parentId ? 'Write a reply...' : 'Add a comment... Type @ to mention someone.'}
+        aria-label={parentId ? 'Reply' : 'Comment'}
+      />
+      <InputError message={errors.body || errors.parent_id} />
+
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs text-muted-foreground">Markdown supported. Ctrl+Enter to send.</p>
+        <div className="flex gap-2">
+          {onDone && (
+            <Button type="button" variant="ghost" size="sm" onClick={onDone}>
+              Cancel
+            </Button>
+          )}
+          <Button type="submit" size="sm" disabled={processing || !data.body.trim()}>
+            {isEditing ? 'Save' : parentId ? 'Reply' : 'Comment'}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+}
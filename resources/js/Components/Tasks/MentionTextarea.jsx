@@ -0,0 +1,148 @@
+import { Textarea } from '@/components/ui/textarea';
+import { cn } from '@/lib/utils';
+import { useMemo, useRef, useState } from 'react';
+
+const MAX_SUGGESTIONS = 6;
+
+// "@" at the start or after whitespace, followed by up to two words typed so far
+const MENTION_QUERY = /(?:^|\s)@([^\s@]*(?: [^\s@]*)?)$/;
+
+/**
+ * MentionTextarea Component
+ *
+ * Textarea that suggests users while typing "@name" and inserts the full
+ * name on selection, which is the format the server looks for when it
+ * notifies mentioned users.
+ *
+ * @param {string} value - Current text
+ * @param {Function} onChange - Called with the next text
+ * @param {Array} users - Users that can be mentioned ({ id, name })
+ * @param {Function} onSubmit - Optional; called on Ctrl/Cmd+Enter
+ */
+export default function MentionTextarea({ value, onChange, users = [], onSubmit, className, ...props }) {
+  const textarea = useRef(null);
+  const [mention, setMention] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const suggestions = useMemo(() => {
+    if (!mention) {
+      return [];
+    }
+
+    const query = mention.query.toLowerCase();
+
+    return users
+      .filter((user) => user.name.toLowerCase().startsWith(query) || user.name.toLowerCase().includes(` ${query}`))
+      .slice(0, MAX_SUGGESTIONS);
+  }, [mention, users]);
+
+  const detectMention = (text, caret) => {
+    const match = text.slice(0, caret).match(MENTION_QUERY);
+
+    if (match) {
+      setMention({ query: match[1], start: caret - match[1].length - 1, end: caret });
+      setActiveIndex(0);
+    } else {
+      setMention(null);
+    }
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    detectMention(e.target.value, e.target.selectionStart);
+  };
+
+  const insert = (user) => {
+    const text = `@${user.name} `;
+    const next = value.slice(0, mention.start) + text + value.slice(mention.end);
+    const caret = mention.start + text.length;
+
+    onChange(next);
+    setMention(null);
+
+    requestAnimationFrame(() => {
+      textarea.current?.focus();
+      textarea.current?.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActiveIndex((index) => (index + 1) % suggestions.length);
+        return;
+      }
+
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActiveIndex((index) => (index - 1 + suggestions.length) % suggestions.length);
+        return;
+      }
+
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insert(suggestions[activeIndex]);
+        return;
+      }
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMention(null);
+        return;
+      }
+    }
+
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      onSubmit?.();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Textarea
+        ref={textarea}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => detectMention(value, e.target.selectionStart)}
+        onBlur={() => setMention(null)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={suggestions.length > 0}
+        aria-controls="mention-suggestions"
+        className={className}
+        {...props}
+      />
+
+      {suggestions.length > 0 && (
+        <ul
+          id="mention-suggestions"
+          role="listbox"
+          className="absolute z-50 mt-1 max-h-60 w-64 overflow-y-auto rounded-md border bg-popover p-1 text-popover-foreground shadow-md"
+        >
+          {suggestions.map((user, index) => (
+            <li
+              key={user.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseEnter={() => setActiveIndex(index)}
+              onMouseDown={(e) => {
+                // Keep focus in the textarea
+                e.preventDefault();
+                insert(user);
+              }}
+              className={cn(
+                'cursor-pointer rounded-sm px-2 py-1.5 text-sm',
+                index === activeIndex && 'bg-accent text-accent-foreground',
+              )}
+            >
+              {user.name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import { Lock } from 'lucide-react';
+
+/**
+ * TaskBlockedBadge Component
+ *
+ * Shown next to TaskStatusBadge while a task waits on an unfinished blocker.
+ *
+ * @param {string} className - Optional additional CSS classes
+ */
+export default function TaskBlockedBadge({ className }) {
+  return (
+    <Badge
+      variant="secondary"
+      title="Waiting on another task"
+      className={cn('border-0 bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300', className)}
+    >
+      <Lock className="mr-1 h-3 w-3" />
+      Blocked
+    </Badge>
+  );
+}
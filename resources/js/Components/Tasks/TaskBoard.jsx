@@ -0,0 +1,306 @@
+import { useToast } from '@/hooks/use-toast';
+import { cn } from '@/lib/utils';
+import { router } from '@inertiajs/react';
+import { useEffect, useRef, useState } from 'react';
+import TaskCard from './TaskCard';
+
+/**
+ * Group tasks into one ordered column per status.
+ */
+const buildColumns = (tasks, statuses) => {
+  const columns = Object.fromEntries(statuses.map((status) => [status.value, []]));
+
+  tasks.forEach((task) => {
+    columns[task.status.value]?.push(task);
+  });
+
+  Object.values(columns).forEach((column) => {
+    column.sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || a.id - b.id);
+  });
+
+  return columns;
+};
+
+/**
+ * Find which column a task is in and where.
+ */
+const locate = (columns, taskId) => {
+  for (const [status, column] of Object.entries(columns)) {
+    const index = column.findIndex((task) => task.id === taskId);
+
+    if (index !== -1) {
+      return { status, index };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Return new columns with the task moved to `index` of the `status` column.
+ * The index is counted among the other tasks of that column.
+ */
+const applyMove = (columns, taskId, status, index, statuses) => {
+  const from = locate(columns, taskId);
+  const task = columns[from.status][from.index];
+  const next = Object.fromEntries(
+    Object.entries(columns).map(([key, column]) => [key, column.filter((item) => item.id !== taskId)]),
+  );
+  const target = statuses.find((item) => item.value === status);
+  const position = Math.min(Math.max(index, 0), next[status].length);
+
+  next[status].splice(position, 0, { ...task, status: { ...task.status, ...target } });
+
+  return next;
+};
+
+/**
+ * TaskBoard Component
+ *
+ * Kanban board with one column per task status. Cards can be dragged between
+ * and within columns, or moved with the keyboard: Space picks a card up, the
+ * arrow keys move it, Space drops it and Escape cancels. Moves are shown
+ * immediately and rolled back if the server rejects them.
+ *
+ * @param {Array} tasks - Array of task objects
+ * @param {Array} statuses - Task statuses ({ value, label }) in column order
+ * @param {Function} onDelete - Optional callback for delete action
+ */
+export default function TaskBoard({ tasks = [], statuses = [], onDelete }) {
+  const { toast } = useToast();
+  const [columns, setColumns] = useState(() => buildColumns(tasks, statuses));
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [grabbed, setGrabbed] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const cardRefs = useRef({});
+
+  // Server data is the source of truth whenever new props arrive
+  useEffect(() => {
+    setColumns(buildColumns(tasks, statuses));
+  }, [tasks, statuses]);
+
+  // Keep focus on a card while it is moved with the keyboard
+  useEffect(() => {
+    if (grabbed) {
+      cardRefs.current[grabbed.id]?.focus();
+    }
+  }, [columns, grabbed]);
+
+  const labelFor = (status) => statuses.find((item) => item.value === status)?.label ?? status;
+
+  const commit = (taskId, previous, next) => {
+    const before = locate(previous, taskId);
+    const after = locate(next, taskId);
+
+    setColumns(next);
+
+    if (before.status === after.status && before.index === after.index) {
+      return;
+    }
+
+    let succeeded = false;
+    let message = null;
+
+    router.patch(
+      route('tasks.move', taskId),
+      { status: after.status, position: after.index },
+      {
+        preserveScroll: true,
+        preserveState: true,
+        onSuccess: () => {
+          succeeded = true;
+        },
+        onError: (errors) => {
+          message = errors.status || errors.position;
+        },
+        onFinish: () => {
+          if (succeeded) {
+            return;
+          }
+
+          setColumns(previous);
+          toast({
+            title: 'Error',
+            description: message || 'Failed to move task.',
+            variant: 'destructive',
+          });
+        },
+      },
+    );
+  };
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(task.id));
+    setDragging(task.id);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const handleCardDragOver = (e, status, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+
+    setDropTarget({ status, index: after ? index + 1 : index });
+  };
+
+  const handleColumnDragOver = (e, status) => {
+    e.preventDefault();
+    setDropTarget({ status, index: columns[status].length });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+
+    if (dragging === null || !dropTarget) {
+      return handleDragEnd();
+    }
+
+    // The drop index counts the dragged card itself when staying in the same column
+    const from = locate(columns, dragging);
+    const index =
+      from.status === dropTarget.status && from.index < dropTarget.index ? dropTarget.index - 1 : dropTarget.index;
+
+    commit(dragging, columns, applyMove(columns, dragging, dropTarget.status, index, statuses));
+    handleDragEnd();
+  };
+
+  const handleKeyDown = (e, task) => {
+    if (e.target !== e.currentTarget) {
+      return;
+    }
+
+    const isToggle = e.key === ' ' || e.key === 'Enter';
+
+    if (!grabbed) {
+      if (isToggle) {
+        e.preventDefault();
+        setGrabbed({ id: task.id, snapshot: columns });
+        setAnnouncement(`Picked up "${task.title}". Use the arrow keys to move, Space to drop, Escape to cancel.`);
+      }
+      return;
+    }
+
+    if (grabbed.id !== task.id) {
+      return;
+    }
+
+    const { status, index } = locate(columns, task.id);
+    const columnIndex = statuses.findIndex((item) => item.value === status);
+
+    if (isToggle) {
+      e.preventDefault();
+      setGrabbed(null);
+      setAnnouncement(`Dropped "${task.title}" in ${labelFor(status)} at position ${index + 1}.`);
+      commit(task.id, grabbed.snapshot, columns);
+      return;
+    }
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      setColumns(grabbed.snapshot);
+      setGrabbed(null);
+      setAnnouncement(`Move cancelled. "${task.title}" returned to its original position.`);
+      return;
+    }
+
+    let target = null;
+
+    if (e.key === 'ArrowLeft' && columnIndex > 0) {
+      target = { status: statuses[columnIndex - 1].value, index };
+    } else if (e.key === 'ArrowRight' && columnIndex < statuses.length - 1) {
+      target = { status: statuses[columnIndex + 1].value, index };
+    } else if (e.key === 'ArrowUp' && index > 0) {
+      target = { status, index: index - 1 };
+    } else if (e.key === 'ArrowDown' && index < columns[status].length - 1) {
+      target = { status, index: index + 1 };
+    }
+
+    if (target) {
+      e.preventDefault();
+      const next = applyMove(columns, task.id, target.status, target.index, statuses);
+      const moved = locate(next, task.id);
+
+      setColumns(next);
+      setAnnouncement(`Moved to ${labelFor(moved.status)}, position ${moved.index + 1}.`);
+    }
+  };
+
+  const dropIndicator = <div className="h-1 rounded-full bg-primary" />;
+
+  return (
+    <div>
+      <p id="task-board-instructions" className="sr-only">
+        Press Space to pick up a task, use the arrow keys to move it between columns or reorder it, then press Space
+        again to drop it. Press Escape to cancel.
+      </p>
+      <div aria-live="assertive" className="sr-only">
+        {announcement}
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-4">
+        {statuses.map((status) => {
+          const column = columns[status.value] || [];
+          const isTarget = dropTarget?.status === status.value;
+
+          return (
+            <section
+              key={status.value}
+              aria-label={`${status.label} column`}
+              onDragOver={(e) => handleColumnDragOver(e, status.value)}
+              onDrop={handleDrop}
+              className={cn(
+                'flex min-h-[12rem] flex-col gap-3 rounded-lg border bg-muted/40 p-3 transition-colors',
+                isTarget && 'border-primary bg-muted',
+              )}
+            >
+              <div className="flex items-center justify-between px-1">
+                <h4 className="text-sm font-semibold">{status.label}</h4>
+                <span className="text-xs text-muted-foreground">{column.length}</span>
+              </div>
+
+              {column.map((task, index) => (
+                <div key={task.id} className="space-y-3">
+                  {isTarget && dropTarget.index === index && dropIndicator}
+                  <div
+                    ref={(el) => (cardRefs.current[task.id] = el)}
+                    tabIndex={0}
+                    role="button"
+                    aria-roledescription="Draggable task"
+                    aria-describedby="task-board-instructions"
+                    aria-pressed={grabbed?.id === task.id}
+                    draggable
+                    onDragStart={(e) => handleDragStart(e, task)}
+                    onDragEnd={handleDragEnd}
+                    onDragOver={(e) => handleCardDragOver(e, status.value, index)}
+                    onKeyDown={(e) => handleKeyDown(e, task)}
+                    className={cn(
+                      'cursor-grab rounded-xl focus:outline-none focus-visible:ring-2 focus-visible:ring-ring',
+                      dragging === task.id && 'opacity-50',
+                      grabbed?.id === task.id && 'ring-2 ring-primary',
+                    )}
+                  >
+                    <TaskCard task={task} onDelete={onDelete} showProject={false} compact />
+                  </div>
+                </div>
+              ))}
+
+              {isTarget && dropTarget.index === column.length && dropIndicator}
+
+              {column.length === 0 && !isTarget && (
+                <p className="py-6 text-center text-sm text-muted-foreground">No tasks</p>
+              )}
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
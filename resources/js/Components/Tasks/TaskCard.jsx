@@ -10,7 +10,8 @@ import {
   DropdownMenuTrigger,
 } from '@/components/ui/dropdown-menu';
 import { Link } from '@inertiajs/react';
-import { AlertCircle, Calendar, MoreVertical, Pencil, Trash2 } from 'lucide-react';
+import { AlertCircle, Calendar, ListChecks, MoreVertical, Pencil, Repeat, Trash2 } from 'lucide-react';
+import TaskBlockedBadge from './TaskBlockedBadge';
 import TaskStatusBadge from './TaskStatusBadge';
 
 /**
@@ -21,8 +22,9 @@ import TaskStatusBadge from './TaskStatusBadge';
  * @param {Object} task - Task object
  * @param {Function} onDelete - Optional callback for delete action
  * @param {boolean} showProject - Whether to show project name (default: true)
+ * @param {boolean} compact - Hide description and footer actions, e.g. on the board (default: false)
  */
-export default function TaskCard({ task, onDelete, showProject = true }) {
+export default function TaskCard({ task, onDelete, showProject = true, compact = false }) {
   // Handle nested resource wrapping
   // Laravel API Resources wrap nested resources in a 'data' property
   const project = task.project?.data || task.project;
@@ -76,6 +78,7 @@ export default function TaskCard({ task, onDelete, showProject = true }) {
             </div>
             <div className="flex items-center gap-2">
               <TaskStatusBadge status={task.status} />
+              {task.is_blocked && <TaskBlockedBadge />}
               <Badge className={getPriorityColor(task.priority.value)}>{task.priority.label}</Badge>
             </div>
           </div>
@@ -103,7 +106,9 @@ export default function TaskCard({ task, onDelete, showProject = true }) {
             </DropdownMenuContent>
           </DropdownMenu>
         </div>
-        {task.description && <CardDescription className="mt-2 line-clamp-2">{task.description}</CardDescription>}
+        {!compact && task.description && (
+          <CardDescription className="mt-2 line-clamp-2">{task.description}</CardDescription>
+        )}
       </CardHeader>
       <CardContent className="space-y-3">
         {/* Project Name */}
@@ -133,6 +138,30 @@ export default function TaskCard({ task, onDelete, showProject = true }) {
           </div>
         )}
 
+        {/* Recurrence */}
+        {task.recurrence_label && (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Repeat className="h-4 w-4" />
+            <span>{task.recurrence_label}</span>
+          </div>
+        )}
+
+        {/* Checklist Progress */}
+        {task.checklist_items_count > 0 && (
+          <div
+            className={`flex items-center gap-2 text-sm ${
+              task.completed_checklist_items_count === task.checklist_items_count
+                ? 'text-green-600 dark:text-green-400'
+                : 'text-muted-foreground'
+            }`}
+          >
+            <ListChecks className="h-4 w-4" />
+            <span>
+              {task.completed_checklist_items_count}/{task.checklist_items_count}
+            </span>
+          </div>
+        )}
+
         {/* Assigned User */}
         {assignedUser && (
           <div className="flex items-center gap-2">
@@ -146,17 +175,19 @@ export default function TaskCard({ task, onDelete, showProject = true }) {
           </div>
         )}
       </CardContent>
-      <CardFooter className="flex gap-2">
-        <Button variant="outline" size="sm" className="flex-1" asChild>
-          <Link href={route('tasks.show', task.id)}>View Details</Link>
-        </Button>
-        <Button variant="default" size="sm" className="flex-1" asChild>
-          <Link href={route('tasks.edit', task.id)}>
-            <Pencil className="mr-2 h-4 w-4" />
-            Edit
-          </Link>
-        </Button>
-      </CardFooter>
+      {!compact && (
+        <CardFooter className="flex gap-2">
+          <Button variant="outline" size="sm" className="flex-1" asChild>
+            <Link href={route('tasks.show', task.id)}>View Details</Link>
+          </Button>
+          <Button variant="default" size="sm" className="flex-1" asChild>
+            <Link href={route('tasks.edit', task.id)}>
+              <Pencil className="mr-2 h-4 w-4" />
+              Edit
+            </Link>
+          </Button>
+        </CardFooter>
+      )}
     </Card>
   );
 }
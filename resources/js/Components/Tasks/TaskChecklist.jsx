@@ -0,0 +1,366 @@
+import InputError from '@/Components/InputError';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { cn } from '@/lib/utils';
+import { router, useForm } from '@inertiajs/react';
+import { GripVertical, ListChecks, Pencil, Plus, Trash2 } from 'lucide-react';
+import { useEffect, useState } from 'react';
+
+// Radix Select does not allow empty item values, so "unassigned" gets a sentinel
+const UNASSIGNED = 'unassigned';
+
+/**
+ * Move the item at `from` to `to`, returning a new array.
+ */
+const reorder = (items, from, to) => {
+  const next = [...items];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+/**
+ * A single checklist row with inline editing.
+ */
+function ChecklistRow({ item, users, canUpdate, dragHandlers, onToggle, onUpdate, onDelete, onKeyboardMove }) {
+  const [editing, setEditing] = useState(false);
+  const [title, setTitle] = useState(item.title);
+
+  const saveTitle = () => {
+    setEditing(false);
+
+    if (title.trim() && title !== item.title) {
+      onUpdate(item, { title: title.trim() });
+    } else {
+      setTitle(item.title);
+    }
+  };
+
+  return (
+    <li
+      className={cn('flex flex-wrap items-center gap-2 rounded-md border bg-background p-2', dragHandlers.className)}
+      onDragOver={dragHandlers.onDragOver}
+      onDrop={dragHandlers.onDrop}
+    >
+      {canUpdate && (
+        <button
+          type="button"
+          draggable
+          onDragStart={dragHandlers.onDragStart}
+          onDragEnd={dragHandlers.onDragEnd}
+          onKeyDown={onKeyboardMove}
+          aria-label={`Reorder "${item.title}". Use Alt+Up and Alt+Down to move.`}
+          className="cursor-grab rounded text-muted-foreground focus:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+        >
+          <GripVertical className="h-4 w-4" />
+        </button>
+      )}
+
+      <Checkbox
+        checked={item.is_completed}
+        disabled={!canUpdate}
+        onCheckedChange={(checked) => onToggle(item, checked)}
+        aria-label={`Mark "${item.title}" as ${item.is_completed ? 'not done' : 'done'}`}
+      />
+
+      <div className="min-w-0 flex-1">
+        {editing ? (
+          <Input
+            value={title}
+            autoFocus
+            maxLength={255}
+            className="h-8"
+            onChange={(e) => setTitle(e.target.value)}
+            onBlur={saveTitle}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                saveTitle();
+              } else if (e.key === 'Escape') {
+                setTitle(item.title);
+                setEditing(false);
+              }
+            }}
+          />
+        ) : (
+          <span className={cn('text-sm', item.is_completed && 'text-muted-foreground line-through')}>{item.title}</span>
+        )}
+      </div>
+
+      {canUpdate ? (
+        <>
+          <Select
+            value={item.assigned_to ? item.assigned_to.toString() : UNASSIGNED}
+            onValueChange={(value) => onUpdate(item, { assigned_to: value === UNASSIGNED ? null : Number(value) })}
+          >
+            <SelectTrigger className="h-8 w-36 text-xs" aria-label="Assignee">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={UNASSIGNED}>Unassigned</SelectItem>
+              {users.map((user) => (
+                <SelectItem key={user.id} value={user.id.toString()}>
+                  {user.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input
+            type="date"
+            value={item.due_date || ''}
+            onChange={(e) => onUpdate(item, { due_date: e.target.value || null })}
+            className="h-8 w-36 text-xs"
+            aria-label="Due date"
+          />
+          <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => setEditing(true)}>
+            <Pencil className="h-4 w-4" />
+            <span className="sr-only">Edit</span>
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8 text-destructive hover:text-destructive"
+            onClick={() => onDelete(item)}
+          >
+            <Trash2 className="h-4 w-4" />
+            <span className="sr-only">Delete</span>
+          </Button>
+        </>
+      ) : (
+        <span className="text-xs text-muted-foreground">
+          {[(item.assigned_user?.data || item.assigned_user)?.name, item.due_date].filter(Boolean).join(' · ')}
+        </span>
+      )}
+    </li>
+  );
+}
+
+/**
+ * TaskChecklist Component
+ *
+ * Ordered checklist inside a task. Items can be added, checked off, edited,
+ * assigned and given a due date inline, and reordered by dragging the handle
+ * or with Alt+Up / Alt+Down.
+ *
+ * @param {number} taskId - Task the checklist belongs to
+ * @param {Array} items - Checklist items in order
+ * @param {Array} users - Users an item can be assigned to ({ id, name })
+ * @param {boolean} canUpdate - Whether the current user may change the checklist
+ */
+export default function TaskChecklist({ taskId, items = [], users = [], canUpdate = false }) {
+  const { toast } = useToast();
+  const [list, setList] = useState(items);
+  const [dragging, setDragging] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const { data, setData, post, processing, errors, reset } = useForm({
+    title: '',
+    assigned_to: '',
+    due_date: '',
+  });
+
+  // Server data is the source of truth whenever new props arrive
+  useEffect(() => {
+    setList(items);
+  }, [items]);
+
+  const completed = list.filter((item) => item.is_completed).length;
+
+  const failed = (previous, message) => {
+    setList(previous);
+    toast({ title: 'Error', description: message, variant: 'destructive' });
+  };
+
+  const update = (item, changes) => {
+    const previous = list;
+    setList(list.map((entry) => (entry.id === item.id ? { ...entry, ...changes } : entry)));
+
+    router.patch(route('checklist.update', item.id), changes, {
+      preserveScroll: true,
+      preserveState: true,
+      onError: (errors) => failed(previous, Object.values(errors)[0] || 'Failed to update checklist item.'),
+    });
+  };
+
+  const toggle = (item, checked) => update(item, { is_completed: !!checked });
+
+  const remove = (item) => {
+    const previous = list;
+    setList(list.filter((entry) => entry.id !== item.id));
+
+    router.delete(route('checklist.destroy', item.id), {
+      preserveScroll: true,
+      preserveState: true,
+      onError: () => failed(previous, 'Failed to delete checklist item.'),
+    });
+  };
+
+  const saveOrder = (next) => {
+    const previous = list;
+    setList(next);
+
+    router.patch(
+      route('tasks.checklist.reorder', taskId),
+      { items: next.map((item) => item.id) },
+      {
+        preserveScroll: true,
+        preserveState: true,
+        onError: () => failed(previous, 'Failed to reorder checklist.'),
+      },
+    );
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+
+    if (dragging !== null && dropIndex !== null) {
+      // The drop index counts the dragged item itself
+      const to = dragging < dropIndex ? dropIndex - 1 : dropIndex;
+
+      if (to !== dragging) {
+        saveOrder(reorder(list, dragging, to));
+      }
+    }
+
+    setDragging(null);
+    setDropIndex(null);
+  };
+
+  const handleKeyboardMove = (e, index) => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) {
+      return;
+    }
+
+    e.preventDefault();
+    const to = e.key === 'ArrowUp' ? index - 1 : index + 1;
+
+    if (to >= 0 && to < list.length) {
+      const target = e.currentTarget;
+      saveOrder(reorder(list, index, to));
+      requestAnimationFrame(() => target.focus());
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+
+    post(route('tasks.checklist.store', taskId), {
+      preserveScroll: true,
+      preserveState: true,
+      onSuccess: () => reset(),
+      transform: (data) => ({
+        ...data,
+        assigned_to: data.assigned_to || null,
+        due_date: data.due_date || null,
+      }),
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ListChecks className="h-5 w-5" />
+          Checklist
+          {list.length > 0 && (
+            <span className="text-sm font-normal text-muted-foreground">
+              ({completed}/{list.length})
+            </span>
+          )}
+        </CardTitle>
+        <CardDescription>Break this task down into steps.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {list.length > 0 && <Progress value={(completed / list.length) * 100} className="h-2" />}
+
+        {list.length === 0 ? (
+          <p className="py-2 text-center text-sm text-muted-foreground">No checklist items yet.</p>
+        ) : (
+          <ul className="space-y-2" onDragOver={(e) => e.preventDefault()} onDrop={handleDrop}>
+            {list.map((item, index) => (
+              <ChecklistRow
+                key={item.id}
+                item={item}
+                users={users}
+                canUpdate={canUpdate}
+                onToggle={toggle}
+                onUpdate={update}
+                onDelete={remove}
+                onKeyboardMove={(e) => handleKeyboardMove(e, index)}
+                dragHandlers={{
+                  className: cn(
+                    dragging === index && 'opacity-50',
+                    dropIndex === index && dragging !== null && 'border-t-2 border-t-primary',
+                  ),
+                  onDragStart: (e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', String(item.id));
+                    setDragging(index);
+                  },
+                  onDragEnd: () => {
+                    setDragging(null);
+                    setDropIndex(null);
+                  },
+                  onDragOver: (e) => {
+                    e.preventDefault();
+                    const rect = e.currentTarget.getBoundingClientRect();
+                    setDropIndex(e.clientY > rect.top + rect.height / 2 ? index + 1 : index);
+                  },
+                  onDrop: handleDrop,
+                }}
+              />
+            ))}
+          </ul>
+        )}
+
+        {canUpdate && (
+          <form onSubmit={handleAdd} className="space-y-2 border-t pt-4">
+            <div className="flex flex-wrap gap-2">
+              <Input
+                value={data.title}
+                onChange={(e) => setData('title', e.target.value)}
+                placeholder="Add an item..."
+                maxLength={255}
+                className="min-w-[12rem] flex-1"
+                aria-label="New checklist item"
+              />
+              <Select
+                value={data.assigned_to ? data.assigned_to.toString() : UNASSIGNED}
+                onValueChange={(value) => setData('assigned_to', value === UNASSIGNED ? '' : value)}
+              >
+                <SelectTrigger className="w-40" aria-label="Assignee">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={UNASSIGNED}>Unassigned</SelectItem>
+                  {users.map((user) => (
+                    <SelectItem key={user.id} value={user.id.toString()}>
+                      {user.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                type="date"
+                value={data.due_date}
+                onChange={(e) => setData('due_date', e.target.value)}
+                className="w-40"
+                aria-label="Due date"
+              />
+              <Button type="submit" disabled={processing || !data.title.trim()}>
+                <Plus className="mr-2 h-4 w-4" />
+                Add
+              </Button>
+            </div>
+            <InputError message={errors.title || errors.assigned_to || errors.due_date} />
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
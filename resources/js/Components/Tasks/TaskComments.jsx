@@ -0,0 +1,202 @@
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { Avatar, AvatarFallback } from '@/components/ui/avatar';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useToast } from '@/hooks/use-toast';
+import { cn } from '@/lib/utils';
+import { router } from '@inertiajs/react';
+import { formatDistanceToNow } from 'date-fns';
+import { MessageSquare, Pencil, Reply, Trash2 } from 'lucide-react';
+import { useState } from 'react';
+import CommentForm from './CommentForm';
+
+const getInitials = (name) => {
+  if (!name) return '?';
+  return name
+    .split(' ')
+    .map((word) => word[0])
+    .join('')
+    .toUpperCase()
+    .slice(0, 2);
+};
+
+/**
+ * A single comment with its actions, and its replies when it has any.
+ */
+function CommentItem({ comment, taskId, users, canComment, onDelete, isReply = false }) {
+  const [editing, setEditing] = useState(false);
+  const [replying, setReplying] = useState(false);
+  const author = comment.user?.data || comment.user;
+  const replies = comment.replies || [];
+
+  return (
+    <div id={`comment-${comment.id}`} className="scroll-mt-24">
+      <div className="flex gap-3">
+        <Avatar className={cn(isReply ? 'h-7 w-7' : 'h-8 w-8')}>
+          <AvatarFallback className="text-xs">{getInitials(author?.name)}</AvatarFallback>
+        </Avatar>
+
+        <div className="min-w-0 flex-1 space-y-1">
+          <div className="flex flex-wrap items-baseline gap-x-2 text-sm">
+            <span className="font-medium">{author?.name || 'Deleted user'}</span>
+            <time dateTime={comment.created_at} className="text-xs text-muted-foreground">
+              {formatDistanceToNow(new Date(comment.created_at), { addSuffix: true })}
+            </time>
+            {comment.is_edited && <span className="text-xs text-muted-foreground">(edited)</span>}
+          </div>
+
+          {editing ? (
+            <CommentForm taskId={taskId} comment={comment} users={users} onDone={() => setEditing(false)} />
+          ) : (
+            <div className="markdown text-sm" dangerouslySetInnerHTML={{ __html: comment.body_html }} />
+          )}
+
+          {!editing && (
+            <div className="-ml-2 flex gap-1">
+              {!isReply && canComment && (
+                <Button variant="ghost" size="sm" className="h-7 px-2 text-xs" onClick={() => setReplying(true)}>
+                  <Reply className="mr-1 h-3 w-3" />
+                  Reply
+                </Button>
+              )}
+              {comment.can?.update && (
+                <Button variant="ghost" size="sm" className="h-7 px-2 text-xs" onClick={() => setEditing(true)}>
+                  <Pencil className="mr-1 h-3 w-3" />
+                  Edit
+                </Button>
+              )}
+              {comment.can?.delete && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 px-2 text-xs text-destructive hover:text-destructive"
+                  onClick={() => onDelete(comment)}
+                >
+                  <Trash2 className="mr-1 h-3 w-3" />
+                  Delete
+                </Button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {(replies.length > 0 || replying) && (
+        <div className="ml-11 mt-4 space-y-4 border-l pl-4">
+          {replies.map((reply) => (
+            <CommentItem
+              key={reply.id}
+              comment={reply}
+              taskId={taskId}
+              users={users}
+              canComment={canComment}
+              onDelete={onDelete}
+              isReply
+            />
+          ))}
+
+          {replying && (
+            <CommentForm taskId={taskId} parentId={comment.id} users={users} onDone={() => setReplying(false)} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * TaskComments Component
+ *
+ * Discussion thread for a task: markdown comments with one level of
+ * replies and @mentions.
+ *
+ * @param {number} taskId - Task the comments belong to
+ * @param {Array} comments - Top-level comments with their replies
+ * @param {Array} users - Users that can be mentioned ({ id, name })
+ * @param {boolean} canComment - Whether the current user may post
+ */
+export default function TaskComments({ taskId, comments = [], users = [], canComment = false }) {
+  const { toast } = useToast();
+  const [deleting, setDeleting] = useState(null);
+  const count = comments.reduce((total, comment) => total + 1 + (comment.replies?.length || 0), 0);
+
+  const handleDelete = () => {
+    router.delete(route('comments.destroy', deleting.id), {
+      preserveScroll: true,
+      onError: () => {
+        toast({
+          title: 'Error',
+          description: 'Failed to delete comment.',
+          variant: 'destructive',
+        });
+      },
+      onFinish: () => setDeleting(null),
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <MessageSquare className="h-5 w-5" />
+          Comments
+          {count > 0 && <span className="text-sm font-normal text-muted-foreground">({count})</span>}
+        </CardTitle>
+        <CardDescription>Discuss this task with your team.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {comments.length === 0 ? (
+          <p className="py-4 text-center text-sm text-muted-foreground">No comments yet.</p>
+        ) : (
+          <div className="space-y-6">
+            {comments.map((comment) => (
+              <CommentItem
+                key={comment.id}
+                comment={comment}
+                taskId={taskId}
+                users={users}
+                canComment={canComment}
+                onDelete={setDeleting}
+              />
+            ))}
+          </div>
+        )}
+
+        {canComment && (
+          <div className="border-t pt-6">
+            <CommentForm taskId={taskId} users={users} />
+          </div>
+        )}
+      </CardContent>
+
+      <AlertDialog open={!!deleting} onOpenChange={(open) => !open && setDeleting(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete Comment?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {deleting?.replies?.length
+                ? 'This will permanently delete the comment and its replies.'
+                : 'This will permanently delete the comment.'}{' '}
+              This action cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete} className="bg-destructive hover:bg-destructive/90">
+              Delete Comment
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+}
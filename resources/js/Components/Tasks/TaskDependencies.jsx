@@ -0,0 +1,58 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Link } from '@inertiajs/react';
+import { Link2 } from 'lucide-react';
+import TaskStatusBadge from './TaskStatusBadge';
+
+/**
+ * A list of related tasks with their status.
+ */
+function DependencyList({ title, tasks, empty }) {
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-medium">{title}</p>
+      {tasks.length === 0 ? (
+        <p className="text-sm text-muted-foreground">{empty}</p>
+      ) : (
+        <ul className="space-y-2">
+          {tasks.map((task) => (
+            <li key={task.id} className="flex items-center justify-between gap-2 rounded-md border p-2">
+              <Link href={route('tasks.show', task.id)} className="truncate text-sm hover:text-primary">
+                {task.title}
+              </Link>
+              <TaskStatusBadge status={task.status} />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * TaskDependencies Component
+ *
+ * Shows which tasks this one is blocked by and which tasks wait on it.
+ * Dependencies are edited in the task form.
+ *
+ * @param {Array} blockers - Tasks this task is blocked by
+ * @param {Array} blocking - Tasks blocked by this task
+ */
+export default function TaskDependencies({ blockers = [], blocking = [] }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Link2 className="h-5 w-5" />
+          Dependencies
+        </CardTitle>
+        <CardDescription>
+          This task cannot be started or completed until every task it is blocked by is done.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="grid grid-cols-1 gap-6 md:grid-cols-2">
+        <DependencyList title="Blocked by" tasks={blockers} empty="Nothing, ready to go." />
+        <DependencyList title="Blocking" tasks={blocking} empty="No tasks are waiting on this one." />
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,112 @@
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { cn } from '@/lib/utils';
+import { ChevronsUpDown, X } from 'lucide-react';
+import { useState } from 'react';
+
+/**
+ * TaskDependencyPicker Component
+ *
+ * Multi-select for the tasks a task is blocked by. Only tasks from the
+ * selected project are offered; cycles are rejected by the server.
+ *
+ * @param {Array} tasks - Candidate tasks ({ id, project_id, title, is_finished })
+ * @param {number} projectId - Currently selected project
+ * @param {Array} value - Selected task ids
+ * @param {Function} onChange - Called with the next array of ids
+ * @param {boolean} invalid - Whether to show the error state
+ * @param {boolean} disabled - Whether the selection is read-only
+ */
+export default function TaskDependencyPicker({
+  tasks = [],
+  projectId,
+  value = [],
+  onChange,
+  invalid = false,
+  disabled = false,
+}) {
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState('');
+
+  const options = tasks.filter((task) => task.project_id === projectId);
+  const selected = options.filter((task) => value.includes(task.id));
+  const filtered = options.filter((task) => task.title.toLowerCase().includes(search.trim().toLowerCase()));
+
+  const toggle = (id) => {
+    onChange(value.includes(id) ? value.filter((item) => item !== id) : [...value, id]);
+  };
+
+  return (
+    <div className="space-y-2">
+      <Popover open={open} onOpenChange={setOpen}>
+        <PopoverTrigger asChild>
+          <Button
+            type="button"
+            variant="outline"
+            role="combobox"
+            aria-expanded={open}
+            disabled={disabled || !projectId}
+            className={cn('w-full justify-between font-normal', invalid && 'border-destructive')}
+          >
+            <span className="truncate text-muted-foreground">
+              {!projectId
+                ? 'Select a project first'
+                : selected.length > 0
+                  ? `${selected.length} task${selected.length !== 1 ? 's' : ''} selected`
+                  : 'Not blocked by any task'}
+            </span>
+            <ChevronsUpDown className="ml-2 h-4 w-4 shrink-0 opacity-50" />
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent className="w-[--radix-popover-trigger-width] p-2" align="start">
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search tasks..."
+            className="mb-2 h-8"
+          />
+          <div className="max-h-60 space-y-1 overflow-y-auto">
+            {filtered.length === 0 ? (
+              <p className="py-4 text-center text-sm text-muted-foreground">No other tasks in this project.</p>
+            ) : (
+              filtered.map((task) => (
+                <label
+                  key={task.id}
+                  className="flex cursor-pointer items-center gap-2 rounded-md px-2 py-1.5 text-sm hover:bg-accent"
+                >
+                  <Checkbox checked={value.includes(task.id)} onCheckedChange={() => toggle(task.id)} />
+                  <span className={cn('flex-1 truncate', task.is_finished && 'text-muted-foreground line-through')}>
+                    {task.title}
+                  </span>
+                </label>
+              ))
+            )}
+          </div>
+        </PopoverContent>
+      </Popover>
+
+      {selected.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {selected.map((task) => (
+            <Badge key={task.id} variant="secondary" className="gap-1">
+              <span className={cn(task.is_finished && 'line-through')}>{task.title}</span>
+              {!disabled && (
+                <button
+                  type="button"
+                  onClick={() => toggle(task.id)}
+                  className="rounded-full hover:text-destructive"
+                  aria-label={`Remove ${task.title}`}
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              )}
+            </Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
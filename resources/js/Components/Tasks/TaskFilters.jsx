@@ -0,0 +1,245 @@
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import { ArrowDownNarrowWide, ArrowUpNarrowWide, X } from 'lucide-react';
+
+// Radix Select does not allow empty item values, so "no filter" gets a sentinel
+const ALL = 'all';
+
+const sortOptions = [
+  { value: 'created_at', label: 'Created date' },
+  { value: 'due_date', label: 'Due date' },
+  { value: 'priority', label: 'Priority' },
+];
+
+// Day ranges set by the dashboard charts; shown as removable badges only
+const dateRanges = [
+  { field: 'created', label: 'Created' },
+  { field: 'completed', label: 'Completed' },
+];
+
+// Direction used when a sort column is picked without one
+const defaultDirections = {
+  created_at: 'desc',
+  due_date: 'asc',
+  priority: 'desc',
+};
+
+/**
+ * TaskFilters Component
+ *
+ * Filter and sort bar for the tasks index. It is fully controlled by the
+ * filters the server echoes back, so the URL stays the single source of truth.
+ *
+ * @param {Object} filters - Active filters from the query string
+ * @param {Array} projects - Projects to filter by
+ * @param {Array} users - Users to filter by assignee
+ * @param {Array} statuses - Available task statuses
+ * @param {Array} priorities - Available task priorities
+ * @param {Function} onChange - Called with the complete next set of filters
+ */
+export default function TaskFilters({
+  filters = {},
+  projects = [],
+  users = [],
+  statuses = [],
+  priorities = [],
+  onChange,
+}) {
+  const sort = filters.sort || 'created_at';
+  const direction = filters.direction || defaultDirections[sort];
+  const hasFilters = Object.keys(filters).some((key) => !['sort', 'direction', 'per_page'].includes(key));
+
+  const update = (key, value) => {
+    onChange({ ...filters, [key]: value === ALL ? '' : value });
+  };
+
+  const selectValue = (value) => (value ? value.toString() : ALL);
+
+  const activeRanges = dateRanges.filter(({ field }) => filters[`${field}_from`] || filters[`${field}_to`]);
+
+  const describeRange = (from, to) => {
+    if (from && from === to) return `on ${from}`;
+    if (from && to) return `${from} – ${to}`;
+    return from ? `from ${from}` : `until ${to}`;
+  };
+
+  const clearRange = (field) => {
+    onChange({ ...filters, [`${field}_from`]: '', [`${field}_to`]: '' });
+  };
+
+  return (
+    <div className="space-y-4 rounded-lg border bg-card p-4">
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        {/* Project */}
+        <div className="space-y-2">
+          <Label>Project</Label>
+          <Select value={selectValue(filters.project_id)} onValueChange={(value) => update('project_id', value)}>
+            <SelectTrigger>
+              <SelectValue placeholder="All projects" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All projects</SelectItem>
+              {projects.map((project) => (
+                <SelectItem key={project.id} value={project.id.toString()}>
+                  {project.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Status */}
+        <div className="space-y-2">
+          <Label>Status</Label>
+          <Select value={selectValue(filters.status)} onValueChange={(value) => update('status', value)}>
+            <SelectTrigger>
+              <SelectValue placeholder="All statuses" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All statuses</SelectItem>
+              {statuses.map((status) => (
+                <SelectItem key={status.value} value={status.value}>
+                  {status.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Priority */}
+        <div className="space-y-2">
+          <Label>Priority</Label>
+          <Select value={selectValue(filters.priority)} onValueChange={(value) => update('priority', value)}>
+            <SelectTrigger>
+              <SelectValue placeholder="All priorities" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All priorities</SelectItem>
+              {priorities.map((priority) => (
+                <SelectItem key={priority.value} value={priority.value}>
+                  {priority.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Assignee */}
+        <div className="space-y-2">
+          <Label>Assignee</Label>
+          <Select value={selectValue(filters.assigned_to)} onValueChange={(value) => update('assigned_to', value)}>
+            <SelectTrigger>
+              <SelectValue placeholder="Anyone" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>Anyone</SelectItem>
+              <SelectItem value="unassigned">Unassigned</SelectItem>
+              {users.map((user) => (
+                <SelectItem key={user.id} value={user.id.toString()}>
+                  {user.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {activeRanges.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {activeRanges.map(({ field, label }) => (
+            <Badge key={field} variant="secondary" className="gap-1">
+              {label} {describeRange(filters[`${field}_from`], filters[`${field}_to`])}
+              <button
+                type="button"
+                aria-label={`Clear ${label.toLowerCase()} date filter`}
+                onClick={() => clearRange(field)}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-end gap-4">
+        {/* Due Date Range */}
+        <div className="space-y-2">
+          <Label htmlFor="due_from">Due from</Label>
+          <Input
+            id="due_from"
+            type="date"
+            value={filters.due_from || ''}
+            onChange={(e) => update('due_from', e.target.value)}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="due_to">Due to</Label>
+          <Input
+            id="due_to"
+            type="date"
+            value={filters.due_to || ''}
+            min={filters.due_from || undefined}
+            onChange={(e) => update('due_to', e.target.value)}
+          />
+        </div>
+
+        {/* Overdue Only */}
+        <div className="flex h-9 items-center gap-2">
+          <Switch
+            id="overdue"
+            checked={!!filters.overdue}
+            onCheckedChange={(checked) => update('overdue', checked ? 1 : '')}
+          />
+          <Label htmlFor="overdue">Overdue only</Label>
+        </div>
+
+        {/* Sorting */}
+        <div className="ml-auto flex items-end gap-2">
+          <div className="space-y-2">
+            <Label>Sort by</Label>
+            <Select
+              value={sort}
+              onValueChange={(value) => onChange({ ...filters, sort: value, direction: defaultDirections[value] })}
+            >
+              <SelectTrigger className="w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {sortOptions.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Button
+            variant="outline"
+            size="icon"
+            aria-label={direction === 'asc' ? 'Sort descending' : 'Sort ascending'}
+            onClick={() => onChange({ ...filters, sort, direction: direction === 'asc' ? 'desc' : 'asc' })}
+          >
+            {direction === 'asc' ? (
+              <ArrowUpNarrowWide className="h-4 w-4" />
+            ) : (
+              <ArrowDownNarrowWide className="h-4 w-4" />
+            )}
+          </Button>
+          {hasFilters && (
+            <Button
+              variant="ghost"
+              onClick={() => onChange({ sort: filters.sort, direction: filters.direction, per_page: filters.per_page })}
+            >
+              <X className="mr-2 h-4 w-4" />
+              Reset
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
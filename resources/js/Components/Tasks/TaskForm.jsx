@@ -6,7 +6,9 @@ import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Textarea } from '@/components/ui/textarea';
 import { useForm } from '@inertiajs/react';
-import { AlertCircle } from 'lucide-react';
+import { AlertCircle, Lock } from 'lucide-react';
+import TaskDependencyPicker from './TaskDependencyPicker';
+import TaskRecurrenceFields from './TaskRecurrenceFields';
 
 /**
  * TaskForm Component
@@ -14,22 +16,42 @@ import { AlertCircle } from 'lucide-react';
  * Form for creating or editing a task.
  *
  * @param {Object} task - Existing task object for editing (optional)
- * @param {Array} projects - Available projects
- * @param {Array} users - Available users for assignment
+ * @param {Object} permissions - Which fields the user can change, keyed by field name (optional, all when omitted)
+ * @param {Array} projects - Available projects (with `member_ids`)
+ * @param {Array} users - Available users for assignment, narrowed to the chosen project's members
+ * @param {Array} tasks - Tasks that can be picked as blockers
  * @param {Array} priorities - Available task priorities
  * @param {Array} statuses - Available task statuses
+ * @param {Array} frequencies - Available recurrence frequencies
+ * @param {number} defaultProjectId - Project preselected when creating (optional)
  */
-export default function TaskForm({ task = null, projects = [], users = [], priorities = [], statuses = [] }) {
+export default function TaskForm({
+  task = null,
+  permissions = null,
+  projects = [],
+  users = [],
+  tasks = [],
+  priorities = [],
+  statuses = [],
+  frequencies = [],
+  defaultProjectId = null,
+}) {
   const isEditing = !!task;
 
+  // Assignees without an editing role can only change some fields
+  const canChange = (field) => !permissions || permissions[field] !== false;
+  const isRestricted = !!permissions && Object.values(permissions).some((allowed) => !allowed);
+
   const { data, setData, post, put, processing, errors, reset } = useForm({
-    project_id: task?.project_id || '',
+    project_id: task?.project_id || defaultProjectId || '',
     assigned_to: task?.assigned_to || '',
     title: task?.title || '',
     description: task?.description || '',
     priority: task?.priority?.value || 'medium',
     status: task?.status?.value || 'pending',
     due_date: task?.due_date || '',
+    blocked_by: task?.blocked_by || [],
+    recurrence: task?.recurrence || null,
   });
 
   const handleSubmit = (e) => {
@@ -42,12 +64,16 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
           reset();
         }
       },
-      transform: (data) => ({
-        ...data,
-        assigned_to: data.assigned_to || null,
-        due_date: data.due_date || null,
-        description: data.description || null,
-      }),
+      // Only send the fields the user may change; the server rejects the others
+      transform: (data) =>
+        Object.fromEntries(
+          Object.entries({
+            ...data,
+            assigned_to: data.assigned_to || null,
+            due_date: data.due_date || null,
+            description: data.description || null,
+          }).filter(([field]) => canChange(field)),
+        ),
     };
 
     if (isEditing) {
@@ -72,6 +98,17 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
     { value: 'cancelled', label: 'Cancelled' },
   ];
 
+  // Only members of the chosen project can be assigned
+  const membersOf = (projectId) => projects.find((project) => project.id === projectId)?.member_ids;
+  const memberIds = membersOf(data.project_id);
+  const assignableUsers = memberIds ? users.filter((user) => memberIds.includes(user.id)) : users;
+
+  // Errors for single ids come back as blocked_by.0, blocked_by.1, ...
+  const blockedByError =
+    errors.blocked_by || Object.entries(errors).find(([key]) => key.startsWith('blocked_by.'))?.[1];
+
+  const recurrenceError = Object.entries(errors).find(([key]) => key.startsWith('recurrence'))?.[1];
+
   const priorityOptions = priorities.length > 0 ? priorities : defaultPriorities;
   const statusOptions = statuses.length > 0 ? statuses : defaultStatuses;
 
@@ -85,14 +122,36 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
       </CardHeader>
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-6">
+          {isRestricted && (
+            <Alert>
+              <Lock className="h-4 w-4" />
+              <AlertDescription>
+                You are assigned to this task, so you can change its status. Other fields can only be changed by the
+                project's owners and editors.
+              </AlertDescription>
+            </Alert>
+          )}
+
           {/* Project Selection */}
           <div className="space-y-2">
             <Label htmlFor="project_id">
               Project <span className="text-destructive">*</span>
             </Label>
             <Select
+              disabled={!canChange('project_id')}
               value={data.project_id ? data.project_id.toString() : undefined}
-              onValueChange={(value) => setData('project_id', parseInt(value))}
+              onValueChange={(value) => {
+                // Dependencies never cross projects, and the assignee must be a member
+                const projectId = parseInt(value);
+                const members = membersOf(projectId);
+
+                setData((data) => ({
+                  ...data,
+                  project_id: projectId,
+                  blocked_by: projectId === data.project_id ? data.blocked_by : [],
+                  assigned_to: !members || members.includes(data.assigned_to) ? data.assigned_to : '',
+                }));
+              }}
             >
               <SelectTrigger className={errors.project_id ? 'border-destructive' : ''}>
                 <SelectValue placeholder="Select a project" />
@@ -123,6 +182,7 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
               type="text"
               value={data.title}
               onChange={(e) => setData('title', e.target.value)}
+              disabled={!canChange('title')}
               placeholder="Enter task title"
               className={errors.title ? 'border-destructive' : ''}
               required
@@ -142,6 +202,7 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
               id="description"
               value={data.description}
               onChange={(e) => setData('description', e.target.value)}
+              disabled={!canChange('description')}
               placeholder="Enter task description (optional)"
               rows={4}
               className={errors.description ? 'border-destructive' : ''}
@@ -161,7 +222,11 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
               <Label htmlFor="priority">
                 Priority <span className="text-destructive">*</span>
               </Label>
-              <Select value={data.priority} onValueChange={(value) => setData('priority', value)}>
+              <Select
+                value={data.priority}
+                onValueChange={(value) => setData('priority', value)}
+                disabled={!canChange('priority')}
+              >
                 <SelectTrigger className={errors.priority ? 'border-destructive' : ''}>
                   <SelectValue placeholder="Select priority" />
                 </SelectTrigger>
@@ -186,7 +251,11 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
               <Label htmlFor="status">
                 Status <span className="text-destructive">*</span>
               </Label>
-              <Select value={data.status} onValueChange={(value) => setData('status', value)}>
+              <Select
+                value={data.status}
+                onValueChange={(value) => setData('status', value)}
+                disabled={!canChange('status')}
+              >
                 <SelectTrigger className={errors.status ? 'border-destructive' : ''}>
                   <SelectValue placeholder="Select status" />
                 </SelectTrigger>
@@ -213,6 +282,7 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
             <div className="space-y-2">
               <Label htmlFor="assigned_to">Assign To</Label>
               <Select
+                disabled={!canChange('assigned_to')}
                 value={data.assigned_to ? data.assigned_to.toString() : 'unassigned'}
                 onValueChange={(value) => setData('assigned_to', value === 'unassigned' ? '' : parseInt(value))}
               >
@@ -221,7 +291,7 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="unassigned">Unassigned</SelectItem>
-                  {users.map((user) => (
+                  {assignableUsers.map((user) => (
                     <SelectItem key={user.id} value={user.id.toString()}>
                       {user.name} ({user.email})
                     </SelectItem>
@@ -244,6 +314,7 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
                 type="date"
                 value={data.due_date}
                 onChange={(e) => setData('due_date', e.target.value)}
+                disabled={!canChange('due_date')}
                 className={errors.due_date ? 'border-destructive' : ''}
               />
               {errors.due_date && (
@@ -255,6 +326,46 @@ export default function TaskForm({ task = null, projects = [], users = [], prior
             </div>
           </div>
 
+          {/* Recurrence */}
+          <div className="space-y-2">
+            <TaskRecurrenceFields
+              value={data.recurrence}
+              onChange={(value) => setData('recurrence', value)}
+              frequencies={frequencies}
+              dueDate={data.due_date}
+              error={recurrenceError}
+              disabled={!canChange('recurrence')}
+            />
+            {recurrenceError && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{recurrenceError}</AlertDescription>
+              </Alert>
+            )}
+          </div>
+
+          {/* Dependencies */}
+          <div className="space-y-2">
+            <Label>Blocked By</Label>
+            <TaskDependencyPicker
+              tasks={tasks}
+              projectId={data.project_id}
+              value={data.blocked_by}
+              onChange={(value) => setData('blocked_by', value)}
+              invalid={!!blockedByError}
+              disabled={!canChange('blocked_by')}
+            />
+            <p className="text-sm text-muted-foreground">
+              The task cannot be started or completed until these tasks are done.
+            </p>
+            {blockedByError && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{blockedByError}</AlertDescription>
+              </Alert>
+            )}
+          </div>
+
           {/* Form Actions */}
           <div className="flex items-center gap-4 pt-4">
             <Button type="submit" disabled={processing}>
@@ -0,0 +1,132 @@
+import InputError from '@/Components/InputError';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useForm } from '@inertiajs/react';
+import { format, parse } from 'date-fns';
+import { useEffect } from 'react';
+
+/**
+ * TaskQuickCreate Component
+ *
+ * A small dialog to add a task on a given day with just a title, project
+ * and priority. Everything else can be filled in later on the edit form.
+ *
+ * @param {string|null} date - Due date (yyyy-MM-dd); the dialog is open while set
+ * @param {Function} onClose - Called when the dialog is dismissed or the task is created
+ * @param {Array} projects - Projects the user can add tasks to ({ id, name })
+ * @param {Array} priorities - Available priorities ({ value, label })
+ */
+export default function TaskQuickCreate({ date, onClose, projects = [], priorities = [] }) {
+  const { data, setData, post, processing, errors, reset, clearErrors } = useForm({
+    title: '',
+    project_id: projects[0] ? String(projects[0].id) : '',
+    priority: 'medium',
+    status: 'pending',
+    due_date: date,
+  });
+
+  useEffect(() => {
+    if (date) {
+      setData('due_date', date);
+    }
+  }, [date]);
+
+  const close = () => {
+    reset('title');
+    clearErrors();
+    onClose();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    post(route('calendar.store'), {
+      preserveScroll: true,
+      onSuccess: close,
+    });
+  };
+
+  return (
+    <Dialog open={date !== null} onOpenChange={(open) => !open && close()}>
+      <DialogContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>New task</DialogTitle>
+            <DialogDescription>
+              Due {date ? format(parse(date, 'yyyy-MM-dd', new Date()), 'PPPP') : ''}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-2">
+            <Label htmlFor="quick-create-title">Title</Label>
+            <Input
+              id="quick-create-title"
+              value={data.title}
+              onChange={(e) => setData('title', e.target.value)}
+              placeholder="What needs to be done?"
+              autoFocus
+            />
+            <InputError message={errors.title} />
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label htmlFor="quick-create-project">Project</Label>
+              <Select value={data.project_id} onValueChange={(value) => setData('project_id', value)}>
+                <SelectTrigger id="quick-create-project">
+                  <SelectValue placeholder="Select a project" />
+                </SelectTrigger>
+                <SelectContent>
+                  {projects.map((project) => (
+                    <SelectItem key={project.id} value={String(project.id)}>
+                      {project.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <InputError message={errors.project_id} />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="quick-create-priority">Priority</Label>
+              <Select value={data.priority} onValueChange={(value) => setData('priority', value)}>
+                <SelectTrigger id="quick-create-priority">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {priorities.map((priority) => (
+                    <SelectItem key={priority.value} value={priority.value}>
+                      {priority.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <InputError message={errors.priority} />
+            </div>
+          </div>
+
+          <InputError message={errors.due_date} />
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={close}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={processing || !data.project_id}>
+              Create task
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
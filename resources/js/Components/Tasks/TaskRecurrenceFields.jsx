@@ -0,0 +1,201 @@
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+
+// Radix Select does not allow empty item values, so "does not repeat" gets a sentinel
+const NONE = 'none';
+
+// ISO weekday numbers, matching RecurrenceService
+const weekdays = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 7, label: 'Sun' },
+];
+
+/**
+ * Parse a Y-m-d date as a local date (new Date('Y-m-d') would be UTC).
+ */
+const parseDate = (value) => {
+  if (!value) {
+    return new Date();
+  }
+
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * TaskRecurrenceFields Component
+ *
+ * Repeat settings for the task form: daily, weekly on given weekdays,
+ * monthly on a day or every N days, optionally ending on a date or after
+ * a number of times. The rule is null when the task does not repeat.
+ *
+ * @param {Object|null} value - Current recurrence rule
+ * @param {Function} onChange - Called with the next rule (or null)
+ * @param {Array} frequencies - Available frequencies ({ value, label })
+ * @param {string} dueDate - Task due date, used to prefill a new rule
+ * @param {string} error - Validation error to show
+ * @param {boolean} disabled - Whether the settings are read-only
+ */
+export default function TaskRecurrenceFields({ value, onChange, frequencies = [], dueDate, error, disabled = false }) {
+  const ends = value?.ends_on ? 'on' : value?.count ? 'after' : 'never';
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const changeFrequency = (frequency) => {
+    if (frequency === NONE) {
+      return onChange(null);
+    }
+
+    const start = parseDate(dueDate);
+
+    // Prefill from the due date so the first repeat lines up with it
+    onChange({
+      frequency,
+      weekdays: value?.weekdays?.length ? value.weekdays : [start.getDay() || 7],
+      month_day: value?.month_day || start.getDate(),
+      interval: value?.interval || 2,
+      ends_on: value?.ends_on || null,
+      count: value?.count || null,
+    });
+  };
+
+  const changeEnds = (mode) => {
+    update({
+      ends_on: mode === 'on' ? value?.ends_on || dueDate || '' : null,
+      count: mode === 'after' ? value?.count || 10 : null,
+    });
+  };
+
+  return (
+    <fieldset disabled={disabled} className="space-y-4 rounded-lg border p-4 disabled:opacity-60">
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        {/* Frequency */}
+        <div className="space-y-2">
+          <Label>Repeat</Label>
+          <Select value={value?.frequency || NONE} onValueChange={changeFrequency}>
+            <SelectTrigger className={error ? 'border-destructive' : ''}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NONE}>Does not repeat</SelectItem>
+              {frequencies.map((frequency) => (
+                <SelectItem key={frequency.value} value={frequency.value}>
+                  {frequency.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Day of the month */}
+        {value?.frequency === 'monthly' && (
+          <div className="space-y-2">
+            <Label htmlFor="recurrence_month_day">Day of the month</Label>
+            <Input
+              id="recurrence_month_day"
+              type="number"
+              min={1}
+              max={31}
+              value={value.month_day ?? ''}
+              onChange={(e) => update({ month_day: e.target.value ? parseInt(e.target.value) : '' })}
+            />
+          </div>
+        )}
+
+        {/* Interval */}
+        {value?.frequency === 'interval' && (
+          <div className="space-y-2">
+            <Label htmlFor="recurrence_interval">Every how many days</Label>
+            <Input
+              id="recurrence_interval"
+              type="number"
+              min={1}
+              max={365}
+              value={value.interval ?? ''}
+              onChange={(e) => update({ interval: e.target.value ? parseInt(e.target.value) : '' })}
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Weekdays */}
+      {value?.frequency === 'weekly' && (
+        <div className="space-y-2">
+          <Label>On</Label>
+          <ToggleGroup
+            type="multiple"
+            variant="outline"
+            className="flex-wrap justify-start"
+            value={(value.weekdays || []).map(String)}
+            onValueChange={(days) => update({ weekdays: days.map(Number).sort((a, b) => a - b) })}
+          >
+            {weekdays.map((day) => (
+              <ToggleGroupItem key={day.value} value={String(day.value)} aria-label={day.label} className="w-12">
+                {day.label}
+              </ToggleGroupItem>
+            ))}
+          </ToggleGroup>
+        </div>
+      )}
+
+      {/* End of the series */}
+      {value && (
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+          <div className="space-y-2">
+            <Label>Ends</Label>
+            <Select value={ends} onValueChange={changeEnds}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="never">Never</SelectItem>
+                <SelectItem value="on">On a date</SelectItem>
+                <SelectItem value="after">After a number of times</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {ends === 'on' && (
+            <div className="space-y-2">
+              <Label htmlFor="recurrence_ends_on">End date</Label>
+              <Input
+                id="recurrence_ends_on"
+                type="date"
+                value={value.ends_on || ''}
+                min={dueDate || undefined}
+                onChange={(e) => update({ ends_on: e.target.value })}
+              />
+            </div>
+          )}
+
+          {ends === 'after' && (
+            <div className="space-y-2">
+              <Label htmlFor="recurrence_count">Number of times</Label>
+              <Input
+                id="recurrence_count"
+                type="number"
+                min={1}
+                max={1000}
+                value={value.count ?? ''}
+                onChange={(e) => update({ count: e.target.value ? parseInt(e.target.value) : '' })}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {value && (
+        <p className="text-sm text-muted-foreground">
+          Completing this task creates the next one, due on the next date in the rule.
+        </p>
+      )}
+    </fieldset>
+  );
+}
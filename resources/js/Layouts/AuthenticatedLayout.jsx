@@ -1,14 +1,19 @@
 import ApplicationLogo from '@/Components/ApplicationLogo';
+import CommandPalette from '@/Components/CommandPalette';
 import Dropdown from '@/Components/Dropdown';
 import NavLink from '@/Components/NavLink';
+import NotificationBell from '@/Components/Notifications/NotificationBell';
 import ResponsiveNavLink from '@/Components/ResponsiveNavLink';
 import { Link, usePage } from '@inertiajs/react';
+import { Search } from 'lucide-react';
 import { useState } from 'react';
 
 export default function AuthenticatedLayout({ header, children }) {
   const user = usePage().props.auth.user;
+  const unreadNotifications = usePage().props.notification_center?.unread_count ?? 0;
 
   const [showingNavigationDropdown, setShowingNavigationDropdown] = useState(false);
+  const [showingCommandPalette, setShowingCommandPalette] = useState(false);
 
   return (
     <div className="min-h-screen bg-gray-100 dark:bg-gray-900">
@@ -26,6 +31,15 @@ export default function AuthenticatedLayout({ header, children }) {
                 <NavLink href={route('dashboard')} active={route().current('dashboard')}>
                   Dashboard
                 </NavLink>
+                <NavLink href={route('my-work')} active={route().current('my-work')}>
+                  My Work
+                </NavLink>
+                <NavLink href={route('calendar')} active={route().current('calendar')}>
+                  Calendar
+                </NavLink>
+                <NavLink href={route('timeline')} active={route().current('timeline')}>
+                  Timeline
+                </NavLink>
                 <NavLink href={route('projects.index')} active={route().current('projects.*')}>
                   Projects
                 </NavLink>
@@ -36,6 +50,20 @@ export default function AuthenticatedLayout({ header, children }) {
             </div>
 
             <div className="hidden sm:ms-6 sm:flex sm:items-center">
+              <button
+                type="button"
+                onClick={() => setShowingCommandPalette(true)}
+                className="inline-flex items-center gap-2 rounded-md border border-gray-200 px-3 py-1.5 text-sm text-gray-500 transition duration-150 ease-in-out hover:text-gray-700 focus:outline-none dark:border-gray-700"
+              >
+                <Search className="h-4 w-4" />
+                Search
+                <kbd className="rounded border border-gray-200 px-1.5 text-xs dark:border-gray-700">Ctrl K</kbd>
+              </button>
+
+              <div className="ms-3">
+                <NotificationBell />
+              </div>
+
               <div className="relative ms-3">
                 <Dropdown>
                   <Dropdown.Trigger>
@@ -64,6 +92,7 @@ export default function AuthenticatedLayout({ header, children }) {
 
                   <Dropdown.Content>
                     <Dropdown.Link href={route('profile.edit')}>Profile</Dropdown.Link>
+                    <Dropdown.Link href={route('trash.index')}>Trash</Dropdown.Link>
                     <Dropdown.Link href={route('logout')} method="post" as="button">
                       Log Out
                     </Dropdown.Link>
@@ -103,12 +132,28 @@ export default function AuthenticatedLayout({ header, children }) {
             <ResponsiveNavLink href={route('dashboard')} active={route().current('dashboard')}>
               Dashboard
             </ResponsiveNavLink>
+            <ResponsiveNavLink href={route('my-work')} active={route().current('my-work')}>
+              My Work
+            </ResponsiveNavLink>
+            <ResponsiveNavLink href={route('calendar')} active={route().current('calendar')}>
+              Calendar
+            </ResponsiveNavLink>
+            <ResponsiveNavLink href={route('timeline')} active={route().current('timeline')}>
+              Timeline
+            </ResponsiveNavLink>
             <ResponsiveNavLink href={route('projects.index')} active={route().current('projects.*')}>
               Projects
             </ResponsiveNavLink>
             <ResponsiveNavLink href={route('tasks.index')} active={route().current('tasks.*')}>
               Tasks
             </ResponsiveNavLink>
+            <button
+              type="button"
+              onClick={() => setShowingCommandPalette(true)}
+              className="flex w-full items-start border-l-4 border-transparent py-2 pe-4 ps-3 text-base font-medium text-gray-600 transition duration-150 ease-in-out hover:border-gray-300 hover:bg-gray-50 hover:text-gray-800 focus:border-gray-300 focus:bg-gray-50 focus:text-gray-800 focus:outline-none"
+            >
+              Search
+            </button>
           </div>
 
           <div className="border-t border-gray-200 pb-1 pt-4">
@@ -119,6 +164,13 @@ export default function AuthenticatedLayout({ header, children }) {
 
             <div className="mt-3 space-y-1">
               <ResponsiveNavLink href={route('profile.edit')}>Profile</ResponsiveNavLink>
+              <ResponsiveNavLink href={route('notifications.index')} active={route().current('notifications.*')}>
+                Notifications
+                {unreadNotifications > 0 && ` (${unreadNotifications})`}
+              </ResponsiveNavLink>
+              <ResponsiveNavLink href={route('trash.index')} active={route().current('trash.*')}>
+                Trash
+              </ResponsiveNavLink>
               <ResponsiveNavLink method="post" href={route('logout')} as="button">
                 Log Out
               </ResponsiveNavLink>
@@ -134,6 +186,8 @@ export default function AuthenticatedLayout({ header, children }) {
       )}
 
       <main>{children}</main>
+
+      <CommandPalette open={showingCommandPalette} onOpenChange={setShowingCommandPalette} />
     </div>
   );
 }
@@ -6,9 +6,9 @@ import TextInput from '@/Components/TextInput';
 import GuestLayout from '@/Layouts/GuestLayout';
 import { Head, Link, useForm } from '@inertiajs/react';
 
-export default function Login({ status, canResetPassword }) {
+export default function Login({ status, canResetPassword, invitation }) {
     const { data, setData, post, processing, errors, reset } = useForm({
-        email: '',
+        email: invitation?.email || '',
         password: '',
         remember: false,
     });
@@ -31,6 +31,12 @@ export default function Login({ status, canResetPassword }) {
                 </div>
             )}
 
+            {invitation && (
+                <div className="mb-4 text-sm text-gray-600">
+                    Log in to join <strong>{invitation.project}</strong>.
+                </div>
+            )}
+
             <form onSubmit={submit}>
                 <div>
                     <InputLabel htmlFor="email" value="Email" />
@@ -5,10 +5,10 @@ import TextInput from '@/Components/TextInput';
 import GuestLayout from '@/Layouts/GuestLayout';
 import { Head, Link, useForm } from '@inertiajs/react';
 
-export default function Register() {
+export default function Register({ invitation }) {
     const { data, setData, post, processing, errors, reset } = useForm({
         name: '',
-        email: '',
+        email: invitation?.email || '',
         password: '',
         password_confirmation: '',
     });
@@ -25,6 +25,13 @@ export default function Register() {
         <GuestLayout>
             <Head title="Register" />
 
+            {invitation && (
+                <div className="mb-4 text-sm text-gray-600">
+                    Create an account to join{' '}
+                    <strong>{invitation.project}</strong>.
+                </div>
+            )}
+
             <form onSubmit={submit}>
                 <div>
                     <InputLabel htmlFor="name" value="Name" />
@@ -0,0 +1,319 @@
+import TaskQuickCreate from '@/Components/Tasks/TaskQuickCreate';
+import { Button } from '@/components/ui/button';
+import { Calendar } from '@/components/ui/calendar';
+import { Card, CardContent } from '@/components/ui/card';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import { useToast } from '@/hooks/use-toast';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { cn } from '@/lib/utils';
+import { Head, Link, router } from '@inertiajs/react';
+import {
+  addMonths,
+  addWeeks,
+  endOfWeek,
+  format,
+  isBefore,
+  isSameDay,
+  parse,
+  startOfToday,
+  startOfWeek,
+} from 'date-fns';
+import { ChevronLeft, ChevronRight, Plus } from 'lucide-react';
+import { createContext, useContext, useMemo, useState } from 'react';
+
+// Keyed by TaskPriority::color()
+const priorityColors = {
+  gray: 'border-l-gray-400 bg-gray-50 text-gray-700 dark:bg-gray-900 dark:text-gray-300',
+  yellow: 'border-l-yellow-500 bg-yellow-50 text-yellow-800 dark:bg-yellow-950 dark:text-yellow-300',
+  red: 'border-l-red-500 bg-red-50 text-red-800 dark:bg-red-950 dark:text-red-300',
+};
+
+// Tasks shown in a month cell before the rest are folded into "+N more"
+const MONTH_CELL_LIMIT = 3;
+
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+
+const toKey = (date) => format(date, 'yyyy-MM-dd');
+
+// Shared with the day cells, which react-day-picker renders itself
+const CalendarContext = createContext(null);
+
+/**
+ * A task on the calendar. Tasks whose due date the user may change can be
+ * dragged to another day.
+ */
+function CalendarTask({ task }) {
+  const { dragging, setDragging } = useContext(CalendarContext);
+  const project = task.project?.data || task.project;
+  const draggable = task.can.update_due_date;
+
+  return (
+    <li>
+      <Link
+        href={route('tasks.show', task.id)}
+        draggable={draggable}
+        onDragStart={(e) => {
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', String(task.id));
+          setDragging(task);
+        }}
+        onDragEnd={() => setDragging(null)}
+        onClick={(e) => e.stopPropagation()}
+        title={[task.title, project?.name, `${task.priority.label} priority`].filter(Boolean).join(' · ')}
+        className={cn(
+          'block truncate rounded border-l-4 px-1.5 py-0.5 text-left text-xs transition-opacity hover:opacity-80',
+          priorityColors[task.priority.color],
+          task.status.is_final && 'line-through opacity-60',
+          draggable && 'cursor-grab active:cursor-grabbing',
+          dragging?.id === task.id && 'opacity-40',
+        )}
+      >
+        {task.title}
+      </Link>
+    </li>
+  );
+}
+
+/**
+ * A day of the calendar grid. Takes the place of react-day-picker's Day.
+ */
+function CalendarDay({ day, modifiers, className, children, ...props }) {
+  const { view, tasksByDay, dragging, dropDate, setDropDate, reschedule, canCreate, openQuickCreate } =
+    useContext(CalendarContext);
+
+  const key = toKey(day.date);
+  const tasks = tasksByDay[key] || [];
+  const shown = view === 'month' ? tasks.slice(0, MONTH_CELL_LIMIT) : tasks;
+  // Tasks cannot be created in the past
+  const creatable = canCreate && !isBefore(day.date, startOfToday());
+
+  const handleDragOver = (e) => {
+    if (!dragging) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropDate(key);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDropDate(null);
+
+    if (dragging && dragging.due_date !== key) {
+      reschedule(dragging, key);
+    }
+  };
+
+  return (
+    <td
+      {...props}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDropDate(null)}
+      onDrop={handleDrop}
+      onClick={() => creatable && openQuickCreate(key)}
+      className={cn(
+        'group flex-1 border p-1 align-top',
+        view === 'month' ? 'min-h-28' : 'min-h-72',
+        day.outside && 'bg-muted/40 text-muted-foreground',
+        creatable && 'cursor-pointer',
+        dropDate === key && 'bg-accent ring-2 ring-inset ring-primary',
+      )}
+    >
+      <div className="mb-1 flex items-center justify-between">
+        <span
+          className={cn(
+            'flex h-6 min-w-6 items-center justify-center rounded-full px-1 text-xs',
+            modifiers.today && 'bg-primary font-semibold text-primary-foreground',
+          )}
+        >
+          {view === 'week' ? format(day.date, 'EEE d') : children}
+        </span>
+        {creatable && <Plus className="h-3.5 w-3.5 text-muted-foreground opacity-0 group-hover:opacity-100" />}
+      </div>
+
+      <ul className="space-y-1">
+        {shown.map((task) => (
+          <CalendarTask key={task.id} task={task} />
+        ))}
+      </ul>
+
+      {tasks.length > shown.length && (
+        <Link
+          href={route('tasks.index', { due_from: key, due_to: key })}
+          onClick={(e) => e.stopPropagation()}
+          className="mt-1 block text-xs text-muted-foreground hover:text-foreground"
+        >
+          +{tasks.length - shown.length} more
+        </Link>
+      )}
+    </td>
+  );
+}
+
+/**
+ * A row of the calendar grid. The week view only keeps the focused week.
+ */
+function CalendarWeek({ week, ...props }) {
+  const { view, date } = useContext(CalendarContext);
+
+  if (view === 'week' && !week.days.some((day) => isSameDay(day.date, date))) {
+    return null;
+  }
+
+  return <tr {...props} />;
+}
+
+const calendarComponents = { Day: CalendarDay, Week: CalendarWeek };
+
+/**
+ * Calendar Page
+ *
+ * Month and week views of the tasks the user can see, placed on their due
+ * date and coloured by priority. Dragging a task to another day reschedules
+ * it; clicking an empty spot on a day opens a quick-create dialog for it.
+ */
+export default function Index({ tasks, projects, priorities, filters }) {
+  const { toast } = useToast();
+  const [dragging, setDragging] = useState(null);
+  const [dropDate, setDropDate] = useState(null);
+  const [quickCreateDate, setQuickCreateDate] = useState(null);
+
+  const view = filters.view;
+  const date = parse(filters.date, 'yyyy-MM-dd', new Date());
+
+  const tasksByDay = useMemo(
+    () =>
+      tasks.reduce((days, task) => {
+        (days[task.due_date] ||= []).push(task);
+        return days;
+      }, {}),
+    [tasks],
+  );
+
+  const visit = (params) => {
+    router.get(
+      route('calendar'),
+      { view, date: filters.date, ...params },
+      { preserveState: true, preserveScroll: true, replace: true },
+    );
+  };
+
+  const step = (amount) => {
+    const next = view === 'week' ? addWeeks(date, amount) : addMonths(date, amount);
+    visit({ date: toKey(next) });
+  };
+
+  const reschedule = (task, dueDate) => {
+    router.patch(
+      route('calendar.update', task.id),
+      { due_date: dueDate },
+      {
+        preserveScroll: true,
+        onError: (errors) => {
+          toast({
+            title: 'Error',
+            description: Object.values(errors)[0] || 'Failed to reschedule task.',
+            variant: 'destructive',
+          });
+        },
+      },
+    );
+  };
+
+  const title =
+    view === 'week'
+      ? `${format(startOfWeek(date, WEEK_OPTIONS), 'd MMM')} – ${format(endOfWeek(date, WEEK_OPTIONS), 'd MMM yyyy')}`
+      : format(date, 'MMMM yyyy');
+
+  const context = {
+    view,
+    date,
+    tasksByDay,
+    dragging,
+    setDragging,
+    dropDate,
+    setDropDate,
+    reschedule,
+    canCreate: projects.length > 0,
+    openQuickCreate: setQuickCreateDate,
+  };
+
+  return (
+    <AuthenticatedLayout
+      header={<h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">Calendar</h2>}
+    >
+      <Head title="Calendar" />
+
+      <div className="py-8">
+        <div className="mx-auto max-w-7xl space-y-4 sm:px-6 lg:px-8">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="icon" aria-label={`Previous ${view}`} onClick={() => step(-1)}>
+                <ChevronLeft className="h-4 w-4" />
+              </Button>
+              <Button variant="outline" onClick={() => visit({ date: toKey(new Date()) })}>
+                Today
+              </Button>
+              <Button variant="outline" size="icon" aria-label={`Next ${view}`} onClick={() => step(1)}>
+                <ChevronRight className="h-4 w-4" />
+              </Button>
+              <h3 className="ml-2 text-lg font-semibold">{title}</h3>
+            </div>
+
+            <ToggleGroup
+              type="single"
+              variant="outline"
+              value={view}
+              onValueChange={(value) => value && visit({ view: value })}
+            >
+              <ToggleGroupItem value="month" className="px-4">
+                Month
+              </ToggleGroupItem>
+              <ToggleGroupItem value="week" className="px-4">
+                Week
+              </ToggleGroupItem>
+            </ToggleGroup>
+          </div>
+
+          <Card>
+            <CardContent className="p-0">
+              <CalendarContext.Provider value={context}>
+                <Calendar
+                  month={date}
+                  weekStartsOn={1}
+                  hideNavigation
+                  hideWeekdays={view === 'week'}
+                  className="w-full p-0"
+                  classNames={{
+                    root: 'w-full',
+                    months: 'w-full',
+                    month: 'w-full',
+                    month_caption: 'sr-only',
+                    month_grid: 'w-full border-collapse',
+                    weekdays: 'flex',
+                    weekday: 'flex-1 border py-2 text-xs font-medium text-muted-foreground',
+                    week: 'flex w-full',
+                  }}
+                  components={calendarComponents}
+                />
+              </CalendarContext.Provider>
+            </CardContent>
+          </Card>
+
+          {projects.length === 0 && (
+            <p className="text-sm text-muted-foreground">
+              Join a project as an owner or editor to add tasks from the calendar.
+            </p>
+          )}
+        </div>
+      </div>
+
+      <TaskQuickCreate
+        date={quickCreateDate}
+        onClose={() => setQuickCreateDate(null)}
+        projects={projects}
+        priorities={priorities}
+      />
+    </AuthenticatedLayout>
+  );
+}
@@ -1,6 +1,10 @@
+import DashboardFilters from '@/Components/Dashboard/DashboardFilters';
+import OverdueTrendChart from '@/Components/Dashboard/OverdueTrendChart';
+import ProjectCompletionChart from '@/Components/Dashboard/ProjectCompletionChart';
 import RecentProjects from '@/Components/Dashboard/RecentProjects';
 import RecentTasks from '@/Components/Dashboard/RecentTasks';
 import StatCard from '@/Components/Dashboard/StatCard';
+import TaskActivityChart from '@/Components/Dashboard/TaskActivityChart';
 import TasksByStatus from '@/Components/Dashboard/TasksByStatus';
 import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
 import { Head } from '@inertiajs/react';
@@ -10,9 +14,10 @@ import { AlertCircle, CheckCircle2, FolderKanban, ListTodo } from 'lucide-react'
  * Dashboard Page
  *
  * Main dashboard displaying statistics and recent activity.
- * Receives data from DashboardController via Inertia props.
+ * Receives data from DashboardController via Inertia props, scoped to the
+ * period and projects picked in DashboardFilters.
  */
-export default function Dashboard({ stats, recent_projects, recent_tasks, overdue_tasks }) {
+export default function Dashboard({ stats, recent_projects, recent_tasks, charts, projects, filters }) {
   return (
     <AuthenticatedLayout
       header={<h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">Dashboard</h2>}
@@ -21,6 +26,9 @@ export default function Dashboard({ stats, recent_projects, recent_tasks, overdu
 
       <div className="py-8">
         <div className="mx-auto max-w-7xl space-y-8 sm:px-6 lg:px-8">
+          {/* Period and Project Filters */}
+          <DashboardFilters filters={filters} projects={projects} />
+
           {/* Statistics Grid */}
           <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4">
             <StatCard
@@ -46,7 +54,7 @@ export default function Dashboard({ stats, recent_projects, recent_tasks, overdu
             />
             <StatCard
               title="Overdue Tasks"
-              value={overdue_tasks}
+              value={stats.tasks.overdue}
               description={stats.tasks.overdue > 0 ? 'Needs attention' : 'All caught up!'}
               icon={<AlertCircle className="h-5 w-5 text-white" />}
               iconColor={stats.tasks.overdue > 0 ? 'bg-red-500' : 'bg-gray-400'}
@@ -62,6 +70,15 @@ export default function Dashboard({ stats, recent_projects, recent_tasks, overdu
             <TasksByStatus stats={stats.tasks} />
           </div>
 
+          {/* Task Activity */}
+          <TaskActivityChart activity={charts.activity} />
+
+          {/* Overdue Trend and Project Completion */}
+          <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+            <OverdueTrendChart activity={charts.activity} />
+            <ProjectCompletionChart projects={charts.projects} />
+          </div>
+
           {/* Recent Tasks */}
           <RecentTasks tasks={recent_tasks} />
         </div>
@@ -0,0 +1,162 @@
+import TaskBlockedBadge from '@/Components/Tasks/TaskBlockedBadge';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Checkbox } from '@/components/ui/checkbox';
+import { DatePicker } from '@/components/ui/date-picker';
+import { useToast } from '@/hooks/use-toast';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { cn } from '@/lib/utils';
+import { Head, Link, router } from '@inertiajs/react';
+import { format, parse } from 'date-fns';
+import { Calendar, CheckCircle2, Pause, Play } from 'lucide-react';
+
+const groupDetails = {
+  overdue: { title: 'Overdue', description: 'Past their due date', className: 'text-red-600 dark:text-red-400' },
+  today: { title: 'Today', description: 'Due today' },
+  this_week: { title: 'This week', description: 'Due later this week' },
+  later: { title: 'Later', description: 'Due after this week' },
+  no_date: { title: 'No date', description: 'Without a due date' },
+};
+
+const priorityColors = {
+  low: 'text-green-600 bg-green-50 dark:text-green-400 dark:bg-green-950',
+  medium: 'text-yellow-600 bg-yellow-50 dark:text-yellow-400 dark:bg-yellow-950',
+  high: 'text-red-600 bg-red-50 dark:text-red-400 dark:bg-red-950',
+};
+
+const parseDate = (date) => parse(date, 'yyyy-MM-dd', new Date());
+
+/**
+ * An assigned task with its quick status toggles and due date.
+ */
+function WorkRow({ task, onUpdate }) {
+  const project = task.project?.data || task.project;
+  const started = task.status.value === 'in_progress';
+
+  return (
+    <li className="flex flex-wrap items-center gap-3 py-3">
+      <Checkbox
+        checked={false}
+        disabled={!task.can.update_status}
+        onCheckedChange={() => onUpdate(task, { status: 'completed' })}
+        aria-label={`Complete ${task.title}`}
+      />
+
+      <div className="min-w-0 flex-1">
+        <Link href={route('tasks.show', task.id)} className="font-medium transition-colors hover:text-primary">
+          {task.title}
+        </Link>
+        <div className="mt-1 flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+          {project && <span>{project.name}</span>}
+          <Badge variant="outline" className={cn('text-xs', priorityColors[task.priority.value])}>
+            {task.priority.label}
+          </Badge>
+          {started && <Badge className="text-xs">In progress</Badge>}
+          {task.is_blocked && <TaskBlockedBadge className="text-xs" />}
+        </div>
+      </div>
+
+      {task.can.update_due_date ? (
+        <DatePicker
+          date={task.due_date ? parseDate(task.due_date) : undefined}
+          onSelect={(date) => onUpdate(task, { due_date: date ? format(date, 'yyyy-MM-dd') : null })}
+          placeholder="Set due date"
+          className="h-8 w-44"
+        />
+      ) : (
+        task.due_date && (
+          <span className="flex items-center gap-1 text-sm text-muted-foreground">
+            <Calendar className="h-4 w-4" />
+            {format(parseDate(task.due_date), 'PP')}
+          </span>
+        )
+      )}
+
+      {task.can.update_status && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onUpdate(task, { status: started ? 'pending' : 'in_progress' })}
+        >
+          {started ? <Pause className="mr-2 h-4 w-4" /> : <Play className="mr-2 h-4 w-4" />}
+          {started ? 'Pause' : 'Start'}
+        </Button>
+      )}
+    </li>
+  );
+}
+
+/**
+ * My Work Page
+ *
+ * The unfinished tasks assigned to the current user, grouped by when they
+ * are due. Tasks can be started, paused and completed in place, and people
+ * who can edit a task can also change its due date here.
+ */
+export default function Index({ groups, stats }) {
+  const { toast } = useToast();
+
+  const total = Object.values(groups).reduce((sum, tasks) => sum + tasks.length, 0);
+
+  const update = (task, data) => {
+    router.patch(route('my-work.update', task.id), data, {
+      preserveScroll: true,
+      onError: (errors) => {
+        toast({
+          title: 'Error',
+          description: Object.values(errors)[0] || 'Failed to update task.',
+          variant: 'destructive',
+        });
+      },
+    });
+  };
+
+  return (
+    <AuthenticatedLayout
+      header={<h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">My Work</h2>}
+    >
+      <Head title="My Work" />
+
+      <div className="py-8">
+        <div className="mx-auto max-w-4xl space-y-6 sm:px-6 lg:px-8">
+          <p className="text-sm text-muted-foreground">
+            {stats.total} task{stats.total !== 1 ? 's' : ''} assigned to you: {stats.in_progress} in progress,{' '}
+            {stats.pending} pending, {stats.completed} completed and {stats.overdue} overdue.
+          </p>
+
+          {total === 0 ? (
+            <Card>
+              <CardContent className="py-12 text-center">
+                <CheckCircle2 className="mx-auto mb-4 h-10 w-10 text-green-500" />
+                <h3 className="mb-2 text-lg font-semibold">Nothing on your plate</h3>
+                <p className="text-muted-foreground">Tasks assigned to you show up here until they are done.</p>
+              </CardContent>
+            </Card>
+          ) : (
+            Object.entries(groupDetails)
+              .filter(([key]) => groups[key]?.length > 0)
+              .map(([key, details]) => (
+                <Card key={key}>
+                  <CardHeader>
+                    <CardTitle className={cn('flex items-center gap-2', details.className)}>
+                      {details.title}
+                      <span className="text-sm font-normal text-muted-foreground">{groups[key].length}</span>
+                    </CardTitle>
+                    <CardDescription>{details.description}</CardDescription>
+                  </CardHeader>
+                  <CardContent>
+                    <ul className="divide-y">
+                      {groups[key].map((task) => (
+                        <WorkRow key={task.id} task={task} onUpdate={update} />
+                      ))}
+                    </ul>
+                  </CardContent>
+                </Card>
+              ))
+          )}
+        </div>
+      </div>
+    </AuthenticatedLayout>
+  );
+}
@@ -0,0 +1,120 @@
+import NotificationIcon from '@/Components/Notifications/NotificationIcon';
+import Pager from '@/Components/Pager';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { cn } from '@/lib/utils';
+import { Head, Link, router, usePage } from '@inertiajs/react';
+import { format, formatDistanceToNow } from 'date-fns';
+import { BellOff, Check, CheckCheck } from 'lucide-react';
+
+/**
+ * A notification in the list, with a button to mark it as read in place.
+ */
+function NotificationRow({ notification }) {
+  const unread = !notification.read_at;
+
+  const markAsRead = () => {
+    router.patch(route('notifications.read', notification.id), {}, { preserveScroll: true, preserveState: true });
+  };
+
+  return (
+    <li className={cn('flex items-start gap-3 px-4 py-3', unread && 'bg-blue-50/60 dark:bg-blue-950/30')}>
+      <NotificationIcon kind={notification.kind} className="mt-0.5" />
+
+      <Link href={notification.url} className="min-w-0 flex-1">
+        <p className={cn('text-sm hover:text-primary', unread && 'font-medium')}>{notification.message}</p>
+        <p className="text-xs text-muted-foreground" title={format(new Date(notification.created_at), 'PPpp')}>
+          {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true })}
+        </p>
+      </Link>
+
+      {unread && (
+        <Button variant="ghost" size="sm" onClick={markAsRead}>
+          <Check className="mr-1 h-4 w-4" />
+          Mark as read
+        </Button>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Notifications Page
+ *
+ * Everything the user has been notified about, newest first. Opening a
+ * notification marks it as read and goes to its task or project.
+ */
+export default function Index({ notifications, filters }) {
+  const unreadCount = usePage().props.notification_center?.unread_count ?? 0;
+
+  const filter = (value) => {
+    router.get(route('notifications.index'), value === 'unread' ? { unread: 1 } : {}, {
+      preserveState: true,
+      preserveScroll: true,
+      replace: true,
+    });
+  };
+
+  const markAllAsRead = () => {
+    router.post(route('notifications.read-all'), {}, { preserveScroll: true });
+  };
+
+  return (
+    <AuthenticatedLayout
+      header={<h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">Notifications</h2>}
+    >
+      <Head title="Notifications" />
+
+      <div className="py-8">
+        <div className="mx-auto max-w-3xl space-y-4 sm:px-6 lg:px-8">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <ToggleGroup
+              type="single"
+              variant="outline"
+              value={filters.unread ? 'unread' : 'all'}
+              onValueChange={(value) => value && filter(value)}
+            >
+              <ToggleGroupItem value="all" className="px-4">
+                All
+              </ToggleGroupItem>
+              <ToggleGroupItem value="unread" className="px-4">
+                Unread{unreadCount > 0 && ` (${unreadCount})`}
+              </ToggleGroupItem>
+            </ToggleGroup>
+
+            <Button variant="outline" onClick={markAllAsRead} disabled={unreadCount === 0}>
+              <CheckCheck className="mr-2 h-4 w-4" />
+              Mark all as read
+            </Button>
+          </div>
+
+          <Card>
+            <CardContent className="p-0">
+              {notifications.data.length === 0 ? (
+                <div className="py-12 text-center">
+                  <BellOff className="mx-auto mb-4 h-10 w-10 text-muted-foreground" />
+                  <h3 className="mb-2 text-lg font-semibold">
+                    {filters.unread ? 'No unread notifications' : 'No notifications yet'}
+                  </h3>
+                  <p className="text-muted-foreground">
+                    You'll hear about tasks assigned to you, comments and overdue work here.
+                  </p>
+                </div>
+              ) : (
+                <ul className="divide-y">
+                  {notifications.data.map((notification) => (
+                    <NotificationRow key={notification.id} notification={notification} />
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
+
+          <Pager meta={notifications.meta} only={['notifications']} />
+        </div>
+      </div>
+    </AuthenticatedLayout>
+  );
+}
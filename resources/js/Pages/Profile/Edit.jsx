@@ -1,10 +1,20 @@
 import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
 import { Head } from '@inertiajs/react';
+import ApiTokensForm from './Partials/ApiTokensForm';
 import DeleteUserForm from './Partials/DeleteUserForm';
+import UpdateNotificationSettingsForm from './Partials/UpdateNotificationSettingsForm';
 import UpdatePasswordForm from './Partials/UpdatePasswordForm';
 import UpdateProfileInformationForm from './Partials/UpdateProfileInformationForm';
 
-export default function Edit({ mustVerifyEmail, status }) {
+export default function Edit({
+    mustVerifyEmail,
+    status,
+    notificationSettings,
+    reminderOptions,
+    tokens,
+    tokenAbilities,
+    plainTextToken,
+}) {
     return (
         <AuthenticatedLayout
             header={
@@ -29,6 +39,23 @@ export default function Edit({ mustVerifyEmail, status }) {
                         <UpdatePasswordForm className="max-w-xl" />
                     </div>
 
+                    <div className="bg-white p-4 shadow sm:rounded-lg sm:p-8">
+                        <UpdateNotificationSettingsForm
+                            settings={notificationSettings}
+                            reminderOptions={reminderOptions}
+                            className="max-w-xl"
+                        />
+                    </div>
+
+                    <div className="bg-white p-4 shadow sm:rounded-lg sm:p-8">
+                        <ApiTokensForm
+                            tokens={tokens}
+                            abilities={tokenAbilities}
+                            plainTextToken={plainTextToken}
+                            className="max-w-xl"
+                        />
+                    </div>
+
                     <div className="bg-white p-4 shadow sm:rounded-lg sm:p-8">
                         <DeleteUserForm className="max-w-xl" />
                     </div>
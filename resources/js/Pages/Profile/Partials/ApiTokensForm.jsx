@@ -0,0 +1,269 @@
+import Checkbox from '@/Components/Checkbox';
+import DangerButton from '@/Components/DangerButton';
+import InputError from '@/Components/InputError';
+import InputLabel from '@/Components/InputLabel';
+import Modal from '@/Components/Modal';
+import PrimaryButton from '@/Components/PrimaryButton';
+import SecondaryButton from '@/Components/SecondaryButton';
+import TextInput from '@/Components/TextInput';
+import { Transition } from '@headlessui/react';
+import { router, useForm } from '@inertiajs/react';
+import { format, formatDistanceToNow } from 'date-fns';
+import { useState } from 'react';
+
+export default function ApiTokensForm({
+    tokens,
+    abilities,
+    plainTextToken,
+    className = '',
+}) {
+    const [revoking, setRevoking] = useState(null);
+    const [processingRevoke, setProcessingRevoke] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    const { data, setData, post, errors, processing, reset } = useForm({
+        name: '',
+        abilities: [],
+    });
+
+    const abilityLabels = Object.fromEntries(
+        abilities.map((ability) => [ability.value, ability.label]),
+    );
+
+    const toggleAbility = (value, checked) => {
+        setData(
+            'abilities',
+            checked
+                ? [...data.abilities, value]
+                : data.abilities.filter((ability) => ability !== value),
+        );
+    };
+
+    const submit = (e) => {
+        e.preventDefault();
+
+        post(route('profile.tokens.store'), {
+            preserveScroll: true,
+            onSuccess: () => {
+                reset();
+                setCopied(false);
+            },
+        });
+    };
+
+    const copyToken = () => {
+        navigator.clipboard.writeText(plainTextToken).then(() => {
+            setCopied(true);
+        });
+    };
+
+    const revokeToken = () => {
+        router.delete(route('profile.tokens.destroy', revoking.id), {
+            preserveScroll: true,
+            onStart: () => setProcessingRevoke(true),
+            onFinish: () => {
+                setProcessingRevoke(false);
+                setRevoking(null);
+            },
+        });
+    };
+
+    return (
+        <section className={className}>
+            <header>
+                <h2 className="text-lg font-medium text-gray-900">
+                    API Tokens
+                </h2>
+
+                <p className="mt-1 text-sm text-gray-600">
+                    Personal access tokens let scripts and other apps use the
+                    API on your behalf. Give each token only the access it
+                    needs, and revoke tokens you no longer use.
+                </p>
+            </header>
+
+            <form onSubmit={submit} className="mt-6 space-y-6">
+                <div>
+                    <InputLabel htmlFor="token_name" value="Token name" />
+
+                    <TextInput
+                        id="token_name"
+                        className="mt-1 block w-full"
+                        value={data.name}
+                        onChange={(e) => setData('name', e.target.value)}
+                        placeholder="e.g. CI pipeline"
+                    />
+
+                    <InputError className="mt-2" message={errors.name} />
+                </div>
+
+                <fieldset>
+                    <legend className="block text-sm font-medium text-gray-700">
+                        Abilities
+                    </legend>
+
+                    <div className="mt-2 space-y-2">
+                        {abilities.map((ability) => (
+                            <label
+                                key={ability.value}
+                                className="flex items-start gap-2"
+                            >
+                                <Checkbox
+                                    className="mt-0.5"
+                                    value={ability.value}
+                                    checked={data.abilities.includes(
+                                        ability.value,
+                                    )}
+                                    onChange={(e) =>
+                                        toggleAbility(
+                                            ability.value,
+                                            e.target.checked,
+                                        )
+                                    }
+                                />
+                                <span>
+                                    <span className="block text-sm font-medium text-gray-700">
+                                        {ability.label}
+                                    </span>
+                                    <span className="block text-sm text-gray-600">
+                                        {ability.description}
+                                    </span>
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+
+                    <InputError
+                        className="mt-2"
+                        message={
+                            errors.abilities ||
+                            Object.entries(errors).find(([key]) =>
+                                key.startsWith('abilities.'),
+                            )?.[1]
+                        }
+                    />
+                </fieldset>
+
+                <div className="flex items-center gap-4">
+                    <PrimaryButton disabled={processing}>
+                        Create Token
+                    </PrimaryButton>
+                </div>
+            </form>
+
+            <Transition
+                show={!!plainTextToken}
+                enter="transition ease-in-out"
+                enterFrom="opacity-0"
+                leave="transition ease-in-out"
+                leaveTo="opacity-0"
+            >
+                <div className="mt-6 rounded-md border border-green-200 bg-green-50 p-4">
+                    <p className="text-sm font-medium text-green-800">
+                        Copy your new token now. You won't be able to see it
+                        again.
+                    </p>
+
+                    <div className="mt-2 flex items-center gap-2">
+                        <code className="block flex-1 break-all rounded bg-white px-3 py-2 font-mono text-sm text-gray-900">
+                            {plainTextToken}
+                        </code>
+
+                        <SecondaryButton onClick={copyToken}>
+                            {copied ? 'Copied' : 'Copy'}
+                        </SecondaryButton>
+                    </div>
+                </div>
+            </Transition>
+
+            <div className="mt-8">
+                <h3 className="text-sm font-medium text-gray-900">
+                    Your tokens
+                </h3>
+
+                {tokens.length === 0 ? (
+                    <p className="mt-2 text-sm text-gray-600">
+                        You haven't created any tokens yet.
+                    </p>
+                ) : (
+                    <ul className="mt-2 divide-y divide-gray-200 rounded-md border border-gray-200">
+                        {tokens.map((token) => (
+                            <li
+                                key={token.id}
+                                className="flex items-center justify-between gap-4 px-4 py-3"
+                            >
+                                <div className="min-w-0">
+                                    <p className="truncate text-sm font-medium text-gray-900">
+                                        {token.name}
+                                    </p>
+                                    <p className="text-sm text-gray-600">
+                                        {token.abilities
+                                            .map(
+                                                (ability) =>
+                                                    abilityLabels[ability] ??
+                                                    ability,
+                                            )
+                                            .join(', ')}
+                                    </p>
+                                    <p
+                                        className="text-xs text-gray-500"
+                                        title={
+                                            token.last_used_at
+                                                ? format(
+                                                      new Date(
+                                                          token.last_used_at,
+                                                      ),
+                                                      'PPpp',
+                                                  )
+                                                : undefined
+                                        }
+                                    >
+                                        {token.last_used_at
+                                            ? `Last used ${formatDistanceToNow(
+                                                  new Date(token.last_used_at),
+                                                  { addSuffix: true },
+                                              )}`
+                                            : 'Never used'}
+                                    </p>
+                                </div>
+
+                                <DangerButton
+                                    onClick={() => setRevoking(token)}
+                                >
+                                    Revoke
+                                </DangerButton>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <Modal show={revoking !== null} onClose={() => setRevoking(null)}>
+                <div className="p-6">
+                    <h2 className="text-lg font-medium text-gray-900">
+                        Revoke "{revoking?.name}"?
+                    </h2>
+
+                    <p className="mt-1 text-sm text-gray-600">
+                        Anything still using this token will lose access to
+                        the API straight away. This cannot be undone.
+                    </p>
+
+                    <div className="mt-6 flex justify-end">
+                        <SecondaryButton onClick={() => setRevoking(null)}>
+                            Cancel
+                        </SecondaryButton>
+
+                        <DangerButton
+                            className="ms-3"
+                            disabled={processingRevoke}
+                            onClick={revokeToken}
+                        >
+                            Revoke Token
+                        </DangerButton>
+                    </div>
+                </div>
+            </Modal>
+        </section>
+    );
+}
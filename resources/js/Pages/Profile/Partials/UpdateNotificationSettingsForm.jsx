@@ -0,0 +1,123 @@
+import Checkbox from '@/Components/Checkbox';
+import InputError from '@/Components/InputError';
+import InputLabel from '@/Components/InputLabel';
+import PrimaryButton from '@/Components/PrimaryButton';
+import { Transition } from '@headlessui/react';
+import { useForm } from '@inertiajs/react';
+
+const hoursLabel = (hours) =>
+    hours % 24 === 0
+        ? `${hours / 24} day${hours === 24 ? '' : 's'} before`
+        : `${hours} hour${hours === 1 ? '' : 's'} before`;
+
+export default function UpdateNotificationSettingsForm({
+    settings,
+    reminderOptions,
+    className = '',
+}) {
+    const { data, setData, patch, errors, processing, recentlySuccessful } =
+        useForm({
+            daily_digest: settings.daily_digest,
+            due_reminder_hours: settings.due_reminder_hours,
+        });
+
+    const submit = (e) => {
+        e.preventDefault();
+
+        patch(route('profile.notifications.update'), {
+            preserveScroll: true,
+        });
+    };
+
+    return (
+        <section className={className}>
+            <header>
+                <h2 className="text-lg font-medium text-gray-900">
+                    Email Notifications
+                </h2>
+
+                <p className="mt-1 text-sm text-gray-600">
+                    Choose which reminders about your tasks are sent to your
+                    email address.
+                </p>
+            </header>
+
+            <form onSubmit={submit} className="mt-6 space-y-6">
+                <div>
+                    <label className="flex items-start gap-2">
+                        <Checkbox
+                            name="daily_digest"
+                            className="mt-0.5"
+                            checked={data.daily_digest}
+                            onChange={(e) =>
+                                setData('daily_digest', e.target.checked)
+                            }
+                        />
+                        <span>
+                            <span className="block text-sm font-medium text-gray-700">
+                                Daily digest
+                            </span>
+                            <span className="block text-sm text-gray-600">
+                                A morning summary of your overdue tasks and
+                                those due this week, including tasks in
+                                projects you own.
+                            </span>
+                        </span>
+                    </label>
+
+                    <InputError className="mt-2" message={errors.daily_digest} />
+                </div>
+
+                <div>
+                    <InputLabel
+                        htmlFor="due_reminder_hours"
+                        value="Due date reminders"
+                    />
+
+                    <select
+                        id="due_reminder_hours"
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                        value={data.due_reminder_hours ?? ''}
+                        onChange={(e) =>
+                            setData(
+                                'due_reminder_hours',
+                                e.target.value ? Number(e.target.value) : null,
+                            )
+                        }
+                    >
+                        <option value="">Off</option>
+                        {reminderOptions.map((hours) => (
+                            <option key={hours} value={hours}>
+                                {hoursLabel(hours)}
+                            </option>
+                        ))}
+                    </select>
+
+                    <p className="mt-1 text-sm text-gray-600">
+                        Sent once for each task that comes due, whether it is
+                        assigned to you or unassigned in a project you created.
+                    </p>
+
+                    <InputError
+                        className="mt-2"
+                        message={errors.due_reminder_hours}
+                    />
+                </div>
+
+                <div className="flex items-center gap-4">
+                    <PrimaryButton disabled={processing}>Save</PrimaryButton>
+
+                    <Transition
+                        show={recentlySuccessful}
+                        enter="transition ease-in-out"
+                        enterFrom="opacity-0"
+                        leave="transition ease-in-out"
+                        leaveTo="opacity-0"
+                    >
+                        <p className="text-sm text-gray-600">Saved.</p>
+                    </Transition>
+                </div>
+            </form>
+        </section>
+    );
+}
@@ -1,3 +1,4 @@
+import Pager from '@/Components/Pager';
 import ProjectList from '@/Components/Projects/ProjectList';
 import {
   AlertDialog,
@@ -10,7 +11,9 @@ import {
   AlertDialogTitle,
 } from '@/components/ui/alert-dialog';
 import { Button } from '@/components/ui/button';
+import { useLoadMore } from '@/hooks/use-load-more';
 import { useToast } from '@/hooks/use-toast';
+import { useUndoToast } from '@/hooks/use-undo-toast';
 import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
 import { Head, Link, router } from '@inertiajs/react';
 import { PlusCircle } from 'lucide-react';
@@ -23,7 +26,10 @@ import { useState } from 'react';
  */
 export default function Index({ projects }) {
   const { toast } = useToast();
+  const { undoToast } = useUndoToast();
   const [projectToDelete, setProjectToDelete] = useState(null);
+  const [infinite, setInfinite] = useState(false);
+  const { items, loadMore, loading, hasMore } = useLoadMore(projects, ['projects']);
 
   const handleDelete = (project) => {
     setProjectToDelete(project);
@@ -31,11 +37,13 @@ export default function Index({ projects }) {
 
   const confirmDelete = () => {
     if (projectToDelete) {
-      router.delete(route('projects.destroy', projectToDelete.id), {
+      const project = projectToDelete;
+
+      router.delete(route('projects.destroy', project.id), {
         onSuccess: () => {
-          toast({
-            title: 'Success',
-            description: 'Project deleted successfully.',
+          undoToast({
+            description: `"${project.name}" and its tasks were moved to the trash.`,
+            restoreUrl: route('projects.restore', project.id),
           });
           setProjectToDelete(null);
         },
@@ -67,8 +75,19 @@ export default function Index({ projects }) {
       <Head title="Projects" />
 
       <div className="py-8">
-        <div className="mx-auto max-w-7xl sm:px-6 lg:px-8">
-          <ProjectList projects={projects.data || projects} onDelete={handleDelete} />
+        <div className="mx-auto max-w-7xl space-y-6 sm:px-6 lg:px-8">
+          <ProjectList projects={infinite ? items : projects.data} onDelete={handleDelete} />
+
+          <Pager
+            meta={projects.meta}
+            only={['projects']}
+            infinite={infinite}
+            onInfiniteChange={setInfinite}
+            onLoadMore={loadMore}
+            hasMore={hasMore}
+            loading={loading}
+            loaded={items.length}
+          />
         </div>
       </div>
 
@@ -78,8 +97,8 @@ export default function Index({ projects }) {
           <AlertDialogHeader>
             <AlertDialogTitle>Are you sure?</AlertDialogTitle>
             <AlertDialogDescription>
-              This will permanently delete the project "{projectToDelete?.name}" and all its tasks. This action cannot
-              be undone.
+              This will move the project "{projectToDelete?.name}" and all its tasks to the trash. You can restore them
+              from the trash later.
             </AlertDialogDescription>
           </AlertDialogHeader>
           <AlertDialogFooter>
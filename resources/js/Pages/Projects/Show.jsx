@@ -1,3 +1,7 @@
+import ActivityTimeline from '@/Components/ActivityTimeline';
+import LiveUpdateIndicator from '@/Components/LiveUpdateIndicator';
+import ProjectMembers from '@/Components/Projects/ProjectMembers';
+import TaskBoard from '@/Components/Tasks/TaskBoard';
 import TaskList from '@/Components/Tasks/TaskList';
 import {
   AlertDialog,
@@ -13,25 +17,85 @@ import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Progress } from '@/components/ui/progress';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { useLiveTasks } from '@/hooks/use-live-tasks';
 import { useToast } from '@/hooks/use-toast';
+import { useUndoToast } from '@/hooks/use-undo-toast';
 import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
 import { Head, Link, router } from '@inertiajs/react';
-import { AlertCircle, Calendar, CheckCircle2, Clock, ListTodo, Pencil, PlusCircle, Trash2 } from 'lucide-react';
-import { useState } from 'react';
+import {
+  AlertCircle,
+  Calendar,
+  CheckCircle2,
+  Clock,
+  Columns3,
+  History,
+  LayoutGrid,
+  ListTodo,
+  Pencil,
+  PlusCircle,
+  Trash2,
+  Users,
+} from 'lucide-react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 
 /**
  * Project Show Page
  *
- * Displays detailed information about a project including its tasks.
+ * Displays detailed information about a project including its tasks, members and activity history.
+ * Actions are shown according to the current user's role (`can`).
+ * Changes other members make to the project and its tasks show up live.
  */
-export default function Show({ project, stats }) {
+export default function Show({
+  project: initialProject,
+  stats,
+  statuses = [],
+  activities = [],
+  members = [],
+  invitations = [],
+  roles = [],
+  can = {},
+}) {
   const { toast } = useToast();
+  const { undoToast } = useUndoToast();
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [taskToDelete, setTaskToDelete] = useState(null);
+  const [projectChanges, setProjectChanges] = useState({});
+  const summaryReload = useRef(null);
+
+  // Edits broadcast by other members, on top of the project from the server
+  const project = { ...initialProject, ...projectChanges };
+
+  useEffect(() => {
+    setProjectChanges({});
+  }, [initialProject]);
+
+  useEffect(() => () => clearTimeout(summaryReload.current), []);
+
+  // Refresh the counters and activity once a burst of changes settles
+  const reloadSummary = () => {
+    clearTimeout(summaryReload.current);
+    summaryReload.current = setTimeout(() => router.reload({ only: ['stats', 'activities'] }), 1000);
+  };
 
   // Handle nested resource collection wrapping
   // Laravel API Resources wrap nested collections in a 'data' property
-  const tasks = Array.isArray(project.tasks) ? project.tasks : (project.tasks?.data || []);
+  const projectTasks = useMemo(
+    () => (Array.isArray(initialProject.tasks) ? initialProject.tasks : initialProject.tasks?.data || []),
+    [initialProject],
+  );
+
+  const { tasks, change } = useLiveTasks(projectTasks, [initialProject.id], {
+    only: ['project', 'stats', 'activities'],
+    belongs: (task) => task.project_id === initialProject.id,
+    onChange: (event) => {
+      if (event.type === 'project' && event.action === 'updated') {
+        setProjectChanges(event.data);
+      } else if (event.type === 'task' && ['updated', 'deleted'].includes(event.action)) {
+        reloadSummary();
+      }
+    },
+  });
 
   const getStatusColor = (status) => {
     const colors = {
@@ -54,9 +118,9 @@ export default function Show({ project, stats }) {
   const handleDeleteProject = () => {
     router.delete(route('projects.destroy', project.id), {
       onSuccess: () => {
-        toast({
-          title: 'Success',
-          description: 'Project deleted successfully.',
+        undoToast({
+          description: `"${project.name}" and its tasks were moved to the trash.`,
+          restoreUrl: route('projects.restore', project.id),
         });
       },
       onError: () => {
@@ -75,12 +139,14 @@ export default function Show({ project, stats }) {
 
   const confirmDeleteTask = () => {
     if (taskToDelete) {
-      router.delete(route('tasks.destroy', taskToDelete.id), {
+      const task = taskToDelete;
+
+      router.delete(route('tasks.destroy', task.id), {
         preserveScroll: true,
         onSuccess: () => {
-          toast({
-            title: 'Success',
-            description: 'Task deleted successfully.',
+          undoToast({
+            description: `"${task.title}" was moved to the trash.`,
+            restoreUrl: route('tasks.restore', task.id),
           });
           setTaskToDelete(null);
         },
@@ -99,20 +165,25 @@ export default function Show({ project, stats }) {
     <AuthenticatedLayout
       header={
         <div className="flex items-center justify-between">
-          <div className="flex-1">
+          <div className="flex flex-1 items-center gap-3">
             <h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">{project.name}</h2>
+            <LiveUpdateIndicator change={change} />
           </div>
           <div className="flex gap-2">
-            <Button variant="outline" asChild>
-              <Link href={route('projects.edit', project.id)}>
-                <Pencil className="mr-2 h-4 w-4" />
-                Edit
-              </Link>
-            </Button>
-            <Button variant="destructive" onClick={() => setShowDeleteDialog(true)}>
-              <Trash2 className="mr-2 h-4 w-4" />
-              Delete
-            </Button>
+            {can.update && (
+              <Button variant="outline" asChild>
+                <Link href={route('projects.edit', project.id)}>
+                  <Pencil className="mr-2 h-4 w-4" />
+                  Edit
+                </Link>
+              </Button>
+            )}
+            {can.delete && (
+              <Button variant="destructive" onClick={() => setShowDeleteDialog(true)}>
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete
+              </Button>
+            )}
           </div>
         </div>
       }
@@ -199,18 +270,61 @@ export default function Show({ project, stats }) {
           </Card>
 
           {/* Tasks Section */}
-          <div>
+          <Tabs defaultValue="list">
             <div className="mb-6 flex items-center justify-between">
-              <h3 className="text-lg font-semibold">Tasks</h3>
-              <Button asChild>
-                <Link href={route('tasks.create', { project_id: project.id })}>
-                  <PlusCircle className="mr-2 h-4 w-4" />
-                  Add Task
-                </Link>
-              </Button>
+              <div className="flex items-center gap-4">
+                <h3 className="text-lg font-semibold">Tasks</h3>
+                <TabsList>
+                  <TabsTrigger value="list">
+                    <LayoutGrid className="mr-2 h-4 w-4" />
+                    List
+                  </TabsTrigger>
+                  <TabsTrigger value="board">
+                    <Columns3 className="mr-2 h-4 w-4" />
+                    Board
+                  </TabsTrigger>
+                  <TabsTrigger value="activity">
+                    <History className="mr-2 h-4 w-4" />
+                    Activity
+                  </TabsTrigger>
+                  <TabsTrigger value="members">
+                    <Users className="mr-2 h-4 w-4" />
+                    Members
+                  </TabsTrigger>
+                </TabsList>
+              </div>
+              {can.manage_tasks && (
+                <Button asChild>
+                  <Link href={route('tasks.create', { project_id: project.id })}>
+                    <PlusCircle className="mr-2 h-4 w-4" />
+                    Add Task
+                  </Link>
+                </Button>
+              )}
             </div>
-            <TaskList tasks={tasks} onDelete={handleDeleteTask} showProject={false} />
-          </div>
+            <TabsContent value="list">
+              <TaskList tasks={tasks} onDelete={handleDeleteTask} showProject={false} />
+            </TabsContent>
+            <TabsContent value="board">
+              <TaskBoard tasks={tasks} statuses={statuses} onDelete={handleDeleteTask} />
+            </TabsContent>
+            <TabsContent value="activity">
+              <Card>
+                <CardContent className="pt-6">
+                  <ActivityTimeline activities={activities} showSubject />
+                </CardContent>
+              </Card>
+            </TabsContent>
+            <TabsContent value="members">
+              <ProjectMembers
+                projectId={project.id}
+                members={members}
+                invitations={invitations}
+                roles={roles}
+                canManage={can.manage_members}
+              />
+            </TabsContent>
+          </Tabs>
         </div>
       </div>
 
@@ -220,7 +334,8 @@ export default function Show({ project, stats }) {
           <AlertDialogHeader>
             <AlertDialogTitle>Delete Project?</AlertDialogTitle>
             <AlertDialogDescription>
-              This will permanently delete the project "{project.name}" and all its tasks. This action cannot be undone.
+              This will move the project "{project.name}" and all its tasks to the trash. You can restore them from the
+              trash later.
             </AlertDialogDescription>
           </AlertDialogHeader>
           <AlertDialogFooter>
@@ -238,7 +353,7 @@ export default function Show({ project, stats }) {
           <AlertDialogHeader>
             <AlertDialogTitle>Delete Task?</AlertDialogTitle>
             <AlertDialogDescription>
-              This will permanently delete the task "{taskToDelete?.title}". This action cannot be undone.
+              This will move the task "{taskToDelete?.title}" to the trash. You can restore it from the trash later.
             </AlertDialogDescription>
           </AlertDialogHeader>
           <AlertDialogFooter>
@@ -7,7 +7,7 @@ import { Head } from '@inertiajs/react';
  *
  * Form page for creating a new task.
  */
-export default function Create({ projects, users, priorities, statuses }) {
+export default function Create({ project_id, projects, users, tasks, priorities, statuses, frequencies }) {
   return (
     <AuthenticatedLayout
       header={<h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">Create Task</h2>}
@@ -16,7 +16,15 @@ export default function Create({ projects, users, priorities, statuses }) {
 
       <div className="py-8">
         <div className="mx-auto max-w-3xl sm:px-6 lg:px-8">
-          <TaskForm projects={projects} users={users} priorities={priorities} statuses={statuses} />
+          <TaskForm
+            projects={projects}
+            users={users}
+            tasks={tasks}
+            priorities={priorities}
+            statuses={statuses}
+            frequencies={frequencies}
+            defaultProjectId={project_id}
+          />
         </div>
       </div>
     </AuthenticatedLayout>
@@ -7,7 +7,7 @@ import { Head } from '@inertiajs/react';
  *
  * Form page for editing an existing task.
  */
-export default function Edit({ task, projects, users, priorities, statuses }) {
+export default function Edit({ task, permissions, projects, users, tasks, priorities, statuses, frequencies }) {
   return (
     <AuthenticatedLayout
       header={
@@ -20,7 +20,16 @@ export default function Edit({ task, projects, users, priorities, statuses }) {
 
       <div className="py-8">
         <div className="mx-auto max-w-3xl sm:px-6 lg:px-8">
-          <TaskForm task={task} projects={projects} users={users} priorities={priorities} statuses={statuses} />
+          <TaskForm
+            task={task}
+            permissions={permissions}
+            projects={projects}
+            users={users}
+            tasks={tasks}
+            priorities={priorities}
+            statuses={statuses}
+            frequencies={frequencies}
+          />
         </div>
       </div>
     </AuthenticatedLayout>
@@ -1,9 +1,15 @@
+import LiveUpdateIndicator from "@/Components/LiveUpdateIndicator";
+import Pager from "@/Components/Pager";
 import AuthenticatedLayout from "@/Layouts/AuthenticatedLayout";
 import { Head, Link, router } from "@inertiajs/react";
+import TaskFilters from "@/Components/Tasks/TaskFilters";
 import TaskList from "@/Components/Tasks/TaskList";
 import { Button } from "@/components/ui/button";
-import { PlusCircle } from "lucide-react";
+import { PlusCircle, SearchX } from "lucide-react";
+import { useLiveTasks } from "@/hooks/use-live-tasks";
+import { useLoadMore } from "@/hooks/use-load-more";
 import { useToast } from "@/hooks/use-toast";
+import { useUndoToast } from "@/hooks/use-undo-toast";
 import {
     AlertDialog,
     AlertDialogAction,
@@ -16,18 +22,50 @@ import {
 } from "@/components/ui/alert-dialog";
 import { useState } from "react";
 
+/**
+ * Drop empty filters so they don't end up in the URL.
+ * Booleans are sent as 1 because Laravel's boolean rule rejects "true".
+ */
+const cleanFilters = (filters) =>
+    Object.fromEntries(
+        Object.entries(filters)
+            .filter(([, value]) => value !== "" && value !== null && value !== undefined && value !== false)
+            .map(([key, value]) => [key, value === true ? 1 : value])
+    );
+
 /**
  * Tasks Index Page
  *
  * Displays a list of all user's tasks with actions.
+ * Filters and sorting live in the query string and are applied server-side.
+ * Changes other people make to the listed tasks show up live.
  */
-export default function Index({ tasks }) {
+export default function Index({ tasks, projects = [], users = [], statuses = [], priorities = [], filters = {} }) {
     const { toast } = useToast();
+    const { undoToast } = useUndoToast();
     const [taskToDelete, setTaskToDelete] = useState(null);
+    const [infinite, setInfinite] = useState(false);
+    const { items, loadMore, loading, hasMore } = useLoadMore(tasks, ['tasks']);
 
     // Handle paginated data structure
     // Laravel pagination returns: { data: [...], links: {...}, meta: {...} }
-    const tasksList = Array.isArray(tasks) ? tasks : (tasks?.data || []);
+    // New tasks reload the page, but not an infinite list, which would lose the pages loaded so far
+    const { tasks: tasksList, change } = useLiveTasks(
+        infinite ? items : tasks.data,
+        projects.map((project) => project.id),
+        { only: infinite ? [] : ["tasks"] }
+    );
+
+    const hasFilters = Object.keys(filters).some((key) => !["sort", "direction", "per_page"].includes(key));
+
+    const handleFilterChange = (next) => {
+        router.get(route('tasks.index'), cleanFilters(next), {
+            only: ['tasks', 'filters'],
+            preserveState: true,
+            preserveScroll: true,
+            replace: true,
+        });
+    };
 
     const handleDelete = (task) => {
         setTaskToDelete(task);
@@ -35,11 +73,13 @@ export default function Index({ tasks }) {
 
     const confirmDelete = () => {
         if (taskToDelete) {
-            router.delete(route('tasks.destroy', taskToDelete.id), {
+            const task = taskToDelete;
+
+            router.delete(route('tasks.destroy', task.id), {
                 onSuccess: () => {
-                    toast({
-                        title: "Success",
-                        description: "Task deleted successfully.",
+                    undoToast({
+                        description: `"${task.title}" was moved to the trash.`,
+                        restoreUrl: route('tasks.restore', task.id),
                     });
                     setTaskToDelete(null);
                 },
@@ -58,9 +98,12 @@ export default function Index({ tasks }) {
         <AuthenticatedLayout
             header={
                 <div className="flex items-center justify-between">
-                    <h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">
-                        Tasks
-                    </h2>
+                    <div className="flex items-center gap-3">
+                        <h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">
+                            Tasks
+                        </h2>
+                        <LiveUpdateIndicator change={change} />
+                    </div>
                     <Button asChild>
                         <Link href={route('tasks.create')}>
                             <PlusCircle className="mr-2 h-4 w-4" />
@@ -73,8 +116,40 @@ export default function Index({ tasks }) {
             <Head title="Tasks" />
 
             <div className="py-8">
-                <div className="mx-auto max-w-7xl sm:px-6 lg:px-8">
-                    <TaskList tasks={tasksList} onDelete={handleDelete} />
+                <div className="mx-auto max-w-7xl space-y-6 sm:px-6 lg:px-8">
+                    <TaskFilters
+                        filters={filters}
+                        projects={projects}
+                        users={users}
+                        statuses={statuses}
+                        priorities={priorities}
+                        onChange={handleFilterChange}
+                    />
+
+                    {hasFilters && tasksList.length === 0 ? (
+                        <div className="py-12 text-center">
+                            <div className="mb-4 inline-flex h-16 w-16 items-center justify-center rounded-full bg-muted">
+                                <SearchX className="h-8 w-8 text-muted-foreground" />
+                            </div>
+                            <h3 className="mb-2 text-lg font-semibold">No matching tasks</h3>
+                            <p className="mx-auto max-w-sm text-muted-foreground">
+                                Try changing or resetting your filters.
+                            </p>
+                        </div>
+                    ) : (
+                        <TaskList tasks={tasksList} onDelete={handleDelete} />
+                    )}
+
+                    <Pager
+                        meta={tasks?.meta}
+                        only={['tasks']}
+                        infinite={infinite}
+                        onInfiniteChange={setInfinite}
+                        onLoadMore={loadMore}
+                        hasMore={hasMore}
+                        loading={loading}
+                        loaded={items.length}
+                    />
                 </div>
             </div>
 
@@ -84,8 +159,8 @@ export default function Index({ tasks }) {
                     <AlertDialogHeader>
                         <AlertDialogTitle>Are you sure?</AlertDialogTitle>
                         <AlertDialogDescription>
-                            This will permanently delete the task "{taskToDelete?.title}".
-                            This action cannot be undone.
+                            This will move the task "{taskToDelete?.title}" to the trash.
+                            You can restore it from the trash later.
                         </AlertDialogDescription>
                     </AlertDialogHeader>
                     <AlertDialogFooter>
@@ -5,6 +5,11 @@ import { Badge } from "@/components/ui/badge";
 import { Avatar, AvatarFallback } from "@/components/ui/avatar";
 import { Button } from "@/components/ui/button";
 import TaskStatusBadge from "@/Components/Tasks/TaskStatusBadge";
+import TaskBlockedBadge from "@/Components/Tasks/TaskBlockedBadge";
+import TaskDependencies from "@/Components/Tasks/TaskDependencies";
+import TaskComments from "@/Components/Tasks/TaskComments";
+import TaskChecklist from "@/Components/Tasks/TaskChecklist";
+import ActivityTimeline from "@/Components/ActivityTimeline";
 import {
     Calendar,
     Pencil,
@@ -13,6 +18,8 @@ import {
     FolderKanban,
     AlertCircle,
     Clock,
+    History,
+    Repeat,
 } from "lucide-react";
 import {
     AlertDialog,
@@ -26,14 +33,24 @@ import {
 } from "@/components/ui/alert-dialog";
 import { useState } from "react";
 import { useToast } from "@/hooks/use-toast";
+import { useUndoToast } from "@/hooks/use-undo-toast";
 
 /**
  * Task Show Page
  *
- * Displays detailed information about a task.
+ * Displays detailed information about a task, its checklist, its comment thread and its history.
  */
-export default function Show({ task }) {
+export default function Show({
+    task,
+    comments = [],
+    users = [],
+    members = [],
+    canComment = false,
+    canUpdate = false,
+    activities = [],
+}) {
     const { toast } = useToast();
+    const { undoToast } = useUndoToast();
     const [showDeleteDialog, setShowDeleteDialog] = useState(false);
 
     // Handle nested resource wrapping
@@ -84,9 +101,9 @@ export default function Show({ task }) {
     const handleDelete = () => {
         router.delete(route('tasks.destroy', task.id), {
             onSuccess: () => {
-                toast({
-                    title: "Success",
-                    description: "Task deleted successfully.",
+                undoToast({
+                    description: `"${task.title}" was moved to the trash.`,
+                    restoreUrl: route('tasks.restore', task.id),
                 });
             },
             onError: () => {
@@ -135,6 +152,7 @@ export default function Show({ task }) {
                                     <CardTitle className="text-2xl mb-3">{task.title}</CardTitle>
                                     <div className="flex flex-wrap gap-2">
                                         <TaskStatusBadge status={task.status} />
+                                        {task.is_blocked && <TaskBlockedBadge />}
                                         <Badge className={getPriorityColor(task.priority.value)}>
                                             {task.priority.label} Priority
                                         </Badge>
@@ -216,6 +234,20 @@ export default function Show({ task }) {
                                     </div>
                                 </div>
 
+                                {/* Recurrence */}
+                                {task.recurrence_label && (
+                                    <div className="flex items-start gap-3 p-4 border rounded-lg">
+                                        <Repeat className="h-5 w-5 text-muted-foreground mt-0.5" />
+                                        <div className="flex-1">
+                                            <p className="text-sm font-medium mb-1">Repeats</p>
+                                            <p>{task.recurrence_label}</p>
+                                            <p className="text-sm text-muted-foreground mt-1">
+                                                Occurrence #{task.occurrence}
+                                            </p>
+                                        </div>
+                                    </div>
+                                )}
+
                                 {/* Completed At */}
                                 {task.completed_at && (
                                     <div className="flex items-start gap-3 p-4 border rounded-lg">
@@ -241,6 +273,39 @@ export default function Show({ task }) {
                             </div>
                         </CardContent>
                     </Card>
+
+                    {/* Dependencies */}
+                    <TaskDependencies blockers={task.blockers || []} blocking={task.blocking || []} />
+
+                    {/* Checklist */}
+                    <TaskChecklist
+                        taskId={task.id}
+                        items={task.checklist || []}
+                        users={members}
+                        canUpdate={canUpdate}
+                    />
+
+                    {/* Comments */}
+                    <TaskComments
+                        taskId={task.id}
+                        comments={comments}
+                        users={users}
+                        canComment={canComment}
+                    />
+
+                    {/* Activity History */}
+                    <Card>
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <History className="h-5 w-5" />
+                                Activity
+                            </CardTitle>
+                            <CardDescription>Every change made to this task.</CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <ActivityTimeline activities={activities} />
+                        </CardContent>
+                    </Card>
                 </div>
             </div>
 
@@ -250,8 +315,8 @@ export default function Show({ task }) {
                     <AlertDialogHeader>
                         <AlertDialogTitle>Delete Task?</AlertDialogTitle>
                         <AlertDialogDescription>
-                            This will permanently delete the task "{task.title}".
-                            This action cannot be undone.
+                            This will move the task "{task.title}" to the trash.
+                            You can restore it from the trash later.
                         </AlertDialogDescription>
                     </AlertDialogHeader>
                     <AlertDialogFooter>
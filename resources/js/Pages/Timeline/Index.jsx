@@ -0,0 +1,462 @@
+import { Card, CardContent } from '@/components/ui/card';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import { useToast } from '@/hooks/use-toast';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { cn } from '@/lib/utils';
+import { Head, Link, router } from '@inertiajs/react';
+import {
+  addDays,
+  differenceInCalendarDays,
+  eachDayOfInterval,
+  eachMonthOfInterval,
+  eachWeekOfInterval,
+  format,
+  max,
+  min,
+  parse,
+  startOfMonth,
+  startOfToday,
+} from 'date-fns';
+import { ChevronDown, ChevronRight, GanttChart } from 'lucide-react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+
+// Width of a day, in pixels, and how the header is divided at each zoom level
+const zoomLevels = {
+  week: { label: 'Week', dayWidth: 44, ticks: (interval) => eachDayOfInterval(interval), tickFormat: 'EEE d' },
+  month: {
+    label: 'Month',
+    dayWidth: 14,
+    ticks: (interval) => eachWeekOfInterval(interval, { weekStartsOn: 1 }),
+    tickFormat: 'd MMM',
+  },
+  quarter: {
+    label: 'Quarter',
+    dayWidth: 4,
+    ticks: (interval) => eachMonthOfInterval(interval),
+    tickFormat: 'MMM yyyy',
+  },
+};
+
+const ROW_HEIGHT = 36;
+const HEADER_HEIGHT = 32;
+const LABEL_WIDTH = 240;
+
+// Days of padding around the earliest and latest dates
+const PADDING_DAYS = 14;
+
+// Keyed by ProjectStatus::color()
+const barColors = {
+  green: 'bg-green-500/80 border-green-600',
+  blue: 'bg-blue-500/80 border-blue-600',
+  gray: 'bg-gray-400/80 border-gray-500',
+};
+
+// Keyed by TaskPriority::color()
+const milestoneColors = {
+  gray: 'bg-gray-400',
+  yellow: 'bg-yellow-500',
+  red: 'bg-red-500',
+};
+
+const parseDate = (date) => parse(date, 'yyyy-MM-dd', new Date());
+const toKey = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * The span a project is drawn across. Projects missing a start or end date
+ * get one from their tasks, so they can still be dragged into place.
+ */
+function projectSpan(project) {
+  const dueDates = project.tasks.map((task) => parseDate(task.due_date));
+  const scheduled = Boolean(project.start_date && project.end_date);
+
+  let start = project.start_date ? parseDate(project.start_date) : null;
+  let end = project.end_date ? parseDate(project.end_date) : null;
+
+  start ??= end ? addDays(end, -PADDING_DAYS) : dueDates.length ? min(dueDates) : startOfToday();
+  end ??= max([addDays(start, PADDING_DAYS), ...dueDates]);
+
+  return { start, end: max([end, addDays(start, 1)]), scheduled };
+}
+
+/**
+ * Timeline Page
+ *
+ * A Gantt chart of the user's projects. Each project is a bar across its
+ * start and end dates, with its tasks as milestones on their due dates and
+ * arrows from blockers to the tasks waiting on them. Owners and editors can
+ * drag a bar, or either of its ends, to change the project's dates.
+ */
+export default function Index({ projects }) {
+  const { toast } = useToast();
+  const scrollRef = useRef(null);
+  const [zoom, setZoom] = useState('month');
+  const [collapsed, setCollapsed] = useState([]);
+  // The project being dragged and its dates so far
+  const [drag, setDrag] = useState(null);
+
+  const { dayWidth, ticks, tickFormat } = zoomLevels[zoom];
+  const today = startOfToday();
+
+  const spans = useMemo(
+    () => Object.fromEntries(projects.map((project) => [project.id, projectSpan(project)])),
+    [projects],
+  );
+
+  // The whole chart runs from a little before the earliest date to a little after the latest
+  const range = useMemo(() => {
+    const dates = [today, ...Object.values(spans).flatMap((span) => [span.start, span.end])];
+
+    return {
+      start: startOfMonth(addDays(min(dates), -PADDING_DAYS)),
+      end: addDays(max(dates), PADDING_DAYS),
+    };
+  }, [spans]);
+
+  const days = differenceInCalendarDays(range.end, range.start) + 1;
+  const width = days * dayWidth;
+  const x = (date) => differenceInCalendarDays(date, range.start) * dayWidth;
+
+  // One row per project, followed by its tasks unless collapsed
+  const rows = projects.flatMap((project) => [
+    { type: 'project', project },
+    ...(collapsed.includes(project.id) ? [] : project.tasks.map((task) => ({ type: 'task', task, project }))),
+  ]);
+
+  // Where each visible milestone is drawn, for the dependency arrows
+  const milestones = Object.fromEntries(
+    rows
+      .map((row, index) => [row, index])
+      .filter(([row]) => row.type === 'task')
+      .map(([row, index]) => [
+        row.task.id,
+        { x: x(parseDate(row.task.due_date)) + dayWidth / 2, y: index * ROW_HEIGHT + ROW_HEIGHT / 2 },
+      ]),
+  );
+
+  const arrows = rows
+    .filter((row) => row.type === 'task')
+    .flatMap(({ task }) =>
+      (task.blocked_by || [])
+        .filter((blockerId) => milestones[blockerId])
+        .map((blockerId) => ({
+          key: `${blockerId}-${task.id}`,
+          from: milestones[blockerId],
+          to: milestones[task.id],
+          // The blocker is due after the task waiting on it
+          late: milestones[blockerId].x > milestones[task.id].x,
+        })),
+    );
+
+  // Start with today in view
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollLeft = x(today) - scrollRef.current.clientWidth / 3;
+    }
+  }, [zoom]);
+
+  const toggle = (projectId) => {
+    setCollapsed((ids) => (ids.includes(projectId) ? ids.filter((id) => id !== projectId) : [...ids, projectId]));
+  };
+
+  const startDrag = (e, project, mode) => {
+    if (!project.can.update) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    const span = spans[project.id];
+    setDrag({ project, mode, originX: e.clientX, from: span, start: span.start, end: span.end });
+  };
+
+  const moveDrag = (e) => {
+    if (!drag) return;
+
+    const delta = Math.round((e.clientX - drag.originX) / dayWidth);
+    let { start, end } = drag.from;
+
+    if (drag.mode !== 'end') start = addDays(start, delta);
+    if (drag.mode !== 'start') end = addDays(end, delta);
+
+    // The end date has to stay after the start date
+    if (differenceInCalendarDays(end, start) >= 1) {
+      setDrag({ ...drag, start, end });
+    }
+  };
+
+  const endDrag = () => {
+    if (!drag) return;
+
+    const { project, from, start, end } = drag;
+
+    // A click without moving, including on a bar without dates, saves nothing
+    if (toKey(start) === toKey(from.start) && toKey(end) === toKey(from.end)) {
+      return setDrag(null);
+    }
+
+    router.patch(
+      route('timeline.update', project.id),
+      { start_date: toKey(start), end_date: toKey(end) },
+      {
+        preserveScroll: true,
+        preserveState: true,
+        onFinish: () => setDrag(null),
+        onError: (errors) => {
+          toast({
+            title: 'Error',
+            description: Object.values(errors)[0] || 'Failed to update project dates.',
+            variant: 'destructive',
+          });
+        },
+      },
+    );
+  };
+
+  const renderProjectBar = (project) => {
+    const span = drag?.project.id === project.id ? drag : spans[project.id];
+    const scheduled = drag?.project.id === project.id || spans[project.id].scheduled;
+    const left = x(span.start);
+    const barWidth = (differenceInCalendarDays(span.end, span.start) + 1) * dayWidth;
+    const done = project.tasks_count ? Math.round((project.completed_tasks_count / project.tasks_count) * 100) : 0;
+
+    return (
+      <div
+        className={cn(
+          'group absolute top-1.5 flex h-6 items-center overflow-hidden rounded border text-xs text-white',
+          barColors[project.status.color],
+          !scheduled && 'border-dashed opacity-50',
+          project.can.update && 'cursor-grab active:cursor-grabbing',
+        )}
+        style={{ left, width: barWidth }}
+        title={`${project.name}: ${format(span.start, 'PP')} – ${format(span.end, 'PP')}${scheduled ? '' : ' (no dates set)'}`}
+        onPointerDown={(e) => startDrag(e, project, 'move')}
+        onPointerMove={moveDrag}
+        onPointerUp={endDrag}
+      >
+        {/* Completed share of the project's tasks */}
+        <div className="absolute inset-y-0 left-0 bg-black/15" style={{ width: `${done}%` }} />
+        <span className="relative truncate px-2">{project.name}</span>
+
+        {project.can.update &&
+          ['start', 'end'].map((edge) => (
+            <span
+              key={edge}
+              className={cn(
+                'absolute inset-y-0 w-2 cursor-ew-resize bg-black/20 opacity-0 group-hover:opacity-100',
+                edge === 'start' ? 'left-0' : 'right-0',
+              )}
+              aria-label={`Change the ${edge} date of ${project.name}`}
+              onPointerDown={(e) => startDrag(e, project, edge)}
+              onPointerMove={moveDrag}
+              onPointerUp={endDrag}
+            />
+          ))}
+      </div>
+    );
+  };
+
+  const renderMilestone = (task) => (
+    <Link
+      href={route('tasks.show', task.id)}
+      className={cn(
+        'absolute top-1/2 h-3 w-3 -translate-x-1/2 -translate-y-1/2 rotate-45 border border-background',
+        task.status.value === 'completed' ? 'bg-green-500' : milestoneColors[task.priority.color],
+        task.status.is_final && 'opacity-50',
+        task.is_overdue && 'ring-2 ring-red-500',
+      )}
+      style={{ left: x(parseDate(task.due_date)) + dayWidth / 2 }}
+      title={`${task.title}: due ${format(parseDate(task.due_date), 'PP')} · ${task.status.label}`}
+    />
+  );
+
+  return (
+    <AuthenticatedLayout
+      header={<h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">Timeline</h2>}
+    >
+      <Head title="Timeline" />
+
+      <div className="py-8">
+        <div className="mx-auto max-w-7xl space-y-4 sm:px-6 lg:px-8">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-muted-foreground">
+              Drag a bar, or either of its ends, to change a project's dates.
+            </p>
+            <ToggleGroup
+              type="single"
+              variant="outline"
+              value={zoom}
+              onValueChange={(value) => value && setZoom(value)}
+            >
+              {Object.entries(zoomLevels).map(([value, level]) => (
+                <ToggleGroupItem key={value} value={value} className="px-4">
+                  {level.label}
+                </ToggleGroupItem>
+              ))}
+            </ToggleGroup>
+          </div>
+
+          {projects.length === 0 ? (
+            <Card>
+              <CardContent className="py-12 text-center">
+                <GanttChart className="mx-auto mb-4 h-10 w-10 text-muted-foreground" />
+                <h3 className="mb-2 text-lg font-semibold">No projects yet</h3>
+                <p className="text-muted-foreground">Projects you are a member of show up here over time.</p>
+              </CardContent>
+            </Card>
+          ) : (
+            <Card className="overflow-hidden">
+              <div className="flex">
+                {/* Names */}
+                <div className="shrink-0 border-r" style={{ width: LABEL_WIDTH }}>
+                  <div className="border-b" style={{ height: HEADER_HEIGHT }} />
+                  {rows.map((row) =>
+                    row.type === 'project' ? (
+                      <div
+                        key={`project-${row.project.id}`}
+                        className="flex items-center gap-1 border-b px-2 text-sm font-medium"
+                        style={{ height: ROW_HEIGHT }}
+                      >
+                        <button
+                          type="button"
+                          className="rounded p-0.5 text-muted-foreground hover:bg-accent disabled:invisible"
+                          disabled={row.project.tasks.length === 0}
+                          aria-label={`${collapsed.includes(row.project.id) ? 'Show' : 'Hide'} tasks of ${row.project.name}`}
+                          onClick={() => toggle(row.project.id)}
+                        >
+                          {collapsed.includes(row.project.id) ? (
+                            <ChevronRight className="h-4 w-4" />
+                          ) : (
+                            <ChevronDown className="h-4 w-4" />
+                          )}
+                        </button>
+                        <Link href={route('projects.show', row.project.id)} className="truncate hover:text-primary">
+                          {row.project.name}
+                        </Link>
+                      </div>
+                    ) : (
+                      <div
+                        key={`task-${row.task.id}`}
+                        className="flex items-center border-b pl-8 pr-2 text-sm text-muted-foreground"
+                        style={{ height: ROW_HEIGHT }}
+                      >
+                        <Link href={route('tasks.show', row.task.id)} className="truncate hover:text-foreground">
+                          {row.task.title}
+                        </Link>
+                      </div>
+                    ),
+                  )}
+                </div>
+
+                {/* Chart */}
+                <div ref={scrollRef} className="flex-1 overflow-x-auto">
+                  <div className="relative" style={{ width }}>
+                    <div className="relative border-b" style={{ height: HEADER_HEIGHT }}>
+                      {ticks(range).map((tick) => (
+                        <div
+                          key={tick.toISOString()}
+                          className="absolute inset-y-0 flex items-center whitespace-nowrap border-l pl-1 text-xs text-muted-foreground"
+                          style={{ left: x(tick) }}
+                        >
+                          {format(tick, tickFormat)}
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="relative" style={{ height: rows.length * ROW_HEIGHT }}>
+                      {/* Grid lines */}
+                      {ticks(range).map((tick) => (
+                        <div
+                          key={tick.toISOString()}
+                          className="absolute inset-y-0 border-l border-dashed"
+                          style={{ left: x(tick) }}
+                        />
+                      ))}
+
+                      {rows.map((row, index) => (
+                        <div
+                          key={row.type === 'project' ? `project-${row.project.id}` : `task-${row.task.id}`}
+                          className="absolute inset-x-0 border-b"
+                          style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT }}
+                        >
+                          {row.type === 'project' ? renderProjectBar(row.project) : renderMilestone(row.task)}
+                        </div>
+                      ))}
+
+                      {/* Dependency arrows, from each blocker to the task waiting on it */}
+                      <svg
+                        className="pointer-events-none absolute inset-0"
+                        width={width}
+                        height={rows.length * ROW_HEIGHT}
+                      >
+                        <defs>
+                          <marker
+                            id="timeline-arrow"
+                            viewBox="0 0 6 6"
+                            refX="6"
+                            refY="3"
+                            markerWidth="6"
+                            markerHeight="6"
+                            orient="auto"
+                          >
+                            <path d="M0,0 L6,3 L0,6 z" className="fill-muted-foreground" />
+                          </marker>
+                          <marker
+                            id="timeline-arrow-late"
+                            viewBox="0 0 6 6"
+                            refX="6"
+                            refY="3"
+                            markerWidth="6"
+                            markerHeight="6"
+                            orient="auto"
+                          >
+                            <path d="M0,0 L6,3 L0,6 z" className="fill-red-500" />
+                          </marker>
+                        </defs>
+                        {arrows.map(({ key, from, to, late }) => (
+                          <path
+                            key={key}
+                            d={`M ${from.x + 6} ${from.y} h 8 V ${to.y} H ${to.x - 8}`}
+                            fill="none"
+                            strokeWidth="1.5"
+                            className={late ? 'stroke-red-500' : 'stroke-muted-foreground'}
+                            markerEnd={`url(#${late ? 'timeline-arrow-late' : 'timeline-arrow'})`}
+                          />
+                        ))}
+                      </svg>
+                    </div>
+
+                    {/* Today */}
+                    <div
+                      className="pointer-events-none absolute bottom-0 top-0 w-px bg-red-500"
+                      style={{ left: x(today) + dayWidth / 2 }}
+                      title="Today"
+                    />
+                  </div>
+                </div>
+              </div>
+            </Card>
+          )}
+
+          <div className="flex flex-wrap gap-4 text-xs text-muted-foreground">
+            <span className="flex items-center gap-1.5">
+              <span className="h-3 w-6 rounded border border-dashed border-gray-500 bg-gray-400/50" />
+              No dates set yet
+            </span>
+            <span className="flex items-center gap-1.5">
+              <span className="h-2.5 w-2.5 rotate-45 bg-yellow-500" />
+              Task due date
+            </span>
+            <span className="flex items-center gap-1.5">
+              <span className="h-px w-6 bg-red-500" />
+              Blocker due after the task waiting on it
+            </span>
+            <span className="flex items-center gap-1.5">
+              <span className="h-3 w-px bg-red-500" />
+              Today
+            </span>
+          </div>
+        </div>
+      </div>
+    </AuthenticatedLayout>
+  );
+}
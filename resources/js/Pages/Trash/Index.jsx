@@ -0,0 +1,194 @@
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useToast } from '@/hooks/use-toast';
+import AuthenticatedLayout from '@/Layouts/AuthenticatedLayout';
+import { Head, router } from '@inertiajs/react';
+import { formatDistanceToNow } from 'date-fns';
+import { CheckSquare, FolderKanban, RotateCcw, Trash2 } from 'lucide-react';
+import { useState } from 'react';
+
+/**
+ * A trashed project or task with its restore / delete forever actions.
+ */
+function TrashRow({ icon: Icon, title, details, deletedAt, can, onRestore, onForceDelete }) {
+  return (
+    <li className="flex flex-wrap items-center gap-4 py-3">
+      <Icon className="h-5 w-5 shrink-0 text-muted-foreground" />
+      <div className="min-w-0 flex-1">
+        <p className="truncate font-medium">{title}</p>
+        <p className="text-sm text-muted-foreground">
+          {details && <>{details} · </>}
+          Deleted {formatDistanceToNow(new Date(deletedAt), { addSuffix: true })}
+        </p>
+      </div>
+      <div className="flex gap-2">
+        {can.restore && (
+          <Button variant="outline" size="sm" onClick={onRestore}>
+            <RotateCcw className="mr-2 h-4 w-4" />
+            Restore
+          </Button>
+        )}
+        {can.force_delete && (
+          <Button variant="destructive" size="sm" onClick={onForceDelete}>
+            <Trash2 className="mr-2 h-4 w-4" />
+            Delete forever
+          </Button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Trash Index Page
+ *
+ * Lists deleted projects and tasks. Items can be restored, and admins can
+ * delete them permanently. Tasks deleted together with their project are
+ * restored with the project and are not listed separately.
+ */
+export default function Index({ projects = [], tasks = [] }) {
+  const { toast } = useToast();
+  const [toForceDelete, setToForceDelete] = useState(null);
+
+  const restore = (url) => {
+    router.patch(
+      url,
+      {},
+      {
+        preserveScroll: true,
+        onError: () => {
+          toast({
+            title: 'Error',
+            description: 'Failed to restore.',
+            variant: 'destructive',
+          });
+        },
+      },
+    );
+  };
+
+  const confirmForceDelete = () => {
+    router.delete(toForceDelete.url, {
+      preserveScroll: true,
+      onError: () => {
+        toast({
+          title: 'Error',
+          description: 'Failed to delete permanently.',
+          variant: 'destructive',
+        });
+      },
+      onFinish: () => setToForceDelete(null),
+    });
+  };
+
+  return (
+    <AuthenticatedLayout
+      header={<h2 className="text-xl font-semibold leading-tight text-gray-800 dark:text-gray-200">Trash</h2>}
+    >
+      <Head title="Trash" />
+
+      <div className="py-8">
+        <div className="mx-auto max-w-4xl space-y-6 sm:px-6 lg:px-8">
+          <Card>
+            <CardHeader>
+              <CardTitle>Projects</CardTitle>
+              <CardDescription>Restoring a project also restores the tasks deleted with it.</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {projects.length === 0 ? (
+                <p className="py-4 text-center text-sm text-muted-foreground">No deleted projects.</p>
+              ) : (
+                <ul className="divide-y">
+                  {projects.map((project) => (
+                    <TrashRow
+                      key={project.id}
+                      icon={FolderKanban}
+                      title={project.name}
+                      details={`${project.tasks_count} task${project.tasks_count !== 1 ? 's' : ''}`}
+                      deletedAt={project.deleted_at}
+                      can={project.can}
+                      onRestore={() => restore(route('projects.restore', project.id))}
+                      onForceDelete={() =>
+                        setToForceDelete({
+                          url: route('projects.force-delete', project.id),
+                          title: project.name,
+                          type: 'project',
+                        })
+                      }
+                    />
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Tasks</CardTitle>
+              <CardDescription>Restored tasks are placed at the bottom of their board column.</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {tasks.length === 0 ? (
+                <p className="py-4 text-center text-sm text-muted-foreground">No deleted tasks.</p>
+              ) : (
+                <ul className="divide-y">
+                  {tasks.map((task) => {
+                    const project = task.project?.data || task.project;
+
+                    return (
+                      <TrashRow
+                        key={task.id}
+                        icon={CheckSquare}
+                        title={task.title}
+                        details={project?.name}
+                        deletedAt={task.deleted_at}
+                        can={task.can}
+                        onRestore={() => restore(route('tasks.restore', task.id))}
+                        onForceDelete={() =>
+                          setToForceDelete({
+                            url: route('tasks.force-delete', task.id),
+                            title: task.title,
+                            type: 'task',
+                          })
+                        }
+                      />
+                    );
+                  })}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+
+      {/* Permanent Delete Confirmation Dialog */}
+      <AlertDialog open={!!toForceDelete} onOpenChange={(open) => !open && setToForceDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete Forever?</AlertDialogTitle>
+            <AlertDialogDescription>
+              This will permanently delete the {toForceDelete?.type} "{toForceDelete?.title}"
+              {toForceDelete?.type === 'project' && ' and all its tasks'}. This action cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={confirmForceDelete} className="bg-destructive hover:bg-destructive/90">
+              Delete Forever
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </AuthenticatedLayout>
+  );
+}
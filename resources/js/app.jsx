@@ -1,6 +1,7 @@
 import '../css/app.css';
 import './bootstrap';
 
+import FlashMessages from '@/Components/FlashMessages';
 import { Toaster } from '@/Components/ui/sonner';
 import { createInertiaApp } from '@inertiajs/react';
 import { resolvePageComponent } from 'laravel-vite-plugin/inertia-helpers';
@@ -18,6 +19,7 @@ createInertiaApp({
       <>
         <App {...props} />
         <Toaster />
+        <FlashMessages initialFlash={props.initialPage.props.flash} />
       </>,
     );
   },
@@ -0,0 +1,23 @@
+import Echo from 'laravel-echo';
+import Pusher from 'pusher-js';
+
+/**
+ * Laravel Echo
+ *
+ * Connects to the self-hosted Reverb server for live updates. Without the
+ * VITE_REVERB_* settings (e.g. with the "log" broadcaster) no connection is
+ * made and pages simply don't update live.
+ */
+if (import.meta.env.VITE_REVERB_APP_KEY) {
+  window.Pusher = Pusher;
+
+  window.Echo = new Echo({
+    broadcaster: 'reverb',
+    key: import.meta.env.VITE_REVERB_APP_KEY,
+    wsHost: import.meta.env.VITE_REVERB_HOST,
+    wsPort: import.meta.env.VITE_REVERB_PORT ?? 80,
+    wssPort: import.meta.env.VITE_REVERB_PORT ?? 443,
+    forceTLS: (import.meta.env.VITE_REVERB_SCHEME ?? 'https') === 'https',
+    enabledTransports: ['ws', 'wss'],
+  });
+}
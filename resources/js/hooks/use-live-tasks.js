@@ -0,0 +1,89 @@
+import { router, usePage } from '@inertiajs/react';
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * useProjectChannels Hook
+ *
+ * Listens for model changes (App\Events\ModelChanged) on the private
+ * channels of the given projects. Does nothing when Echo isn't configured.
+ *
+ * @param {Array} projectIds - Projects to listen to
+ * @param {Function} onEvent - Called with { type, action, id, data, actor }
+ */
+export function useProjectChannels(projectIds, onEvent) {
+  const handler = useRef(onEvent);
+  handler.current = onEvent;
+
+  // Subscribe again only when the set of projects changes
+  const key = [...new Set(projectIds)].sort((a, b) => a - b).join(',');
+
+  useEffect(() => {
+    if (!window.Echo || !key) {
+      return;
+    }
+
+    const channels = key.split(',').map((id) => `projects.${id}`);
+
+    channels.forEach((name) => {
+      window.Echo.private(name).listen('.model.changed', (event) => handler.current(event));
+    });
+
+    return () => channels.forEach((name) => window.Echo.leave(name));
+  }, [key]);
+}
+
+/**
+ * useLiveTasks Hook
+ *
+ * Keeps a task list in step with changes other people make. Updated tasks
+ * are merged in place, keeping per-user fields such as `can`; deleted tasks
+ * are dropped. New and restored tasks reload the `only` props instead,
+ * since only the server knows whether and where they belong in the list.
+ *
+ * @param {Array} tasks - Tasks from the page props
+ * @param {Array} projectIds - Projects whose changes to listen to
+ * @param {Object} options
+ * @param {Array} options.only - Props to reload when a task is added; none skips the reload
+ * @param {Function} options.belongs - Whether an updated task still belongs in the list
+ * @param {Function} options.onChange - Called with every change, e.g. to patch other props
+ * @returns {{ tasks: Array, change: Object|null }} The live list, and the latest change made by another user
+ */
+export function useLiveTasks(tasks, projectIds, { only = [], belongs = () => true, onChange } = {}) {
+  const userId = usePage().props.auth.user.id;
+  const [liveTasks, setLiveTasks] = useState(tasks);
+  const [change, setChange] = useState(null);
+
+  useEffect(() => {
+    setLiveTasks(tasks);
+  }, [tasks]);
+
+  useProjectChannels(projectIds, (event) => {
+    if (event.type === 'task') {
+      if (event.action === 'updated') {
+        setLiveTasks((current) =>
+          current.flatMap((task) => {
+            if (task.id !== event.id) {
+              return [task];
+            }
+
+            const updated = { ...task, ...event.data };
+            return belongs(updated) ? [updated] : [];
+          }),
+        );
+      } else if (event.action === 'deleted') {
+        setLiveTasks((current) => current.filter((task) => task.id !== event.id));
+      } else if (only.length > 0) {
+        router.reload({ only });
+      }
+    }
+
+    onChange?.(event);
+
+    // Changes from the user's other tabs update the list without a notice
+    if (event.actor?.id !== userId) {
+      setChange({ ...event, receivedAt: new Date() });
+    }
+  });
+
+  return { tasks: liveTasks, change };
+}
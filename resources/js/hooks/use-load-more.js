@@ -0,0 +1,60 @@
+import { router } from '@inertiajs/react';
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * useLoadMore Hook
+ *
+ * Accumulates the pages of a paginated resource ({ data, links, meta }) for
+ * "load more" / infinite scroll lists. Each call to loadMore() fetches the
+ * next page with a partial reload and appends it; any other change to the
+ * prop (new filters, page size, a normal page change) replaces the list.
+ *
+ * @param {Object} paginated - Paginated resource from the server
+ * @param {Array} only - Props to request on partial reloads
+ */
+export function useLoadMore(paginated, only = []) {
+  const [items, setItems] = useState(paginated?.data || []);
+  const [loading, setLoading] = useState(false);
+  const appending = useRef(false);
+
+  useEffect(() => {
+    const data = paginated?.data || [];
+
+    if (appending.current) {
+      appending.current = false;
+      setItems((previous) => {
+        const seen = new Set(previous.map((item) => item.id));
+        return [...previous, ...data.filter((item) => !seen.has(item.id))];
+      });
+    } else {
+      setItems(data);
+    }
+  }, [paginated]);
+
+  const nextUrl = paginated?.links?.next;
+
+  const loadMore = () => {
+    if (!nextUrl || loading) {
+      return;
+    }
+
+    appending.current = true;
+
+    router.get(
+      nextUrl,
+      {},
+      {
+        only,
+        preserveState: true,
+        preserveScroll: true,
+        replace: true,
+        onStart: () => setLoading(true),
+        onCancel: () => (appending.current = false),
+        onError: () => (appending.current = false),
+        onFinish: () => setLoading(false),
+      },
+    );
+  };
+
+  return { items, loadMore, loading, hasMore: !!nextUrl };
+}
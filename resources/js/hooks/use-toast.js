@@ -1,24 +1,39 @@
 import { toast as sonnerToast } from "sonner";
 
+// Counts toasts shown by pages themselves, so the flash message listener
+// can skip a flash that the page already reported in its own way.
+let manualToasts = 0;
+
+export const manualToastCount = () => manualToasts;
+
+const variants = {
+    destructive: sonnerToast.error,
+    warning: sonnerToast.warning,
+    info: sonnerToast.info,
+};
+
+/**
+ * Show a toast without counting it as a page's own toast.
+ * Toasts with the same `id` replace each other instead of stacking.
+ */
+export function showToast({ title, description, variant = "default", action, duration, id }) {
+    const show = variants[variant] || sonnerToast.success;
+
+    show(title, { description, action, duration, id });
+}
+
 /**
  * useToast Hook
  *
  * Simple wrapper around sonner toast for consistent toast notifications.
  * Compatible with shadcn/ui toast API for easier migration if needed.
+ * Variants are "default" (success), "destructive", "warning" and "info".
+ * Optional `action` ({ label, onClick }) and `duration` (ms) are passed to sonner.
  */
 export function useToast() {
-    const toast = ({ title, description, variant = "default" }) => {
-        const isError = variant === "destructive";
-
-        if (isError) {
-            sonnerToast.error(title, {
-                description,
-            });
-        } else {
-            sonnerToast.success(title, {
-                description,
-            });
-        }
+    const toast = (options) => {
+        manualToasts += 1;
+        showToast(options);
     };
 
     return { toast };
@@ -0,0 +1,40 @@
+import { useToast } from '@/hooks/use-toast';
+import { router } from '@inertiajs/react';
+
+// How long the "Undo" button stays available
+export const UNDO_DURATION = 8000;
+
+/**
+ * useUndoToast Hook
+ *
+ * Shows a success toast with an "Undo" button after moving something to the
+ * trash. Clicking it restores the item through its restore route; the toast
+ * and the button disappear after UNDO_DURATION.
+ */
+export function useUndoToast() {
+  const { toast } = useToast();
+
+  const undoToast = ({ description, restoreUrl }) => {
+    toast({
+      title: 'Moved to trash',
+      description,
+      duration: UNDO_DURATION,
+      action: {
+        label: 'Undo',
+        onClick: () =>
+          router.patch(
+            restoreUrl,
+            {},
+            {
+              preserveScroll: true,
+              onSuccess: () => toast({ title: 'Restored', description: 'The deletion was undone.' }),
+              onError: () =>
+                toast({ title: 'Error', description: 'Failed to undo the deletion.', variant: 'destructive' }),
+            },
+          ),
+      },
+    });
+  };
+
+  return { undoToast };
+}
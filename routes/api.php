@@ -0,0 +1,37 @@
+<?php
+
+use App\Http\Controllers\Api\V1\ProjectController;
+use App\Http\Controllers\Api\V1\TaskController;
+use Illuminate\Support\Facades\Route;
+
+/*
+|--------------------------------------------------------------------------
+| API Routes
+|--------------------------------------------------------------------------
+|
+| Versioned JSON API under /api/v1, authenticated with Sanctum personal
+| access tokens (Authorization: Bearer <token>) and rate limited per user.
+| Each route also needs the matching token ability (App\Enums\TokenAbility).
+|
+*/
+
+Route::prefix('v1')->name('api.v1.')->middleware(['auth:sanctum', 'throttle:api'])->group(function () {
+    // Projects
+    Route::apiResource('projects', ProjectController::class)
+        ->only(['index', 'show'])
+        ->middleware('abilities:projects:read');
+    Route::apiResource('projects', ProjectController::class)
+        ->except(['index', 'show'])
+        ->middleware('abilities:projects:write');
+
+    // Tasks
+    Route::apiResource('tasks', TaskController::class)
+        ->only(['index', 'show'])
+        ->middleware('abilities:tasks:read');
+
+    Route::middleware('abilities:tasks:write')->group(function () {
+        Route::apiResource('tasks', TaskController::class)->except(['index', 'show']);
+        Route::patch('/tasks/{task}/assign', [TaskController::class, 'assign'])->name('tasks.assign');
+        Route::patch('/tasks/{task}/complete', [TaskController::class, 'complete'])->name('tasks.complete');
+    });
+});
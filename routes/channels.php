@@ -0,0 +1,10 @@
+<?php
+
+use App\Models\Project;
+use App\Models\User;
+use Illuminate\Support\Facades\Broadcast;
+
+// Task and project changes, for everyone who can see the project
+Broadcast::channel('projects.{project}', function (User $user, Project $project) {
+    return $user->can('view', $project);
+});
@@ -2,7 +2,20 @@
 
 use Illuminate\Foundation\Inspiring;
 use Illuminate\Support\Facades\Artisan;
+use Illuminate\Support\Facades\Schedule;
 
 Artisan::command('inspire', function () {
     $this->comment(Inspiring::quote());
 })->purpose('Display an inspiring quote');
+
+// Catch up recurring tasks whose next instance is due
+Schedule::command('tasks:backfill-recurring')->dailyAt('00:10');
+
+// Tell people about overdue tasks not reported yet, including any a missed run skipped
+Schedule::command('tasks:notify-overdue')->dailyAt('00:20');
+
+// Morning email of overdue and due-soon tasks
+Schedule::command('tasks:send-digest')->dailyAt('07:00');
+
+// Emails about tasks coming due, within each user's reminder window
+Schedule::command('tasks:send-reminders')->hourly();
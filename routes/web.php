@@ -1,9 +1,20 @@
 <?php
 
+use App\Http\Controllers\ApiTokenController;
+use App\Http\Controllers\CalendarController;
+use App\Http\Controllers\ChecklistItemController;
+use App\Http\Controllers\CommentController;
 use App\Http\Controllers\DashboardController;
+use App\Http\Controllers\MyWorkController;
+use App\Http\Controllers\NotificationController;
 use App\Http\Controllers\ProfileController;
 use App\Http\Controllers\ProjectController;
+use App\Http\Controllers\ProjectInvitationController;
+use App\Http\Controllers\ProjectMemberController;
+use App\Http\Controllers\SearchController;
 use App\Http\Controllers\TaskController;
+use App\Http\Controllers\TimelineController;
+use App\Http\Controllers\TrashController;
 use Illuminate\Foundation\Application;
 use Illuminate\Support\Facades\Route;
 use Inertia\Inertia;
@@ -28,23 +39,112 @@
     ]);
 });
 
+// Projects and tasks (RESTful resource routes)
+// Generates: index, create, store, show, edit, update, destroy
+// Besides the session, these accept personal access tokens (Authorization: Bearer),
+// limited by the token's abilities (App\Enums\TokenAbility). Sessions pass every ability check.
+Route::middleware(['auth:sanctum', 'verified'])->group(function () {
+    // Registered before show, so "create" is not taken for a {project} or {task}
+    Route::resource('projects', ProjectController::class)
+        ->except(['index', 'show'])
+        ->middleware('abilities:projects:write');
+    Route::resource('projects', ProjectController::class)
+        ->only(['index', 'show'])
+        ->middleware('abilities:projects:read');
+
+    Route::resource('tasks', TaskController::class)
+        ->except(['index', 'show'])
+        ->middleware('abilities:tasks:write');
+    Route::resource('tasks', TaskController::class)
+        ->only(['index', 'show'])
+        ->middleware('abilities:tasks:read');
+});
+
 // Authenticated routes
 Route::middleware(['auth', 'verified'])->group(function () {
     // Dashboard
     Route::get('/dashboard', [DashboardController::class, 'index'])->name('dashboard');
 
-    // Projects (RESTful resource routes)
-    // Generates: index, create, store, show, edit, update, destroy
-    Route::resource('projects', ProjectController::class);
+    // Tasks assigned to the current user
+    Route::get('/my-work', [MyWorkController::class, 'index'])->name('my-work');
+    Route::patch('/my-work/{task}', [MyWorkController::class, 'update'])->name('my-work.update');
+
+    // Tasks by due date (month and week views)
+    Route::get('/calendar', [CalendarController::class, 'index'])->name('calendar');
+    Route::post('/calendar/tasks', [CalendarController::class, 'store'])->name('calendar.store');
+    Route::patch('/calendar/tasks/{task}', [CalendarController::class, 'update'])->name('calendar.update');
+
+    // Projects and their tasks over time
+    Route::get('/timeline', [TimelineController::class, 'index'])->name('timeline');
+    Route::patch('/timeline/projects/{project}', [TimelineController::class, 'update'])->name('timeline.update');
+
+    Route::patch('/projects/{project}/restore', [ProjectController::class, 'restore'])
+        ->withTrashed()
+        ->name('projects.restore');
+    Route::delete('/projects/{project}/force', [ProjectController::class, 'forceDelete'])
+        ->withTrashed()
+        ->name('projects.force-delete');
+
+    // Project members (managed from the project page)
+    Route::resource('projects.members', ProjectMemberController::class)
+        ->only(['store', 'update', 'destroy'])
+        ->parameters(['members' => 'user']);
 
-    // Tasks (RESTful resource routes)
-    Route::resource('tasks', TaskController::class);
+    // Project invitations (store is nested under the project, resend/destroy are shallow)
+    Route::post('/invitations/{invitation}/resend', [ProjectInvitationController::class, 'resend'])
+        ->name('invitations.resend');
+    Route::resource('projects.invitations', ProjectInvitationController::class)
+        ->only(['store', 'destroy'])
+        ->shallow();
+
+    Route::patch('/tasks/{task}/move', [TaskController::class, 'move'])->name('tasks.move');
+    Route::patch('/tasks/{task}/restore', [TaskController::class, 'restore'])
+        ->withTrashed()
+        ->name('tasks.restore');
+    Route::delete('/tasks/{task}/force', [TaskController::class, 'forceDelete'])
+        ->withTrashed()
+        ->name('tasks.force-delete');
+
+    // Task checklists (store is nested under the task, update/destroy are shallow)
+    Route::patch('/tasks/{task}/checklist/reorder', [ChecklistItemController::class, 'reorder'])
+        ->name('tasks.checklist.reorder');
+    Route::resource('tasks.checklist', ChecklistItemController::class)
+        ->only(['store', 'update', 'destroy'])
+        ->parameters(['checklist' => 'checklistItem'])
+        ->shallow();
+
+    // Task comments (store is nested under the task, update/destroy are shallow)
+    Route::resource('tasks.comments', CommentController::class)
+        ->only(['store', 'update', 'destroy'])
+        ->shallow();
+
+    // Trash (deleted projects and tasks)
+    Route::get('/trash', [TrashController::class, 'index'])->name('trash.index');
+
+    // Notification center (opening a notification marks it as read)
+    Route::get('/notifications', [NotificationController::class, 'index'])->name('notifications.index');
+    Route::post('/notifications/read-all', [NotificationController::class, 'markAllAsRead'])
+        ->name('notifications.read-all');
+    Route::get('/notifications/{notification}', [NotificationController::class, 'show'])->name('notifications.show');
+    Route::patch('/notifications/{notification}/read', [NotificationController::class, 'markAsRead'])
+        ->name('notifications.read');
+
+    // Global search (JSON, used by the command palette)
+    Route::get('/search', [SearchController::class, 'index'])->name('search');
 
     // Profile management
     Route::get('/profile', [ProfileController::class, 'edit'])->name('profile.edit');
     Route::patch('/profile', [ProfileController::class, 'update'])->name('profile.update');
+    Route::patch('/profile/notifications', [ProfileController::class, 'updateNotifications'])->name('profile.notifications.update');
     Route::delete('/profile', [ProfileController::class, 'destroy'])->name('profile.destroy');
+    Route::post('/profile/tokens', [ApiTokenController::class, 'store'])->name('profile.tokens.store');
+    Route::delete('/profile/tokens/{token}', [ApiTokenController::class, 'destroy'])->name('profile.tokens.destroy');
 });
 
+// Emailed invitation links (guests sign up or log in, then join the project)
+Route::get('/invitations/{token}/accept', [ProjectInvitationController::class, 'accept'])
+    ->middleware('signed')
+    ->name('invitations.accept');
+
 // Authentication routes (login, register, etc.)
 require __DIR__.'/auth.php';
@@ -0,0 +1,124 @@
+<?php
+
+use App\Models\Activity;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Services\TaskService;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('creating a task records a created activity', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    $this->actingAs($user)->post(route('tasks.store'), [
+        'project_id' => $project->id,
+        'title' => 'Write docs',
+        'priority' => 'medium',
+        'status' => 'pending',
+    ]);
+
+    $task = Task::where('title', 'Write docs')->first();
+    $activity = $task->activities()->first();
+
+    expect($activity->event)->toBe('created')
+        ->and($activity->user_id)->toBe($user->id)
+        ->and($activity->project_id)->toBe($project->id);
+});
+
+test('updating a task records one entry per changed field with old and new values', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->pending()->create([
+        'priority' => 'low',
+        'due_date' => null,
+    ]);
+
+    $this->actingAs($user)->put(route('tasks.update', $task), [
+        'project_id' => $project->id,
+        'title' => $task->title,
+        'priority' => 'high',
+        'status' => 'in_progress',
+        'due_date' => now()->addWeek()->toDateString(),
+    ]);
+
+    $changes = $task->activities()->where('event', 'updated')->get()->keyBy('field');
+
+    expect($changes->keys()->sort()->values()->all())->toBe(['due_date', 'priority', 'status'])
+        ->and($changes['status']->old_value)->toBe('pending')
+        ->and($changes['status']->new_value)->toBe('in_progress')
+        ->and($changes['priority']->old_value)->toBe('low')
+        ->and($changes['priority']->new_value)->toBe('high')
+        ->and($changes['due_date']->old_value)->toBeNull()
+        ->and($changes['status']->user_id)->toBe($user->id);
+});
+
+test('assigning and completing through the service are recorded', function () {
+    $user = User::factory()->create();
+    $assignee = User::factory()->create();
+    $task = Task::factory()->pending()->create(['assigned_to' => null]);
+
+    $this->actingAs($user);
+    $service = app(TaskService::class);
+    $service->assignTask($task, $assignee);
+    $service->completeTask($task);
+
+    expect($task->activities()->where('field', 'assigned_to')->value('new_value'))->toBe((string) $assignee->id)
+        ->and($task->activities()->where('field', 'status')->value('new_value'))->toBe('completed');
+});
+
+test('reordering a task on the board is not recorded', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    Task::factory()->forProject($project)->pending()->create(['position' => 0]);
+    $task = Task::factory()->forProject($project)->pending()->create(['position' => 1]);
+
+    $this->actingAs($user)->patch(route('tasks.move', $task), ['status' => 'pending', 'position' => 0]);
+
+    expect($task->activities()->where('event', 'updated')->count())->toBe(0);
+});
+
+test('task page shows the history with readable labels', function () {
+    $user = User::factory()->create();
+    $assignee = User::factory()->create(['name' => 'Jane Doe']);
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->pending()->create(['assigned_to' => null]);
+
+    $this->actingAs($user);
+    $task->update(['status' => 'in_progress', 'assigned_to' => $assignee->id]);
+
+    $this->get(route('tasks.show', $task))
+        ->assertInertia(fn (Assert $page) => $page
+            ->has('activities', 3)
+            ->where('activities.0.event', 'updated')
+            ->where('activities.2.event', 'created')
+            ->where('activities.2.user.name', $user->name)
+        );
+
+    $labels = collect($this->get(route('tasks.show', $task))->viewData('page')['props']['activities'])
+        ->pluck('new_label', 'field');
+
+    expect($labels['status'])->toBe('In Progress')
+        ->and($labels['assigned_to'])->toBe('Jane Doe');
+});
+
+test('project timeline includes project and task changes', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->active()->create();
+    $task = Task::factory()->forProject($project)->create();
+
+    $this->actingAs($user);
+    $project->update(['status' => 'completed']);
+    $task->delete();
+
+    $this->get(route('projects.show', $project))
+        ->assertInertia(fn (Assert $page) => $page
+            ->has('activities', 4)
+            ->where('activities.0.event', 'deleted')
+            ->where('activities.0.subject.type', 'task')
+            ->where('activities.0.subject.name', $task->title)
+            ->where('activities.1.new_label', 'Completed')
+        );
+
+    expect(Activity::forProject($project)->count())->toBe(4);
+});
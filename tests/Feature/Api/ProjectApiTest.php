@@ -0,0 +1,110 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Enums\ProjectStatus;
+use App\Models\Project;
+use App\Models\User;
+use Laravel\Sanctum\Sanctum;
+
+test('requests without a token are rejected with JSON', function () {
+    $this->get('/api/v1/projects')
+        ->assertUnauthorized()
+        ->assertExactJson(['message' => 'Unauthenticated.']);
+});
+
+test('a personal access token authenticates API requests', function () {
+    $user = User::factory()->create();
+    Project::factory()->forUser($user)->create(['name' => 'Website']);
+
+    $token = $user->createToken('CLI')->plainTextToken;
+
+    $this->withToken($token)
+        ->getJson('/api/v1/projects')
+        ->assertOk()
+        ->assertJsonPath('data.0.name', 'Website')
+        ->assertJsonStructure(['data', 'links', 'meta' => ['current_page', 'per_page', 'total']]);
+});
+
+test('projects are listed with filters and pagination', function () {
+    $user = User::factory()->create();
+    Project::factory()->forUser($user)->count(3)->create(['status' => ProjectStatus::ACTIVE]);
+    Project::factory()->forUser($user)->create(['status' => ProjectStatus::ARCHIVED, 'name' => 'Old website']);
+    Project::factory()->create(); // Someone else's
+
+    Sanctum::actingAs($user, ['projects:read']);
+
+    $this->getJson('/api/v1/projects?per_page=10')->assertOk()->assertJsonPath('meta.total', 4);
+
+    $this->getJson('/api/v1/projects?status=archived')
+        ->assertOk()
+        ->assertJsonCount(1, 'data')
+        ->assertJsonPath('data.0.name', 'Old website');
+
+    $this->getJson('/api/v1/projects?search=old')->assertJsonPath('meta.total', 1);
+
+    $this->getJson('/api/v1/projects?status=unknown&per_page=7')
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['status', 'per_page']);
+});
+
+test('projects can be created, shown, updated and deleted', function () {
+    $user = User::factory()->create();
+    Sanctum::actingAs($user, ['projects:read', 'projects:write']);
+
+    $id = $this->postJson('/api/v1/projects', ['name' => 'Website', 'status' => 'active'])
+        ->assertCreated()
+        ->assertJsonPath('data.name', 'Website')
+        ->json('data.id');
+
+    $this->getJson("/api/v1/projects/{$id}")
+        ->assertOk()
+        ->assertJsonPath('data.user.id', $user->id)
+        ->assertJsonPath('data.tasks', []);
+
+    $this->patchJson("/api/v1/projects/{$id}", ['name' => 'Website relaunch', 'status' => 'active'])
+        ->assertOk()
+        ->assertJsonPath('data.name', 'Website relaunch');
+
+    $this->deleteJson("/api/v1/projects/{$id}")
+        ->assertOk()
+        ->assertExactJson(['message' => 'Project moved to trash.']);
+
+    expect(Project::find($id))->toBeNull();
+});
+
+test('invalid projects get structured validation errors', function () {
+    Sanctum::actingAs(User::factory()->create(), ['projects:write']);
+
+    $this->postJson('/api/v1/projects', ['status' => 'active'])
+        ->assertUnprocessable()
+        ->assertJsonStructure(['message', 'errors' => ['name']]);
+});
+
+test('project policies apply to the API', function () {
+    $viewer = User::factory()->create();
+    $project = Project::factory()->create();
+    $project->members()->attach($viewer, ['role' => ProjectRole::VIEWER]);
+    $hidden = Project::factory()->create();
+
+    Sanctum::actingAs($viewer, ['projects:read', 'projects:write']);
+
+    $this->getJson("/api/v1/projects/{$project->id}")->assertOk();
+    $this->patchJson("/api/v1/projects/{$project->id}", ['name' => 'Renamed', 'status' => 'active'])->assertForbidden();
+    $this->deleteJson("/api/v1/projects/{$project->id}")->assertForbidden();
+    $this->getJson("/api/v1/projects/{$hidden->id}")->assertForbidden();
+    $this->getJson('/api/v1/projects/999999')
+        ->assertNotFound()
+        ->assertExactJson(['message' => 'Resource not found.']);
+});
+
+test('API requests are rate limited per user', function () {
+    Sanctum::actingAs(User::factory()->create(), ['projects:read']);
+
+    for ($i = 0; $i < 60; $i++) {
+        $this->getJson('/api/v1/projects')->assertOk();
+    }
+
+    $this->getJson('/api/v1/projects')
+        ->assertTooManyRequests()
+        ->assertHeader('Retry-After');
+});
@@ -0,0 +1,142 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Enums\TaskStatus;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Notifications\TaskAssigned;
+use Illuminate\Support\Facades\Notification;
+use Laravel\Sanctum\Sanctum;
+
+test('tasks are listed with the task index filters', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    Task::factory()->forProject($project)->pending()->count(2)->create();
+    Task::factory()->forProject($project)->completed()->create(['title' => 'Done already']);
+    Task::factory()->create(); // In someone else's project
+
+    Sanctum::actingAs($user, ['tasks:read']);
+
+    $this->getJson('/api/v1/tasks')
+        ->assertOk()
+        ->assertJsonPath('meta.total', 3)
+        ->assertJsonStructure(['data' => [['id', 'title', 'status', 'priority', 'project', 'is_blocked']], 'links', 'meta']);
+
+    $this->getJson('/api/v1/tasks?status=completed')
+        ->assertJsonCount(1, 'data')
+        ->assertJsonPath('data.0.title', 'Done already');
+
+    $this->getJson('/api/v1/tasks?sort=title')
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors('sort');
+});
+
+test('tasks can be created, shown, updated and deleted', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    Sanctum::actingAs($user, ['tasks:read', 'tasks:write']);
+
+    $id = $this->postJson('/api/v1/tasks', [
+        'project_id' => $project->id,
+        'title' => 'Write the report',
+        'priority' => 'high',
+        'status' => 'pending',
+    ])
+        ->assertCreated()
+        ->assertJsonPath('data.title', 'Write the report')
+        ->assertJsonPath('data.priority.value', 'high')
+        ->json('data.id');
+
+    $this->getJson("/api/v1/tasks/{$id}")
+        ->assertOk()
+        ->assertJsonPath('data.project.id', $project->id)
+        ->assertJsonPath('data.checklist', []);
+
+    $this->patchJson("/api/v1/tasks/{$id}", ['status' => 'in_progress'])
+        ->assertOk()
+        ->assertJsonPath('data.status.value', 'in_progress');
+
+    $this->deleteJson("/api/v1/tasks/{$id}")
+        ->assertOk()
+        ->assertExactJson(['message' => 'Task moved to trash.']);
+
+    expect(Task::find($id))->toBeNull();
+});
+
+test('tasks cannot be created in projects the user cannot edit', function () {
+    $viewer = User::factory()->create();
+    $project = Project::factory()->create();
+    $project->members()->attach($viewer, ['role' => ProjectRole::VIEWER]);
+
+    Sanctum::actingAs($viewer, ['tasks:write']);
+
+    $this->postJson('/api/v1/tasks', [
+        'project_id' => $project->id,
+        'title' => 'Sneaky task',
+        'priority' => 'low',
+        'status' => 'pending',
+    ])->assertForbidden();
+
+    $this->postJson('/api/v1/tasks', ['project_id' => $project->id])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors(['title', 'priority', 'status']);
+});
+
+test('tasks can be assigned to project members and unassigned', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $member = User::factory()->create();
+    $outsider = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $project->members()->attach($member, ['role' => ProjectRole::EDITOR]);
+    $task = Task::factory()->forProject($project)->create(['assigned_to' => null]);
+
+    Sanctum::actingAs($owner, ['tasks:write']);
+
+    $this->patchJson("/api/v1/tasks/{$task->id}/assign", ['assigned_to' => $member->id])
+        ->assertOk()
+        ->assertJsonPath('data.assigned_user.id', $member->id);
+
+    Notification::assertSentTo($member, TaskAssigned::class);
+
+    $this->patchJson("/api/v1/tasks/{$task->id}/assign", ['assigned_to' => $outsider->id])
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors('assigned_to');
+
+    $this->patchJson("/api/v1/tasks/{$task->id}/assign", ['assigned_to' => null])
+        ->assertOk()
+        ->assertJsonPath('data.assigned_to', null);
+});
+
+test('assignees can complete their task but not reassign it', function () {
+    $assignee = User::factory()->create();
+    $task = Task::factory()->forProject(Project::factory()->create())->assignedTo($assignee)->pending()->create();
+
+    Sanctum::actingAs($assignee, ['tasks:write']);
+
+    $this->patchJson("/api/v1/tasks/{$task->id}/assign", ['assigned_to' => null])->assertForbidden();
+
+    $this->patchJson("/api/v1/tasks/{$task->id}/complete")
+        ->assertOk()
+        ->assertJsonPath('data.status.value', 'completed');
+
+    expect($task->fresh()->status)->toBe(TaskStatus::COMPLETED);
+});
+
+test('blocked tasks cannot be completed', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $blocker = Task::factory()->forProject($project)->pending()->create();
+    $task = Task::factory()->forProject($project)->pending()->create();
+    $task->blockers()->attach($blocker);
+
+    Sanctum::actingAs($user, ['tasks:write']);
+
+    $this->patchJson("/api/v1/tasks/{$task->id}/complete")
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors('status');
+
+    expect($task->fresh()->status)->toBe(TaskStatus::PENDING);
+});
@@ -0,0 +1,146 @@
+<?php
+
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+use Laravel\Sanctum\PersonalAccessToken;
+
+test('a user can create a token and sees its plain text once', function () {
+    $user = User::factory()->create();
+
+    $response = $this->actingAs($user)
+        ->from(route('profile.edit'))
+        ->post(route('profile.tokens.store'), [
+            'name' => 'CI pipeline',
+            'abilities' => ['tasks:read', 'tasks:write'],
+        ]);
+
+    $response->assertSessionHasNoErrors()->assertRedirect(route('profile.edit'));
+
+    $token = $user->tokens()->sole();
+    $plainTextToken = session('plain_text_token');
+
+    expect($token->name)->toBe('CI pipeline')
+        ->and($token->abilities)->toBe(['tasks:read', 'tasks:write'])
+        ->and($plainTextToken)->toStartWith($token->id.'|')
+        ->and($token->token)->toBe(hash('sha256', explode('|', $plainTextToken, 2)[1]));
+
+    $this->get(route('profile.edit'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('plainTextToken', $plainTextToken)
+            ->has('tokens', 1)
+            ->where('tokens.0.name', 'CI pipeline')
+            ->where('tokens.0.last_used_at', null)
+            ->has('tokenAbilities', 4)
+        );
+
+    $this->get(route('profile.edit'))
+        ->assertInertia(fn (Assert $page) => $page->where('plainTextToken', null));
+});
+
+test('a token needs a name and known abilities', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)
+        ->post(route('profile.tokens.store'), ['name' => '', 'abilities' => []])
+        ->assertSessionHasErrors(['name', 'abilities']);
+
+    $this->actingAs($user)
+        ->post(route('profile.tokens.store'), ['name' => 'Admin', 'abilities' => ['*']])
+        ->assertSessionHasErrors('abilities.0');
+
+    expect($user->tokens()->count())->toBe(0);
+});
+
+test('the profile page lists the tokens with their last use', function () {
+    $user = User::factory()->create();
+    $user->createToken('Old', ['projects:read']);
+    $user->tokens()->update(['last_used_at' => now()->subDay()]);
+    User::factory()->create()->createToken('Not mine', ['tasks:read']);
+
+    $this->actingAs($user)
+        ->get(route('profile.edit'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->has('tokens', 1)
+            ->where('tokens.0.name', 'Old')
+            ->where('tokens.0.abilities', ['projects:read'])
+            ->whereNot('tokens.0.last_used_at', null)
+            ->missing('tokens.0.token')
+        );
+});
+
+test('a user can revoke their own tokens only', function () {
+    $user = User::factory()->create();
+    $own = $user->createToken('Mine', ['tasks:read'])->accessToken;
+    $other = User::factory()->create()->createToken('Theirs', ['tasks:read'])->accessToken;
+
+    $this->actingAs($user)
+        ->delete(route('profile.tokens.destroy', $other->id))
+        ->assertNotFound();
+
+    $this->actingAs($user)
+        ->delete(route('profile.tokens.destroy', $own->id))
+        ->assertRedirect()
+        ->assertSessionHas('success', 'API token revoked.');
+
+    expect(PersonalAccessToken::whereKey($own->id)->exists())->toBeFalse()
+        ->and(PersonalAccessToken::whereKey($other->id)->exists())->toBeTrue();
+});
+
+test('token requests are limited to the token abilities', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    Task::factory()->forProject($project)->create();
+    $token = $user->createToken('Read tasks', ['tasks:read'])->plainTextToken;
+
+    $this->withToken($token)->getJson('/api/v1/tasks')->assertOk()->assertJsonCount(1, 'data');
+    $this->withToken($token)->postJson('/api/v1/tasks', [
+        'project_id' => $project->id,
+        'title' => 'Not allowed',
+    ])->assertForbidden();
+    $this->withToken($token)->getJson('/api/v1/projects')->assertForbidden();
+
+    expect($user->tokens()->sole()->last_used_at)->not->toBeNull();
+});
+
+test('a revoked token no longer works', function () {
+    $user = User::factory()->create();
+    $newToken = $user->createToken('Temporary', ['projects:read']);
+
+    $this->withToken($newToken->plainTextToken)->getJson('/api/v1/projects')->assertOk();
+
+    $newToken->accessToken->delete();
+    $this->app['auth']->forgetGuards();
+
+    $this->withToken($newToken->plainTextToken)->getJson('/api/v1/projects')->assertUnauthorized();
+});
+
+test('tokens reach the task list as json only with the tasks:read ability', function () {
+    $user = User::factory()->create();
+    Task::factory()->forProject(Project::factory()->forUser($user)->create())->create(['title' => 'Visible']);
+    $readTasks = $user->createToken('Read tasks', ['tasks:read'])->plainTextToken;
+    $readProjects = $user->createToken('Read projects', ['projects:read'])->plainTextToken;
+
+    $this->withToken($readTasks)
+        ->getJson(route('tasks.index'))
+        ->assertOk()
+        ->assertJsonCount(1, 'data')
+        ->assertJsonPath('data.0.title', 'Visible');
+
+    $this->withToken($readTasks)->getJson(route('projects.index'))->assertForbidden();
+    $this->withToken($readTasks)->postJson(route('tasks.store'), ['title' => 'Not allowed'])->assertForbidden();
+
+    $this->app['auth']->forgetGuards();
+
+    $this->withToken($readProjects)->getJson(route('tasks.index'))->assertForbidden();
+});
+
+test('the task list needs a session or a token', function () {
+    $this->getJson(route('tasks.index'))->assertUnauthorized();
+
+    // Signed-in users are not limited by token abilities
+    $this->actingAs(User::factory()->create())
+        ->get(route('tasks.index'))
+        ->assertInertia(fn (Assert $page) => $page->component('Tasks/Index'));
+});
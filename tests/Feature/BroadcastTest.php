@@ -0,0 +1,84 @@
+<?php
+
+use App\Events\ModelChanged;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Illuminate\Support\Facades\Broadcast;
+use Illuminate\Support\Facades\Event;
+
+/**
+ * The channel names a broadcast event goes out on.
+ */
+function channelNames(ModelChanged $event): array
+{
+    return array_map(fn ($channel) => $channel->name, $event->broadcastOn());
+}
+
+test('task changes are broadcast on the project channel with who made them', function () {
+    Event::fake([ModelChanged::class]);
+
+    $owner = User::factory()->create(['name' => 'Jane']);
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->create();
+
+    $this->actingAs($owner)->put(route('tasks.update', $task), ['title' => 'Write the report']);
+
+    Event::assertDispatched(ModelChanged::class, fn (ModelChanged $event) => $event->type === 'task'
+        && $event->action === 'updated'
+        && $event->id === $task->id
+        && channelNames($event) === ["private-projects.{$project->id}"]
+        && $event->data['title'] === 'Write the report'
+        && $event->broadcastWith()['actor'] === ['id' => $owner->id, 'name' => 'Jane']);
+});
+
+test('a task moved to another project is broadcast to both projects', function () {
+    Event::fake([ModelChanged::class]);
+
+    $from = Project::factory()->create();
+    $to = Project::factory()->create();
+    $task = Task::factory()->forProject($from)->create();
+
+    $task->update(['project_id' => $to->id]);
+
+    Event::assertDispatched(ModelChanged::class, fn (ModelChanged $event) => $event->action === 'updated'
+        && channelNames($event) === ["private-projects.{$to->id}", "private-projects.{$from->id}"]);
+});
+
+test('trashing and restoring tasks is broadcast, permanent deletes are not', function () {
+    $task = Task::factory()->create();
+
+    Event::fake([ModelChanged::class]);
+
+    $task->delete();
+    $task->restore();
+    $task->forceDelete();
+
+    Event::assertDispatchedTimes(ModelChanged::class, 2);
+    Event::assertDispatched(ModelChanged::class, fn (ModelChanged $event) => $event->action === 'deleted');
+    Event::assertDispatched(ModelChanged::class, fn (ModelChanged $event) => $event->action === 'restored');
+});
+
+test('project changes are broadcast on the project channel', function () {
+    $project = Project::factory()->create();
+
+    Event::fake([ModelChanged::class]);
+
+    $project->update(['name' => 'Website relaunch']);
+
+    Event::assertDispatched(ModelChanged::class, fn (ModelChanged $event) => $event->type === 'project'
+        && channelNames($event) === ["private-projects.{$project->id}"]
+        && $event->data['name'] === 'Website relaunch'
+        && !array_key_exists('tasks', $event->data));
+});
+
+test('only people who can see a project may listen to its channel', function () {
+    $owner = User::factory()->create();
+    $stranger = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+
+    $authorize = Broadcast::getChannels()->get('projects.{project}');
+
+    expect($authorize($owner, $project))->toBeTrue()
+        ->and($authorize($stranger, $project))->toBeFalse();
+});
@@ -0,0 +1,128 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('the month view shows tasks due in the weeks of that month', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    // March 2030 starts on a Friday, so the grid runs from Monday 25 February to Sunday 7 April
+    Task::factory()->forProject($project)->create(['title' => 'Grid start', 'due_date' => '2030-02-25']);
+    Task::factory()->forProject($project)->create(['title' => 'Mid month', 'due_date' => '2030-03-15']);
+    Task::factory()->forProject($project)->completed()->create(['title' => 'Done', 'due_date' => '2030-04-07']);
+    Task::factory()->forProject($project)->create(['due_date' => '2030-02-24']);
+    Task::factory()->forProject($project)->create(['due_date' => '2030-04-08']);
+    Task::factory()->forProject($project)->create(['due_date' => null]);
+    // Tasks of other people's projects are not shown
+    Task::factory()->create(['due_date' => '2030-03-15']);
+
+    $this->actingAs($user)
+        ->get(route('calendar', ['date' => '2030-03-15']))
+        ->assertOk()
+        ->assertInertia(fn (Assert $page) => $page
+            ->component('Calendar/Index')
+            ->has('tasks', 3)
+            ->where('tasks.0.title', 'Grid start')
+            ->where('tasks.0.priority.color', fn ($color) => filled($color))
+            ->where('tasks.0.can.update_due_date', true)
+            ->where('filters', ['view' => 'month', 'date' => '2030-03-15'])
+        );
+});
+
+test('the week view only shows tasks due that week', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    Task::factory()->forProject($project)->create(['title' => 'Monday', 'due_date' => '2030-03-11']);
+    Task::factory()->forProject($project)->create(['title' => 'Sunday', 'due_date' => '2030-03-17']);
+    Task::factory()->forProject($project)->create(['due_date' => '2030-03-18']);
+
+    $this->actingAs($user)
+        ->get(route('calendar', ['view' => 'week', 'date' => '2030-03-13']))
+        ->assertOk()
+        ->assertInertia(fn (Assert $page) => $page
+            ->has('tasks', 2)
+            ->where('tasks.0.title', 'Monday')
+            ->where('tasks.1.title', 'Sunday')
+        );
+});
+
+test('the calendar rejects unknown views', function () {
+    $this->actingAs(User::factory()->create())
+        ->get(route('calendar', ['view' => 'year']))
+        ->assertSessionHasErrors('view');
+});
+
+test('editors can drag a task to another day', function () {
+    $user = User::factory()->create();
+    $task = Task::factory()->forProject(Project::factory()->forUser($user)->create())->create(['due_date' => '2030-03-15']);
+
+    $this->actingAs($user)
+        ->from(route('calendar'))
+        ->patch(route('calendar.update', $task), ['due_date' => '2030-03-20'])
+        ->assertRedirect(route('calendar'));
+
+    expect($task->fresh()->due_date->toDateString())->toBe('2030-03-20');
+});
+
+test('assignees and viewers cannot reschedule tasks', function () {
+    $viewer = User::factory()->create();
+    $project = Project::factory()->create();
+    $project->members()->attach($viewer, ['role' => ProjectRole::VIEWER]);
+    $task = Task::factory()->forProject($project)->assignedTo($viewer)->create(['due_date' => '2030-03-15']);
+
+    $this->actingAs($viewer)
+        ->get(route('calendar', ['date' => '2030-03-15']))
+        ->assertInertia(fn (Assert $page) => $page->where('tasks.0.can.update_due_date', false));
+
+    $this->actingAs($viewer)
+        ->patch(route('calendar.update', $task), ['due_date' => '2030-03-20'])
+        ->assertForbidden();
+
+    expect($task->fresh()->due_date->toDateString())->toBe('2030-03-15');
+});
+
+test('tasks can be created on a day from the calendar', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $dueDate = now()->addDays(3)->toDateString();
+
+    $this->actingAs($user)
+        ->from(route('calendar'))
+        ->post(route('calendar.store'), [
+            'title' => 'Quick task',
+            'project_id' => $project->id,
+            'priority' => 'high',
+            'status' => 'pending',
+            'due_date' => $dueDate,
+        ])
+        ->assertRedirect(route('calendar'))
+        ->assertSessionHas('success');
+
+    $task = Task::where('title', 'Quick task')->first();
+
+    expect($task->project_id)->toBe($project->id)
+        ->and($task->due_date->toDateString())->toBe($dueDate);
+});
+
+test('viewers cannot create tasks from the calendar', function () {
+    $viewer = User::factory()->create();
+    $project = Project::factory()->create();
+    $project->members()->attach($viewer, ['role' => ProjectRole::VIEWER]);
+
+    $this->actingAs($viewer)
+        ->post(route('calendar.store'), [
+            'title' => 'Quick task',
+            'project_id' => $project->id,
+            'priority' => 'medium',
+            'status' => 'pending',
+            'due_date' => now()->toDateString(),
+        ])
+        ->assertForbidden();
+
+    expect(Task::where('title', 'Quick task')->exists())->toBeFalse();
+});
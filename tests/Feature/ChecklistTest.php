@@ -0,0 +1,123 @@
+<?php
+
+use App\Models\ChecklistItem;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Services\ProjectService;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('owner can add checklist items in order', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+
+    $this->actingAs($user)
+        ->post(route('tasks.checklist.store', $task), ['title' => 'Write migration'])
+        ->assertSessionHas('success');
+
+    $this->actingAs($user)
+        ->post(route('tasks.checklist.store', $task), [
+            'title' => 'Write tests',
+            'assigned_to' => $user->id,
+            'due_date' => now()->addDay()->toDateString(),
+        ]);
+
+    expect($task->checklistItems()->pluck('title')->all())->toBe(['Write migration', 'Write tests'])
+        ->and($task->checklistItems()->pluck('position')->all())->toBe([0, 1])
+        ->and($task->checklistItems()->latest('id')->first()->assigned_to)->toBe($user->id);
+});
+
+test('toggling an item sets and clears completed_at', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+    $item = ChecklistItem::factory()->forTask($task)->create();
+
+    $this->actingAs($user)->patch(route('checklist.update', $item), ['is_completed' => true]);
+
+    expect($item->fresh()->completed_at)->not->toBeNull();
+
+    $this->actingAs($user)->patch(route('checklist.update', $item), ['is_completed' => false]);
+
+    expect($item->fresh()->completed_at)->toBeNull();
+});
+
+test('checklist items can be reordered', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+    $first = ChecklistItem::factory()->forTask($task)->create(['position' => 1]);
+    $second = ChecklistItem::factory()->forTask($task)->create(['position' => 2]);
+    $third = ChecklistItem::factory()->forTask($task)->create(['position' => 3]);
+
+    $this->actingAs($user)
+        ->patch(route('tasks.checklist.reorder', $task), ['items' => [$third->id, $first->id, $second->id]])
+        ->assertSessionHasNoErrors();
+
+    expect($task->checklistItems()->pluck('id')->all())->toBe([$third->id, $first->id, $second->id]);
+});
+
+test('reordering rejects items from another task', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+    $item = ChecklistItem::factory()->forTask($task)->create();
+    $foreign = ChecklistItem::factory()->create();
+
+    $this->actingAs($user)
+        ->patch(route('tasks.checklist.reorder', $task), ['items' => [$foreign->id, $item->id]])
+        ->assertSessionHasErrors('items.0');
+});
+
+test('only users who can update the task can change its checklist', function () {
+    $owner = User::factory()->create();
+    $assignee = User::factory()->create();
+    $stranger = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->assignedTo($assignee)->create();
+    $item = ChecklistItem::factory()->forTask($task)->create();
+
+    $this->actingAs($stranger)
+        ->post(route('tasks.checklist.store', $task), ['title' => 'Nope'])
+        ->assertForbidden();
+
+    $this->actingAs($stranger)
+        ->delete(route('checklist.destroy', $item))
+        ->assertForbidden();
+
+    $this->actingAs($assignee)
+        ->patch(route('checklist.update', $item), ['is_completed' => true])
+        ->assertRedirect();
+
+    expect($item->fresh()->is_completed)->toBeTrue();
+});
+
+test('task lists include checklist progress', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+    ChecklistItem::factory()->forTask($task)->completed()->count(3)->create();
+    ChecklistItem::factory()->forTask($task)->count(2)->create();
+
+    $this->actingAs($user)
+        ->get(route('tasks.index'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('tasks.data.0.checklist_items_count', 5)
+            ->where('tasks.data.0.completed_checklist_items_count', 3)
+        );
+});
+
+test('project stats can count checklist progress toward completion', function () {
+    $project = Project::factory()->create();
+    Task::factory()->forProject($project)->completed()->create();
+    $task = Task::factory()->forProject($project)->inProgress()->create();
+    ChecklistItem::factory()->forTask($task)->completed()->create();
+    ChecklistItem::factory()->forTask($task)->create();
+
+    $service = app(ProjectService::class);
+
+    expect($service->getProjectStats($project)['completion_rate'])->toEqual(50)
+        ->and($service->getProjectStats($project, countChecklists: true)['completion_rate'])->toEqual(75)
+        ->and($service->getProjectStats($project)['checklist_items'])->toBe(2);
+});
@@ -0,0 +1,176 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Models\Comment;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Notifications\MentionedInComment;
+use Illuminate\Support\Facades\Notification;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('task page shows comments with their replies', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+
+    $comment = Comment::factory()->forTask($task)->by($user)->create(['body' => 'Looks **good**']);
+    Comment::factory()->replyTo($comment)->by($user)->create();
+
+    $response = $this->actingAs($user)->get(route('tasks.show', $task));
+
+    $response->assertInertia(fn (Assert $page) => $page
+        ->component('Tasks/Show')
+        ->has('comments', 1)
+        ->where('comments.0.body_html', "<p>Looks <strong>good</strong></p>\n")
+        ->where('comments.0.can.update', true)
+        ->has('comments.0.replies', 1)
+        ->where('canComment', true)
+    );
+});
+
+test('project owner can comment on a task', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+
+    $response = $this->actingAs($user)
+        ->post(route('tasks.comments.store', $task), ['body' => 'First!']);
+
+    $comment = $task->comments()->first();
+
+    $response->assertRedirect(route('tasks.show', $task).'#comment-'.$comment->id);
+    expect($comment->body)->toBe('First!')
+        ->and($comment->user_id)->toBe($user->id);
+});
+
+test('replies can only be one level deep', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+
+    $comment = Comment::factory()->forTask($task)->by($user)->create();
+    $reply = Comment::factory()->replyTo($comment)->by($user)->create();
+
+    $this->actingAs($user)
+        ->post(route('tasks.comments.store', $task), ['body' => 'Nested', 'parent_id' => $reply->id])
+        ->assertSessionHasErrors('parent_id');
+
+    $this->actingAs($user)
+        ->post(route('tasks.comments.store', $task), ['body' => 'Reply', 'parent_id' => $comment->id])
+        ->assertSessionHasNoErrors();
+
+    expect($comment->replies()->count())->toBe(2);
+});
+
+test('users who cannot view the task cannot comment on it', function () {
+    $other = User::factory()->create();
+    $task = Task::factory()->create();
+
+    $this->actingAs($other)
+        ->post(route('tasks.comments.store', $task), ['body' => 'Hello'])
+        ->assertForbidden();
+});
+
+test('only the author can edit a comment', function () {
+    $owner = User::factory()->create();
+    $author = User::factory()->admin()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->create();
+    $comment = Comment::factory()->forTask($task)->by($author)->create();
+
+    $this->actingAs($owner)
+        ->patch(route('comments.update', $comment), ['body' => 'Changed'])
+        ->assertForbidden();
+
+    $this->actingAs($author)
+        ->patch(route('comments.update', $comment), ['body' => 'Changed'])
+        ->assertRedirect();
+
+    expect($comment->fresh()->body)->toBe('Changed');
+});
+
+test('project owner can delete any comment on the task', function () {
+    $owner = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->create();
+    $comment = Comment::factory()->forTask($task)->create();
+    Comment::factory()->replyTo($comment)->create();
+
+    $this->actingAs($owner)
+        ->delete(route('comments.destroy', $comment))
+        ->assertRedirect(route('tasks.show', $task));
+
+    expect($task->comments()->count())->toBe(0);
+});
+
+test('mentioned users are notified once', function () {
+    Notification::fake();
+
+    $user = User::factory()->create(['name' => 'Owner']);
+    $jane = User::factory()->create(['name' => 'Jane Doe']);
+    $john = User::factory()->create(['name' => 'John']);
+    $project = Project::factory()->forUser($user)->create();
+    $project->members()->attach([$jane->id, $john->id], ['role' => ProjectRole::EDITOR]);
+    $task = Task::factory()->forProject($project)->create();
+
+    $this->actingAs($user)
+        ->post(route('tasks.comments.store', $task), ['body' => 'Thoughts, @Jane Doe? cc @Owner']);
+
+    $comment = $task->comments()->first();
+
+    Notification::assertSentTo($jane, MentionedInComment::class);
+    Notification::assertNotSentTo([$john, $user], MentionedInComment::class);
+    expect($comment->mentions()->pluck('users.id')->all())->toEqualCanonicalizing([$jane->id, $user->id]);
+
+    // Editing only notifies people who were not mentioned before
+    $this->actingAs($user)
+        ->patch(route('comments.update', $comment), ['body' => '@Jane Doe and @John, please review']);
+
+    Notification::assertSentToTimes($jane, MentionedInComment::class, 1);
+    Notification::assertSentTo($john, MentionedInComment::class);
+});
+
+test('comment markdown escapes raw html', function () {
+    $comment = Comment::factory()->make(['body' => '<script>alert(1)</script> [x](javascript:alert(1))']);
+
+    expect($comment->body_html)
+        ->not->toContain('<script>')
+        ->not->toContain('javascript:');
+});
+
+test('only people who can see the task are mentioned, by their whole name', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create(['name' => 'Owner']);
+    $member = User::factory()->create(['name' => 'Anna']);
+    $assignee = User::factory()->create(['name' => 'Andrew']);
+    $outsider = User::factory()->create(['name' => 'Alice']);
+    $project = Project::factory()->forUser($owner)->create();
+    $project->members()->attach($member, ['role' => ProjectRole::VIEWER]);
+    $task = Task::factory()->forProject($project)->create(['assigned_to' => $assignee->id]);
+
+    $this->actingAs($owner)
+        ->post(route('tasks.comments.store', $task), ['body' => '@Anna @Andrew @Alice @A @Ann']);
+
+    expect($task->comments()->first()->mentions()->pluck('users.id')->all())
+        ->toEqualCanonicalizing([$member->id, $assignee->id]);
+    Notification::assertSentTo([$member, $assignee], MentionedInComment::class);
+    Notification::assertNotSentTo($outsider, MentionedInComment::class);
+});
+
+test('the mention list on the task page matches who can be mentioned', function () {
+    $owner = User::factory()->create(['name' => 'Owner']);
+    $assignee = User::factory()->create(['name' => 'Assignee']);
+    User::factory()->create(['name' => 'Outsider']);
+    $task = Task::factory()->forProject(Project::factory()->forUser($owner)->create())
+        ->create(['assigned_to' => $assignee->id]);
+
+    $this->actingAs($owner)
+        ->get(route('tasks.show', $task))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('users', [['id' => $assignee->id, 'name' => 'Assignee'], ['id' => $owner->id, 'name' => 'Owner']])
+            // Checklist items can only go to project members
+            ->where('members', [['id' => $owner->id, 'name' => 'Owner']])
+        );
+});
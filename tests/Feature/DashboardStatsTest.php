@@ -0,0 +1,114 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Enums\TaskStatus;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Services\ProjectMemberService;
+use App\Services\ProjectService;
+use App\Services\TaskService;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Run the dashboard statistics and return how many queries they took.
+ */
+function countStatsQueries(User $user): int
+{
+    DB::flushQueryLog();
+    DB::enableQueryLog();
+
+    app(TaskService::class)->getUserTaskStats($user);
+    app(TaskService::class)->getAssignedTaskStats($user);
+    app(ProjectService::class)->getUserProjectStats($user);
+
+    $count = count(DB::getQueryLog());
+    DB::disableQueryLog();
+
+    return $count;
+}
+
+test('task stats match the task scopes', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    Task::factory()->count(20)->forProject($project)->create();
+    Task::factory()->count(3)->forProject($project)->overdue()->create();
+    Task::factory()->count(2)->forProject($project)->assignedTo($user)->highPriority()->create();
+    Task::factory()->count(5)->create();
+
+    $baseQuery = Task::visibleTo($user);
+
+    expect(app(TaskService::class)->getUserTaskStats($user))->toBe([
+        'total' => (clone $baseQuery)->count(),
+        'pending' => (clone $baseQuery)->pending()->count(),
+        'in_progress' => (clone $baseQuery)->inProgress()->count(),
+        'completed' => (clone $baseQuery)->completed()->count(),
+        'cancelled' => (clone $baseQuery)->where('status', TaskStatus::CANCELLED)->count(),
+        'overdue' => (clone $baseQuery)->overdue()->count(),
+        'due_soon' => (clone $baseQuery)->dueSoon()->count(),
+        'high_priority' => (clone $baseQuery)->highPriority()->count(),
+    ]);
+
+    expect(app(TaskService::class)->getAssignedTaskStats($user))
+        ->total->toBe(Task::where('assigned_to', $user->id)->count());
+});
+
+test('stats take one query per entity however much data there is', function () {
+    $user = User::factory()->create();
+    Task::factory()->forProject(Project::factory()->forUser($user)->create())->assignedTo($user)->create();
+
+    $queriesWithLittleData = countStatsQueries($user);
+
+    foreach (Project::factory()->count(5)->forUser($user)->create() as $project) {
+        Task::factory()->count(30)->forProject($project)->assignedTo($user)->create();
+    }
+
+    Cache::flush();
+
+    expect($queriesWithLittleData)->toBe(3)
+        ->and(countStatsQueries($user))->toBe(3)
+        // The second time everything comes from the cache
+        ->and(countStatsQueries($user))->toBe(0);
+});
+
+test('cached stats are refreshed when tasks and projects change', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->active()->create();
+    $task = Task::factory()->forProject($project)->pending()->create();
+
+    $stats = fn () => app(TaskService::class)->getUserTaskStats($user);
+
+    expect($stats())->total->toBe(1)->pending->toBe(1);
+
+    Task::factory()->forProject($project)->pending()->create();
+    expect($stats())->total->toBe(2);
+
+    $task->update(['status' => TaskStatus::COMPLETED]);
+    expect($stats())->pending->toBe(1)->completed->toBe(1);
+
+    $project->update(['status' => 'completed']);
+    expect(app(ProjectService::class)->getUserProjectStats($user))->completed->toBe(1);
+
+    $project->delete();
+    expect($stats())->total->toBe(0);
+});
+
+test('cached stats are refreshed when a user joins or leaves a project', function () {
+    $member = User::factory()->create();
+    $project = Project::factory()->create();
+    Task::factory()->forProject($project)->create();
+
+    $stats = fn () => app(TaskService::class)->getUserTaskStats($member);
+
+    expect($stats())->total->toBe(0);
+
+    app(ProjectMemberService::class)->addMember($project, $member, ProjectRole::VIEWER);
+
+    expect($stats())->total->toBe(1);
+
+    $this->actingAs($project->user)->delete(route('projects.members.destroy', [$project, $member]));
+
+    expect($stats())->total->toBe(0);
+});
@@ -1,5 +1,7 @@
 <?php
 
+use App\Models\Project;
+use App\Models\Task;
 use App\Models\User;
 use Inertia\Testing\AssertableInertia as Assert;
 
@@ -76,3 +78,97 @@
             ->has('recent_projects')
         );
 });
+
+test('dashboard charts show daily activity and completion per project', function () {
+    $this->freezeTime();
+
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create(['name' => 'Website']);
+
+    $open = Task::factory()->forProject($project)->pending()->create(['due_date' => now()->subDays(3)]);
+    $done = Task::factory()->forProject($project)->completed()->create(['due_date' => null]);
+
+    // Backdate without touching the status mutator
+    Task::whereKey([$open->id, $done->id])->update(['created_at' => now()->subDays(5)]);
+    Task::whereKey($done->id)->update(['completed_at' => now()->subDay()]);
+
+    $this->actingAs($user)
+        ->get(route('dashboard'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->has('charts.activity', 30)
+            ->where('charts.activity.29.date', now()->toDateString())
+            ->where('charts.activity.24.created', 2)
+            ->where('charts.activity.28.completed', 1)
+            ->where('charts.activity.25.overdue', 0)
+            ->where('charts.activity.26.overdue', 1)
+            ->where('charts.activity.29.overdue', 1)
+            ->has('charts.projects', 1)
+            ->where('charts.projects.0.name', 'Website')
+            ->where('charts.projects.0.completed', 1)
+            ->where('charts.projects.0.completion_rate', 50)
+        );
+});
+
+test('dashboard can be scoped to a period and selected projects', function () {
+    $user = User::factory()->create();
+    $website = Project::factory()->forUser($user)->create();
+    $mobile = Project::factory()->forUser($user)->create();
+
+    Task::factory()->forProject($website)->pending()->create();
+    Task::factory()->forProject($mobile)->pending()->create();
+    $old = Task::factory()->forProject($website)->completed()->create();
+    Task::whereKey($old->id)->update(['created_at' => now()->subDays(80), 'completed_at' => now()->subDays(60)]);
+
+    // Tasks completed before the period started are left out
+    $this->actingAs($user)
+        ->get(route('dashboard'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('filters.range', '30')
+            ->where('stats.tasks.total', 2)
+            ->where('stats.tasks.completed', 0)
+            ->has('charts.activity', 30)
+        );
+
+    $this->actingAs($user)
+        ->get(route('dashboard', ['range' => '90', 'projects' => [$website->id]]))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('filters.range', '90')
+            ->where('filters.projects', [$website->id])
+            ->where('stats.projects.total', 1)
+            ->where('stats.tasks.total', 2)
+            ->where('stats.tasks.completed', 1)
+            ->has('charts.activity', 90)
+            ->has('charts.projects', 1)
+            ->where('charts.projects.0.id', $website->id)
+            ->has('recent_projects', 1)
+        );
+});
+
+test('dashboard accepts a custom period', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)
+        ->get(route('dashboard', [
+            'range' => 'custom',
+            'from' => now()->subDays(13)->toDateString(),
+            'to' => now()->subDays(4)->toDateString(),
+        ]))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('filters.from', now()->subDays(13)->toDateString())
+            ->where('filters.to', now()->subDays(4)->toDateString())
+            ->has('charts.activity', 10)
+            ->where('charts.activity.9.date', now()->subDays(4)->toDateString())
+        );
+
+    $this->actingAs($user)
+        ->get(route('dashboard', ['range' => 'custom', 'from' => now()->toDateString()]))
+        ->assertSessionHasErrors('to');
+
+    $this->actingAs($user)
+        ->get(route('dashboard', [
+            'range' => 'custom',
+            'from' => now()->subYears(2)->toDateString(),
+            'to' => now()->toDateString(),
+        ]))
+        ->assertSessionHasErrors('to');
+});
@@ -0,0 +1,142 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Notifications\DailyDigest;
+use App\Notifications\TaskDueReminder;
+use Illuminate\Support\Facades\Mail;
+use Illuminate\Support\Facades\Notification;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('the digest covers overdue and due soon tasks assigned to or owned by the user', function () {
+    Notification::fake();
+
+    $user = User::factory()->create();
+    $other = User::factory()->create();
+    $owned = Project::factory()->forUser($user)->create();
+    $joined = Project::factory()->forUser($other)->create();
+    $joined->members()->attach($user, ['role' => ProjectRole::EDITOR]);
+
+    $overdue = Task::factory()->forProject($joined)->assignedTo($user)->pending()->create(['due_date' => today()->subDays(2)]);
+    $dueSoon = Task::factory()->forProject($owned)->assignedTo($other)->pending()->create(['due_date' => today()->addDays(3)]);
+    Task::factory()->forProject($joined)->assignedTo($other)->pending()->create(['due_date' => today()->addDay()]);
+    Task::factory()->forProject($owned)->assignedTo($user)->completed()->create(['due_date' => today()->subDay()]);
+    Task::factory()->forProject($owned)->assignedTo($user)->pending()->create(['due_date' => today()->addMonth()]);
+
+    $this->artisan('tasks:send-digest')->assertSuccessful();
+
+    Notification::assertSentTo($user, DailyDigest::class, fn (DailyDigest $notification) => $notification->overdue->modelKeys() === [$overdue->id]
+        && $notification->dueSoon->modelKeys() === [$dueSoon->id]);
+});
+
+test('users who turned the digest off or have nothing due get no digest', function () {
+    Notification::fake();
+
+    $optedOut = User::factory()->create(['daily_digest' => false]);
+    $idle = User::factory()->create();
+    Task::factory()->forProject(Project::factory()->forUser($optedOut)->create())->assignedTo($optedOut)->overdue()->create();
+
+    $this->artisan('tasks:send-digest')->expectsOutput('Sent 0 digest(s).');
+
+    Notification::assertNothingSent();
+});
+
+test('the digest is delivered by mail', function () {
+    $user = User::factory()->create(['email' => 'jane@example.com']);
+    Task::factory()->forProject(Project::factory()->forUser($user)->create())->assignedTo($user)->pending()
+        ->create(['due_date' => today()->addDay()]);
+
+    $this->artisan('tasks:send-digest')->assertSuccessful();
+
+    $messages = Mail::mailer('array')->getSymfonyTransport()->messages();
+
+    expect($messages)->toHaveCount(1)
+        ->and($messages->first()->getEnvelope()->getRecipients()[0]->getAddress())->toBe('jane@example.com')
+        ->and($messages->first()->getOriginalMessage()->getSubject())->toBe('Your tasks today: 0 overdue, 1 due soon');
+});
+
+test('due reminders go out within each recipient\'s window, once per due date', function () {
+    Notification::fake();
+    $this->travelTo(today()->setTime(10, 0));
+
+    $owner = User::factory()->create(['due_reminder_hours' => 24]);
+    $early = User::factory()->create(['due_reminder_hours' => 48]);
+    $late = User::factory()->create(['due_reminder_hours' => 6]);
+    $off = User::factory()->create(['due_reminder_hours' => null]);
+    $project = Project::factory()->forUser($owner)->create();
+
+    // Due at midnight, 14 hours from now
+    $unassigned = Task::factory()->forProject($project)->pending()->create(['assigned_to' => null, 'due_date' => today()->addDay()]);
+    $forEarly = Task::factory()->forProject($project)->assignedTo($early)->pending()->create(['due_date' => today()->addDay()]);
+    Task::factory()->forProject($project)->assignedTo($late)->pending()->create(['due_date' => today()->addDay()]);
+    Task::factory()->forProject($project)->assignedTo($off)->pending()->create(['due_date' => today()->addDay()]);
+    Task::factory()->forProject($project)->assignedTo($early)->completed()->create(['due_date' => today()->addDay()]);
+
+    $this->artisan('tasks:send-reminders')->expectsOutput('Sent 2 reminder(s).');
+
+    Notification::assertSentTo($owner, TaskDueReminder::class, fn (TaskDueReminder $notification) => $notification->task->is($unassigned));
+    Notification::assertSentTo($early, TaskDueReminder::class, fn (TaskDueReminder $notification) => $notification->task->is($forEarly));
+    Notification::assertNotSentTo([$late, $off], TaskDueReminder::class);
+
+    // Running it again sends nothing new
+    $this->artisan('tasks:send-reminders')->expectsOutput('Sent 0 reminder(s).');
+
+    // Later, the 6 hour window opens
+    $this->travelTo(today()->setTime(20, 0));
+    $this->artisan('tasks:send-reminders')->expectsOutput('Sent 1 reminder(s).');
+    Notification::assertSentTo($late, TaskDueReminder::class);
+});
+
+test('a rescheduled task is reminded about again', function () {
+    Notification::fake();
+    $this->travelTo(today()->setTime(10, 0));
+
+    $user = User::factory()->create(['due_reminder_hours' => 24]);
+    $task = Task::factory()->forProject(Project::factory()->forUser($user)->create())->assignedTo($user)->pending()
+        ->create(['due_date' => today()->addDay()]);
+
+    $this->artisan('tasks:send-reminders')->expectsOutput('Sent 1 reminder(s).');
+
+    $task->update(['due_date' => today()->addDays(2)]);
+    $this->travelTo(today()->addDay()->setTime(10, 0));
+
+    $this->artisan('tasks:send-reminders')->expectsOutput('Sent 1 reminder(s).');
+    Notification::assertSentToTimes($user, TaskDueReminder::class, 2);
+});
+
+test('notification settings are shown and can be updated', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)
+        ->get(route('profile.edit'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('notificationSettings.daily_digest', true)
+            ->where('notificationSettings.due_reminder_hours', 24)
+            ->where('reminderOptions', User::REMINDER_HOURS));
+
+    $this->actingAs($user)
+        ->patch(route('profile.notifications.update'), ['daily_digest' => false, 'due_reminder_hours' => 3])
+        ->assertSessionHasNoErrors()
+        ->assertRedirect(route('profile.edit'));
+
+    expect($user->fresh())
+        ->daily_digest->toBeFalse()
+        ->due_reminder_hours->toBe(3);
+
+    $this->actingAs($user)
+        ->patch(route('profile.notifications.update'), ['daily_digest' => true, 'due_reminder_hours' => null]);
+
+    expect($user->fresh()->due_reminder_hours)->toBeNull();
+});
+
+test('reminder times outside the offered options are rejected', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)
+        ->patch(route('profile.notifications.update'), ['daily_digest' => true, 'due_reminder_hours' => 5])
+        ->assertSessionHasErrors('due_reminder_hours');
+
+    expect($user->fresh()->due_reminder_hours)->toBe(24);
+});
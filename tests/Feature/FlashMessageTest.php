@@ -0,0 +1,46 @@
+<?php
+
+use App\Enums\TaskPriority;
+use App\Enums\TaskStatus;
+use App\Models\Project;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('flash messages are shared with every page', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)
+        ->withSession(['warning' => 'Heads up.', 'info' => 'Just so you know.'])
+        ->get(route('dashboard'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('flash.warning', 'Heads up.')
+            ->where('flash.info', 'Just so you know.')
+            ->where('flash.success', null)
+            ->where('flash.error', null)
+        );
+
+    // Flash messages only last for the next request
+    $this->actingAs($user)
+        ->get(route('dashboard'))
+        ->assertInertia(fn (Assert $page) => $page->where('flash.warning', null));
+});
+
+test('creating a task flashes a message with a link to the task', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->active()->create();
+
+    $this->actingAs($user)
+        ->followingRedirects()
+        ->post(route('tasks.store'), [
+            'project_id' => $project->id,
+            'title' => 'Book the venue',
+            'priority' => TaskPriority::HIGH->value,
+            'status' => TaskStatus::PENDING->value,
+        ])
+        ->assertInertia(fn (Assert $page) => $page
+            ->component('Projects/Show')
+            ->where('flash.success', 'Task created successfully.')
+            ->where('flash.action.label', 'View task')
+            ->where('flash.action.url', route('tasks.show', $project->tasks()->first()))
+        );
+});
@@ -0,0 +1,96 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Enums\TaskStatus;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('my work groups the unfinished tasks assigned to me by due date', function () {
+    // A Wednesday, so "this week" has days on either side of today
+    $this->travelTo(now()->startOfWeek()->addDays(2)->setTime(12, 0));
+
+    $user = User::factory()->create();
+    $project = Project::factory()->create();
+
+    $assigned = fn (array $attributes) => Task::factory()->forProject($project)->assignedTo($user)->pending()->create($attributes);
+
+    $assigned(['title' => 'Overdue', 'due_date' => now()->subDay()]);
+    $assigned(['title' => 'Today', 'due_date' => now()]);
+    $assigned(['title' => 'Tomorrow', 'due_date' => now()->addDay()]);
+    $assigned(['title' => 'Next week', 'due_date' => now()->addWeek()]);
+    $assigned(['title' => 'Someday', 'due_date' => null]);
+
+    // Finished tasks and tasks of other people are left out
+    Task::factory()->forProject($project)->assignedTo($user)->completed()->create();
+    Task::factory()->forProject($project)->pending()->create(['due_date' => now()]);
+
+    $this->actingAs($user)
+        ->get(route('my-work'))
+        ->assertOk()
+        ->assertInertia(fn (Assert $page) => $page
+            ->component('MyWork/Index')
+            ->where('groups.overdue.0.title', 'Overdue')
+            ->where('groups.today.0.title', 'Today')
+            ->where('groups.this_week.0.title', 'Tomorrow')
+            ->where('groups.later.0.title', 'Next week')
+            ->where('groups.no_date.0.title', 'Someday')
+            ->has('groups.today', 1)
+            ->where('stats.total', 6)
+            ->where('groups.today.0.can.update_status', true)
+            ->where('groups.today.0.can.update_due_date', false)
+        );
+});
+
+test('assignees can change the status of their tasks from my work', function () {
+    $user = User::factory()->create();
+    $task = Task::factory()->forProject(Project::factory()->create())->assignedTo($user)->pending()->create();
+
+    $this->actingAs($user)
+        ->from(route('my-work'))
+        ->patch(route('my-work.update', $task), ['status' => TaskStatus::IN_PROGRESS->value])
+        ->assertRedirect(route('my-work'));
+
+    expect($task->fresh()->status)->toBe(TaskStatus::IN_PROGRESS);
+
+    // Only editors can move the due date
+    $this->actingAs($user)
+        ->patch(route('my-work.update', $task), ['due_date' => now()->addWeek()->toDateString()])
+        ->assertForbidden();
+});
+
+test('editors can change the due date of their tasks from my work', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->create();
+    $project->members()->attach($user, ['role' => ProjectRole::EDITOR]);
+    $task = Task::factory()->forProject($project)->assignedTo($user)->pending()->create();
+
+    $this->actingAs($user)
+        ->from(route('my-work'))
+        ->patch(route('my-work.update', $task), ['due_date' => '2030-01-15'])
+        ->assertRedirect(route('my-work'));
+
+    expect($task->fresh()->due_date->toDateString())->toBe('2030-01-15');
+
+    $this->actingAs($user)
+        ->from(route('my-work'))
+        ->patch(route('my-work.update', $task), ['due_date' => null])
+        ->assertRedirect(route('my-work'));
+
+    expect($task->fresh()->due_date)->toBeNull();
+});
+
+test('people who cannot update a task get a 403 from my work, even without fields', function () {
+    $task = Task::factory()->forProject(Project::factory()->create())->create();
+
+    $this->actingAs(User::factory()->create())
+        ->patch(route('my-work.update', $task), [])
+        ->assertForbidden();
+
+    $this->actingAs(User::factory()->create())
+        ->patch(route('my-work.update', $task), ['title' => 'Renamed'])
+        ->assertForbidden();
+
+    expect($task->fresh()->title)->not->toBe('Renamed');
+});
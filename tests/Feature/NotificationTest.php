@@ -0,0 +1,207 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Models\Comment;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Notifications\MentionedInComment;
+use App\Notifications\TaskAssigned;
+use App\Notifications\TaskCommented;
+use App\Notifications\TaskOverdue;
+use App\Notifications\TaskReassigned;
+use App\Services\TaskService;
+use Illuminate\Support\Facades\Notification;
+use Inertia\Testing\AssertableInertia as Assert;
+
+/**
+ * Create a project owned by $owner with the given users as editors.
+ */
+function projectWithEditors(User $owner, User ...$editors): Project
+{
+    $project = Project::factory()->forUser($owner)->create();
+
+    foreach ($editors as $editor) {
+        $project->members()->attach($editor, ['role' => ProjectRole::EDITOR]);
+    }
+
+    return $project;
+}
+
+test('assignees are notified when a task is assigned to them', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $jane = User::factory()->create();
+    $task = Task::factory()->forProject(projectWithEditors($owner, $jane))->create();
+
+    $this->actingAs($owner)->put(route('tasks.update', $task), ['assigned_to' => $jane->id]);
+
+    Notification::assertSentTo($jane, TaskAssigned::class, fn (TaskAssigned $notification) => $notification->task->is($task)
+        && $notification->assigner->is($owner));
+    Notification::assertNotSentTo($owner, TaskAssigned::class);
+});
+
+test('the previous assignee is notified when a task is reassigned', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $jane = User::factory()->create(['name' => 'Jane']);
+    $john = User::factory()->create(['name' => 'John']);
+    $task = Task::factory()->forProject(projectWithEditors($owner, $jane, $john))->assignedTo($jane)->create();
+
+    $this->actingAs($owner);
+    app(TaskService::class)->assignTask($task, $john);
+
+    Notification::assertSentTo($john, TaskAssigned::class);
+    Notification::assertSentTo(
+        $jane,
+        TaskReassigned::class,
+        fn (TaskReassigned $notification) => str_contains($notification->toArray($jane)['message'], 'to John')
+    );
+});
+
+test('nobody is notified about assigning a task to themselves', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $project = projectWithEditors($owner);
+
+    $this->actingAs($owner)->post(route('tasks.store'), [
+        'project_id' => $project->id,
+        'assigned_to' => $owner->id,
+        'title' => 'My own task',
+        'priority' => 'medium',
+        'status' => 'pending',
+    ]);
+
+    Notification::assertNothingSent();
+});
+
+test('the assignee and earlier commenters are notified about new comments', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create(['name' => 'Owner']);
+    $assignee = User::factory()->create(['name' => 'Assignee']);
+    $commenter = User::factory()->create(['name' => 'Commenter']);
+    $mentioned = User::factory()->create(['name' => 'Mentioned']);
+    $task = Task::factory()
+        ->forProject(projectWithEditors($owner, $assignee, $commenter, $mentioned))
+        ->assignedTo($assignee)
+        ->create();
+    Comment::factory()->forTask($task)->by($commenter)->create();
+    Comment::factory()->forTask($task)->by($mentioned)->create();
+
+    $this->actingAs($owner)
+        ->post(route('tasks.comments.store', $task), ['body' => 'Done, thanks @Mentioned']);
+
+    Notification::assertSentTo([$assignee, $commenter], TaskCommented::class);
+    // Mentioned users only get the mention
+    Notification::assertSentTo($mentioned, MentionedInComment::class);
+    Notification::assertNotSentTo([$mentioned, $owner], TaskCommented::class);
+});
+
+test('overdue tasks are reported once to their assignee or project creator', function () {
+    $owner = User::factory()->create();
+    $assignee = User::factory()->create();
+    $project = projectWithEditors($owner, $assignee);
+
+    $assigned = Task::factory()->forProject($project)->assignedTo($assignee)->pending()
+        ->create(['due_date' => today()->subDay()]);
+    $unassigned = Task::factory()->forProject($project)->pending()->create(['due_date' => today()->subDay()]);
+    Task::factory()->forProject($project)->assignedTo($assignee)->completed()->create(['due_date' => today()->subDay()]);
+    Task::factory()->forProject($project)->assignedTo($assignee)->pending()->create(['due_date' => today()]);
+    // Missed by an earlier run
+    $missed = Task::factory()->forProject($project)->assignedTo($assignee)->pending()
+        ->create(['due_date' => today()->subDays(5)]);
+
+    $this->artisan('tasks:notify-overdue')->assertSuccessful();
+
+    $notifications = $assignee->notifications()->where('type', TaskOverdue::class)->get();
+
+    expect($notifications->pluck('data.task_id')->all())->toEqualCanonicalizing([$assigned->id, $missed->id])
+        ->and($owner->notifications()->where('type', TaskOverdue::class)->first()->data['task_id'])->toBe($unassigned->id);
+
+    // Running it again sends nothing new
+    $this->artisan('tasks:notify-overdue')->expectsOutput('Sent 0 overdue notification(s).');
+});
+
+test('the notification center lists notifications and filters unread ones', function () {
+    $user = User::factory()->create();
+    $task = Task::factory()->forProject(projectWithEditors($user))->create(['due_date' => today()->subDay()]);
+
+    $user->notify(new TaskOverdue($task));
+    $user->notify(new TaskAssigned($task));
+    $user->notifications()->latest()->first()->markAsRead();
+
+    $this->actingAs($user)
+        ->get(route('notifications.index'))
+        ->assertOk()
+        ->assertInertia(fn (Assert $page) => $page
+            ->component('Notifications/Index')
+            ->has('notifications.data', 2)
+            ->where('notification_center.unread_count', 1)
+            ->has('notification_center.recent', 2)
+        );
+
+    $this->actingAs($user)
+        ->get(route('notifications.index', ['unread' => 1]))
+        ->assertInertia(fn (Assert $page) => $page
+            ->has('notifications.data', 1)
+            ->where('notifications.data.0.read_at', null)
+        );
+});
+
+test('opening a notification marks it as read and goes to its task', function () {
+    $user = User::factory()->create();
+    $task = Task::factory()->forProject(projectWithEditors($user))->create();
+    $user->notify(new TaskAssigned($task));
+    $notification = $user->notifications()->first();
+
+    $this->actingAs($user)
+        ->get(route('notifications.show', $notification->id))
+        ->assertRedirect(route('tasks.show', $task));
+
+    expect($notification->fresh()->read_at)->not->toBeNull();
+
+    // Deleted tasks fall back to their project
+    $task->delete();
+
+    $this->actingAs($user)
+        ->get(route('notifications.show', $notification->id))
+        ->assertRedirect(route('projects.show', $task->project_id));
+});
+
+test('notifications can be marked as read one by one or all at once', function () {
+    $user = User::factory()->create();
+    $task = Task::factory()->forProject(projectWithEditors($user))->create();
+    $user->notify(new TaskAssigned($task));
+    $user->notify(new TaskAssigned($task));
+    $user->notify(new TaskAssigned($task));
+
+    $this->actingAs($user)
+        ->patch(route('notifications.read', $user->notifications()->first()->id))
+        ->assertRedirect();
+
+    expect($user->unreadNotifications()->count())->toBe(2);
+
+    $this->actingAs($user)
+        ->post(route('notifications.read-all'))
+        ->assertSessionHas('success');
+
+    expect($user->unreadNotifications()->count())->toBe(0);
+});
+
+test('users cannot open or mark notifications of other users', function () {
+    $user = User::factory()->create();
+    $task = Task::factory()->forProject(projectWithEditors($user))->create();
+    $user->notify(new TaskAssigned($task));
+    $notification = $user->notifications()->first();
+
+    $other = User::factory()->create();
+
+    $this->actingAs($other)->get(route('notifications.show', $notification->id))->assertNotFound();
+    $this->actingAs($other)->patch(route('notifications.read', $notification->id))->assertNotFound();
+
+    expect($notification->fresh()->read_at)->toBeNull();
+});
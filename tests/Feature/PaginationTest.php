@@ -0,0 +1,65 @@
+<?php
+
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('tasks index sends pagination metadata', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    Task::factory(20)->forProject($project)->create();
+
+    $response = $this->actingAs($user)
+        ->get(route('tasks.index'));
+
+    $response->assertInertia(fn (Assert $page) => $page
+        ->has('tasks.data', 15)
+        ->has('tasks.links')
+        ->where('tasks.meta.current_page', 1)
+        ->where('tasks.meta.last_page', 2)
+        ->where('tasks.meta.total', 20)
+    );
+});
+
+test('tasks index honours the requested page size and keeps filters in page links', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    Task::factory(30)->forProject($project)->pending()->create();
+
+    $response = $this->actingAs($user)
+        ->get(route('tasks.index', ['per_page' => 10, 'status' => 'pending', 'page' => 2]));
+
+    $response->assertInertia(fn (Assert $page) => $page
+        ->has('tasks.data', 10)
+        ->where('tasks.meta.per_page', 10)
+        ->where('tasks.meta.current_page', 2)
+        ->where('tasks.links.next', fn ($url) => str_contains($url, 'status=pending')
+            && str_contains($url, 'per_page=10')
+            && str_contains($url, 'page=3'))
+    );
+});
+
+test('tasks index rejects page sizes that are not offered', function () {
+    $user = User::factory()->create();
+
+    $response = $this->actingAs($user)
+        ->get(route('tasks.index', ['per_page' => 1000]));
+
+    $response->assertSessionHasErrors('per_page');
+});
+
+test('projects index sends pagination metadata', function () {
+    $user = User::factory()->create();
+    Project::factory(12)->forUser($user)->create();
+
+    $response = $this->actingAs($user)
+        ->get(route('projects.index', ['per_page' => 10]));
+
+    $response->assertInertia(fn (Assert $page) => $page
+        ->component('Projects/Index')
+        ->has('projects.data', 10)
+        ->where('projects.meta.total', 12)
+        ->where('projects.meta.last_page', 2)
+    );
+});
@@ -0,0 +1,229 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Models\Project;
+use App\Models\ProjectInvitation;
+use App\Models\User;
+use App\Notifications\InvitedToProject;
+use Illuminate\Support\Facades\Notification;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('owners can invite an email address to a project', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+
+    $this->actingAs($owner)
+        ->post(route('projects.invitations.store', $project), ['email' => 'New.Person@example.com', 'role' => 'editor'])
+        ->assertSessionHasNoErrors();
+
+    $invitation = ProjectInvitation::first();
+
+    expect($invitation->email)->toBe('new.person@example.com')
+        ->and($invitation->role)->toBe(ProjectRole::EDITOR)
+        ->and($invitation->isAcceptable())->toBeTrue();
+
+    Notification::assertSentOnDemand(
+        InvitedToProject::class,
+        fn ($notification, $channels, $notifiable) => $notifiable->routes['mail'] === 'new.person@example.com'
+    );
+
+    $this->actingAs($owner)
+        ->get(route('projects.show', $project))
+        ->assertInertia(fn (Assert $page) => $page->has('invitations', 1));
+});
+
+test('existing members and pending invitees cannot be invited again', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $member = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $project->members()->attach($member, ['role' => ProjectRole::VIEWER]);
+
+    $this->actingAs($owner)
+        ->post(route('projects.invitations.store', $project), ['email' => $member->email, 'role' => 'editor'])
+        ->assertSessionHasErrors('email');
+
+    $this->actingAs($owner)
+        ->post(route('projects.invitations.store', $project), ['email' => 'guest@example.com', 'role' => 'viewer']);
+
+    $this->actingAs($owner)
+        ->post(route('projects.invitations.store', $project), ['email' => 'guest@example.com', 'role' => 'viewer'])
+        ->assertSessionHasErrors('email');
+
+    expect(ProjectInvitation::count())->toBe(1);
+});
+
+test('only owners can invite, resend and revoke', function () {
+    Notification::fake();
+
+    $editor = User::factory()->create();
+    $project = Project::factory()->create();
+    $project->members()->attach($editor, ['role' => ProjectRole::EDITOR]);
+    $invitation = ProjectInvitation::create([
+        'project_id' => $project->id,
+        'email' => 'guest@example.com',
+        'role' => ProjectRole::VIEWER,
+        'token' => 'token',
+        'expires_at' => now()->addDay(),
+    ]);
+
+    $this->actingAs($editor)
+        ->post(route('projects.invitations.store', $project), ['email' => 'other@example.com', 'role' => 'viewer'])
+        ->assertForbidden();
+    $this->actingAs($editor)->post(route('invitations.resend', $invitation))->assertForbidden();
+    $this->actingAs($editor)->delete(route('invitations.destroy', $invitation))->assertForbidden();
+
+    Notification::assertNothingSent();
+});
+
+test('resending replaces the link and revoking deletes the invitation', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+
+    $this->actingAs($owner)
+        ->post(route('projects.invitations.store', $project), ['email' => 'guest@example.com', 'role' => 'viewer']);
+
+    $invitation = ProjectInvitation::first();
+    $oldLink = $invitation->acceptUrl();
+
+    $this->travel(8)->days();
+
+    expect($invitation->fresh()->isAcceptable())->toBeFalse();
+
+    $this->actingAs($owner)->post(route('invitations.resend', $invitation))->assertSessionHasNoErrors();
+
+    $invitation->refresh();
+
+    expect($invitation->isAcceptable())->toBeTrue()
+        ->and($invitation->acceptUrl())->not->toBe($oldLink);
+
+    Notification::assertSentOnDemandTimes(InvitedToProject::class, 2);
+
+    $this->actingAs($owner)->delete(route('invitations.destroy', $invitation));
+
+    expect(ProjectInvitation::count())->toBe(0);
+});
+
+test('a guest accepts an invitation by registering', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+
+    $this->actingAs($owner)
+        ->post(route('projects.invitations.store', $project), ['email' => 'guest@example.com', 'role' => 'editor']);
+
+    auth()->logout();
+
+    $this->get(ProjectInvitation::first()->acceptUrl())->assertRedirect(route('register'));
+
+    $this->get(route('register'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('invitation.email', 'guest@example.com')
+            ->where('invitation.project', $project->name)
+        );
+
+    $this->post(route('register'), [
+        'name' => 'Guest',
+        'email' => 'guest@example.com',
+        'password' => 'password',
+        'password_confirmation' => 'password',
+    ])->assertRedirect(route('projects.show', $project, absolute: false));
+
+    $guest = User::where('email', 'guest@example.com')->first();
+
+    expect($project->fresh()->roleOf($guest))->toBe(ProjectRole::EDITOR)
+        ->and(ProjectInvitation::first()->accepted_at)->not->toBeNull();
+});
+
+test('a user with an account accepts an invitation by logging in', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $invitee = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+
+    $this->actingAs($owner)
+        ->post(route('projects.invitations.store', $project), ['email' => $invitee->email, 'role' => 'viewer']);
+
+    auth()->logout();
+
+    $this->get(ProjectInvitation::first()->acceptUrl())->assertRedirect(route('login'));
+
+    $this->post(route('login'), ['email' => $invitee->email, 'password' => 'password'])
+        ->assertRedirect(route('projects.show', $project, absolute: false));
+
+    expect($project->fresh()->roleOf($invitee))->toBe(ProjectRole::VIEWER);
+});
+
+test('invitation links must be signed and still valid', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $invitee = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+
+    $this->actingAs($owner)
+        ->post(route('projects.invitations.store', $project), ['email' => $invitee->email, 'role' => 'viewer']);
+
+    $invitation = ProjectInvitation::first();
+
+    // Unsigned or tampered links are rejected
+    $this->actingAs($invitee)
+        ->get(route('invitations.accept', $invitation->token))
+        ->assertForbidden();
+
+    // Revoked invitations cannot be accepted
+    $link = $invitation->acceptUrl();
+    $invitation->delete();
+
+    $this->actingAs($invitee)->get($link)->assertRedirect(route('dashboard'));
+
+    expect($project->fresh()->roleOf($invitee))->toBeNull();
+});
+
+test('only the invited account can accept an invitation', function () {
+    Notification::fake();
+
+    $owner = User::factory()->create();
+    $invitee = User::factory()->create(['email' => 'invitee@example.com']);
+    $other = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+
+    $this->actingAs($owner)
+        ->post(route('projects.invitations.store', $project), ['email' => 'Invitee@Example.com', 'role' => 'editor']);
+
+    $link = ProjectInvitation::first()->acceptUrl();
+
+    // A forwarded link does not let someone else join
+    $this->actingAs($other)
+        ->get($link)
+        ->assertRedirect(route('dashboard'))
+        ->assertSessionHas('error');
+
+    expect($project->fresh()->roleOf($other))->toBeNull()
+        ->and(ProjectInvitation::first()->accepted_at)->toBeNull();
+
+    // Neither does signing up under another address
+    auth()->logout();
+    $this->get($link);
+
+    $this->post(route('register'), [
+        'name' => 'Someone Else',
+        'email' => 'someone@example.com',
+        'password' => 'password',
+        'password_confirmation' => 'password',
+    ])->assertRedirect(route('dashboard', absolute: false))->assertSessionHas('error');
+
+    expect($project->fresh()->roleOf(User::where('email', 'someone@example.com')->first()))->toBeNull();
+
+    $this->actingAs($invitee)->get($link)->assertRedirect(route('projects.show', $project));
+
+    expect($project->fresh()->roleOf($invitee))->toBe(ProjectRole::EDITOR);
+});
+
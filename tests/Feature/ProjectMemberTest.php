@@ -0,0 +1,168 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Enums\TaskPriority;
+use App\Enums\TaskStatus;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('the creator of a project is added as its owner', function () {
+    $owner = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+
+    expect($project->roleOf($owner))->toBe(ProjectRole::OWNER)
+        ->and($project->members()->first()->pivot->role)->toBe(ProjectRole::OWNER);
+});
+
+test('viewers can see a project but not change it', function () {
+    $viewer = User::factory()->create();
+    $project = Project::factory()->create();
+    $task = Task::factory()->forProject($project)->create();
+    $project->members()->attach($viewer, ['role' => ProjectRole::VIEWER]);
+
+    $this->actingAs($viewer)
+        ->get(route('projects.show', $project))
+        ->assertOk()
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('can.update', false)
+            ->where('can.manage_tasks', false)
+            ->has('members', 2)
+        );
+
+    $this->actingAs($viewer)->get(route('tasks.show', $task))->assertOk();
+    $this->actingAs($viewer)->get(route('projects.edit', $project))->assertForbidden();
+    $this->actingAs($viewer)->get(route('tasks.edit', $task))->assertForbidden();
+    $this->actingAs($viewer)->delete(route('tasks.destroy', $task))->assertForbidden();
+});
+
+test('editors can add tasks but cannot delete the project', function () {
+    $editor = User::factory()->create();
+    $project = Project::factory()->active()->create();
+    $project->members()->attach($editor, ['role' => ProjectRole::EDITOR]);
+
+    $this->actingAs($editor)
+        ->post(route('tasks.store'), [
+            'project_id' => $project->id,
+            'assigned_to' => $editor->id,
+            'title' => 'Write the release notes',
+            'priority' => TaskPriority::MEDIUM->value,
+            'status' => TaskStatus::PENDING->value,
+        ])
+        ->assertSessionHasNoErrors();
+
+    expect($project->tasks()->where('assigned_to', $editor->id)->count())->toBe(1);
+
+    $this->actingAs($editor)->delete(route('projects.destroy', $project))->assertForbidden();
+});
+
+test('users outside a project cannot see it or add tasks to it', function () {
+    $stranger = User::factory()->create();
+    $project = Project::factory()->active()->create();
+
+    $this->actingAs($stranger)->get(route('projects.show', $project))->assertForbidden();
+
+    $this->actingAs($stranger)
+        ->post(route('tasks.store'), [
+            'project_id' => $project->id,
+            'title' => 'Sneaky task',
+            'priority' => TaskPriority::LOW->value,
+            'status' => TaskStatus::PENDING->value,
+        ])
+        ->assertForbidden();
+
+    expect($project->tasks()->count())->toBe(0);
+});
+
+test('only project members can be assigned a task', function () {
+    $owner = User::factory()->create();
+    $outsider = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->create(['assigned_to' => null]);
+
+    $this->actingAs($owner)
+        ->put(route('tasks.update', $task), [
+            'title' => $task->title,
+            'assigned_to' => $outsider->id,
+        ])
+        ->assertSessionHasErrors('assigned_to');
+
+    expect($task->fresh()->assigned_to)->toBeNull();
+});
+
+test('owners can add members, change their role and remove them', function () {
+    $owner = User::factory()->create();
+    $member = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->create();
+
+    $this->actingAs($owner)
+        ->post(route('projects.members.store', $project), ['email' => $member->email, 'role' => 'viewer'])
+        ->assertSessionHasNoErrors();
+
+    expect($project->fresh()->roleOf($member))->toBe(ProjectRole::VIEWER);
+
+    $this->actingAs($owner)
+        ->patch(route('projects.members.update', [$project, $member]), ['role' => 'editor'])
+        ->assertSessionHasNoErrors();
+
+    expect($project->fresh()->roleOf($member))->toBe(ProjectRole::EDITOR);
+
+    $task->update(['assigned_to' => $member->id]);
+
+    $this->actingAs($owner)
+        ->delete(route('projects.members.destroy', [$project, $member]))
+        ->assertSessionHasNoErrors();
+
+    expect($project->fresh()->roleOf($member))->toBeNull()
+        ->and($task->fresh()->assigned_to)->toBeNull();
+});
+
+test('members cannot be added twice and the creator cannot be removed', function () {
+    $owner = User::factory()->create();
+    $editor = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $project->members()->attach($editor, ['role' => ProjectRole::EDITOR]);
+
+    $this->actingAs($owner)
+        ->post(route('projects.members.store', $project), ['email' => $editor->email, 'role' => 'viewer'])
+        ->assertSessionHasErrors('email');
+
+    $this->actingAs($owner)
+        ->delete(route('projects.members.destroy', [$project, $owner]))
+        ->assertSessionHasErrors('member');
+
+    // Editors cannot manage members
+    $this->actingAs($editor)
+        ->delete(route('projects.members.destroy', [$project, $owner]))
+        ->assertForbidden();
+
+    expect($project->members()->count())->toBe(2);
+});
+
+test('the creator cannot lose the owner role', function () {
+    $owner = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+
+    $this->actingAs($owner)
+        ->patch(route('projects.members.update', [$project, $owner]), ['role' => 'viewer'])
+        ->assertSessionHasErrors('role');
+
+    expect($project->fresh()->roleOf($owner))->toBe(ProjectRole::OWNER);
+});
+
+test('projects index and task lists include projects shared with the user', function () {
+    $member = User::factory()->create();
+    $project = Project::factory()->create();
+    Task::factory()->forProject($project)->create();
+    $project->members()->attach($member, ['role' => ProjectRole::VIEWER]);
+
+    $this->actingAs($member)
+        ->get(route('projects.index'))
+        ->assertInertia(fn (Assert $page) => $page->has('projects.data', 1));
+
+    $this->actingAs($member)
+        ->get(route('tasks.index'))
+        ->assertInertia(fn (Assert $page) => $page->has('tasks.data', 1));
+});
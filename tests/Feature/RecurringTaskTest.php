@@ -0,0 +1,164 @@
+<?php
+
+use App\Models\ChecklistItem;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Services\RecurrenceService;
+use App\Services\TaskService;
+use Illuminate\Support\Carbon;
+
+test('a recurrence rule can be set from the task form', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    $this->actingAs($user)
+        ->post(route('tasks.store'), [
+            'project_id' => $project->id,
+            'title' => 'Water the plants',
+            'priority' => 'low',
+            'status' => 'pending',
+            'recurrence' => [
+                'frequency' => 'weekly',
+                'weekdays' => [4, 1],
+                'month_day' => 12,
+                'count' => 5,
+            ],
+        ])
+        ->assertSessionHasNoErrors();
+
+    $task = Task::where('title', 'Water the plants')->first();
+
+    expect($task->recurrence)->toBe(['frequency' => 'weekly', 'weekdays' => [1, 4], 'count' => 5])
+        ->and($task->recurrence_label)->toBe('Every week on Mon, Thu, 5 times');
+});
+
+test('weekly rules need at least one weekday', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    $this->actingAs($user)
+        ->post(route('tasks.store'), [
+            'project_id' => $project->id,
+            'title' => 'Water the plants',
+            'priority' => 'low',
+            'status' => 'pending',
+            'recurrence' => ['frequency' => 'weekly', 'weekdays' => []],
+        ])
+        ->assertSessionHasErrors('recurrence.weekdays');
+});
+
+test('completing a recurring task creates the next instance', function () {
+    $project = Project::factory()->create();
+    $task = Task::factory()->forProject($project)->inProgress()->create([
+        'due_date' => '2025-11-17', // Monday
+        'recurrence' => ['frequency' => 'weekly', 'weekdays' => [1, 4]],
+    ]);
+    ChecklistItem::factory()->forTask($task)->completed()->create(['title' => 'Check filters']);
+
+    $service = app(TaskService::class);
+    $service->completeTask($task);
+
+    $next = $task->nextOccurrence;
+
+    expect($next)->not->toBeNull()
+        ->and($next->due_date->toDateString())->toBe('2025-11-20')
+        ->and($next->status->value)->toBe('pending')
+        ->and($next->occurrence)->toBe(2)
+        ->and($next->recurrence)->toBe($task->recurrence)
+        ->and($next->checklistItems->pluck('title')->all())->toBe(['Check filters'])
+        ->and($next->checklistItems->first()->is_completed)->toBeFalse();
+
+    // Completing again does not create a second instance
+    expect($service->createNextOccurrence($task->fresh())->id)->toBe($next->id)
+        ->and(Task::where('recurrence_source_id', $task->id)->count())->toBe(1);
+});
+
+test('moving a recurring task to completed on the board creates the next instance', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->inProgress()->create([
+        'due_date' => '2025-11-17',
+        'recurrence' => ['frequency' => 'interval', 'interval' => 3],
+    ]);
+
+    $this->actingAs($user)
+        ->patch(route('tasks.move', $task), ['status' => 'completed', 'position' => 0])
+        ->assertSessionHasNoErrors();
+
+    expect($task->nextOccurrence->due_date->toDateString())->toBe('2025-11-20');
+});
+
+test('monthly rules fall back to the last day of short months', function () {
+    $rule = ['frequency' => 'monthly', 'month_day' => 31];
+    $service = app(RecurrenceService::class);
+
+    expect($service->nextDueDate($rule, Carbon::parse('2025-01-31'))->toDateString())->toBe('2025-02-28')
+        ->and($service->nextDueDate($rule, Carbon::parse('2025-02-28'))->toDateString())->toBe('2025-03-31')
+        ->and($service->nextDueDate($rule, Carbon::parse('2025-03-10'))->toDateString())->toBe('2025-03-31');
+});
+
+test('a series stops after its count or end date', function () {
+    $project = Project::factory()->create();
+    $service = app(TaskService::class);
+
+    $counted = Task::factory()->forProject($project)->inProgress()->create([
+        'due_date' => '2025-11-17',
+        'occurrence' => 3,
+        'recurrence' => ['frequency' => 'daily', 'count' => 3],
+    ]);
+
+    $dated = Task::factory()->forProject($project)->inProgress()->create([
+        'due_date' => '2025-11-17',
+        'recurrence' => ['frequency' => 'daily', 'ends_on' => '2025-11-17'],
+    ]);
+
+    $service->completeTask($counted);
+    $service->completeTask($dated);
+
+    expect($counted->nextOccurrence)->toBeNull()
+        ->and($dated->nextOccurrence)->toBeNull();
+});
+
+test('the backfill command creates missed instances', function () {
+    $this->travelTo(Carbon::parse('2025-11-20 09:00'));
+
+    $project = Project::factory()->create();
+
+    // Open daily chore last due three days ago
+    $missed = Task::factory()->forProject($project)->pending()->create([
+        'due_date' => '2025-11-17',
+        'recurrence' => ['frequency' => 'daily'],
+    ]);
+
+    // Completed without its next instance being generated
+    $completed = Task::factory()->forProject($project)->completed()->create([
+        'due_date' => '2025-11-10',
+        'recurrence' => ['frequency' => 'interval', 'interval' => 14],
+    ]);
+
+    // Up to date: next repeat is not due yet
+    $current = Task::factory()->forProject($project)->pending()->create([
+        'due_date' => '2025-11-20',
+        'recurrence' => ['frequency' => 'daily'],
+    ]);
+
+    $this->artisan('tasks:backfill-recurring')->assertSuccessful();
+
+    $series = Task::where('title', $missed->title)
+        ->where('project_id', $project->id)
+        ->orderBy('due_date')
+        ->pluck('due_date')
+        ->map->toDateString()
+        ->all();
+
+    expect($series)->toBe(['2025-11-17', '2025-11-18', '2025-11-19', '2025-11-20'])
+        ->and($completed->nextOccurrence->due_date->toDateString())->toBe('2025-11-24')
+        ->and($current->nextOccurrence)->toBeNull();
+
+    // Running it again changes nothing
+    $count = Task::count();
+    $this->artisan('tasks:backfill-recurring')->assertSuccessful();
+
+    expect(Task::count())->toBe($count);
+});
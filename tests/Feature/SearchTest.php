@@ -0,0 +1,80 @@
+<?php
+
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+
+test('search returns matching projects and tasks as json', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create(['name' => 'Website redesign']);
+    Task::factory()->forProject($project)->create(['title' => 'Redesign the header']);
+    Task::factory()->forProject($project)->create(['title' => 'Write tests', 'description' => null]);
+
+    $response = $this->actingAs($user)
+        ->getJson(route('search', ['q' => 'redesign']));
+
+    $response->assertOk()
+        ->assertJsonPath('query', 'redesign')
+        ->assertJsonCount(1, 'projects')
+        ->assertJsonPath('projects.0.name', 'Website redesign')
+        ->assertJsonCount(1, 'tasks')
+        ->assertJsonPath('tasks.0.title', 'Redesign the header');
+});
+
+test('search only returns results from the user\'s own projects', function () {
+    $user = User::factory()->create();
+    $other = User::factory()->create();
+    $project = Project::factory()->forUser($other)->create(['name' => 'Secret project']);
+    Task::factory()->forProject($project)->create(['title' => 'Secret task']);
+
+    $response = $this->actingAs($user)
+        ->getJson(route('search', ['q' => 'secret']));
+
+    $response->assertOk()
+        ->assertJsonCount(0, 'projects')
+        ->assertJsonCount(0, 'tasks');
+});
+
+test('search matches % and _ literally', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create(['name' => 'Growth 100% plan', 'description' => null]);
+    Project::factory()->forUser($user)->create(['name' => 'Growth 1000 plan', 'description' => null]);
+    Task::factory()->forProject($project)->create(['title' => 'Rename user_id', 'description' => null]);
+    Task::factory()->forProject($project)->create(['title' => 'Rename userXid', 'description' => null]);
+
+    $this->actingAs($user)
+        ->getJson(route('search', ['q' => '100%']))
+        ->assertJsonCount(1, 'projects')
+        ->assertJsonPath('projects.0.name', 'Growth 100% plan')
+        ->assertJsonMissingPath('projects.0.tasks');
+
+    $this->actingAs($user)
+        ->getJson(route('search', ['q' => 'user_id']))
+        ->assertJsonCount(1, 'tasks')
+        ->assertJsonPath('tasks.0.title', 'Rename user_id');
+});
+
+test('search limits the number of results', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    Task::factory(8)->forProject($project)->create(['title' => 'Bug fix']);
+
+    $response = $this->actingAs($user)
+        ->getJson(route('search', ['q' => 'bug', 'limit' => 3]));
+
+    $response->assertJsonCount(3, 'tasks');
+});
+
+test('search requires a query', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)
+        ->getJson(route('search'))
+        ->assertUnprocessable()
+        ->assertJsonValidationErrors('q');
+});
+
+test('search requires authentication', function () {
+    $this->getJson(route('search', ['q' => 'anything']))
+        ->assertUnauthorized();
+});
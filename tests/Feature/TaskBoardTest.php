@@ -0,0 +1,90 @@
+<?php
+
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+
+test('moving a task changes its status and places it at the given position', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    $first = Task::factory()->forProject($project)->inProgress()->create(['position' => 0]);
+    $second = Task::factory()->forProject($project)->inProgress()->create(['position' => 1]);
+    $task = Task::factory()->forProject($project)->pending()->create(['position' => 0]);
+
+    $response = $this->actingAs($user)
+        ->from(route('projects.show', $project))
+        ->patch(route('tasks.move', $task), [
+            'status' => 'in_progress',
+            'position' => 1,
+        ]);
+
+    $response->assertRedirect(route('projects.show', $project));
+
+    expect($task->fresh()->status->value)->toBe('in_progress')
+        ->and($task->fresh()->position)->toBe(1)
+        ->and($first->fresh()->position)->toBe(0)
+        ->and($second->fresh()->position)->toBe(2);
+});
+
+test('moving a task within its column reorders the column', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    $tasks = collect(range(0, 2))->map(fn ($position) => Task::factory()
+        ->forProject($project)
+        ->pending()
+        ->create(['position' => $position]));
+
+    $this->actingAs($user)
+        ->patch(route('tasks.move', $tasks[2]), [
+            'status' => 'pending',
+            'position' => 0,
+        ]);
+
+    expect($tasks->map(fn ($task) => $task->fresh()->position)->all())->toBe([1, 2, 0]);
+});
+
+test('moving a task to completed sets completed_at', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->pending()->create();
+
+    $this->actingAs($user)
+        ->patch(route('tasks.move', $task), [
+            'status' => 'completed',
+            'position' => 0,
+        ]);
+
+    expect($task->fresh()->completed_at)->not->toBeNull();
+});
+
+test('moving a task with an invalid status is rejected', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->pending()->create();
+
+    $response = $this->actingAs($user)
+        ->patch(route('tasks.move', $task), [
+            'status' => 'archived',
+            'position' => 0,
+        ]);
+
+    $response->assertSessionHasErrors('status');
+    expect($task->fresh()->status->value)->toBe('pending');
+});
+
+test('users cannot move tasks in projects they do not own', function () {
+    $owner = User::factory()->create();
+    $other = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->pending()->create(['assigned_to' => null]);
+
+    $response = $this->actingAs($other)
+        ->patch(route('tasks.move', $task), [
+            'status' => 'completed',
+            'position' => 0,
+        ]);
+
+    $response->assertForbidden();
+});
@@ -0,0 +1,141 @@
+<?php
+
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use App\Services\TaskService;
+use Illuminate\Validation\ValidationException;
+use Inertia\Testing\AssertableInertia as Assert;
+
+/**
+ * Form payload for updating a task, keeping its current values.
+ */
+function dependencyPayload(Task $task, array $blockedBy): array
+{
+    return [
+        'project_id' => $task->project_id,
+        'title' => $task->title,
+        'priority' => $task->priority->value,
+        'status' => $task->status->value,
+        'blocked_by' => $blockedBy,
+    ];
+}
+
+test('owner can set the tasks a task is blocked by', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->pending()->create();
+    $blocker = Task::factory()->forProject($project)->pending()->create();
+
+    $this->actingAs($user)
+        ->put(route('tasks.update', $task), dependencyPayload($task, [$blocker->id]))
+        ->assertSessionHasNoErrors();
+
+    expect($task->blockers()->pluck('tasks.id')->all())->toBe([$blocker->id])
+        ->and($blocker->blocking()->pluck('tasks.id')->all())->toBe([$task->id])
+        ->and($task->fresh()->is_blocked)->toBeTrue();
+
+    $this->actingAs($user)
+        ->put(route('tasks.update', $task), dependencyPayload($task, []));
+
+    expect($task->blockers()->count())->toBe(0);
+});
+
+test('dependencies that would create a cycle are rejected', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    [$first, $second, $third] = Task::factory()->forProject($project)->pending()->count(3)->create();
+
+    // third waits on second, which waits on first
+    $second->blockers()->attach($first);
+    $third->blockers()->attach($second);
+
+    $this->actingAs($user)
+        ->put(route('tasks.update', $first), dependencyPayload($first, [$third->id]))
+        ->assertSessionHasErrors('blocked_by');
+
+    $this->actingAs($user)
+        ->put(route('tasks.update', $first), dependencyPayload($first, [$first->id]))
+        ->assertSessionHasErrors('blocked_by');
+
+    expect($first->blockers()->count())->toBe(0);
+});
+
+test('blockers must belong to the same project', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+    $elsewhere = Task::factory()->forProject(Project::factory()->forUser($user)->create())->create();
+
+    $this->actingAs($user)
+        ->put(route('tasks.update', $task), dependencyPayload($task, [$elsewhere->id]))
+        ->assertSessionHasErrors('blocked_by.0');
+});
+
+test('a blocked task cannot be started until its blockers are finished', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->pending()->create();
+    $blocker = Task::factory()->forProject($project)->pending()->create();
+    $task->blockers()->attach($blocker);
+
+    $this->actingAs($user)
+        ->patch(route('tasks.move', $task), ['status' => 'in_progress', 'position' => 0])
+        ->assertSessionHasErrors('status');
+
+    expect($task->fresh()->status->value)->toBe('pending');
+
+    $blocker->update(['status' => 'completed']);
+
+    $this->actingAs($user)
+        ->patch(route('tasks.move', $task), ['status' => 'in_progress', 'position' => 0])
+        ->assertSessionHasNoErrors();
+
+    expect($task->fresh()->status->value)->toBe('in_progress');
+});
+
+test('completing a blocked task is refused', function () {
+    $project = Project::factory()->create();
+    $task = Task::factory()->forProject($project)->inProgress()->create();
+    $blocker = Task::factory()->forProject($project)->pending()->create();
+    $task->blockers()->attach($blocker);
+
+    expect(fn () => app(TaskService::class)->completeTask($task))
+        ->toThrow(ValidationException::class);
+
+    expect($task->fresh()->status->value)->toBe('in_progress');
+});
+
+test('a new task cannot start out blocked and in progress', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $blocker = Task::factory()->forProject($project)->pending()->create();
+
+    $this->actingAs($user)
+        ->post(route('tasks.store'), [
+            'project_id' => $project->id,
+            'title' => 'Deploy',
+            'priority' => 'medium',
+            'status' => 'in_progress',
+            'blocked_by' => [$blocker->id],
+        ])
+        ->assertSessionHasErrors('status');
+
+    expect(Task::where('title', 'Deploy')->exists())->toBeFalse();
+});
+
+test('task lists flag blocked tasks', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->pending()->create(['created_at' => now()->addMinute()]);
+    $blocker = Task::factory()->forProject($project)->pending()->create();
+    $task->blockers()->attach($blocker);
+
+    $this->actingAs($user)
+        ->get(route('tasks.index'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('tasks.data.0.id', $task->id)
+            ->where('tasks.data.0.is_blocked', true)
+            ->where('tasks.data.1.is_blocked', false)
+        );
+});
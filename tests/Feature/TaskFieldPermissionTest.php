@@ -0,0 +1,82 @@
+<?php
+
+use App\Enums\TaskStatus;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('assignees can change the status of their task', function () {
+    $assignee = User::factory()->create();
+    $task = Task::factory()->forProject(Project::factory()->create())->assignedTo($assignee)->pending()->create();
+
+    $this->actingAs($assignee)
+        ->put(route('tasks.update', $task), ['status' => TaskStatus::IN_PROGRESS->value])
+        ->assertSessionHasNoErrors()
+        ->assertRedirect();
+
+    expect($task->fresh()->status)->toBe(TaskStatus::IN_PROGRESS);
+});
+
+test('assignees cannot change other fields of their task', function () {
+    $assignee = User::factory()->create();
+    $task = Task::factory()->forProject(Project::factory()->create())->assignedTo($assignee)->pending()->create();
+    $title = $task->title;
+
+    $this->actingAs($assignee)
+        ->put(route('tasks.update', $task), [
+            'status' => TaskStatus::IN_PROGRESS->value,
+            'title' => 'Renamed by the assignee',
+        ])
+        ->assertForbidden();
+
+    $this->actingAs($assignee)
+        ->put(route('tasks.update', $task), ['assigned_to' => null])
+        ->assertForbidden();
+
+    expect($task->fresh())
+        ->title->toBe($title)
+        ->status->toBe(TaskStatus::PENDING)
+        ->assigned_to->toBe($assignee->id);
+});
+
+test('owners and admins can change every field', function () {
+    $owner = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->pending()->create();
+
+    $this->actingAs($owner)
+        ->put(route('tasks.update', $task), ['title' => 'Renamed by the owner', 'priority' => 'high'])
+        ->assertSessionHasNoErrors();
+
+    $this->actingAs(User::factory()->admin()->create())
+        ->put(route('tasks.update', $task), ['description' => 'Edited by an admin'])
+        ->assertSessionHasNoErrors();
+
+    expect($task->fresh())
+        ->title->toBe('Renamed by the owner')
+        ->description->toBe('Edited by an admin');
+});
+
+test('the edit page tells the form which fields can be changed', function () {
+    $owner = User::factory()->create();
+    $assignee = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->assignedTo($assignee)->create();
+
+    $this->actingAs($assignee)
+        ->get(route('tasks.edit', $task))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('permissions.status', true)
+            ->where('permissions.title', false)
+            ->where('permissions.assigned_to', false)
+            ->where('permissions.blocked_by', false)
+        );
+
+    $this->actingAs($owner)
+        ->get(route('tasks.edit', $task))
+        ->assertInertia(fn (Assert $page) => $page
+            ->where('permissions.status', true)
+            ->where('permissions.title', true)
+        );
+});
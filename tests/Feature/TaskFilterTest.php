@@ -0,0 +1,163 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('tasks index filters by status and priority', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    Task::factory()->forProject($project)->pending()->highPriority()->create(['title' => 'Match']);
+    Task::factory()->forProject($project)->pending()->lowPriority()->create();
+    Task::factory()->forProject($project)->completed()->highPriority()->create();
+
+    $response = $this->actingAs($user)
+        ->get(route('tasks.index', ['status' => 'pending', 'priority' => 'high']));
+
+    $response->assertInertia(fn (Assert $page) => $page
+        ->has('tasks.data', 1)
+        ->where('tasks.data.0.title', 'Match')
+        ->where('filters.status', 'pending')
+        ->where('filters.priority', 'high')
+    );
+});
+
+test('tasks index filters by project, assignee and overdue', function () {
+    $user = User::factory()->create();
+    $assignee = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $otherProject = Project::factory()->forUser($user)->create();
+
+    Task::factory()->forProject($project)->overdue()->assignedTo($assignee)->create(['title' => 'Match']);
+    Task::factory()->forProject($project)->pending()->assignedTo($assignee)->create(['due_date' => now()->addWeek()]);
+    Task::factory()->forProject($otherProject)->overdue()->assignedTo($assignee)->create();
+
+    $response = $this->actingAs($user)
+        ->get(route('tasks.index', [
+            'project_id' => $project->id,
+            'assigned_to' => $assignee->id,
+            'overdue' => 1,
+        ]));
+
+    $response->assertInertia(fn (Assert $page) => $page
+        ->has('tasks.data', 1)
+        ->where('tasks.data.0.title', 'Match')
+    );
+});
+
+test('the assignee filter only lists members of the user\'s projects', function () {
+    $user = User::factory()->create(['name' => 'Owner']);
+    $member = User::factory()->create(['name' => 'Member']);
+    User::factory()->create(['name' => 'Stranger']);
+    Project::factory()->forUser($user)->create()->members()->attach($member, ['role' => ProjectRole::VIEWER]);
+
+    $this->actingAs($user)
+        ->get(route('tasks.index'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->has('users', 2)
+            ->where('users.0.name', 'Member')
+            ->where('users.1.name', 'Owner')
+        );
+});
+
+test('tasks index filters unassigned tasks and due date range', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    Task::factory()->forProject($project)->pending()->create([
+        'title' => 'Match',
+        'assigned_to' => null,
+        'due_date' => now()->addDays(3),
+    ]);
+    Task::factory()->forProject($project)->pending()->create([
+        'assigned_to' => null,
+        'due_date' => now()->addDays(30),
+    ]);
+
+    $response = $this->actingAs($user)
+        ->get(route('tasks.index', [
+            'assigned_to' => 'unassigned',
+            'due_from' => now()->toDateString(),
+            'due_to' => now()->addWeek()->toDateString(),
+        ]));
+
+    $response->assertInertia(fn (Assert $page) => $page
+        ->has('tasks.data', 1)
+        ->where('tasks.data.0.title', 'Match')
+    );
+});
+
+test('tasks index filters by the day tasks were created or completed', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    $created = Task::factory()->forProject($project)->pending()->create(['title' => 'Created']);
+    $completed = Task::factory()->forProject($project)->completed()->create(['title' => 'Completed']);
+    Task::whereKey($created->id)->update(['created_at' => now()->subDays(2)]);
+    Task::whereKey($completed->id)->update(['completed_at' => now()->subDays(2)]);
+
+    $day = now()->subDays(2)->toDateString();
+
+    $this->actingAs($user)
+        ->get(route('tasks.index', ['created_from' => $day, 'created_to' => $day]))
+        ->assertInertia(fn (Assert $page) => $page
+            ->has('tasks.data', 1)
+            ->where('tasks.data.0.title', 'Created')
+            ->where('filters.created_from', $day)
+        );
+
+    $this->actingAs($user)
+        ->get(route('tasks.index', ['completed_from' => $day, 'completed_to' => $day]))
+        ->assertInertia(fn (Assert $page) => $page
+            ->has('tasks.data', 1)
+            ->where('tasks.data.0.title', 'Completed')
+        );
+});
+
+test('tasks index sorts by priority weight', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    Task::factory()->forProject($project)->create(['priority' => 'medium']);
+    Task::factory()->forProject($project)->create(['priority' => 'high']);
+    Task::factory()->forProject($project)->create(['priority' => 'low']);
+
+    $response = $this->actingAs($user)
+        ->get(route('tasks.index', ['sort' => 'priority', 'direction' => 'desc']));
+
+    $response->assertInertia(fn (Assert $page) => $page
+        ->where('tasks.data.0.priority.value', 'high')
+        ->where('tasks.data.1.priority.value', 'medium')
+        ->where('tasks.data.2.priority.value', 'low')
+    );
+});
+
+test('tasks index sorts by due date with undated tasks last', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    Task::factory()->forProject($project)->create(['title' => 'No date', 'due_date' => null]);
+    Task::factory()->forProject($project)->create(['title' => 'Later', 'due_date' => now()->addDays(10)]);
+    Task::factory()->forProject($project)->create(['title' => 'Sooner', 'due_date' => now()->addDay()]);
+
+    $response = $this->actingAs($user)
+        ->get(route('tasks.index', ['sort' => 'due_date']));
+
+    $response->assertInertia(fn (Assert $page) => $page
+        ->where('tasks.data.0.title', 'Sooner')
+        ->where('tasks.data.1.title', 'Later')
+        ->where('tasks.data.2.title', 'No date')
+    );
+});
+
+test('tasks index rejects an unknown sort column', function () {
+    $user = User::factory()->create();
+
+    $response = $this->actingAs($user)
+        ->get(route('tasks.index', ['sort' => 'title; drop table tasks']));
+
+    $response->assertSessionHasErrors('sort');
+});
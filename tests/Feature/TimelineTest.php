@@ -0,0 +1,90 @@
+<?php
+
+use App\Enums\ProjectRole;
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('the timeline shows projects with their dated tasks and dependencies', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->active()->create([
+        'start_date' => '2030-01-01',
+        'end_date' => '2030-03-31',
+    ]);
+
+    $design = Task::factory()->forProject($project)->create(['title' => 'Design', 'due_date' => '2030-01-15']);
+    $build = Task::factory()->forProject($project)->create(['title' => 'Build', 'due_date' => '2030-02-15']);
+    $build->blockers()->attach($design);
+    // Tasks without a due date cannot be placed
+    Task::factory()->forProject($project)->create(['due_date' => null]);
+
+    Project::factory()->forUser($user)->archived()->create();
+    Project::factory()->create();
+
+    $this->actingAs($user)
+        ->get(route('timeline'))
+        ->assertOk()
+        ->assertInertia(fn (Assert $page) => $page
+            ->component('Timeline/Index')
+            ->has('projects', 1)
+            ->where('projects.0.start_date', '2030-01-01')
+            ->where('projects.0.end_date', '2030-03-31')
+            ->where('projects.0.tasks_count', 3)
+            ->where('projects.0.can.update', true)
+            ->has('projects.0.tasks', 2)
+            ->where('projects.0.tasks.0.title', 'Design')
+            ->where('projects.0.tasks.1.title', 'Build')
+            ->where('projects.0.tasks.1.blocked_by', [$design->id])
+        );
+});
+
+test('editors can change project dates from the timeline', function () {
+    $editor = User::factory()->create();
+    $project = Project::factory()->create(['start_date' => '2030-01-01', 'end_date' => '2030-01-31']);
+    $project->members()->attach($editor, ['role' => ProjectRole::EDITOR]);
+
+    $this->actingAs($editor)
+        ->from(route('timeline'))
+        ->patch(route('timeline.update', $project), [
+            'start_date' => '2030-01-08',
+            'end_date' => '2030-02-14',
+        ])
+        ->assertRedirect(route('timeline'));
+
+    $project->refresh();
+
+    expect($project->start_date->toDateString())->toBe('2030-01-08')
+        ->and($project->end_date->toDateString())->toBe('2030-02-14');
+});
+
+test('project dates from the timeline must stay in order', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+
+    $this->actingAs($user)
+        ->patch(route('timeline.update', $project), [
+            'start_date' => '2030-02-01',
+            'end_date' => '2030-01-01',
+        ])
+        ->assertSessionHasErrors('end_date');
+});
+
+test('viewers cannot change project dates from the timeline', function () {
+    $viewer = User::factory()->create();
+    $project = Project::factory()->create(['start_date' => '2030-01-01', 'end_date' => '2030-01-31']);
+    $project->members()->attach($viewer, ['role' => ProjectRole::VIEWER]);
+
+    $this->actingAs($viewer)
+        ->get(route('timeline'))
+        ->assertInertia(fn (Assert $page) => $page->where('projects.0.can.update', false));
+
+    $this->actingAs($viewer)
+        ->patch(route('timeline.update', $project), [
+            'start_date' => '2030-01-08',
+            'end_date' => '2030-02-14',
+        ])
+        ->assertForbidden();
+
+    expect($project->fresh()->end_date->toDateString())->toBe('2030-01-31');
+});
@@ -0,0 +1,106 @@
+<?php
+
+use App\Models\Project;
+use App\Models\Task;
+use App\Models\User;
+use Inertia\Testing\AssertableInertia as Assert;
+
+test('deleting a task moves it to the trash', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+
+    $this->actingAs($user)->delete(route('tasks.destroy', $task));
+
+    $this->assertSoftDeleted($task);
+});
+
+test('deleting a project trashes its tasks and restoring brings them back', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $earlier = Task::factory()->forProject($project)->create();
+    $task = Task::factory()->forProject($project)->create();
+
+    $this->actingAs($user)->delete(route('tasks.destroy', $earlier));
+
+    $this->travel(1)->minute();
+
+    $this->actingAs($user)->delete(route('projects.destroy', $project));
+
+    $this->assertSoftDeleted($project);
+    $this->assertSoftDeleted($task);
+
+    $this->actingAs($user)
+        ->patch(route('projects.restore', $project))
+        ->assertSessionHas('success');
+
+    $this->assertNotSoftDeleted($project);
+    $this->assertNotSoftDeleted($task);
+
+    // Deleted on its own before the project, so it stays in the trash
+    $this->assertSoftDeleted($earlier);
+});
+
+test('trash page lists the user\'s deleted projects and tasks', function () {
+    $user = User::factory()->create();
+    $project = Project::factory()->forUser($user)->create();
+    $task = Task::factory()->forProject($project)->create();
+    $trashedProject = Project::factory()->forUser($user)->create();
+    Task::factory()->forProject($trashedProject)->create();
+    $otherTask = Task::factory()->create();
+
+    $this->actingAs($user)->delete(route('tasks.destroy', $task));
+    $this->actingAs($user)->delete(route('projects.destroy', $trashedProject));
+    $otherTask->delete();
+
+    $this->actingAs($user)
+        ->get(route('trash.index'))
+        ->assertInertia(fn (Assert $page) => $page
+            ->component('Trash/Index')
+            ->has('projects', 1)
+            ->where('projects.0.id', $trashedProject->id)
+            ->where('projects.0.tasks_count', 1)
+            ->where('projects.0.can.restore', true)
+            ->where('projects.0.can.force_delete', false)
+            ->has('tasks', 1)
+            ->where('tasks.0.id', $task->id)
+        );
+});
+
+test('only the project owner can restore a task', function () {
+    $owner = User::factory()->create();
+    $other = User::factory()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->create();
+    $task->delete();
+
+    $this->actingAs($other)
+        ->patch(route('tasks.restore', $task))
+        ->assertForbidden();
+
+    $this->actingAs($owner)
+        ->patch(route('tasks.restore', $task))
+        ->assertRedirect();
+
+    $this->assertNotSoftDeleted($task);
+    expect($task->activities()->latest('id')->value('event'))->toBe('restored');
+});
+
+test('only admins can permanently delete', function () {
+    $owner = User::factory()->create();
+    $admin = User::factory()->admin()->create();
+    $project = Project::factory()->forUser($owner)->create();
+    $task = Task::factory()->forProject($project)->create();
+    $project->delete();
+
+    $this->actingAs($owner)
+        ->delete(route('projects.force-delete', $project))
+        ->assertForbidden();
+
+    $this->actingAs($admin)
+        ->delete(route('projects.force-delete', $project))
+        ->assertRedirect();
+
+    $this->assertModelMissing($project);
+    $this->assertModelMissing($task);
+});